@@ -256,7 +256,7 @@ namespace NoLock.Social.Components.Tests.Camera
                 .ReturnsAsync(Array.Empty<System.Text.Json.JsonElement>());
                 
             _mockJSRuntime
-                .Setup(x => x.InvokeAsync<string>("captureImage", It.IsAny<object[]>()))
+                .Setup(x => x.InvokeAsync<string>("capturePhoto", It.IsAny<object[]>()))
                 .ReturnsAsync(expectedImageData);
 
             var component = RenderComponent<CameraCapture>(parameters => parameters
@@ -282,6 +282,128 @@ namespace NoLock.Social.Components.Tests.Camera
             capturedImage!.ImageData.Should().Be(expectedImageData);
         }
 
+        [Fact]
+        public async Task CaptureImage_StoresImageOffline_AndUsesStoredThumbnail()
+        {
+            // Arrange
+            CapturedImage? capturedImage = null;
+            var imageData = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<string>("checkCameraPermission", It.IsAny<object[]>()))
+                .ReturnsAsync("granted");
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<bool>("setupCamera", It.IsAny<object[]>()))
+                .ReturnsAsync(true);
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<System.Text.Json.JsonElement[]>("getAvailableCameras", It.IsAny<object[]>()))
+                .ReturnsAsync(Array.Empty<System.Text.Json.JsonElement>());
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<string>("capturePhoto", It.IsAny<object[]>()))
+                .ReturnsAsync(imageData);
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<string?>("indexedDbStorage.getThumbnailUrl", It.IsAny<object[]>()))
+                .ReturnsAsync("blob:http://localhost/thumb");
+
+            var component = RenderComponent<CameraCapture>(parameters => parameters
+                .Add(p => p.AutoStart, true)
+                .Add(p => p.OnImageCaptured, EventCallback.Factory.Create<CapturedImage>(this, img => capturedImage = img)));
+            await component.InvokeAsync(() => Task.Delay(100));
+
+            // Act
+            var captureButton = component.FindAll("button").First(b => b.TextContent.Contains("Capture"));
+            await captureButton.ClickAsync(new Microsoft.AspNetCore.Components.Web.MouseEventArgs());
+            await component.InvokeAsync(() => Task.Delay(50));
+
+            // Assert
+            capturedImage.Should().NotBeNull();
+            capturedImage!.ThumbnailUrl.Should().Be("blob:http://localhost/thumb");
+            _mockJSRuntime.Verify(x => x.InvokeAsync<Microsoft.JSInterop.Infrastructure.IJSVoidResult>("indexedDbStorage.saveImage",
+                It.Is<object[]>(args => (string)args[0] == capturedImage.Id && (string)args[1] == imageData)), Times.Once);
+        }
+
+        [Fact]
+        public async Task CaptureImage_DeliversImageBeforeOfflineStorageCompletes()
+        {
+            // Arrange
+            CapturedImage? capturedImage = null;
+            var saveImage = new TaskCompletionSource<Microsoft.JSInterop.Infrastructure.IJSVoidResult>();
+
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<string>("checkCameraPermission", It.IsAny<object[]>()))
+                .ReturnsAsync("granted");
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<bool>("setupCamera", It.IsAny<object[]>()))
+                .ReturnsAsync(true);
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<System.Text.Json.JsonElement[]>("getAvailableCameras", It.IsAny<object[]>()))
+                .ReturnsAsync(Array.Empty<System.Text.Json.JsonElement>());
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<string>("capturePhoto", It.IsAny<object[]>()))
+                .ReturnsAsync("data:image/png;base64,AAAA");
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<Microsoft.JSInterop.Infrastructure.IJSVoidResult>("indexedDbStorage.saveImage", It.IsAny<object[]>()))
+                .Returns(new ValueTask<Microsoft.JSInterop.Infrastructure.IJSVoidResult>(saveImage.Task));
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<string?>("indexedDbStorage.getThumbnailUrl", It.IsAny<object[]>()))
+                .ReturnsAsync("blob:http://localhost/thumb");
+
+            var component = RenderComponent<CameraCapture>(parameters => parameters
+                .Add(p => p.AutoStart, true)
+                .Add(p => p.OnImageCaptured, EventCallback.Factory.Create<CapturedImage>(this, img => capturedImage = img)));
+            await component.InvokeAsync(() => Task.Delay(100));
+
+            // Act
+            var captureButton = component.FindAll("button").First(b => b.TextContent.Contains("Capture"));
+            await captureButton.ClickAsync(new Microsoft.AspNetCore.Components.Web.MouseEventArgs());
+            await component.InvokeAsync(() => Task.Delay(50));
+
+            // Assert
+            capturedImage.Should().NotBeNull("the parent is notified while the image is still being stored");
+            capturedImage!.ThumbnailUrl.Should().BeEmpty();
+
+            saveImage.SetResult(null!);
+            await component.InvokeAsync(() => Task.Delay(50));
+            capturedImage.ThumbnailUrl.Should().Be("blob:http://localhost/thumb");
+        }
+
+        [Fact]
+        public async Task CaptureImage_WhenOfflineStorageFails_StillDeliversImage()
+        {
+            // Arrange
+            CapturedImage? capturedImage = null;
+
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<string>("checkCameraPermission", It.IsAny<object[]>()))
+                .ReturnsAsync("granted");
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<bool>("setupCamera", It.IsAny<object[]>()))
+                .ReturnsAsync(true);
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<System.Text.Json.JsonElement[]>("getAvailableCameras", It.IsAny<object[]>()))
+                .ReturnsAsync(Array.Empty<System.Text.Json.JsonElement>());
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<string>("capturePhoto", It.IsAny<object[]>()))
+                .ReturnsAsync("data:image/png;base64,AAAA");
+            _mockJSRuntime
+                .Setup(x => x.InvokeAsync<Microsoft.JSInterop.Infrastructure.IJSVoidResult>("indexedDbStorage.saveImage", It.IsAny<object[]>()))
+                .ThrowsAsync(new JSException("QuotaExceededError"));
+
+            var component = RenderComponent<CameraCapture>(parameters => parameters
+                .Add(p => p.AutoStart, true)
+                .Add(p => p.OnImageCaptured, EventCallback.Factory.Create<CapturedImage>(this, img => capturedImage = img)));
+            await component.InvokeAsync(() => Task.Delay(100));
+
+            // Act
+            var captureButton = component.FindAll("button").First(b => b.TextContent.Contains("Capture"));
+            await captureButton.ClickAsync(new Microsoft.AspNetCore.Components.Web.MouseEventArgs());
+            await component.InvokeAsync(() => Task.Delay(50));
+
+            // Assert
+            capturedImage.Should().NotBeNull();
+            capturedImage!.ThumbnailUrl.Should().BeEmpty();
+        }
+
         #endregion
 
         #region Camera Switching Tests
@@ -401,7 +523,7 @@ namespace NoLock.Social.Components.Tests.Camera
                 .ReturnsAsync(Array.Empty<JsonElement>());
             
             _mockJSRuntime
-                .Setup(x => x.InvokeAsync<string>("captureImage", It.IsAny<object[]>()))
+                .Setup(x => x.InvokeAsync<string>("capturePhoto", It.IsAny<object[]>()))
                 .ReturnsAsync("data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==");
 
             var component = RenderComponent<CameraCapture>(parameters => parameters
@@ -485,7 +607,7 @@ namespace NoLock.Social.Components.Tests.Camera
                 .ReturnsAsync(Array.Empty<JsonElement>());
             
             _mockJSRuntime
-                .Setup(x => x.InvokeAsync<string>("captureImage", It.IsAny<object[]>()))
+                .Setup(x => x.InvokeAsync<string>("capturePhoto", It.IsAny<object[]>()))
                 .ReturnsAsync((string)null!);
 
             var component = RenderComponent<CameraCapture>(parameters => parameters
@@ -41,5 +41,73 @@ namespace NoLock.Social.Components.Tests.Camera
             Assert.Contains("fullscreen-backdrop", component.Markup);
             Assert.Contains("test1.jpg", component.Markup);
         }
+
+        [Fact]
+        public void Thumbnail_PrefersThumbnailUrlOverFullImage()
+        {
+            // Arrange
+            var images = new List<CapturedImage>
+            {
+                new() { Id = "1", ImageUrl = "full1.jpg", ThumbnailUrl = "thumb1.jpg" },
+                new() { Id = "2", ImageUrl = "full2.jpg" }
+            };
+
+            // Act
+            var component = RenderComponent<FilmStrip>(parameters => parameters
+                .Add(p => p.CapturedImages, images));
+
+            // Assert
+            var thumbnails = component.FindAll(".film-thumbnail");
+            Assert.Equal("thumb1.jpg", thumbnails[0].GetAttribute("src"));
+            Assert.Equal("full2.jpg", thumbnails[1].GetAttribute("src"));
+            Assert.Equal("lazy", thumbnails[0].GetAttribute("loading"));
+        }
+
+        [Fact]
+        public void RemovedImage_ReleasesItsThumbnailUrl()
+        {
+            // Arrange
+            JSInterop.SetupVoid("indexedDbStorage.revokeImageUrl", _ => true).SetVoidResult();
+            var images = new List<CapturedImage>
+            {
+                new() { Id = "1", ImageUrl = "full1.jpg", ThumbnailUrl = "blob:http://localhost/thumb1" },
+                new() { Id = "2", ImageUrl = "full2.jpg", ThumbnailUrl = "blob:http://localhost/thumb2" }
+            };
+            var component = RenderComponent<FilmStrip>(parameters => parameters
+                .Add(p => p.CapturedImages, images));
+
+            // Act
+            component.SetParametersAndRender(parameters => parameters
+                .Add(p => p.CapturedImages, images.Skip(1).ToList()));
+
+            // Assert
+            var invocation = Assert.Single(JSInterop.Invocations);
+            Assert.Equal("blob:http://localhost/thumb1", invocation.Arguments[0]);
+        }
+
+        [Fact]
+        public void Dispose_ReleasesThumbnailUrlsOnShow()
+        {
+            // Arrange
+            JSInterop.SetupVoid("indexedDbStorage.revokeImageUrl", _ => true).SetVoidResult();
+            var images = new List<CapturedImage>
+            {
+                new() { Id = "1", ImageUrl = "full1.jpg", ThumbnailUrl = "blob:http://localhost/thumb1" },
+                new() { Id = "2", ImageUrl = "full2.jpg", ThumbnailUrl = "thumb2.jpg" }
+            };
+            var component = RenderComponent<FilmStrip>(parameters => parameters
+                .Add(p => p.CapturedImages, images));
+
+            // A thumbnail stored after the strip last rendered
+            images.Add(new() { Id = "3", ImageUrl = "full3.jpg", ThumbnailUrl = "blob:http://localhost/thumb3" });
+
+            // Act
+            component.Instance.Dispose();
+
+            // Assert
+            Assert.Equal(
+                new[] { "blob:http://localhost/thumb1", "blob:http://localhost/thumb3" },
+                JSInterop.Invocations.Select(invocation => invocation.Arguments[0]?.ToString()).OrderBy(url => url));
+        }
     }
 }
\ No newline at end of file
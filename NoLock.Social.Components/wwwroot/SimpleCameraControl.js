@@ -1,33 +1,17 @@
 // JavaScript module for SimpleCameraControl component
-let currentStream = null;
+// Adapter over camera-session.js: one CameraSession per video element, so several controls can preview at once.
+import { createSession, findSession, getCameraDevices as listCameraDevices } from './js/camera-session.js';
 
 export async function startCamera(videoElement, deviceId) {
     try {
-        // Stop any existing stream
-        if (currentStream) {
-            stopCamera();
+        if (!videoElement) {
+            console.error('No video element available');
+            return false;
         }
 
-        // Build constraints
-        const constraints = {
-            video: {
-                facingMode: deviceId ? undefined : 'user',
-                deviceId: deviceId ? { exact: deviceId } : undefined,
-                width: { ideal: 1920 },
-                height: { ideal: 1080 }
-            },
-            audio: false
-        };
+        const session = findSession(videoElement) || createSession(videoElement, null, { facingMode: 'user' });
+        await session.start(deviceId);
 
-        // Request camera access
-        currentStream = await navigator.mediaDevices.getUserMedia(constraints);
-        
-        // Attach stream to video element
-        if (videoElement) {
-            videoElement.srcObject = currentStream;
-            await videoElement.play();
-        }
-        
         console.log('Camera started successfully');
         return true;
     } catch (error) {
@@ -36,69 +20,75 @@ export async function startCamera(videoElement, deviceId) {
     }
 }
 
-export function stopCamera() {
-    if (currentStream) {
-        // Stop all tracks in the stream
-        currentStream.getTracks().forEach(track => {
-            track.stop();
-        });
-        currentStream = null;
+// Stops the session bound to videoElement
+export function stopCamera(videoElement) {
+    const session = findSession(videoElement);
+    if (session) {
+        session.dispose();
         console.log('Camera stopped');
     }
     return true;
 }
 
-export async function getCameraDevices() {
-    try {
-        // Request permissions first if needed
-        if (!currentStream) {
-            const tempStream = await navigator.mediaDevices.getUserMedia({ video: true });
-            tempStream.getTracks().forEach(track => track.stop());
-        }
-
-        // Get all devices
-        const devices = await navigator.mediaDevices.enumerateDevices();
-        
-        // Filter for video input devices
-        const cameras = devices
-            .filter(device => device.kind === 'videoinput')
-            .map(device => ({
-                deviceId: device.deviceId,
-                label: device.label || `Camera ${device.deviceId.substring(0, 8)}`,
-                groupId: device.groupId
-            }));
-        
-        console.log(`Found ${cameras.length} camera(s)`);
-        return cameras;
-    } catch (error) {
-        console.error('Failed to enumerate camera devices:', error);
-        return [];
-    }
+export function getCameraDevices() {
+    return listCameraDevices({ requestPermission: true });
 }
 
 export function captureImage(videoElement) {
-    try {
-        if (!videoElement || !currentStream) {
-            console.error('No video element or stream available');
-            return null;
-        }
+    const session = getActiveSession(videoElement);
+    return session ? session.captureImage(null, 0.92) : null;
+}
 
-        // Create canvas with video dimensions
-        const canvas = document.createElement('canvas');
-        canvas.width = videoElement.videoWidth;
-        canvas.height = videoElement.videoHeight;
-        
-        // Draw current video frame to canvas
-        const context = canvas.getContext('2d');
-        context.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
-        
-        // Convert to base64 JPEG
-        const dataUrl = canvas.toDataURL('image/jpeg', 0.92);
-        
-        console.log('Image captured successfully');
-        return dataUrl;
-    } catch (error) {
-        console.error('Failed to capture image:', error);
+// Encode as JPEG bytes; .NET receives the Blob as an IJSStreamReference
+export async function captureImageBlob(videoElement, quality = 0.92) {
+    const session = getActiveSession(videoElement);
+    return session ? session.captureImageBlob(null, quality) : null;
+}
+
+// Full-sensor still via ImageCapture.takePhoto, falling back to a video frame grab.
+// options: { imageWidth, imageHeight, fillLightMode, redEyeReduction, quality }; resolution defaults to the sensor maximum.
+export async function capturePhotoBlob(videoElement, options = {}) {
+    const session = getActiveSession(videoElement);
+    return session ? session.capturePhotoBlob({ quality: 0.92, ...options }) : null;
+}
+
+export async function capturePhoto(videoElement, options = {}) {
+    const session = getActiveSession(videoElement);
+    return session ? session.capturePhoto({ quality: 0.92, ...options }) : null;
+}
+
+// Grab several frames and keep the sharpest, or median-stack the sharp ones to cut low-light noise.
+// Ranking and stacking come from the app's window.imageQuality / window.imageEnhancement scripts.
+export async function captureBurst(videoElement, count = 5, intervalMs = 100, options = {}) {
+    const session = getActiveSession(videoElement);
+    return session ? session.captureBurst(count, intervalMs, { quality: 0.92, ...options }) : null;
+}
+
+// Read barcodes and QR codes from one still: a full-sensor photo by default, or the preview frame with source: 'frame'.
+// Resolves to { barcodes, width, height }; each barcode is { format, rawValue, cornerPoints, boundingBox, decoder }.
+export async function scanBarcodes(videoElement, options = {}) {
+    const session = getActiveSession(videoElement);
+    return session ? session.scanBarcodes({ quality: 0.92, ...options }) : null;
+}
+
+// Scan the preview continuously; dotNetRef receives OnBarcodesDetected(barcodes, frameWidth, frameHeight)
+export function startBarcodeScanning(videoElement, overlayCanvas, dotNetRef, options = {}) {
+    const session = getActiveSession(videoElement);
+    return session ? session.startBarcodeScanning(overlayCanvas, options, dotNetRef) : false;
+}
+
+export function stopBarcodeScanning(videoElement) {
+    const session = findSession(videoElement);
+    if (session) {
+        session.stopBarcodeScanning();
+    }
+}
+
+function getActiveSession(videoElement) {
+    const session = videoElement ? findSession(videoElement) : null;
+    if (!session || !session.isActive()) {
+        console.error('No video element or stream available');
         return null;
     }
-}
\ No newline at end of file
+    return session;
+}
@@ -0,0 +1,2227 @@
+/**
+ * Barcode decoder module
+ * Pure-JS decoding of QR Code, Code 128, EAN-13 and PDF417 for browsers without BarcodeDetector.
+ * Results use BarcodeDetector's shape - { format, rawValue, cornerPoints } with its format names -
+ * so callers need not care which decoder read the code. Corner points run clockwise from the
+ * code's own top-left corner, in pixels of the ImageData passed in.
+ */
+
+export const SUPPORTED_FORMATS = Object.freeze(['qr_code', 'code_128', 'ean_13', 'pdf417']);
+
+// Local thresholding: each pixel is compared with the mean of the surrounding 5x5 blocks
+const BLOCK_SIZE = 8;
+const MIN_BLOCK_CONTRAST = 24;
+
+// Rotations tried for linear codes and PDF417; QR codes are located in any orientation
+const ROTATIONS = [0, 90, 180, 270];
+
+/**
+ * Decode every supported barcode in an image
+ * @param {ImageData|{data: Uint8ClampedArray, width: number, height: number}} imageData - RGBA pixels
+ * @param {string[]} formats - Formats to look for; all supported formats by default
+ * @returns {Array<{format: string, rawValue: string, cornerPoints: Array<{x: number, y: number}>}>}
+ */
+export function decodeBarcodes(imageData, formats = SUPPORTED_FORMATS) {
+    const wanted = formats.filter(format => SUPPORTED_FORMATS.includes(format));
+    if (wanted.length === 0 || !imageData || !imageData.width || !imageData.height) {
+        return [];
+    }
+
+    const image = binarize(imageData);
+    const results = [];
+
+    if (wanted.includes('qr_code')) {
+        results.push(...decodeQrCodes(image));
+    }
+    if (wanted.includes('pdf417')) {
+        results.push(...decodePdf417(image));
+    }
+    if (wanted.includes('code_128') || wanted.includes('ean_13')) {
+        results.push(...decodeLinearCodes(image, wanted));
+    }
+
+    // The same code can be read in two rotations; keep the first reading
+    const seen = new Set();
+    return results.filter(result => {
+        const key = `${result.format}\u0000${result.rawValue}`;
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+// Image helpers
+
+// Grayscale plus a dark/light bit per pixel
+function binarize(imageData) {
+    const { width, height, data } = imageData;
+    const gray = new Uint8Array(width * height);
+    for (let i = 0, p = 0; i < gray.length; i++, p += 4) {
+        gray[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+    }
+    // Block statistics come from a smoothed copy so sensor noise in flat areas (quiet zones especially)
+    // stays below the contrast floor; pixels are still compared unsmoothed to keep narrow modules
+    const smoothed = smooth(gray, width, height);
+
+    const blocksX = Math.ceil(width / BLOCK_SIZE);
+    const blocksY = Math.ceil(height / BLOCK_SIZE);
+    const averages = new Float32Array(blocksX * blocksY);
+
+    for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+            let sum = 0;
+            let count = 0;
+            let min = 255;
+            let max = 0;
+            const yEnd = Math.min(height, (by + 1) * BLOCK_SIZE);
+            const xEnd = Math.min(width, (bx + 1) * BLOCK_SIZE);
+            for (let y = by * BLOCK_SIZE; y < yEnd; y++) {
+                for (let x = bx * BLOCK_SIZE; x < xEnd; x++) {
+                    const value = smoothed[y * width + x];
+                    sum += value;
+                    count++;
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+            }
+
+            let average = sum / count;
+            if (max - min <= MIN_BLOCK_CONTRAST) {
+                // Flat block: background unless it is darker than its already-visited neighbours
+                average = min / 2;
+                if (bx > 0 && by > 0) {
+                    const neighbours = (averages[(by - 1) * blocksX + bx] +
+                        2 * averages[by * blocksX + bx - 1] +
+                        averages[(by - 1) * blocksX + bx - 1]) / 4;
+                    if (min < neighbours) {
+                        average = neighbours;
+                    }
+                }
+            }
+            averages[by * blocksX + bx] = average;
+        }
+    }
+
+    const bits = new Uint8Array(width * height);
+    for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+            let sum = 0;
+            let count = 0;
+            for (let ny = Math.max(0, by - 2); ny <= Math.min(blocksY - 1, by + 2); ny++) {
+                for (let nx = Math.max(0, bx - 2); nx <= Math.min(blocksX - 1, bx + 2); nx++) {
+                    sum += averages[ny * blocksX + nx];
+                    count++;
+                }
+            }
+
+            const threshold = sum / count;
+            const yEnd = Math.min(height, (by + 1) * BLOCK_SIZE);
+            const xEnd = Math.min(width, (bx + 1) * BLOCK_SIZE);
+            for (let y = by * BLOCK_SIZE; y < yEnd; y++) {
+                for (let x = bx * BLOCK_SIZE; x < xEnd; x++) {
+                    bits[y * width + x] = gray[y * width + x] <= threshold ? 1 : 0;
+                }
+            }
+        }
+    }
+
+    return { width: width, height: height, bits: bits };
+}
+
+// 3x3 box blur
+function smooth(gray, width, height) {
+    const rows = new Uint16Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            rows[row + x] = gray[row + Math.max(x - 1, 0)] + gray[row + x] + gray[row + Math.min(x + 1, width - 1)];
+        }
+    }
+
+    const result = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const above = Math.max(y - 1, 0) * width;
+        const below = Math.min(y + 1, height - 1) * width;
+        for (let x = 0; x < width; x++) {
+            result[y * width + x] = (rows[above + x] + rows[y * width + x] + rows[below + x]) / 9;
+        }
+    }
+    return result;
+}
+
+function isDark(image, x, y) {
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    return px >= 0 && py >= 0 && px < image.width && py < image.height && image.bits[py * image.width + px] === 1;
+}
+
+// Scan lines in a rotated view of the image: 'along' runs in the code's reading direction,
+// 'line' across it. Rotation is clockwise, so rotation 90 reads a code printed top to bottom.
+function createView(image, rotation) {
+    const { width, height } = image;
+    const turned = rotation === 90 || rotation === 270;
+    return {
+        rotation: rotation,
+        length: turned ? height : width,
+        lines: turned ? width : height,
+        // Pixel index of (along, line)
+        index(along, line) {
+            switch (rotation) {
+                case 90: return along * width + (width - 1 - line);
+                case 180: return (height - 1 - line) * width + (width - 1 - along);
+                case 270: return (height - 1 - along) * width + line;
+                default: return line * width + along;
+            }
+        },
+        // Continuous view coordinates back to image coordinates
+        toImage(along, line) {
+            switch (rotation) {
+                case 90: return { x: width - line, y: along };
+                case 180: return { x: width - along, y: height - line };
+                case 270: return { x: line, y: height - along };
+                default: return { x: along, y: line };
+            }
+        }
+    };
+}
+
+// Run lengths along one view line, optionally tilted by slope lines per pixel along.
+// With vote set each pixel is the majority of the line and its two neighbours: bars span
+// neighbouring lines, isolated noise pixels do not. widths[0] is light (possibly empty),
+// so odd indexes are dark runs.
+function readRuns(image, view, line, slope = 0, vote = false) {
+    const widths = [];
+    const starts = [];
+    let dark = false;
+    let runStart = 0;
+    const darkAt = (along, row) => row >= 0 && row < view.lines && image.bits[view.index(along, row)] === 1;
+
+    for (let along = 0; along < view.length; along++) {
+        const row = slope ? Math.round(line + along * slope) : line;
+        const value = vote ?
+            darkAt(along, row - 1) + darkAt(along, row) + darkAt(along, row + 1) >= 2 :
+            darkAt(along, row);
+        if (value !== dark) {
+            widths.push(along - runStart);
+            starts.push(runStart);
+            runStart = along;
+            dark = value;
+        }
+    }
+    widths.push(view.length - runStart);
+    starts.push(runStart);
+
+    return { widths: widths, starts: starts };
+}
+
+// Average deviation from the expected module widths, relative to the total width;
+// Infinity when any single run is too far off
+function patternVariance(widths, offset, pattern, maxIndividualVariance) {
+    let total = 0;
+    let patternLength = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        total += widths[offset + i];
+        patternLength += pattern[i];
+    }
+    if (total < patternLength) {
+        return Infinity; // Less than a pixel per module
+    }
+
+    const unit = total / patternLength;
+    const maxIndividual = maxIndividualVariance * unit;
+    let variance = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        const deviation = Math.abs(widths[offset + i] - pattern[i] * unit);
+        if (deviation > maxIndividual) {
+            return Infinity;
+        }
+        variance += deviation;
+    }
+    return variance / total;
+}
+
+function sumRuns(widths, offset, count) {
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+        total += widths[offset + i];
+    }
+    return total;
+}
+
+function parsePatterns(patterns) {
+    return patterns.map(pattern => Array.from(pattern, Number));
+}
+
+// Bounding polygon of a linear code read on several lines of a view, clockwise from the code's top-left
+function linePolygon(view, first, last) {
+    return [
+        view.toImage(first.start, first.line),
+        view.toImage(first.end, first.line),
+        view.toImage(last.end, last.line + 1),
+        view.toImage(last.start, last.line + 1)
+    ].map(point => ({ x: Math.round(point.x), y: Math.round(point.y) }));
+}
+
+// Linear codes (EAN-13, Code 128)
+
+const LINEAR_SCAN_LINES = 48;       // Scan lines per view
+const LINEAR_MIN_HITS = 2;          // Lines that must agree before a value is reported
+const LINEAR_QUIET_ZONE = 5;        // Minimum light modules either side (the spec asks for 10-11)
+
+const EAN_MAX_AVG_VARIANCE = 0.48;
+const EAN_MAX_INDIVIDUAL_VARIANCE = 0.7;
+const EAN_GUARD = [1, 1, 1];
+const EAN_MIDDLE_GUARD = [1, 1, 1, 1, 1];
+// L-code widths (space, bar, space, bar); R-codes have the same widths starting with a bar and G-codes are reversed
+const EAN_L_PATTERNS = parsePatterns(['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112']);
+const EAN_G_PATTERNS = EAN_L_PATTERNS.map(pattern => pattern.slice().reverse());
+// L/G parity of the six left digits (G = 1, first digit is the high bit) encodes the leading digit
+const EAN_FIRST_DIGIT_PARITY = [0x00, 0x0B, 0x0D, 0x0E, 0x13, 0x19, 0x1C, 0x15, 0x16, 0x1A];
+
+const CODE128_MAX_AVG_VARIANCE = 0.25;
+const CODE128_MAX_INDIVIDUAL_VARIANCE = 0.7;
+const CODE128_START_A = 103;
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+const CODE128_PATTERNS = parsePatterns([
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+]);
+
+function decodeLinearCodes(image, formats) {
+    const decoders = [];
+    if (formats.includes('ean_13')) {
+        decoders.push({ format: 'ean_13', decode: decodeEan13 });
+    }
+    if (formats.includes('code_128')) {
+        decoders.push({ format: 'code_128', decode: decodeCode128 });
+    }
+
+    const results = [];
+    for (const rotation of ROTATIONS) {
+        const view = createView(image, rotation);
+        const step = Math.max(1, Math.floor(view.lines / LINEAR_SCAN_LINES));
+        const hits = new Map(); // format + value -> { format, value, lines: [] }
+
+        for (let line = Math.floor(step / 2); line < view.lines; line += step) {
+            const runs = readRuns(image, view, line, 0, true);
+            for (const decoder of decoders) {
+                for (const found of decoder.decode(runs)) {
+                    const key = `${decoder.format}\u0000${found.value}`;
+                    if (!hits.has(key)) {
+                        hits.set(key, { format: decoder.format, value: found.value, lines: [] });
+                    }
+                    hits.get(key).lines.push({ line: line, start: found.start, end: found.end });
+                }
+            }
+        }
+
+        hits.forEach(hit => {
+            if (hit.lines.length >= LINEAR_MIN_HITS) {
+                results.push({
+                    format: hit.format,
+                    rawValue: hit.value,
+                    cornerPoints: linePolygon(view, hit.lines[0], hit.lines[hit.lines.length - 1])
+                });
+            }
+        });
+    }
+
+    return results;
+}
+
+function hasQuietZone(runs, index, moduleWidth) {
+    // runs.widths[index] is the light run beside the code; a run that reaches the image edge counts as quiet
+    const width = runs.widths[index];
+    if (width === undefined) {
+        return false;
+    }
+    const atEdge = index === 0 || index === runs.widths.length - 1;
+    return atEdge ? width >= 1 : width >= moduleWidth * LINEAR_QUIET_ZONE;
+}
+
+function decodeEan13(runs) {
+    const { widths, starts } = runs;
+    const found = [];
+
+    // 59 runs: guard (3), six left digits (4 each), middle guard (5), six right digits, guard (3)
+    for (let i = 1; i + 59 < widths.length; i += 2) {
+        if (patternVariance(widths, i, EAN_GUARD, EAN_MAX_INDIVIDUAL_VARIANCE) > EAN_MAX_AVG_VARIANCE) {
+            continue;
+        }
+
+        const moduleWidth = sumRuns(widths, i, 59) / 95;
+        if (!hasQuietZone(runs, i - 1, moduleWidth) || !hasQuietZone(runs, i + 59, moduleWidth)) {
+            continue;
+        }
+
+        const digits = [];
+        let parity = 0;
+        let valid = true;
+
+        for (let d = 0; d < 6 && valid; d++) {
+            const match = matchDigit(widths, i + 3 + d * 4, [EAN_L_PATTERNS, EAN_G_PATTERNS]);
+            if (!match) {
+                valid = false;
+                break;
+            }
+            digits.push(match.digit);
+            parity = (parity << 1) | match.set;
+        }
+
+        if (!valid ||
+            patternVariance(widths, i + 27, EAN_MIDDLE_GUARD, EAN_MAX_INDIVIDUAL_VARIANCE) > EAN_MAX_AVG_VARIANCE ||
+            patternVariance(widths, i + 56, EAN_GUARD, EAN_MAX_INDIVIDUAL_VARIANCE) > EAN_MAX_AVG_VARIANCE) {
+            continue;
+        }
+
+        for (let d = 0; d < 6 && valid; d++) {
+            const match = matchDigit(widths, i + 32 + d * 4, [EAN_L_PATTERNS]);
+            if (!match) {
+                valid = false;
+                break;
+            }
+            digits.push(match.digit);
+        }
+
+        const firstDigit = EAN_FIRST_DIGIT_PARITY.indexOf(parity);
+        if (!valid || firstDigit < 0) {
+            continue;
+        }
+
+        const value = String(firstDigit) + digits.join('');
+        if (!hasValidEanChecksum(value)) {
+            continue;
+        }
+
+        found.push({ value: value, start: starts[i], end: starts[i + 59] });
+        i += 58;
+    }
+
+    return found;
+}
+
+// Best digit over the given pattern sets; set is the index of the set that matched (0 = L, 1 = G)
+function matchDigit(widths, offset, patternSets) {
+    let best = null;
+    patternSets.forEach((patterns, set) => {
+        patterns.forEach((pattern, digit) => {
+            const variance = patternVariance(widths, offset, pattern, EAN_MAX_INDIVIDUAL_VARIANCE);
+            if (variance < EAN_MAX_AVG_VARIANCE && (!best || variance < best.variance)) {
+                best = { digit: digit, set: set, variance: variance };
+            }
+        });
+    });
+    return best;
+}
+
+function hasValidEanChecksum(value) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += Number(value[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return (10 - (sum % 10)) % 10 === Number(value[12]);
+}
+
+function decodeCode128(runs) {
+    const { widths, starts } = runs;
+    const found = [];
+
+    for (let i = 1; i + 6 < widths.length; i += 2) {
+        const startCode = matchCode128Symbol(widths, i, CODE128_START_A, CODE128_START_C);
+        if (startCode < 0 || !hasQuietZone(runs, i - 1, sumRuns(widths, i, 6) / 11)) {
+            continue;
+        }
+
+        const codes = [startCode];
+        let offset = i + 6;
+        let stopped = false;
+
+        while (offset + 7 < widths.length) {
+            const stopVariance = patternVariance(widths, offset, CODE128_PATTERNS[CODE128_STOP], CODE128_MAX_INDIVIDUAL_VARIANCE);
+            if (stopVariance < CODE128_MAX_AVG_VARIANCE) {
+                stopped = true;
+                break;
+            }
+
+            const code = matchCode128Symbol(widths, offset, 0, CODE128_START_C);
+            if (code < 0 || code >= CODE128_START_A) {
+                break;
+            }
+            codes.push(code);
+            offset += 6;
+        }
+
+        // Start, at least one data symbol and the checksum
+        if (!stopped || codes.length < 3 || !hasQuietZone(runs, offset + 7, sumRuns(widths, offset, 7) / 13)) {
+            continue;
+        }
+
+        let checksum = codes[0];
+        for (let k = 1; k < codes.length - 1; k++) {
+            checksum += k * codes[k];
+        }
+        if (checksum % 103 !== codes[codes.length - 1]) {
+            continue;
+        }
+
+        const value = decodeCode128Text(codes.slice(0, -1));
+        if (value === null) {
+            continue;
+        }
+
+        found.push({ value: value, start: starts[i], end: starts[offset + 7] });
+        i = offset + 5;
+    }
+
+    return found;
+}
+
+function matchCode128Symbol(widths, offset, first, last) {
+    let bestCode = -1;
+    let bestVariance = CODE128_MAX_AVG_VARIANCE;
+    for (let code = first; code <= last; code++) {
+        const variance = patternVariance(widths, offset, CODE128_PATTERNS[code], CODE128_MAX_INDIVIDUAL_VARIANCE);
+        if (variance < bestVariance) {
+            bestVariance = variance;
+            bestCode = code;
+        }
+    }
+    return bestCode;
+}
+
+// Start code followed by data symbols (checksum removed). FNC1 becomes GS except in the leading GS1 position.
+function decodeCode128Text(codes) {
+    let codeSet = codes[0] === CODE128_START_A ? 'A' : codes[0] === CODE128_START_B ? 'B' : 'C';
+    let shifted = false;
+    let extendedOnce = false;
+    let extendedLatched = false;
+    let text = '';
+
+    for (let k = 1; k < codes.length; k++) {
+        const code = codes[k];
+        const set = shifted ? (codeSet === 'A' ? 'B' : 'A') : codeSet;
+        shifted = false;
+
+        if (code === 102) {
+            if (k > 1) {
+                text += '\u001d';
+            }
+            continue;
+        }
+
+        if (set === 'C') {
+            if (code < 100) {
+                text += String(code).padStart(2, '0');
+            } else {
+                codeSet = code === 100 ? 'B' : 'A';
+            }
+            continue;
+        }
+
+        if (code < 96) {
+            let charCode = set === 'A' ? (code < 64 ? code + 32 : code - 64) : code + 32;
+            if (extendedOnce !== extendedLatched) {
+                charCode += 128;
+            }
+            extendedOnce = false;
+            text += String.fromCharCode(charCode);
+            continue;
+        }
+
+        switch (code) {
+            case 96: // FNC3
+            case 97: // FNC2
+                break;
+            case 98:
+                shifted = true;
+                break;
+            case 99:
+                codeSet = 'C';
+                break;
+            case 100:
+            case 101:
+                if ((code === 100) === (set === 'A')) {
+                    codeSet = code === 100 ? 'B' : 'A';
+                } else if (extendedOnce) {
+                    // FNC4 twice latches extended ASCII
+                    extendedOnce = false;
+                    extendedLatched = !extendedLatched;
+                } else {
+                    extendedOnce = true;
+                }
+                break;
+            default:
+                return null;
+        }
+    }
+
+    return text;
+}
+
+// Reed-Solomon error correction
+
+const GF256 = createBinaryField(0x11D);
+const GF929 = createPrimeField(929, 3);
+
+function createBinaryField(primitive) {
+    const exp = new Uint8Array(510);
+    const log = new Uint8Array(256);
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        exp[i] = exp[i + 255] = value;
+        log[value] = i;
+        value <<= 1;
+        if (value & 0x100) {
+            value ^= primitive;
+        }
+    }
+
+    return {
+        add: (a, b) => a ^ b,
+        sub: (a, b) => a ^ b,
+        mul: (a, b) => (a === 0 || b === 0) ? 0 : exp[log[a] + log[b]],
+        inv: a => exp[255 - log[a]],
+        exp: power => exp[((power % 255) + 255) % 255],
+        // a added to itself n times
+        times: (n, a) => (n & 1) ? a : 0
+    };
+}
+
+function createPrimeField(modulus, generator) {
+    const order = modulus - 1;
+    const exp = new Uint16Array(order);
+    const log = new Uint16Array(modulus);
+    let value = 1;
+    for (let i = 0; i < order; i++) {
+        exp[i] = value;
+        log[value] = i;
+        value = (value * generator) % modulus;
+    }
+
+    return {
+        add: (a, b) => (a + b) % modulus,
+        sub: (a, b) => (a - b + modulus) % modulus,
+        mul: (a, b) => (a * b) % modulus,
+        inv: a => exp[(order - log[a]) % order],
+        exp: power => exp[((power % order) + order) % order],
+        times: (n, a) => (n * a) % modulus
+    };
+}
+
+function evaluatePolynomial(field, coefficients, x) {
+    // coefficients[i] multiplies x^i
+    let result = 0;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+        result = field.add(field.mul(result, x), coefficients[i]);
+    }
+    return result;
+}
+
+/**
+ * Correct a Reed-Solomon block in place (Berlekamp-Massey, Chien search, Forney)
+ * @param {object} field - GF256 or GF929
+ * @param {number[]} codewords - Data followed by EC codewords, highest-degree coefficient first
+ * @param {number} ecCount - Number of EC codewords
+ * @param {number} firstRoot - Power of the generator for the first root of the code's generator polynomial
+ * @returns {boolean} False when the block has more errors than the EC codewords can correct
+ */
+function correctErrors(field, codewords, ecCount, firstRoot) {
+    const n = codewords.length;
+    const syndromes = new Array(ecCount);
+    let clean = true;
+    for (let i = 0; i < ecCount; i++) {
+        const root = field.exp(firstRoot + i);
+        let value = 0;
+        for (let k = 0; k < n; k++) {
+            value = field.add(field.mul(value, root), codewords[k]);
+        }
+        syndromes[i] = value;
+        clean = clean && value === 0;
+    }
+    if (clean) {
+        return true;
+    }
+
+    // Error locator Lambda(x) = prod(1 - X_j x)
+    let locator = [1];
+    let previous = [1];
+    let errorCount = 0;
+    let shift = 1;
+    let previousDiscrepancy = 1;
+    for (let r = 0; r < ecCount; r++) {
+        let discrepancy = syndromes[r];
+        for (let i = 1; i <= errorCount; i++) {
+            discrepancy = field.add(discrepancy, field.mul(locator[i] || 0, syndromes[r - i]));
+        }
+        if (discrepancy === 0) {
+            shift++;
+            continue;
+        }
+
+        const scale = field.mul(discrepancy, field.inv(previousDiscrepancy));
+        const next = locator.slice();
+        for (let i = 0; i < previous.length; i++) {
+            next[i + shift] = field.sub(next[i + shift] || 0, field.mul(scale, previous[i]));
+        }
+
+        if (2 * errorCount <= r) {
+            previous = locator;
+            errorCount = r + 1 - errorCount;
+            previousDiscrepancy = discrepancy;
+            shift = 1;
+        } else {
+            shift++;
+        }
+        locator = next;
+    }
+
+    if (2 * errorCount > ecCount) {
+        return false;
+    }
+
+    // Chien search: X_j = a^p marks an error p positions from the end
+    const positions = [];
+    for (let p = 0; p < n; p++) {
+        if (evaluatePolynomial(field, locator, field.exp(-p)) === 0) {
+            positions.push(p);
+        }
+    }
+    if (positions.length !== errorCount) {
+        return false;
+    }
+
+    // Forney: e_j = -X_j^(1 - firstRoot) * Omega(X_j^-1) / Lambda'(X_j^-1), Omega = S(x) Lambda(x) mod x^ecCount
+    const evaluator = new Array(ecCount).fill(0);
+    for (let i = 0; i < ecCount; i++) {
+        for (let k = 0; k <= i && k < locator.length; k++) {
+            evaluator[i] = field.add(evaluator[i], field.mul(locator[k] || 0, syndromes[i - k]));
+        }
+    }
+    const derivative = locator.slice(1).map((coefficient, i) => field.times(i + 1, coefficient || 0));
+
+    for (const p of positions) {
+        const inverse = field.exp(-p);
+        const denominator = evaluatePolynomial(field, derivative, inverse);
+        if (denominator === 0) {
+            return false;
+        }
+        const magnitude = field.mul(
+            field.exp(p * (1 - firstRoot)),
+            field.mul(evaluatePolynomial(field, evaluator, inverse), field.inv(denominator)));
+        const index = n - 1 - p;
+        codewords[index] = field.add(codewords[index], magnitude);
+    }
+
+    return true;
+}
+
+// QR Code
+
+const QR_MAX_CANDIDATES = 12;
+const QR_MAX_SYMBOLS = 4;
+const QR_MAX_ATTEMPTS = 10;         // Finder triples tried per frame
+const QR_ALPHANUMERIC = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+// Error correction level per 2-bit format value: 0 = M, 1 = L, 2 = H, 3 = Q; rows below are L, M, Q, H
+const QR_LEVEL_ROWS = [1, 0, 3, 2];
+// Indexed by [level row][version]
+const QR_EC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const QR_EC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+const QR_FORMAT_CODES = Array.from({ length: 32 }, (_, data) => (data << 10 | bchRemainder(data, 0x537, 10)) ^ 0x5412);
+const QR_VERSION_CODES = Array.from({ length: 41 }, (_, version) => version < 7 ? -1 : version << 12 | bchRemainder(version, 0x1F25, 12));
+
+function bchRemainder(value, generator, degree) {
+    let remainder = value;
+    for (let i = 0; i < degree; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> (degree - 1)) * generator);
+    }
+    return remainder & ((1 << degree) - 1);
+}
+
+function decodeQrCodes(image) {
+    const candidates = findFinderPatterns(image);
+    const results = [];
+    const used = new Set();
+
+    for (const triple of rankFinderTriples(candidates).slice(0, QR_MAX_ATTEMPTS)) {
+        if (results.length >= QR_MAX_SYMBOLS) {
+            break;
+        }
+        if (triple.some(pattern => used.has(pattern))) {
+            continue;
+        }
+
+        const result = decodeQrSymbol(image, orderFinderPatterns(triple));
+        if (result) {
+            results.push(result);
+            triple.forEach(pattern => used.add(pattern));
+        }
+    }
+
+    return results;
+}
+
+// Finder pattern location
+
+// Dark-light-dark-light-dark runs in 1:1:3:1:1 proportion
+function isFinderRatio(counts) {
+    const total = counts[0] + counts[1] + counts[2] + counts[3] + counts[4];
+    if (total < 7 || counts.some(count => count === 0)) {
+        return false;
+    }
+    const unit = total / 7;
+    const tolerance = unit / 1.5;
+    return Math.abs(unit - counts[0]) < tolerance &&
+        Math.abs(unit - counts[1]) < tolerance &&
+        Math.abs(3 * unit - counts[2]) < 3 * tolerance &&
+        Math.abs(unit - counts[3]) < tolerance &&
+        Math.abs(unit - counts[4]) < tolerance;
+}
+
+function findFinderPatterns(image) {
+    const view = createView(image, 0);
+    const step = image.height > 480 ? 2 : 1;
+    const candidates = [];
+
+    for (let y = 0; y < image.height; y += step) {
+        const { widths, starts } = readRuns(image, view, y);
+        for (let i = 1; i + 4 < widths.length; i += 2) {
+            if (!isFinderRatio(widths.slice(i, i + 5))) {
+                continue;
+            }
+
+            const total = sumRuns(widths, i, 5);
+            const centerX = starts[i + 2] + widths[i + 2] / 2;
+            const found = confirmFinderPattern(image, centerX, y + 0.5, total);
+            if (found) {
+                mergeFinderCandidate(candidates, found);
+            }
+        }
+    }
+
+    return candidates;
+}
+
+// Cross-check vertically, then horizontally and diagonally, refining the center on each pass
+function confirmFinderPattern(image, x, y, horizontalTotal) {
+    const vertical = crossCheck(image, x, y, 0, 1, horizontalTotal);
+    if (!vertical || 5 * Math.abs(vertical.total - horizontalTotal) >= 2 * horizontalTotal) {
+        return null;
+    }
+
+    const horizontal = crossCheck(image, x, vertical.center, 1, 0, horizontalTotal);
+    if (!horizontal || 5 * Math.abs(horizontal.total - horizontalTotal) >= 2 * horizontalTotal) {
+        return null;
+    }
+
+    const centerX = horizontal.center;
+    const centerY = vertical.center;
+    if (!crossCheck(image, centerX, centerY, 1, 1, horizontalTotal * 2)) {
+        return null;
+    }
+
+    return { x: centerX, y: centerY, moduleSize: (horizontal.total + vertical.total) / 14, count: 1 };
+}
+
+// Runs through (x, y) along (dx, dy); returns the center of the middle run along that axis and the total length
+function crossCheck(image, x, y, dx, dy, maxTotal) {
+    if (!isDark(image, x, y)) {
+        return null;
+    }
+
+    const counts = [0, 0, 0, 0, 0];
+    const limit = maxTotal;
+
+    let step = 0;
+    while (isDark(image, x - step * dx, y - step * dy)) {
+        counts[2]++;
+        step++;
+    }
+    const backward = step;
+    while (step <= limit && !isDark(image, x - step * dx, y - step * dy) && inside(image, x - step * dx, y - step * dy)) {
+        counts[1]++;
+        step++;
+    }
+    while (step <= limit && isDark(image, x - step * dx, y - step * dy)) {
+        counts[0]++;
+        step++;
+    }
+
+    step = 1;
+    while (isDark(image, x + step * dx, y + step * dy)) {
+        counts[2]++;
+        step++;
+    }
+    const forward = step - 1;
+    while (step <= limit && !isDark(image, x + step * dx, y + step * dy) && inside(image, x + step * dx, y + step * dy)) {
+        counts[3]++;
+        step++;
+    }
+    while (step <= limit && isDark(image, x + step * dx, y + step * dy)) {
+        counts[4]++;
+        step++;
+    }
+
+    if (!isFinderRatio(counts)) {
+        return null;
+    }
+
+    // Middle run covers [-(backward - 1), forward] steps from the start pixel
+    const offset = (forward - backward + 1) / 2;
+    const axisStart = dx !== 0 ? x : y;
+    const center = Math.floor(axisStart) + 0.5 + offset;
+    return { center: center, total: counts.reduce((sum, count) => sum + count, 0) };
+}
+
+function inside(image, x, y) {
+    return x >= 0 && y >= 0 && x < image.width && y < image.height;
+}
+
+function mergeFinderCandidate(candidates, found) {
+    for (const candidate of candidates) {
+        if (Math.abs(candidate.x - found.x) <= candidate.moduleSize &&
+            Math.abs(candidate.y - found.y) <= candidate.moduleSize &&
+            Math.abs(candidate.moduleSize - found.moduleSize) <= Math.max(1, candidate.moduleSize * 0.5)) {
+            const count = candidate.count + 1;
+            candidate.x = (candidate.x * candidate.count + found.x) / count;
+            candidate.y = (candidate.y * candidate.count + found.y) / count;
+            candidate.moduleSize = (candidate.moduleSize * candidate.count + found.moduleSize) / count;
+            candidate.count = count;
+            return;
+        }
+    }
+    candidates.push(found);
+}
+
+// Triples of finder patterns that could be one symbol, most plausible first:
+// similar module sizes and a roughly right-angled, isosceles triangle
+function rankFinderTriples(candidates) {
+    const confirmed = candidates.filter(candidate => candidate.count >= 2);
+    const pool = (confirmed.length >= 3 ? confirmed : candidates)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, QR_MAX_CANDIDATES);
+
+    const triples = [];
+    for (let i = 0; i < pool.length; i++) {
+        for (let j = i + 1; j < pool.length; j++) {
+            for (let k = j + 1; k < pool.length; k++) {
+                const triple = [pool[i], pool[j], pool[k]];
+                const sizes = triple.map(pattern => pattern.moduleSize);
+                const sizeRatio = Math.max(...sizes) / Math.min(...sizes);
+                if (sizeRatio > 1.6) {
+                    continue;
+                }
+
+                const sides = [distance(pool[i], pool[j]), distance(pool[j], pool[k]), distance(pool[i], pool[k])]
+                    .sort((a, b) => a - b);
+                const moduleSize = sizes.reduce((sum, size) => sum + size, 0) / 3;
+                if (sides[0] < 10 * moduleSize) {
+                    continue; // Finder centers are at least 14 modules apart
+                }
+
+                const rightAngle = Math.abs(sides[0] * sides[0] + sides[1] * sides[1] - sides[2] * sides[2]) / (sides[2] * sides[2]);
+                const legRatio = sides[1] / sides[0];
+                if (rightAngle > 0.3 || legRatio > 1.8) {
+                    continue;
+                }
+
+                triples.push({ triple: triple, score: rightAngle + (legRatio - 1) + (sizeRatio - 1) });
+            }
+        }
+    }
+
+    return triples.sort((a, b) => a.score - b.score).map(entry => entry.triple);
+}
+
+// Top-left is opposite the longest side; top-right and bottom-left follow the symbol's clockwise orientation
+function orderFinderPatterns(triple) {
+    const [a, b, c] = triple;
+    const ab = distance(a, b);
+    const bc = distance(b, c);
+    const ac = distance(a, c);
+
+    let topLeft;
+    let first;
+    let second;
+    if (bc >= ab && bc >= ac) {
+        [topLeft, first, second] = [a, b, c];
+    } else if (ac >= ab && ac >= bc) {
+        [topLeft, first, second] = [b, a, c];
+    } else {
+        [topLeft, first, second] = [c, a, b];
+    }
+
+    const cross = (first.x - topLeft.x) * (second.y - topLeft.y) - (first.y - topLeft.y) * (second.x - topLeft.x);
+    return cross > 0 ?
+        { topLeft: topLeft, topRight: first, bottomLeft: second } :
+        { topLeft: topLeft, topRight: second, bottomLeft: first };
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Symbol sampling
+
+function decodeQrSymbol(image, finders) {
+    const { topLeft, topRight, bottomLeft } = finders;
+    const moduleSize = measureModuleSize(image, finders);
+    const estimate = (distance(topLeft, topRight) + distance(topLeft, bottomLeft)) / (2 * moduleSize) + 7;
+
+    // Valid sizes are 4v + 17; try the nearest few, nearest first
+    const dimensions = [];
+    for (let version = 1; version <= 40; version++) {
+        dimensions.push(version * 4 + 17);
+    }
+    dimensions.sort((a, b) => Math.abs(a - estimate) - Math.abs(b - estimate));
+
+    // Version 7 and up state their size beside the top-right and bottom-left finders, which beats the estimate
+    const tried = new Set();
+    const queue = dimensions.slice(0, 3);
+    const version = dimensions[0] >= 45 ? readVersionInformation(finderGrid(image, finders, dimensions[0]), dimensions[0]) : -1;
+    if (version > 0) {
+        queue.unshift(version * 4 + 17);
+    }
+    while (queue.length > 0) {
+        const dimension = queue.shift();
+        if (tried.has(dimension)) {
+            continue;
+        }
+        tried.add(dimension);
+
+        // Without timing lines and format information this is not a symbol of this size; skip the alignment search
+        const nearFinders = finderGrid(image, finders, dimension);
+        if (!hasTimingPattern(nearFinders, dimension) || readFormatInformation(nearFinders, dimension) < 0) {
+            continue;
+        }
+
+        const transform = locateQrGrid(image, finders, dimension, moduleSize);
+        const matrix = transform ? sampleGrid(image, transform, dimension) : null;
+        if (!matrix) {
+            continue;
+        }
+
+        const decoded = readQrMatrix(matrix, dimension);
+        if (decoded && decoded.version) {
+            // The version information block names a different size; sample again at that size
+            queue.unshift(decoded.version * 4 + 17);
+            continue;
+        }
+        if (decoded) {
+            return {
+                format: 'qr_code',
+                rawValue: decoded.text,
+                cornerPoints: [[0, 0], [dimension, 0], [dimension, dimension], [0, dimension]]
+                    .map(([u, v]) => roundPoint(transform(u, v)))
+            };
+        }
+    }
+
+    return null;
+}
+
+// Module reader for the areas around the finders, assuming a symbol of the given size: each module is
+// located from the nearest finder center, so perspective across the symbol does not accumulate
+function finderGrid(image, finders, dimension) {
+    const { topLeft, topRight, bottomLeft } = finders;
+    const across = distance(topLeft, topRight);
+    const down = distance(topLeft, bottomLeft);
+    const pitch = (across + down) / (2 * (dimension - 7));
+    const u = { x: (topRight.x - topLeft.x) / across * pitch, y: (topRight.y - topLeft.y) / across * pitch };
+    const v = { x: (bottomLeft.x - topLeft.x) / down * pitch, y: (bottomLeft.y - topLeft.y) / down * pitch };
+    const half = dimension / 2;
+
+    return (x, y) => {
+        const [origin, cx, cy] = x >= half ? [topRight, dimension - 3.5, 3.5] :
+            y >= half ? [bottomLeft, 3.5, dimension - 3.5] : [topLeft, 3.5, 3.5];
+        const du = x + 0.5 - cx;
+        const dv = y + 0.5 - cy;
+        return isDark(image, origin.x + du * u.x + dv * v.x, origin.y + du * u.y + dv * v.y) ? 1 : 0;
+    };
+}
+
+// Finder widths measured toward the neighbouring finders, i.e. along the module grid;
+// the row and column cross-checks overstate the module size of a rotated symbol
+function measureModuleSize(image, finders) {
+    const { topLeft, topRight, bottomLeft } = finders;
+    const sizes = [];
+    for (const [from, to] of [[topLeft, topRight], [topRight, topLeft], [topLeft, bottomLeft], [bottomLeft, topLeft]]) {
+        const length = distance(from, to);
+        const check = crossCheck(image, from.x, from.y, (to.x - from.x) / length, (to.y - from.y) / length, from.moduleSize * 14);
+        if (check) {
+            sizes.push(check.total / 7);
+        }
+    }
+
+    return sizes.length > 0 ?
+        sizes.reduce((sum, size) => sum + size, 0) / sizes.length :
+        (topLeft.moduleSize + topRight.moduleSize + bottomLeft.moduleSize) / 3;
+}
+
+// Perspective transform from module coordinates to image pixels, anchored on the finder
+// centers and the bottom-right alignment pattern when the version has one
+function locateQrGrid(image, finders, dimension, moduleSize) {
+    const { topLeft, topRight, bottomLeft } = finders;
+    const alignment = dimension > 21 ? findAlignmentPattern(image, finders, dimension, moduleSize) : null;
+    if (!alignment) {
+        return parallelogramGrid(finders, dimension);
+    }
+
+    const far = dimension - 3.5;
+    return perspectiveTransform(
+        [[3.5, 3.5], [far, 3.5], [3.5, far], [dimension - 6.5, dimension - 6.5]],
+        [topLeft, topRight, bottomLeft, alignment]);
+}
+
+// Grid assuming no perspective: the fourth corner completes the parallelogram of the finders
+function parallelogramGrid(finders, dimension) {
+    const { topLeft, topRight, bottomLeft } = finders;
+    const far = dimension - 3.5;
+    const bottomRight = { x: topRight.x - topLeft.x + bottomLeft.x, y: topRight.y - topLeft.y + bottomLeft.y };
+    return perspectiveTransform(
+        [[3.5, 3.5], [far, 3.5], [3.5, far], [far, far]],
+        [topLeft, topRight, bottomLeft, bottomRight]);
+}
+
+// Search around the affine estimate for the 5x5 dark-light-dark ring, sampling with the grid's module vectors
+function findAlignmentPattern(image, finders, dimension, moduleSize) {
+    const { topLeft, topRight, bottomLeft } = finders;
+    const span = dimension - 7;
+    const u = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+    const v = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+    const offset = dimension - 10; // Modules from the top-left finder center to the alignment center
+    const expected = {
+        x: topLeft.x + (u.x + v.x) * offset,
+        y: topLeft.y + (u.y + v.y) * offset
+    };
+
+    const step = Math.max(0.5, moduleSize / 4);
+    for (const radius of [4, 8]) {
+        const reach = radius * moduleSize;
+        let bestScore = 22; // Of 25 modules
+        let matches = [];
+
+        for (let dy = -reach; dy <= reach; dy += step) {
+            for (let dx = -reach; dx <= reach; dx += step) {
+                const cx = expected.x + dx;
+                const cy = expected.y + dy;
+                let score = 0;
+                for (let j = -2; j <= 2; j++) {
+                    for (let i = -2; i <= 2; i++) {
+                        const ring = Math.max(Math.abs(i), Math.abs(j));
+                        const dark = isDark(image, cx + i * u.x + j * v.x, cy + i * u.y + j * v.y);
+                        if (dark === (ring !== 1)) {
+                            score++;
+                        }
+                    }
+                }
+
+                if (score > bestScore) {
+                    bestScore = score;
+                    matches = [{ x: cx, y: cy }];
+                } else if (score === bestScore) {
+                    matches.push({ x: cx, y: cy });
+                }
+            }
+        }
+
+        if (matches.length > 0) {
+            // Positions that match equally well span the center module; take their centroid
+            return {
+                x: matches.reduce((sum, point) => sum + point.x, 0) / matches.length,
+                y: matches.reduce((sum, point) => sum + point.y, 0) / matches.length
+            };
+        }
+    }
+
+    return null;
+}
+
+// Maps four source points onto four target points; returns (u, v) => { x, y }
+function perspectiveTransform(source, target) {
+    const rows = [];
+    const values = [];
+    for (let i = 0; i < 4; i++) {
+        const [u, v] = source[i];
+        const { x, y } = target[i];
+        rows.push([u, v, 1, 0, 0, 0, -u * x, -v * x]);
+        values.push(x);
+        rows.push([0, 0, 0, u, v, 1, -u * y, -v * y]);
+        values.push(y);
+    }
+
+    const h = solveLinearSystem(rows, values);
+    if (!h) {
+        return null;
+    }
+
+    return (u, v) => {
+        const w = h[6] * u + h[7] * v + 1;
+        return { x: (h[0] * u + h[1] * v + h[2]) / w, y: (h[3] * u + h[4] * v + h[5]) / w };
+    };
+}
+
+// Gaussian elimination with partial pivoting; null when singular
+function solveLinearSystem(rows, values) {
+    const n = values.length;
+    const a = rows.map((row, i) => [...row, values[i]]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(a[pivot][col]) < 1e-10) {
+            return null;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) {
+                a[row][k] -= factor * a[col][k];
+            }
+        }
+    }
+
+    const solution = new Array(n);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) {
+            sum -= a[row][k] * solution[k];
+        }
+        solution[row] = sum / a[row][row];
+    }
+    return solution;
+}
+
+// Module centers read through the transform; null when the grid runs off the image
+function sampleGrid(image, transform, dimension) {
+    const matrix = new Uint8Array(dimension * dimension);
+    for (let row = 0; row < dimension; row++) {
+        for (let col = 0; col < dimension; col++) {
+            const point = transform(col + 0.5, row + 0.5);
+            if (point.x < -1 || point.y < -1 || point.x > image.width + 1 || point.y > image.height + 1) {
+                return null;
+            }
+            matrix[row * dimension + col] = isDark(image,
+                Math.min(Math.max(point.x, 0), image.width - 1),
+                Math.min(Math.max(point.y, 0), image.height - 1)) ? 1 : 0;
+        }
+    }
+    return matrix;
+}
+
+function roundPoint(point) {
+    return { x: Math.round(point.x), y: Math.round(point.y) };
+}
+
+// Symbol decoding
+
+/**
+ * Decode a sampled QR matrix
+ * @returns {{text: string}|{version: number}|null} Text, the version to resample at, or null
+ */
+function readQrMatrix(matrix, dimension) {
+    const get = (x, y) => matrix[y * dimension + x];
+
+    const format = readFormatInformation(get, dimension);
+    if (format < 0) {
+        return null;
+    }
+    const levelRow = QR_LEVEL_ROWS[format >> 3];
+    const mask = format & 7;
+
+    const version = (dimension - 17) / 4;
+    if (version >= 7) {
+        const decodedVersion = readVersionInformation(get, dimension);
+        if (decodedVersion > 0 && decodedVersion !== version) {
+            return { version: decodedVersion };
+        }
+    }
+
+    const functionModules = buildFunctionMask(version, dimension);
+    const codewords = [];
+    let current = 0;
+    let bitCount = 0;
+
+    // Two-module columns, right to left, alternating upward and downward, skipping the vertical timing column
+    for (let right = dimension - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        const upward = ((right + 1) & 2) === 0;
+        for (let vert = 0; vert < dimension; vert++) {
+            const y = upward ? dimension - 1 - vert : vert;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (functionModules[y * dimension + x]) {
+                    continue;
+                }
+                current = (current << 1) | (get(x, y) ^ (maskBit(mask, x, y) ? 1 : 0));
+                if (++bitCount === 8) {
+                    codewords.push(current);
+                    current = 0;
+                    bitCount = 0;
+                }
+            }
+        }
+    }
+
+    const data = correctQrBlocks(codewords, version, levelRow);
+    if (!data) {
+        return null;
+    }
+
+    const text = decodeQrSegments(data, version);
+    return text === null ? null : { text: text };
+}
+
+// Alternating modules on row and column 6 next to the top-left finder, allowing a few misreads
+function hasTimingPattern(get, dimension) {
+    const end = Math.min(dimension - 8, 16);
+    let matches = 0;
+    for (let i = 8; i < end; i++) {
+        const expected = i % 2 === 0 ? 1 : 0;
+        matches += (get(i, 6) === expected ? 1 : 0) + (get(6, i) === expected ? 1 : 0);
+    }
+    return matches >= 0.8 * 2 * (end - 8);
+}
+
+// Version from the nearer of the two 18-bit version blocks, or -1
+function readVersionInformation(get, dimension) {
+    let first = 0;
+    let second = 0;
+    for (let i = 0; i < 18; i++) {
+        const a = dimension - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        first |= get(a, b) << i;
+        second |= get(b, a) << i;
+    }
+    return closestCode(QR_VERSION_CODES, [first, second]);
+}
+
+// Error correction level and mask (5 bits) from the nearer of the two format information copies, or -1
+function readFormatInformation(get, dimension) {
+    let primary = 0;
+    let secondary = 0;
+    for (let i = 0; i < 15; i++) {
+        const [x1, y1] = i < 6 ? [8, i] : i < 8 ? [8, i + 1] : i === 8 ? [7, 8] : [14 - i, 8];
+        const [x2, y2] = i < 8 ? [dimension - 1 - i, 8] : [8, dimension - 15 + i];
+        primary |= get(x1, y1) << i;
+        secondary |= get(x2, y2) << i;
+    }
+    return closestCode(QR_FORMAT_CODES, [primary, secondary]);
+}
+
+// Index of the valid code nearest to any reading, or -1 when every reading is more than 3 bits off
+function closestCode(codes, readings) {
+    let best = -1;
+    let bestDistance = 4;
+    codes.forEach((code, index) => {
+        if (code < 0) {
+            return;
+        }
+        for (const reading of readings) {
+            const bits = popCount(code ^ reading);
+            if (bits < bestDistance) {
+                bestDistance = bits;
+                best = index;
+            }
+        }
+    });
+    return best;
+}
+
+function popCount(value) {
+    let count = 0;
+    while (value) {
+        count += value & 1;
+        value >>>= 1;
+    }
+    return count;
+}
+
+function maskBit(mask, x, y) {
+    switch (mask) {
+        case 0: return (x + y) % 2 === 0;
+        case 1: return y % 2 === 0;
+        case 2: return x % 3 === 0;
+        case 3: return (x + y) % 3 === 0;
+        case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+        case 5: return x * y % 2 + x * y % 3 === 0;
+        case 6: return (x * y % 2 + x * y % 3) % 2 === 0;
+        default: return ((x + y) % 2 + x * y % 3) % 2 === 0;
+    }
+}
+
+function alignmentPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Finders with separators and format areas, timing lines, alignment patterns and version blocks
+function buildFunctionMask(version, dimension) {
+    const mask = new Uint8Array(dimension * dimension);
+    const fill = (left, top, width, height) => {
+        for (let y = top; y < top + height; y++) {
+            for (let x = left; x < left + width; x++) {
+                mask[y * dimension + x] = 1;
+            }
+        }
+    };
+
+    fill(0, 0, 9, 9);
+    fill(dimension - 8, 0, 8, 9);
+    fill(0, dimension - 8, 9, 8);
+    fill(6, 0, 1, dimension);
+    fill(0, 6, dimension, 1);
+
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((row, i) => {
+        positions.forEach((col, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                return;
+            }
+            fill(col - 2, row - 2, 5, 5);
+        });
+    });
+
+    if (version >= 7) {
+        fill(dimension - 11, 0, 3, 6);
+        fill(0, dimension - 11, 6, 3);
+    }
+
+    return mask;
+}
+
+// De-interleave blocks, correct each and concatenate their data codewords
+function correctQrBlocks(codewords, version, levelRow) {
+    const ecPerBlock = QR_EC_CODEWORDS_PER_BLOCK[levelRow][version];
+    const blockCount = QR_EC_BLOCKS[levelRow][version];
+    const total = codewords.length;
+    const shortBlocks = blockCount - total % blockCount;
+    const shortLength = Math.floor(total / blockCount);
+    const shortData = shortLength - ecPerBlock;
+
+    const blocks = Array.from({ length: blockCount }, (_, i) => new Array(shortLength + (i < shortBlocks ? 0 : 1)));
+    let index = 0;
+    for (let i = 0; i <= shortData; i++) {
+        for (let b = 0; b < blockCount; b++) {
+            if (i < shortData || b >= shortBlocks) {
+                blocks[b][i] = codewords[index++];
+            }
+        }
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        for (let b = 0; b < blockCount; b++) {
+            blocks[b][blocks[b].length - ecPerBlock + i] = codewords[index++];
+        }
+    }
+
+    const data = [];
+    for (const block of blocks) {
+        if (!correctErrors(GF256, block, ecPerBlock, 0)) {
+            return null;
+        }
+        data.push(...block.slice(0, block.length - ecPerBlock));
+    }
+    return data;
+}
+
+function createBitReader(bytes) {
+    let position = 0;
+    return {
+        available: () => bytes.length * 8 - position,
+        read(count) {
+            let value = 0;
+            for (let i = 0; i < count; i++, position++) {
+                value = (value << 1) | ((bytes[position >> 3] >> (7 - (position & 7))) & 1);
+            }
+            return value;
+        }
+    };
+}
+
+function decodeQrSegments(data, version) {
+    const reader = createBitReader(data);
+    const sizeClass = version < 10 ? 0 : version < 27 ? 1 : 2;
+    const output = createTextOutput(null);
+
+    while (reader.available() >= 4) {
+        const mode = reader.read(4);
+        if (mode === 0) {
+            break; // Terminator
+        }
+
+        switch (mode) {
+            case 1: { // Numeric
+                let count = reader.read([10, 12, 14][sizeClass]);
+                let digits = '';
+                while (count >= 3) {
+                    digits += String(reader.read(10)).padStart(3, '0');
+                    count -= 3;
+                }
+                if (count === 2) {
+                    digits += String(reader.read(7)).padStart(2, '0');
+                } else if (count === 1) {
+                    digits += String(reader.read(4));
+                }
+                output.appendText(digits);
+                break;
+            }
+            case 2: { // Alphanumeric
+                let count = reader.read([9, 11, 13][sizeClass]);
+                let text = '';
+                while (count >= 2) {
+                    const pair = reader.read(11);
+                    text += QR_ALPHANUMERIC[Math.floor(pair / 45)] + QR_ALPHANUMERIC[pair % 45];
+                    count -= 2;
+                }
+                if (count === 1) {
+                    text += QR_ALPHANUMERIC[reader.read(6)];
+                }
+                output.appendText(text);
+                break;
+            }
+            case 4: { // Byte
+                const count = reader.read([8, 16, 16][sizeClass]);
+                if (reader.available() < count * 8) {
+                    return null;
+                }
+                for (let i = 0; i < count; i++) {
+                    output.appendByte(reader.read(8));
+                }
+                break;
+            }
+            case 8: { // Kanji, 13 bits per Shift JIS character
+                const count = reader.read([8, 10, 12][sizeClass]);
+                const bytes = [];
+                for (let i = 0; i < count; i++) {
+                    const value = reader.read(13);
+                    let code = (Math.floor(value / 0xC0) << 8) | (value % 0xC0);
+                    code += code < 0x1F00 ? 0x8140 : 0xC140;
+                    bytes.push(code >> 8, code & 0xFF);
+                }
+                output.appendText(decodeBytes(bytes, 'shift_jis'));
+                break;
+            }
+            case 7: { // ECI designator: 1, 2 or 3 bytes
+                let designator = reader.read(8);
+                if ((designator & 0xC0) === 0x80) {
+                    designator = ((designator & 0x3F) << 8) | reader.read(8);
+                } else if ((designator & 0xE0) === 0xC0) {
+                    designator = ((designator & 0x1F) << 16) | reader.read(16);
+                }
+                output.setCharset(eciCharset(designator));
+                break;
+            }
+            case 3: // Structured append: symbol sequence and parity
+                reader.read(16);
+                break;
+            case 5: // FNC1 in first position
+                break;
+            case 9: // FNC1 in second position: application indicator
+                reader.read(8);
+                break;
+            default:
+                return null;
+        }
+    }
+
+    return output.finish();
+}
+
+// Text assembled from text runs and byte runs; bytes are decoded with the charset in force
+// (an ECI charset, otherwise UTF-8 falling back to ISO-8859-1)
+function createTextOutput(charset) {
+    let text = '';
+    let bytes = [];
+    let currentCharset = charset;
+
+    const flush = () => {
+        if (bytes.length > 0) {
+            text += decodeBytes(bytes, currentCharset);
+            bytes = [];
+        }
+    };
+
+    return {
+        appendText(value) {
+            flush();
+            text += value;
+        },
+        appendByte(value) {
+            bytes.push(value);
+        },
+        setCharset(value) {
+            flush();
+            currentCharset = value;
+        },
+        finish() {
+            flush();
+            return text;
+        }
+    };
+}
+
+function decodeBytes(bytes, charset) {
+    const array = Uint8Array.from(bytes);
+    if (charset) {
+        try {
+            return new TextDecoder(charset).decode(array);
+        } catch (error) {
+            // Unknown label; fall through to the defaults
+        }
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(array);
+    } catch (error) {
+        return String.fromCharCode(...array);
+    }
+}
+
+// TextDecoder label for an ECI assignment number, or null to use the defaults
+function eciCharset(designator) {
+    if (designator <= 3) {
+        return 'iso-8859-1';
+    }
+    if (designator <= 18 && designator !== 14) {
+        return `iso-8859-${designator - 2}`;
+    }
+    const labels = {
+        20: 'shift_jis',
+        21: 'windows-1250',
+        22: 'windows-1251',
+        23: 'windows-1252',
+        24: 'windows-1256',
+        25: 'utf-16be',
+        26: 'utf-8',
+        28: 'big5',
+        29: 'gb18030',
+        30: 'euc-kr'
+    };
+    return labels[designator] || null;
+}
+
+// PDF417
+
+const PDF417_START = [8, 1, 1, 1, 1, 1, 1, 3];
+const PDF417_STOP = [7, 1, 1, 3, 1, 1, 1, 2, 1];
+const PDF417_MAX_AVG_VARIANCE = 0.42;
+const PDF417_MAX_INDIVIDUAL_VARIANCE = 0.8;
+const PDF417_COARSE_STEP = 4;       // Lines skipped while looking for start and stop patterns
+
+const TEXT_COMPACTION = 900;
+const BYTE_COMPACTION = 901;
+const NUMERIC_COMPACTION = 902;
+const BYTE_SHIFT = 913;
+const MACRO_TERMINATOR = 922;
+const MACRO_OPTIONAL_FIELD = 923;
+const BYTE_COMPACTION_6 = 924;
+const ECI_USER_DEFINED = 925;
+const ECI_GENERAL_PURPOSE = 926;
+const ECI_CHARSET = 927;
+const MACRO_CONTROL_BLOCK = 928;
+
+const TEXT_MIXED = '0123456789&\r\t,:#-.$/+%*=^';
+const TEXT_PUNCTUATION = ';<>@[\\]_`~!\r\t,:\n-.$/"|*()?{}\'';
+
+// 17-module bar/space pattern -> { cluster (0-2), codeword }, built on first use from PDF417_CLUSTERS
+let pdf417Patterns = null;
+
+function decodePdf417(image) {
+    for (const rotation of ROTATIONS) {
+        const view = createView(image, rotation);
+        const result = decodePdf417View(image, view);
+        if (result) {
+            return [result];
+        }
+    }
+    return [];
+}
+
+function decodePdf417View(image, view) {
+    if (!pdf417Patterns) {
+        pdf417Patterns = buildPdf417Patterns();
+    }
+
+    // A coarse pass finds whether the view has a symbol at all, and its skew from the left edge of the start patterns
+    const edge = [];
+    for (let line = 0; line < view.lines; line += PDF417_COARSE_STEP) {
+        const start = findGuard(readRuns(image, view, line), PDF417_START);
+        if (start) {
+            edge.push({ line: line, along: start.begin });
+        }
+    }
+    if (edge.length === 0) {
+        return null;
+    }
+
+    // Rows run perpendicular to that edge; scanning along them keeps each line inside one row
+    const slope = -fitSlope(edge);
+    const overhang = Math.ceil(Math.abs(slope) * view.length);
+    const firstLine = slope > 0 ? -overhang : 0;
+    const lastLine = slope < 0 ? view.lines + overhang : view.lines;
+
+    // Every line with a start or stop pattern, its row indicators and the row they place it in
+    const lines = [];
+    const metadata = { columns: new Map(), rowGroups: new Map(), rowRemainder: new Map(), ecLevel: new Map() };
+    for (let line = firstLine; line < lastLine; line++) {
+        const runs = readRuns(image, view, line, slope);
+        const start = findGuard(runs, PDF417_START);
+        const stop = findGuard(runs, PDF417_STOP, start ? start.end : 0);
+        if (!start && !stop) {
+            continue;
+        }
+
+        const entry = { line: line, runs: runs, start: start, stop: stop, row: -1, cluster: -1 };
+        const left = start ? readCodeword(runs, start.end, start.moduleWidth) : null;
+        const right = stop ? readCodewordBefore(runs, stop.begin, stop.moduleWidth) : null;
+        if (left) {
+            recordIndicator(metadata, left, true);
+        }
+        if (right) {
+            recordIndicator(metadata, right, false);
+        }
+
+        const indicator = left || right;
+        if (indicator) {
+            entry.cluster = indicator.cluster;
+            entry.row = Math.floor(indicator.codeword / 30) * 3 + indicator.cluster;
+            entry.fromRight = !left;
+            lines.push(entry);
+        }
+    }
+
+    const columns = mostVoted(metadata.columns) + 1;
+    const rows = mostVoted(metadata.rowGroups) * 3 + mostVoted(metadata.rowRemainder) + 1;
+    const ecLevel = mostVoted(metadata.ecLevel);
+    if (columns < 1 || columns > 30 || rows < 3 || rows > 90 || ecLevel < 0 || ecLevel > 8) {
+        return null;
+    }
+
+    // Vote for each cell. A skewed line crosses rows; each crossing shows as a change of cluster,
+    // so the row is followed outward from the indicator that placed the line.
+    const cells = Array.from({ length: rows * columns }, () => new Map());
+    for (const entry of lines) {
+        const codewords = readPdf417Row(entry, columns);
+        let row = entry.row;
+        let cluster = entry.cluster;
+        for (let i = 0; i < columns; i++) {
+            const column = entry.fromRight ? columns - 1 - i : i;
+            const codeword = codewords[column];
+            if (!codeword) {
+                continue;
+            }
+
+            const drift = (codeword.cluster - cluster + 3) % 3;
+            row += drift === 1 ? 1 : drift === 2 ? -1 : 0;
+            cluster = codeword.cluster;
+            if (row >= 0 && row < rows) {
+                vote(cells[row * columns + column], codeword.codeword);
+            }
+        }
+    }
+
+    const ecCount = 2 << ecLevel;
+    const codewords = cells.map(votes => votes.size > 0 ? mostVoted(votes) : 0);
+    const missing = cells.filter(votes => votes.size === 0).length;
+    if (missing * 2 > ecCount || !correctErrors(GF929, codewords, ecCount, 1)) {
+        return null;
+    }
+
+    const dataLength = codewords[0];
+    if (dataLength < 1 || dataLength > codewords.length - ecCount) {
+        return null;
+    }
+
+    const text = decodePdf417Data(codewords.slice(1, dataLength));
+    if (text === null) {
+        return null;
+    }
+
+    return {
+        format: 'pdf417',
+        rawValue: text,
+        cornerPoints: pdf417Polygon(view, lines, slope)
+    };
+}
+
+// Least-squares change in 'along' per line; 0 with too few points to tell
+function fitSlope(points) {
+    if (points.length < 3) {
+        return 0;
+    }
+
+    const meanLine = points.reduce((sum, point) => sum + point.line, 0) / points.length;
+    const meanAlong = points.reduce((sum, point) => sum + point.along, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const point of points) {
+        covariance += (point.line - meanLine) * (point.along - meanAlong);
+        variance += (point.line - meanLine) * (point.line - meanLine);
+    }
+    return variance > 0 ? covariance / variance : 0;
+}
+
+function buildPdf417Patterns() {
+    const patterns = new Map();
+    PDF417_CLUSTERS.forEach((table, cluster) => {
+        for (let codeword = 0; codeword < 929; codeword++) {
+            // Every pattern starts with a bar and ends with a space; the table stores the 15 bits between
+            const middle = parseInt(table.substr(codeword * 3, 3), 32);
+            patterns.set(0x10000 | (middle << 1), { cluster: cluster, codeword: codeword });
+        }
+    });
+    return patterns;
+}
+
+// First start (or stop) pattern on a line, with its extent and module width
+function findGuard(runs, pattern, from = 0) {
+    const { widths, starts } = runs;
+    const modules = pattern.reduce((sum, width) => sum + width, 0);
+    for (let i = 1; i + pattern.length <= widths.length; i += 2) {
+        if (starts[i] < from ||
+            patternVariance(widths, i, pattern, PDF417_MAX_INDIVIDUAL_VARIANCE) > PDF417_MAX_AVG_VARIANCE) {
+            continue;
+        }
+
+        const width = sumRuns(widths, i, pattern.length);
+        return {
+            begin: starts[i],
+            end: starts[i] + width,
+            moduleWidth: width / modules
+        };
+    }
+    return null;
+}
+
+// Codeword whose first bar starts near position; null when the runs there are not a valid pattern
+function readCodeword(runs, position, moduleWidth) {
+    const { widths, starts } = runs;
+
+    let index = -1;
+    let nearest = moduleWidth * 2;
+    for (let i = 1; i < widths.length; i += 2) {
+        const offset = Math.abs(starts[i] - position);
+        if (offset < nearest) {
+            nearest = offset;
+            index = i;
+        }
+        if (starts[i] > position + moduleWidth * 2) {
+            break;
+        }
+    }
+    if (index < 0 || index + 8 > widths.length) {
+        return null;
+    }
+
+    const total = sumRuns(widths, index, 8);
+    if (Math.abs(total - 17 * moduleWidth) > 4 * moduleWidth) {
+        return null;
+    }
+
+    // Sample the 17 module centers across the eight runs
+    let bits = 0;
+    let run = 0;
+    let runEnd = widths[index];
+    for (let module = 0; module < 17; module++) {
+        const center = (module + 0.5) * total / 17;
+        while (center >= runEnd && run < 7) {
+            run++;
+            runEnd += widths[index + run];
+        }
+        bits = (bits << 1) | (run % 2 === 0 ? 1 : 0);
+    }
+
+    const match = pdf417Patterns.get(bits);
+    return match ? { cluster: match.cluster, codeword: match.codeword, end: starts[index] + total } : null;
+}
+
+function readCodewordBefore(runs, position, moduleWidth) {
+    return readCodeword(runs, position - 17 * moduleWidth, moduleWidth);
+}
+
+// Row indicators carry the row group (codeword / 30) and, depending on the cluster,
+// the row count, the column count or the error correction level
+function recordIndicator(metadata, indicator, isLeft) {
+    const value = indicator.codeword % 30;
+    // Left indicators carry rows / ec level / columns for clusters 0, 1, 2; right ones are rotated by one
+    const kind = (indicator.cluster + (isLeft ? 0 : 2)) % 3;
+    if (kind === 0) {
+        vote(metadata.rowGroups, value);
+    } else if (kind === 1) {
+        vote(metadata.ecLevel, Math.floor(value / 3));
+        vote(metadata.rowRemainder, value % 3);
+    } else {
+        vote(metadata.columns, value);
+    }
+}
+
+function vote(votes, value) {
+    votes.set(value, (votes.get(value) || 0) + 1);
+}
+
+function mostVoted(votes) {
+    let best = -1;
+    let bestCount = 0;
+    votes.forEach((count, value) => {
+        if (count > bestCount) {
+            best = value;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+// Data codewords of one line; each read starts where the previous one ended to follow local scale changes
+function readPdf417Row(entry, columns) {
+    const { runs, start, stop } = entry;
+    const codewords = new Array(columns).fill(null);
+
+    if (start) {
+        const moduleWidth = stop ? (stop.begin - start.end) / (17 * (columns + 2)) : start.moduleWidth;
+        let position = start.end + 17 * moduleWidth;
+        for (let column = 0; column < columns; column++) {
+            const codeword = readCodeword(runs, position, moduleWidth);
+            codewords[column] = codeword;
+            position = codeword ? codeword.end : position + 17 * moduleWidth;
+        }
+    } else {
+        let position = stop.begin - 17 * stop.moduleWidth;
+        for (let column = columns - 1; column >= 0; column--) {
+            position -= 17 * stop.moduleWidth;
+            codewords[column] = readCodeword(runs, position, stop.moduleWidth);
+        }
+    }
+
+    return codewords;
+}
+
+function pdf417Polygon(view, lines, slope) {
+    const withStart = lines.filter(entry => entry.start);
+    const withStop = lines.filter(entry => entry.stop);
+    const first = list => list[0];
+    const last = list => list[list.length - 1];
+
+    const left = withStart.length > 0 ? withStart : withStop;
+    const right = withStop.length > 0 ? withStop : withStart;
+    const leftEdge = entry => entry.start ? entry.start.begin : entry.stop.begin;
+    const rightEdge = entry => entry.stop ? entry.stop.end : entry.start.end;
+
+    const point = (along, line) => view.toImage(along, line + along * slope);
+
+    return [
+        point(leftEdge(first(left)), first(left).line),
+        point(rightEdge(first(right)), first(right).line),
+        point(rightEdge(last(right)), last(right).line + 1),
+        point(leftEdge(last(left)), last(left).line + 1)
+    ].map(roundPoint);
+}
+
+// High-level decoding: text, byte and numeric compaction, byte shift and ECI
+function decodePdf417Data(codewords) {
+    const output = createTextOutput('iso-8859-1');
+    let index = 0;
+
+    while (index < codewords.length) {
+        let code = codewords[index];
+        if (code < TEXT_COMPACTION) {
+            code = TEXT_COMPACTION; // Text compaction is the default at the start of the data
+        } else {
+            index++;
+        }
+
+        switch (code) {
+            case TEXT_COMPACTION:
+                index = decodeTextCompaction(codewords, index, output);
+                break;
+            case BYTE_COMPACTION:
+            case BYTE_COMPACTION_6:
+                index = decodeByteCompaction(code, codewords, index, output);
+                break;
+            case NUMERIC_COMPACTION:
+                index = decodeNumericCompaction(codewords, index, output);
+                break;
+            case BYTE_SHIFT:
+                output.appendByte(codewords[index++]);
+                break;
+            case ECI_CHARSET:
+                output.setCharset(eciCharset(codewords[index++]));
+                break;
+            case ECI_GENERAL_PURPOSE:
+                index += 2;
+                break;
+            case ECI_USER_DEFINED:
+                index += 1;
+                break;
+            case MACRO_CONTROL_BLOCK:
+            case MACRO_OPTIONAL_FIELD:
+            case MACRO_TERMINATOR:
+                // Macro PDF417 control data follows the message
+                return output.finish();
+            default:
+                return null;
+        }
+    }
+
+    return output.finish();
+}
+
+function decodeTextCompaction(codewords, index, output) {
+    const ALPHA = 0;
+    const LOWER = 1;
+    const MIXED = 2;
+    const PUNCTUATION = 3;
+    let mode = ALPHA;
+    let shift = -1; // Mode for the next character only
+    let text = '';
+
+    while (index < codewords.length) {
+        const code = codewords[index];
+        if (code === BYTE_SHIFT) {
+            output.appendText(text);
+            text = '';
+            output.appendByte(codewords[index + 1]);
+            index += 2;
+            continue;
+        }
+        if (code >= TEXT_COMPACTION) {
+            break;
+        }
+        index++;
+
+        for (const value of [Math.floor(code / 30), code % 30]) {
+            const current = shift >= 0 ? shift : mode;
+            shift = -1;
+
+            if (current === PUNCTUATION) {
+                if (value < 29) {
+                    text += TEXT_PUNCTUATION[value];
+                } else if (mode === PUNCTUATION) {
+                    mode = ALPHA;
+                }
+                continue;
+            }
+
+            if (value === 26) {
+                text += ' ';
+            } else if (value === 29) {
+                shift = PUNCTUATION;
+            } else if (current === MIXED) {
+                if (value < 25) {
+                    text += TEXT_MIXED[value];
+                } else if (value === 25) {
+                    mode = PUNCTUATION;
+                } else {
+                    mode = value === 27 ? LOWER : ALPHA;
+                }
+            } else if (value < 26) {
+                text += String.fromCharCode((current === LOWER ? 97 : 65) + value);
+            } else if (value === 27) {
+                // Alpha latches to lower case; lower case shifts to upper case for one character
+                if (current === LOWER) {
+                    shift = ALPHA;
+                } else {
+                    mode = LOWER;
+                }
+            } else {
+                mode = MIXED;
+            }
+        }
+    }
+
+    output.appendText(text);
+    return index;
+}
+
+function decodeByteCompaction(mode, codewords, index, output) {
+    let end = index;
+    while (end < codewords.length && codewords[end] < TEXT_COMPACTION) {
+        end++;
+    }
+
+    // Groups of five codewords carry six bytes; with mode 901 the final group is one byte per codeword
+    const count = end - index;
+    const singles = Math.min(count, mode === BYTE_COMPACTION_6 ? count % 5 : (count % 5 || 5));
+    const groupEnd = end - singles;
+
+    for (; index < groupEnd; index += 5) {
+        let value = 0;
+        for (let i = 0; i < 5; i++) {
+            value = value * 900 + codewords[index + i];
+        }
+        const bytes = new Array(6);
+        for (let i = 5; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        bytes.forEach(byte => output.appendByte(byte));
+    }
+    for (; index < end; index++) {
+        output.appendByte(codewords[index] & 0xFF);
+    }
+
+    return end;
+}
+
+function decodeNumericCompaction(codewords, index, output) {
+    let end = index;
+    while (end < codewords.length && codewords[end] < TEXT_COMPACTION) {
+        end++;
+    }
+
+    // Up to 15 codewords form one base-900 number whose decimal form has a leading 1
+    let digits = '';
+    for (let group = index; group < end; group += 15) {
+        let value = 0n;
+        for (let i = group; i < Math.min(group + 15, end); i++) {
+            value = value * 900n + BigInt(codewords[i]);
+        }
+        digits += value.toString().slice(1);
+    }
+
+    output.appendText(digits);
+    return end;
+}
+
+// Codeword patterns per cluster (0, 3, 6), three base-32 digits per codeword in codeword order:
+// the 15 modules between the leading bar and the trailing space, ISO/IEC 15438 Annex B
+const PDF417_CLUSTERS = [
+    'qn0tbouluqjgt9sukvl30qhol1ga10l0oa0gln0qrotduljgqpstcvb30lhob1gbn0lroqtubjglpsqsvbholoubroltubps' +
+    'lsvbtuuntqbgt5suivkj0q9ot4ukhgq8s910kgoq8e90gkgc908krgqdst6v9j0kpoqcu9hgkosqcf9gokoe9rgktsqev9po' +
+    'ksu9osksf9tskuv9su9sfkb0q5ot2uk9gq4st2f8h0k8oq4e8ggk8c8g88g48r0kdoq6u8pgkcsq6f8ookce8oc8o68tokeu' +
+    '8sskef8se8uuk5gq2st1f890k4oq2e88gk4cq27888k46884k438dgk6sq3f8cok6e8cck678c68c3k7f8e7850k2oq1e84g' +
+    'k2cq17848k26844k2384286o86c86682gq0nk16k13821pbgslsuavij0p9oskuihgp8sskf510igo50girgpdssmv5j0ipo' +
+    'pcu5hgios5go5gc5rgitspev5poisu5os5oe5tsiuv5su5uvrb0tlouqur9gtksuqfmh0r8otkemggr8ctk7mg8r86ib0p5o' +
+    'siumr0i9gp4ssifmpgrcstmfdh04ggi8cp47dggmocdg84r0idop6udr04pgicsp6fdpgmssrefdoo4ocdoc4toieudto4ss' +
+    'iefdssmufdse4uuduu4ufdufr5gtisupfm90r4otiem8gr4cti7m88r46m84m82i5gp2sshfmdgi4op2ecp048gr6ep27cog' +
+    '488i46co8mc6i434824dgi6sp3fctg4coi6ecsomeei67csc4c64c34esi7fcus4eecue4e7cu7cvfm50r2othem4gr2cth7' +
+    'm48r26m44r23m42m41450i2op1ecd044gi2cp17ccgm6cr37cc8444i23cc4m63cc246oi3eceo46ci37cecm77ce6463ce3' +
+    'cfecf7m2gr1ctgnm28r16m24r13m22m2142gi1cp0nc6g428i16c68m36i13c64422c6242143cc7cc76c73r0mr0jm11i0m' +
+    '414c34c32c31hb0olosauh9goks2h0h8ooke2ggh8c2g82g42r0hdoomu2pghcsomf2oohce2oc2o62toheu2sshef2se2uu' +
+    '2ufplgsqsudfj90pkosqej8gpkcsq7j88pk6j84pk3h5goiss9fjdgh4ooie6p028gpmeoi76ogjcch466o82846o42dgh6s' +
+    'ojf6tg2copnf6sojeeh676sc2c66s62esh7f6us2ee6ue2e72ff6vfrl0tqouterkgtqcut7rk8tq6rk4tq3rk2j50piospe' +
+    'nd0j4gtresp7ncgrmctr7nc8j44pi3nc4rm3j41250h2oohe6d024gh2coh7et06cgj6cpj7esgnecrn7h23es86c4j63es4' +
+    '24126oh3e6eo26ch37euo6ecj77eucnf72636e327e6fe277eve6f7rigtpcusnri8tp6ri4tp3ri2ri1j2gphcsonn6gj28' +
+    'tpnn68rj6ph3n64j22n62j21n6122gh1cogn66g228h16eeg668j36h13ee8n76222ee466222166123ch1n67c236efc676' +
+    '233ef667323nefnrh8tomrh4tojrh2rh1j18pgmn38j14pgjn34rhjn32j11n31218h0m638214h0je78634j1je74n3j211' +
+    'e72631e7163me7me7jtobrghpgbj0ij0h20k61ke3k20h61hglg190gko18ggkcoa7188gk6184gk31dggmsobf1cogme1cc' +
+    'gm71c61c31esgnf1ee1e71ffhl0oqosdehkgoqchk8oq6hk4oq3hk2150gioo9e3d014goreo973cghmcor73c8144gi33c4' +
+    'hm314116ogje3eo16cgj73echn73e616317e3fe1773f7pqgstcuenpq8st6pq4st3pq2pq1higopcjmghi8op6jm8pr6op3' +
+    'jm4hi2jm2hi1jm112gghc36g128opn7eg368hj6gh37e8jn61227e436212136113cghn37c1367fc3761337f637313n37n' +
+    '7fntt8uumtt4uujtt2tt1pp8ssmrr8ttmssjrr4ttjrr2pp1rr1hh8oomjj8hh4oojnn8jj4ppjnn4rrjhh1nn2jj1nn1118' +
+    'ggm338114ggj778334hhjff8774jjj111ff4nnj331ff211m33m11j77m33jffm77jffjtskuubtsitshpokssbrpktsrrpi' +
+    'pohrphhgkoobjhkhginjkjhihghnjijhhnjh10kggb31khgr73k31i10hf7k73i31hf7i73hf7h31rf7rts9roqropjgqnhq' +
+    'nhp30q71qf3qf3p0l00kggac0k80k40k20mo0mc0m60m30ne0n7gqggq8od6gq4od3gq2gq10igg9c1mggrcg961m8gr61m4' +
+    'gr31m20i11m10jcg9n1ncgrn1n60j31n30jn1nnot8ot4ot2ot1gp8hr8otmocjhr4otjhr2gp1hr10h81j80h4g8j3n81j4' +
+    '0h23n41j20h13n21j10hm1jm0hj3nm1jj3njsuksuisuhoskptksurptioshpthgokocbhpkosrjrkhpigohjrihphjrh0gk' +
+    'g8b1hkgor3jk1hi0gh7nk3ji1hh7ni3jh0gr1hr3jr7nruvauv9suatuqsu9tuposapsqos9rtqpsprtpgoahoqgo9jpqhop' +
+    'nrq',
+    'ulgvast90ukovaet8gukcva7t88uk6t84uk3t82tdgumsvbfqp0tcoumeqogtccum7qo8tc6qo4tc3qo2qtgtesunflp0qso' +
+    'teelogqscte7lo8qs6lo4qs3lo2ltgqustffbp0lsoqueboglscqu7bo8ls6bo4ls3btglusqvfbsoluebsclu7bs6buslvf' +
+    'buebu7t50uiov9et4guicv97t48ui6t44ui3t42t41qd0t6oujeqcgt6cuj7qc8t66qc4t63qc2qc1kt0qeot7eksgqect77' +
+    'ks8qe6ks4qe3ks2ks19t0kuoqfe9sgkucqf79s8ku69s4ku39s29uokve9uckv79u69u39ve9v7t2guhcv8nt28uh6t24uh3' +
+    't22t21q6gt3cuhnq68t36q64t33q62q61kegq7ct3nke8q76ke4q73ke2ke18ugkfcq7n8u8kf68u4kf38u28u18vckfn8v6' +
+    '8v38vnt18ugmt14ugjt12t11q38t1mq34t1jq32q31k78q3mk74q3jk72k718f8k7m8f4k7j8f28f18fm8fjt0kugbt0it0h' +
+    'q1kt0rq1iq1hk3kq1rk3ik3h87kk3r87i87ht0at09q0qq0pk1qk1psl0uaov5eskguacv57sk8ua6sk4ua3sk2sk1pd0smo' +
+    'ubepcgsmcub7pc8sm6pc4sm3pc2pc1it0peosneisgpecsn7is8pe6is4pe3is2is15t0iuopfe5sgiucpf75s8iu65s4iu3' +
+    '5s25uoive5uciv75u65u35ve5v7uqgvdcdfouq8vd6d7suq4vd3d3uuq2uq1sigu9cv4ntmgsi8vdntm8ur6u93tm4si2tm2' +
+    'si1tm1p6gsjcu9nregp68sj6re8tn6sj3re4p62re2p61re1iegp7csjnmugie8p76mu8rf6p73mu4ie2mu2ie1mu14ugifc' +
+    'p7ndug4u8if6du8mv6if3du44u2du24u14vcifndvc4v6dv64v3dv34vnup8vcmcnsup4vcjcjuup2chvup1sh8u8mtj8sh4' +
+    'u8jtj4upjtj2sh1tj1p38shmr78p34shjr74tjjr72p31r71i78p3mmf8i74p3jmf4r7jmf2i71mf14f8i7mcv84f4i7jcv4' +
+    'mfjcv24f1cv14fmcvm4fjcvjuokvcbcbuuoic9vuohsgku8bthkuorthisghthhp1ksgrr3kp1ir3ip1hr3hi3kp1rm7kr3r' +
+    'm7ii3hm7h47ki3rcfk47icfi47hcfh47rcfruoac5vuo9sgatgqsg9tgpp0qr1qp0pr1pi1qm3qi1pm3p43qc7q43pc7puo5' +
+    'sg5tgdp0dr0ti0tm1tsagu5cv2nsa8u56sa4u53sa2sa1omgsbcu5nom8sb6om4sb3om2om1hegoncsbnhe8on6he4on3he2' +
+    'he12ughfconn2u8hf62u4hf32u22u12vchfn2v62v32vnud8v6m6nsud4v6j6juud26hvud1s98u4msr8s94u4jsr4udjsr2' +
+    's91sr1oj8s9mpn8oj4s9jpn4srjpn2oj1pn1h78ojmjf8h74ojjjf4pnjjf2h71jf12f8h7m6v82f4h7j6v4jfj6v22f16v1' +
+    '2fm6vm2fj6vjvekenonbuveiejsn9vvehehuegvuckv6b6buutkvereru69vutiuchepvuths8ku4bspks8itrkutrs8htri' +
+    'sphtrhohks8rpjkohirnkpjiohhrnipjhrnhh3kohrj7kh3infkj7ih3hnfij7hnfh27kh3r6fk27ievk6fi27hevi6fhevh' +
+    '27r6frveaebsn5vve9e9ue8vuca65vusquc9edvusps8asoqs89tpqsoptppogqphqogprjqphprjph1qj3qh1pn7qj3pn7p' +
+    '23q67q23pefq67pefpve5e5ue4vuc5usds85sodtotogdpgtrhth0tj1tn3t21t63te7te2vs58u2ms54u2js52s51ob8s5m' +
+    'ob4s5job2ob1gn8obmgn4objgn2gn11f8gnm1f4gnj1f21f11fm1fju6kv3b3buu6i39vu6hs4ku2bsdks4isdis4hsdho9k' +
+    's4rorko9iorio9horhgjko9rhnkgjihnigjhhnh17kgjr3fk17i3fi17h3fh17r3frv7a7bsjlvv7979u78vu6a35vuequ69' +
+    '7dvueps4ascqs49stqscpstpo8qopqo8pprqoppprpghqhjqghpjnqhjpjnp13q37q13p7fq37p7fpfbonluf9snkvf8uf8f' +
+    'v7575uvfdfdu74vfcvu65ueduuts45scdsstttto8dootpptrrtggthhtjjtnnt11t33t77tf5snivf4uf4f72vf6vf2uf2f' +
+    'f1fs2ks2is2ho5ks2ro5io5hgbko5rgbigbh0nkgbr0ni0nh0nru3a1lvu39s2as6qs29s6po4qodqo4podpg9qgrqg9pgrp' +
+    '0jq1nq0jp1npv3l3lu3kvu35u7ds25s6dseto4doctottg8tgpthrt0ht1jt3nt7lsjqv7ku7kf3iv7mvflonqufksnqffke' +
+    'fk77iufmu7iffmffisnpffiefi77hffjffhefh7fgno2qo2pg5qg5p0bq0bps3do2do6tg4tgdt09t0rt1qv3qu3qf7qsjtf' +
+    '7qe7q73pf7rffqontefqcnt7fq6fq37pefre7p7fr7fpcnsnfp6fp37onfpnfomfoj1tf3te3t77tcjun7t67t33sn7tn7sm' +
+    '7sj',
+    'lfgqnsaf0l7oqjua7gl3sqhva3ol1ua1svb8bfglnsvb4b7oljuvb2b3slhvvb1b1uun8vbmbnsun4vbjbjuun2bhvun1tf8' +
+    'unmtf4unjtf2tf1qv8tfmqv4tfjqv2qv1lv8qvmlv4qvjlv29f0knoqbu97gkjsq9v93okhu91skgv90uv9k9nokruv9i9js' +
+    'kpvv9h9hu9gvujkv9r9ruuji9pvujht7kujrt7it7hqfkt7rqfiqfhkvkqfrkvikvh8ngkbsq5v8jok9u8hsk8v8gu8gfv8q' +
+    '8rskdvv8p8pu8ovuhq8tvuhpt3qt3pq7qq7pkfqkfp8bok5u89sk4v88u88fv8d8du8cvugtt1tq3t85sk2v84u84f86v82u' +
+    '82f5f0inopbu57gijsp9v53oihu51sigv50uv5k5noiruv5i5jsipvv5h5hu5gvubkv5r5ruubi5pvubhsnkubrsnisnhpfk' +
+    'snrpfipfhivkpfriviivhmngrbstlvd70mjor9ud3gmhsr8vd1omgud0smgfd0e4ngibsp5vdng4joi9udjompui8vdhs4gu' +
+    'dgu4gfdgfv4q4rsidvvdqv4pdrs4puvdpdpu4ovdovu9q4tvurqu9pdtvurpsjqtnqsjptnpp7qrfqp7prfpifqifpcn0mbo' +
+    'r5ucjgm9sr4vchom8ucgsm8fcgecg74boi5ucro49si4vcpsmcvcou48fcofv4d4duvctctu4cvcsvu8tuptshttjtp3tr7t' +
+    'i7tcbgm5sr2vc9om4uc8sm4fc8ec8745si2vcds44uccu44fccf46vcevc5om2uc4sm2fc4ec4742uc6u42fc6fc2sm1fc2e' +
+    'c2741fc3fc1ec172nghbsolv2joh9u2hsh8v2gu2gfv2q2rshdvv2p2pu2ovu5q2tvu5psbqsbponqonphfqhfp6n0jboplu' +
+    '6jgj9spkv6hoj8u6gsj8f6ge6g72boh5u6ro29sh4v6psjcv6ou28f6ofv2d2duv6t6tu2cv6svu4tudts9tsrtojtpnth7t' +
+    'nbgrlstqvej0n9orkuehgn8srkfegon8eegcn87eg66bgj5spiverg69oj4ueponcuj4feos68eeoe687eo725sh2v6ds24u' +
+    'ets6cu24fesu6cfesf26v6eveuveb0n5oriue9gn4srife8on4ee8cn47e86e8365oj2uedo64sj2fecsn6fece647ec722u' +
+    '66u22feeu66feefe5gn2srhfe4on2ee4cn27e46e4362sj1fe6s62ee6e627e6721f63fe7fe2on1ee2cn17e26e2361ee3e' +
+    '617e37e1cn0ne16e1360ne1ne0me0j1boglu19sgkv18u18f1du1cvu2ts5tobtgnt3bghlsoqv39ohku38shkf38e38715s' +
+    'giv3ds14u3cu14f3cf16v3ev7b0jlopqu79gjkspqf78ojke78cjk778678335ohiu7do34shif7cs34e7ce3477c712u36u' +
+    '12f7eu36f7efnlgrqsttff90nkorqef8gnkcrq7f88nk6f84nk3f8275gjisppffdg74ojiefconmeji7fcc746fc6743fc3' +
+    '32shhf76s32efes76e327fee767fe711f33f77fffff50niorpef4gnicrp7f48ni6f44ni3f42f4172ojhef6o72cjh7f6c' +
+    'nj7f66723f6331e73e317f7e737f77f2gnhcronf28nh6f24nh3f22f2171cjgnf3c716f36713f3330n71nf3nf18ngmf14' +
+    'ngjf12f1170mf1m70jf1jf0kngbf0if0h70bf0r0lsgav0ku0kf0mv1logqu1ksgqf1ke1k70iu1mu0if1mf3lghqsotf3ko' +
+    'hqe3kchq73k63k31isgpf3ms1ie3me1i73m70hf1jf3nf7l0jqopte7kgjqcpt77k8jq67k4jq37k27k13iohpe7mo3ichp7' +
+    '7mcjr77m63i37m31he3je1h77ne3j77n7nqgrtctunnq8rt6nq4rt3nq2nq17igjpcpsnfmg7i8jp6fm8nr6jp3fm47i2fm2' +
+    '7i1fm13hchon7jc3h6fnc7j63h3fn67j3fn31gn3hn7jnfnnnp8rsmnp4rsjnp2np17h8jomfj87h4jojfj4npjfj27h1fj1' +
+    '3gm7hm3gjfjm7hjfjjnokrsbnoinoh7gkjobfhk7gifhi7ghfhh3gb7grfhrnoano97gafgq7g9fgp0au0af0qsgdf0qe0q7' +
+    '09f0rf1qogte1qcgt71q61q30pe1re0p71r73qghtcoun3q8ht63q4ht33q23q11pcgsn3rchtn3r61p33r30on1pn3rnjt8' +
+    'pumjt4pujjt2jt13p8hsm7r8jtmhsj7r43p27r23p17r11om3pm1oj7rm3pj7rjruktvbruiruhjskpubntkjsintijshnth' +
+    '3okhsb7pk3oifrk7pi3ohfri7phfrh1ob3or7prfrrruaru9jsansqjs9nsp3oa7oq3o9fpq7opfppru5js5nsd3o57odfot' +
+    '0de0d70tcgen0t60t30cn0tn1t8gum1t4guj1t21t10sm1tm0sj1tjhukovbhuihuh1skgub3tkhur3ti1sh3th0sb1sr3tr' +
+    'pvapv9huajuqhu9jup1sa3sq1s97tq3sp7tppv5hu5jud1s53sd7st0em0ej0ukgfb0ui0uh0eb0urgvagv90ua1uq0u91up' +
+    'ovl'
+];
+
+// Export internal functions for testing
+export const _internal = {
+    binarize,
+    correctErrors,
+    GF256,
+    GF929,
+    decodeCode128Text,
+    decodePdf417Data,
+    readQrMatrix,
+    alignmentPositions
+};
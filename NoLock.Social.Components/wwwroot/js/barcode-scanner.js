@@ -0,0 +1,156 @@
+/**
+ * Barcode scanner module
+ * Reads QR Code, Code 128, EAN-13 and PDF417 from frames and stills. The browser's BarcodeDetector handles
+ * every requested format it supports; the bundled barcode-decoder.js handles the rest.
+ * Each result is { format, rawValue, cornerPoints, boundingBox, decoder } in pixels of the source,
+ * where decoder is 'native' or 'fallback'.
+ */
+
+import { SUPPORTED_FORMATS, decodeBarcodes } from './barcode-decoder.js';
+
+export const BARCODE_FORMATS = SUPPORTED_FORMATS;
+
+const DEFAULT_OPTIONS = {
+    formats: SUPPORTED_FORMATS,
+    useNative: true,        // Prefer BarcodeDetector for the formats it supports
+    maxDimension: 1600      // Sources are downscaled to this size before the fallback decoder runs
+};
+
+let nativeFormats = null;
+const detectors = new Map();
+
+/**
+ * Formats the browser's BarcodeDetector can read, limited to the ones this module scans for
+ * @returns {Promise<string[]>} Empty when BarcodeDetector is unavailable
+ */
+export function getNativeFormats() {
+    if (!nativeFormats) {
+        nativeFormats = typeof BarcodeDetector === 'undefined' ?
+            Promise.resolve([]) :
+            BarcodeDetector.getSupportedFormats()
+                .then(formats => SUPPORTED_FORMATS.filter(format => formats.includes(format)))
+                .catch(error => {
+                    console.warn('BarcodeDetector formats unavailable, using the bundled decoder:', error);
+                    return [];
+                });
+    }
+    return nativeFormats;
+}
+
+/**
+ * Scan an image for barcodes
+ * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement|ImageBitmap|ImageData|Blob|string} source - Image, or a data/object URL
+ * @param {object} options - { formats, useNative, maxDimension, canvas }; canvas is reused for the fallback decoder's pixels
+ * @returns {Promise<Array<{format: string, rawValue: string, cornerPoints: Array<{x: number, y: number}>,
+ *     boundingBox: {x: number, y: number, width: number, height: number}, decoder: string}>>}
+ */
+export async function scanImage(source, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const formats = settings.formats.filter(format => SUPPORTED_FORMATS.includes(format));
+    if (formats.length === 0) {
+        console.error(`No supported barcode formats requested; supported formats are ${SUPPORTED_FORMATS.join(', ')}`);
+        return [];
+    }
+
+    const image = typeof source === 'string' ? await loadImage(source) : source;
+    const native = settings.useNative ? (await getNativeFormats()).filter(format => formats.includes(format)) : [];
+    const fallback = formats.filter(format => !native.includes(format));
+    const results = [];
+
+    if (native.length > 0) {
+        try {
+            const found = await getDetector(native).detect(image);
+            results.push(...found.map(barcode => toResult(barcode, 'native', 1)));
+        } catch (error) {
+            console.warn('BarcodeDetector failed, using the bundled decoder:', error);
+            fallback.push(...native);
+        }
+    }
+
+    if (fallback.length > 0) {
+        const frame = await readPixels(image, settings.maxDimension, settings.canvas);
+        if (frame) {
+            results.push(...decodeBarcodes(frame.imageData, fallback).map(barcode => toResult(barcode, 'fallback', frame.scale)));
+        }
+    }
+
+    return results;
+}
+
+// Helper functions
+
+function getDetector(formats) {
+    const key = formats.join(',');
+    if (!detectors.has(key)) {
+        detectors.set(key, new BarcodeDetector({ formats: formats }));
+    }
+    return detectors.get(key);
+}
+
+// Corner points and bounding box scaled back to source pixels; both decoders report clockwise corners
+function toResult(barcode, decoder, scale) {
+    const cornerPoints = barcode.cornerPoints.map(point => ({
+        x: Math.round(point.x / scale),
+        y: Math.round(point.y / scale)
+    }));
+    const xs = cornerPoints.map(point => point.x);
+    const ys = cornerPoints.map(point => point.y);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+
+    return {
+        format: barcode.format,
+        rawValue: barcode.rawValue,
+        cornerPoints: cornerPoints,
+        boundingBox: { x: left, y: top, width: Math.max(...xs) - left, height: Math.max(...ys) - top },
+        decoder: decoder
+    };
+}
+
+// RGBA pixels of the source, downscaled to maxDimension, with the scale applied
+async function readPixels(source, maxDimension, canvas) {
+    if (source.data && source.width && source.height) {
+        return { imageData: source, scale: 1 }; // Already ImageData
+    }
+
+    const bitmap = typeof Blob !== 'undefined' && source instanceof Blob ? await createImageBitmap(source) : null;
+    const image = bitmap || source;
+    const width = image.videoWidth || image.naturalWidth || image.width;
+    const height = image.videoHeight || image.naturalHeight || image.height;
+    if (!width || !height) {
+        if (bitmap) {
+            bitmap.close();
+        }
+        console.error('No image available to scan');
+        return null;
+    }
+
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    const target = canvas || document.createElement('canvas');
+    target.width = Math.round(width * scale);
+    target.height = Math.round(height * scale);
+
+    const context = target.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0, target.width, target.height);
+    if (bitmap) {
+        bitmap.close();
+    }
+
+    return { imageData: context.getImageData(0, 0, target.width, target.height), scale: scale };
+}
+
+function loadImage(url) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Image could not be loaded for barcode scanning'));
+        image.src = url;
+    });
+}
+
+// Export internal functions for testing
+export const _internal = {
+    detectors,
+    toResult,
+    readPixels
+};
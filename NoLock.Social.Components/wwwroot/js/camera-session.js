@@ -0,0 +1,1416 @@
+/**
+ * Camera session module
+ * One CameraSession per preview: each owns its stream, video element, capabilities and .NET callbacks,
+ * so several previews can run side by side. window.cameraInterop and SimpleCameraControl.js are adapters over it.
+ * Frame analysis (edge detection, auto-capture, burst) uses the app's window.imageEnhancement / window.imageQuality scripts;
+ * barcode scanning uses barcode-scanner.js.
+ */
+
+import { queryPermission, requestPermission as requestMediaPermission } from './permission-monitor.js';
+import { scanImage } from './barcode-scanner.js';
+
+const DEFAULT_OPTIONS = {
+    facingMode: 'environment',  // Used when no deviceId is given
+    width: 1920,                // Ideal preview resolution
+    height: 1080,
+    autoRecover: true,          // Reopen a camera after the track ends or the device disappears
+    muteTimeoutMs: 3000         // A track muted this long (camera taken by another app) is treated as lost
+};
+
+// Constraints the Image Capture spec defines as settings without a matching capability
+const SETTING_ONLY_CONSTRAINTS = ['pointsOfInterest'];
+
+let nextSessionId = 1;
+const sessions = new Map();
+
+// Device list kept current by the devicechange listener while anyone is watching
+let knownDevices = [];
+let deviceWatchActive = false;
+const deviceListeners = new Set();
+// devicechange events come in bursts; each one is handled after the previous so it diffs against that list
+let deviceChanges = Promise.resolve();
+
+/**
+ * Check camera permission status
+ * @returns {Promise<string>} 'granted', 'denied', 'prompt' or 'unsupported' (see permission-monitor.js)
+ */
+export function checkPermission() {
+    return queryPermission('camera');
+}
+
+/**
+ * Request camera permission by opening and immediately closing a stream
+ * @returns {Promise<string>} 'granted', 'denied', 'prompt' or 'unsupported'
+ */
+export function requestPermission() {
+    return requestMediaPermission('camera');
+}
+
+/**
+ * List video input devices
+ * @param {object} options - { requestPermission: open a temporary stream first so labels are populated }
+ * @returns {Promise<Array<{deviceId: string, label: string, groupId: string}>>}
+ */
+export async function getCameraDevices(options = {}) {
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const labelled = devices.some(device => device.kind === 'videoinput' && device.label);
+
+        if (options.requestPermission && !labelled && sessions.size === 0) {
+            const tempStream = await navigator.mediaDevices.getUserMedia({ video: true });
+            tempStream.getTracks().forEach(track => track.stop());
+            return getCameraDevices({ requestPermission: false });
+        }
+
+        return devices
+            .filter(device => device.kind === 'videoinput')
+            .map(device => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${device.deviceId.substring(0, 8)}`,
+                groupId: device.groupId
+            }));
+    } catch (error) {
+        console.error('Failed to enumerate camera devices:', error);
+        return [];
+    }
+}
+
+/**
+ * Subscribe to camera hot-plug. The callback receives (devices, added, removed) after each devicechange.
+ * @param {function} callback - Listener
+ * @returns {function} Unsubscribe function
+ */
+export function watchDevices(callback) {
+    deviceListeners.add(callback);
+    ensureDeviceWatch();
+    return () => {
+        deviceListeners.delete(callback);
+        releaseDeviceWatch();
+    };
+}
+
+/**
+ * Last device list seen by the devicechange listener
+ * @returns {Array<{deviceId: string, label: string, groupId: string}>}
+ */
+export function getKnownDevices() {
+    return knownDevices.slice();
+}
+
+/**
+ * Create a camera session bound to a video element. The stream is not opened until start().
+ * Returned to .NET as an IJSObjectReference; methods can be invoked on it directly.
+ * @param {HTMLVideoElement} videoElement - Preview element owned by the session
+ * @param {object} dotNetRef - Optional .NET object reference for event callbacks
+ * @param {object} options - { facingMode, width, height }
+ * @returns {CameraSession}
+ */
+export function createSession(videoElement, dotNetRef, options = {}) {
+    return new CameraSession(videoElement, dotNetRef, options);
+}
+
+/**
+ * Look up a live session by id
+ * @param {number} id - CameraSession.id
+ * @returns {CameraSession|null}
+ */
+export function getSession(id) {
+    return sessions.get(id) || null;
+}
+
+/**
+ * Find the live session that owns a video element
+ * @param {HTMLVideoElement} videoElement
+ * @returns {CameraSession|null}
+ */
+export function findSession(videoElement) {
+    for (const session of sessions.values()) {
+        if (session.video === videoElement) {
+            return session;
+        }
+    }
+    return null;
+}
+
+/**
+ * Stop and forget every session (page teardown)
+ */
+export function disposeAll() {
+    Array.from(sessions.values()).forEach(session => session.dispose());
+}
+
+export class CameraSession {
+    constructor(videoElement, dotNetRef, options = {}) {
+        if (!videoElement) {
+            throw new Error('Camera session requires a video element');
+        }
+
+        this.id = nextSessionId++;
+        this.video = videoElement;
+        this.dotNetRef = dotNetRef || null;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.stream = null;
+        this.deviceId = null;
+        this.imageCapture = null;
+        this.photoSettings = null;
+        this.edgeDetection = null;
+        this.autoCapture = null;
+        this.barcodeScanning = null;
+        this.status = 'idle';
+        this.statusListeners = new Set();
+        this.recovery = null;
+        this.muteTimer = null;
+        this.suspendedAnalysis = null;
+
+        sessions.set(this.id, this);
+    }
+
+    /**
+     * Open the camera and attach it to the session's video element
+     * @param {string} deviceId - Optional exact device; facingMode from the options otherwise
+     * @returns {Promise<boolean>} True when the preview is running
+     */
+    async start(deviceId) {
+        this._releaseStream();
+
+        this.stream = await navigator.mediaDevices.getUserMedia(this._buildConstraints(deviceId));
+        const track = this._getVideoTrack();
+        this.deviceId = track && track.getSettings ? track.getSettings().deviceId || deviceId || null : deviceId || null;
+        this._watchTrack(track);
+        this.status = 'live';
+        ensureDeviceWatch();
+
+        this.video.srcObject = this.stream;
+        try {
+            await this.video.play();
+        } catch (error) {
+            // Autoplay can be refused before a user gesture; the element still shows the stream once played
+            console.warn('Video playback did not start automatically:', error);
+        }
+
+        return true;
+    }
+
+    /**
+     * Switch to another camera, falling back to any camera if the exact device cannot be opened
+     * @param {string} deviceId - Target device
+     * @returns {Promise<boolean>} True when the requested device is running
+     */
+    async switchCamera(deviceId) {
+        this.stopEdgeDetection();
+        this.stopAutoCapture();
+        this.stopBarcodeScanning();
+        this.video.pause();
+
+        try {
+            return await this.start(deviceId);
+        } catch (error) {
+            console.error('Error switching camera:', error);
+
+            try {
+                await this.start(null);
+            } catch (fallbackError) {
+                console.error('Fallback camera also failed:', fallbackError);
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Stop the stream and any frame analysis; the session can be started again
+     */
+    stop() {
+        this.stopEdgeDetection();
+        this.stopAutoCapture();
+        this.stopBarcodeScanning();
+        this._releaseStream();
+        this.video.srcObject = null;
+        this.recovery = null;
+        this.suspendedAnalysis = null;
+        this.status = 'idle';
+        releaseDeviceWatch();
+    }
+
+    /**
+     * Stop the session and remove it from the registry
+     */
+    dispose() {
+        this.stop();
+        this.dotNetRef = null;
+        this.statusListeners.clear();
+        sessions.delete(this.id);
+        releaseDeviceWatch();
+    }
+
+    /**
+     * Subscribe to stream status changes. The callback receives
+     * { status, deviceId, previousDeviceId, reason, message } where status is one of
+     * 'disconnected', 'muted', 'unmuted', 'recovered' or 'recovery-failed'. Losing the camera stops edge detection,
+     * auto-capture and barcode scanning; by 'recovered' whichever of them were running have been restarted.
+     * The session's dotNetRef receives the same values via OnCameraStatusChanged.
+     * @param {function} callback - Listener
+     * @returns {function} Unsubscribe function
+     */
+    onStatusChanged(callback) {
+        this.statusListeners.add(callback);
+        return () => this.statusListeners.delete(callback);
+    }
+
+    isActive() {
+        return !!this._getVideoTrack();
+    }
+
+    // Capture methods
+
+    /**
+     * Draw the current preview frame onto a canvas
+     * @param {HTMLCanvasElement} canvas - Optional target; a new canvas is created otherwise
+     * @returns {HTMLCanvasElement|null} The canvas, or null when no frame is available
+     */
+    captureFrame(canvas) {
+        const video = this.video;
+        if (!video.videoWidth) {
+            console.error('No video frame available');
+            return null;
+        }
+
+        const target = canvas || document.createElement('canvas');
+        target.width = video.videoWidth;
+        target.height = video.videoHeight;
+        target.getContext('2d').drawImage(video, 0, 0, target.width, target.height);
+        return target;
+    }
+
+    /**
+     * Capture the current preview frame as a JPEG data URL
+     * @param {HTMLCanvasElement} canvas - Optional canvas that receives the frame
+     * @param {number} quality - JPEG quality
+     * @returns {string|null}
+     */
+    captureImage(canvas, quality = 0.95) {
+        try {
+            const frame = this.captureFrame(canvas);
+            return frame ? frame.toDataURL('image/jpeg', quality) : null;
+        } catch (error) {
+            console.error('Error capturing image:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Capture the current preview frame as a JPEG Blob (received by .NET as IJSStreamReference)
+     * @param {HTMLCanvasElement} canvas - Optional canvas that receives the frame
+     * @param {number} quality - JPEG quality
+     * @returns {Promise<Blob|null>}
+     */
+    async captureImageBlob(canvas, quality = 0.95) {
+        try {
+            const frame = this.captureFrame(canvas);
+            return frame ? await canvasToBlob(frame, 'image/jpeg', quality) : null;
+        } catch (error) {
+            console.error('Error capturing image:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Full-sensor still via ImageCapture.takePhoto; the preview stream is capped at its ideal resolution.
+     * Falls back to a preview frame when ImageCapture is unavailable or the camera rejects the request.
+     * @param {object} options - { imageWidth, imageHeight, fillLightMode, redEyeReduction, canvas, quality }
+     * @returns {Promise<Blob|null>}
+     */
+    async capturePhotoBlob(options = {}) {
+        const track = this._getVideoTrack();
+        const imageCapture = track ? this._getImageCapture(track) : null;
+
+        if (imageCapture) {
+            try {
+                const photoSettings = buildPhotoSettings(
+                    await imageCapture.getPhotoCapabilities(), { ...(this.photoSettings || {}), ...options });
+                return await imageCapture.takePhoto(photoSettings);
+            } catch (error) {
+                console.warn('takePhoto failed, falling back to a video frame:', error);
+            }
+        }
+
+        return this.captureImageBlob(options.canvas, options.quality);
+    }
+
+    /**
+     * Full-sensor still as a data URL
+     * @param {object} options - See capturePhotoBlob
+     * @returns {Promise<string|null>}
+     */
+    async capturePhoto(options = {}) {
+        try {
+            const blob = await this.capturePhotoBlob(options);
+            return blob ? await blobToDataUrl(blob) : null;
+        } catch (error) {
+            console.error('Error reading photo:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Burst capture: grab several frames and keep the sharpest, or median-stack the sharp ones to cut low-light noise
+     * @param {number} count - Frames to grab
+     * @param {number} intervalMs - Delay between frames
+     * @param {object} options - { mode: 'sharpest'|'stack', canvas, quality } plus imageEnhancement._mergeBurstFrames options
+     * @returns {Promise<{imageData: string, mode: string, selectedIndex: number, sharpness: number[], stackedFrames: number}|null>}
+     */
+    async captureBurst(count = 5, intervalMs = 100, options = {}) {
+        const settings = { mode: 'sharpest', quality: 0.95, ...options };
+
+        let frames = [];
+        try {
+            if (!window.imageEnhancement || !window.imageQuality) {
+                console.error('Image enhancement scripts not loaded');
+                return null;
+            }
+
+            if (!this.video.videoWidth) {
+                console.error('No video frame available');
+                return null;
+            }
+
+            for (let i = 0; i < count; i++) {
+                if (i > 0) {
+                    await new Promise(resolve => setTimeout(resolve, intervalMs));
+                }
+                frames.push(this.captureFrame());
+            }
+
+            const result = await window.imageEnhancement._mergeBurstFrames(frames, settings);
+
+            if (settings.canvas) {
+                settings.canvas.width = result.canvas.width;
+                settings.canvas.height = result.canvas.height;
+                settings.canvas.getContext('2d').drawImage(result.canvas, 0, 0);
+            }
+
+            const imageData = result.canvas.toDataURL('image/jpeg', settings.quality);
+            if (!frames.includes(result.canvas)) {
+                window.imageEnhancement._disposeCanvas(result.canvas);
+            }
+
+            return {
+                imageData: imageData,
+                mode: result.stackedFrames > 1 ? 'stack' : 'sharpest',
+                selectedIndex: result.selectedIndex,
+                sharpness: result.sharpness.map(value => Math.round(value * 100) / 100),
+                stackedFrames: result.stackedFrames
+            };
+        } catch (error) {
+            console.error('Error capturing burst:', error);
+            return null;
+        } finally {
+            frames.forEach(frame => window.imageEnhancement._disposeCanvas(frame));
+        }
+    }
+
+    // Camera controls
+    // Every setter resolves to { applied, settings, reason }: applied is true only when the track's
+    // reported settings reflect the request afterwards, settings holds the resulting values and
+    // reason explains a failure (no stream, unsupported by the camera, rejected or ignored).
+
+    /**
+     * Full MediaTrackCapabilities plus current settings, and still-photo capabilities where ImageCapture exists.
+     * pointsOfInterest is a setting but never a capability, so its support is reported separately.
+     * @returns {Promise<object>} { supported, capabilities, settings, pointsOfInterest, photoCapabilities, photoSettings }
+     */
+    async getCapabilities() {
+        const track = this._getVideoTrack();
+        if (!track) {
+            return { supported: false, capabilities: {}, settings: {}, pointsOfInterest: false, photoCapabilities: null, photoSettings: null };
+        }
+
+        let photoCapabilities = null;
+        const imageCapture = this._getImageCapture(track);
+        if (imageCapture) {
+            try {
+                const photo = await imageCapture.getPhotoCapabilities();
+                photoCapabilities = {
+                    redEyeReduction: photo.redEyeReduction,
+                    fillLightMode: Array.from(photo.fillLightMode || []),
+                    imageWidth: copyRange(photo.imageWidth),
+                    imageHeight: copyRange(photo.imageHeight)
+                };
+            } catch (error) {
+                console.warn('Photo capabilities not available:', error);
+            }
+        }
+
+        const settings = track.getSettings();
+        return {
+            supported: typeof track.getCapabilities === 'function',
+            capabilities: typeof track.getCapabilities === 'function' ? track.getCapabilities() : {},
+            settings: settings,
+            pointsOfInterest: 'pointsOfInterest' in settings,
+            photoCapabilities: photoCapabilities,
+            photoSettings: this.photoSettings
+        };
+    }
+
+    setZoom(zoomLevel) {
+        return this._applyTrackConstraints({ zoom: zoomLevel });
+    }
+
+    setTorch(enabled) {
+        return this._applyTrackConstraints({ torch: !!enabled });
+    }
+
+    // focusMode: 'continuous', 'single-shot' or 'manual'; focusDistance applies to 'manual'
+    setFocusMode(focusMode, focusDistance) {
+        const constraints = { focusMode: focusMode };
+        if (focusMode === 'manual' && typeof focusDistance === 'number') {
+            constraints.focusDistance = focusDistance;
+        }
+        return this._applyTrackConstraints(constraints);
+    }
+
+    // Tap-to-focus: points are normalised { x, y } in 0..1 of the preview frame.
+    // A single-shot focus pass is requested with the points when the camera supports it.
+    setPointsOfInterest(points, refocus) {
+        const track = this._getVideoTrack();
+        const constraints = {
+            pointsOfInterest: (points || []).map(point => ({
+                x: Math.min(Math.max(point.x, 0), 1),
+                y: Math.min(Math.max(point.y, 0), 1)
+            }))
+        };
+
+        const capabilities = track && typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        if (refocus !== false && (capabilities.focusMode || []).includes('single-shot')) {
+            constraints.focusMode = 'single-shot';
+        }
+
+        return this._applyTrackConstraints(constraints);
+    }
+
+    // exposureMode: 'continuous', 'single-shot' or 'manual'
+    setExposureMode(exposureMode) {
+        return this._applyTrackConstraints({ exposureMode: exposureMode });
+    }
+
+    // Exposure bias in EV, clamped to the camera's range and step
+    setExposureCompensation(exposureCompensation) {
+        return this._applyTrackConstraints({ exposureCompensation: exposureCompensation });
+    }
+
+    // whiteBalanceMode: 'continuous', 'single-shot' or 'manual'; colorTemperature (Kelvin) applies to 'manual'
+    setWhiteBalanceMode(whiteBalanceMode, colorTemperature) {
+        const constraints = { whiteBalanceMode: whiteBalanceMode };
+        if (whiteBalanceMode === 'manual' && typeof colorTemperature === 'number') {
+            constraints.colorTemperature = colorTemperature;
+        }
+        return this._applyTrackConstraints(constraints);
+    }
+
+    // Still-photo resolution used by capturePhoto. Without arguments the largest supported size is chosen.
+    async setPhotoResolution(width, height) {
+        const track = this._getVideoTrack();
+        if (!track) {
+            return { applied: false, settings: null, reason: 'No active camera stream' };
+        }
+
+        const imageCapture = this._getImageCapture(track);
+        if (!imageCapture) {
+            return { applied: false, settings: null, reason: 'ImageCapture is not supported by this browser' };
+        }
+
+        try {
+            const photo = await imageCapture.getPhotoCapabilities();
+            if (!photo.imageWidth || !photo.imageHeight || !photo.imageWidth.max) {
+                return { applied: false, settings: null, reason: 'Camera does not report still-photo resolutions' };
+            }
+
+            const requestedWidth = typeof width === 'number' ? width : photo.imageWidth.max;
+            const requestedHeight = typeof height === 'number' ? height : photo.imageHeight.max;
+            const settings = {
+                imageWidth: fitToRange(requestedWidth, photo.imageWidth),
+                imageHeight: fitToRange(requestedHeight, photo.imageHeight)
+            };
+
+            this.photoSettings = settings;
+            const exact = settings.imageWidth === requestedWidth && settings.imageHeight === requestedHeight;
+            return {
+                applied: true,
+                settings: settings,
+                reason: exact ? null : 'Requested resolution adjusted to the supported range'
+            };
+        } catch (error) {
+            console.error('Error setting photo resolution:', error);
+            return { applied: false, settings: null, reason: error.message };
+        }
+    }
+
+    // Edge detection
+
+    /**
+     * Start sampling preview frames, drawing the detected document outline on an overlay canvas
+     * and reporting corners to .NET via OnDocumentCornersDetected(corners, confidence, frameWidth, frameHeight)
+     * @param {HTMLCanvasElement} overlay - Canvas positioned over the preview
+     * @param {object} options - { framesPerSecond, maxDimension, edgeThreshold, strokeStyle, lineWidth }
+     * @param {object} dotNetRef - Optional callback target; the session's dotNetRef otherwise
+     * @returns {boolean} False when the overlay or image enhancement script is missing
+     */
+    startEdgeDetection(overlay, options = {}, dotNetRef = null) {
+        if (!overlay) {
+            console.error('Overlay canvas not found');
+            return false;
+        }
+        if (!window.imageEnhancement) {
+            console.error('Image enhancement module not loaded');
+            return false;
+        }
+
+        this.stopEdgeDetection();
+
+        const settings = {
+            framesPerSecond: 5,     // Detection rate
+            maxDimension: 320,      // Frames are downscaled to this size before detection
+            edgeThreshold: 50,
+            strokeStyle: '#00c853',
+            lineWidth: 4,
+            ...options
+        };
+
+        this.edgeDetection = {
+            overlay: overlay,
+            dotNetRef: dotNetRef || this.dotNetRef,
+            settings: settings,
+            sampleCanvas: document.createElement('canvas'),
+            timer: null,
+            lastCorners: null
+        };
+
+        this._scheduleEdgeDetection(0);
+        return true;
+    }
+
+    stopEdgeDetection() {
+        if (!this.edgeDetection) {
+            return;
+        }
+
+        clearTimeout(this.edgeDetection.timer);
+        const overlay = this.edgeDetection.overlay;
+        overlay.getContext('2d').clearRect(0, 0, overlay.width, overlay.height);
+        window.imageEnhancement._disposeCanvas(this.edgeDetection.sampleCanvas);
+        this.edgeDetection = null;
+    }
+
+    // Most recent corners in video pixel coordinates, or null if no document is in view
+    getDetectedCorners() {
+        return this.edgeDetection ? this.edgeDetection.lastCorners : null;
+    }
+
+    // Auto-capture
+
+    /**
+     * Auto-shutter: watch preview frames and capture once the document is sharp, well lit, framed
+     * and steady for several consecutive frames. Reports OnAutoCaptureProgress(stableFrames, requiredFrames, scores)
+     * while waiting and OnAutoCaptured(imageData) with the captured JPEG data URL. scores.cornerMovement is null
+     * until a document outline has been found in two frames in a row.
+     * @param {HTMLCanvasElement} canvas - Optional canvas that receives the captured frame
+     * @param {object} options - Thresholds, see defaults below
+     * @param {object} dotNetRef - Optional callback target; the session's dotNetRef otherwise
+     * @returns {boolean} False when the image quality scripts are missing
+     */
+    startAutoCapture(canvas, options = {}, dotNetRef = null) {
+        if (!window.imageQuality || !window.imageEnhancement) {
+            console.error('Image quality modules not loaded');
+            return false;
+        }
+
+        this.stopAutoCapture();
+
+        const settings = {
+            framesPerSecond: 4,
+            maxDimension: 480,          // Frames are downscaled to this size before analysis
+            requiredFrames: 5,          // Consecutive passing frames before the shutter fires
+            minBlurScore: 0.3,          // imageQuality.detectBlur blurScore
+            minLightingScore: 0.6,      // imageQuality.assessLighting lightingScore
+            minEdgeScore: 0.5,          // imageQuality.detectEdges edgeScore
+            maxCornerMovement: 0.02,    // Largest corner shift between frames, as a fraction of the frame diagonal
+            edgeThreshold: 50,
+            ...options
+        };
+
+        this.autoCapture = {
+            canvas: canvas || null,
+            dotNetRef: dotNetRef || this.dotNetRef,
+            settings: settings,
+            sampleCanvas: document.createElement('canvas'),
+            timer: null,
+            stableFrames: 0,
+            previousCorners: null
+        };
+
+        this._scheduleAutoCapture(0);
+        return true;
+    }
+
+    stopAutoCapture() {
+        if (!this.autoCapture) {
+            return;
+        }
+
+        clearTimeout(this.autoCapture.timer);
+        window.imageEnhancement._disposeCanvas(this.autoCapture.sampleCanvas);
+        this.autoCapture = null;
+    }
+
+    // Barcode scanning
+
+    /**
+     * Scan preview frames for barcodes and QR codes, outlining them on an optional overlay and reporting
+     * OnBarcodesDetected(barcodes, frameWidth, frameHeight) whenever the set of decoded values changes.
+     * Barcodes are { format, rawValue, cornerPoints, boundingBox, decoder } in video pixel coordinates.
+     * @param {HTMLCanvasElement} overlay - Optional canvas positioned over the preview
+     * @param {object} options - { formats, framesPerSecond, maxDimension, useNative, stopOnDetect, strokeStyle, lineWidth }
+     * @param {object} dotNetRef - Optional callback target; the session's dotNetRef otherwise
+     * @returns {boolean}
+     */
+    startBarcodeScanning(overlay, options = {}, dotNetRef = null) {
+        this.stopBarcodeScanning();
+
+        const settings = {
+            framesPerSecond: 4,
+            maxDimension: 1280,     // Frames are downscaled to this size for the fallback decoder
+            stopOnDetect: false,    // Stop after the first frame that contains a code
+            strokeStyle: '#2979ff',
+            lineWidth: 4,
+            ...options
+        };
+
+        this.barcodeScanning = {
+            overlay: overlay || null,
+            dotNetRef: dotNetRef || this.dotNetRef,
+            settings: settings,
+            sampleCanvas: document.createElement('canvas'),
+            timer: null,
+            lastKey: null,
+            lastBarcodes: []
+        };
+
+        this._scheduleBarcodeScan(0);
+        return true;
+    }
+
+    stopBarcodeScanning() {
+        if (!this.barcodeScanning) {
+            return;
+        }
+
+        const state = this.barcodeScanning;
+        clearTimeout(state.timer);
+        if (state.overlay) {
+            state.overlay.getContext('2d').clearRect(0, 0, state.overlay.width, state.overlay.height);
+        }
+        state.sampleCanvas.width = 0;
+        state.sampleCanvas.height = 0;
+        this.barcodeScanning = null;
+    }
+
+    // Codes found in the most recent scanned frame
+    getDetectedBarcodes() {
+        return this.barcodeScanning ? this.barcodeScanning.lastBarcodes : [];
+    }
+
+    /**
+     * Scan a single still for barcodes
+     * @param {object} options - { source: 'photo'|'frame', formats, useNative, maxDimension } plus capturePhotoBlob options;
+     *     'photo' reads a full-sensor still, which resolves small or dense codes the preview cannot
+     * @returns {Promise<{barcodes: object[], width: number, height: number}|null>} Coordinates are in pixels of the still
+     */
+    async scanBarcodes(options = {}) {
+        const settings = { source: 'photo', ...options };
+
+        try {
+            if (settings.source === 'frame') {
+                const frame = this.captureFrame(settings.canvas);
+                return frame ? { barcodes: await scanImage(frame, settings), width: frame.width, height: frame.height } : null;
+            }
+
+            const blob = await this.capturePhotoBlob(settings);
+            if (!blob) {
+                return null;
+            }
+
+            const bitmap = await createImageBitmap(blob);
+            try {
+                return { barcodes: await scanImage(bitmap, { ...settings, canvas: null }), width: bitmap.width, height: bitmap.height };
+            } finally {
+                bitmap.close();
+            }
+        } catch (error) {
+            console.error('Error scanning barcodes:', error);
+            return null;
+        }
+    }
+
+    // Helper methods
+
+    _buildConstraints(deviceId) {
+        return {
+            video: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
+                facingMode: deviceId ? undefined : this.options.facingMode,
+                width: { ideal: this.options.width },
+                height: { ideal: this.options.height }
+            },
+            audio: false
+        };
+    }
+
+    _releaseStream() {
+        clearTimeout(this.muteTimer);
+        this.muteTimer = null;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => {
+                track.onended = null;
+                track.onmute = null;
+                track.onunmute = null;
+                track.stop();
+            });
+            this.stream = null;
+        }
+        this.imageCapture = null;
+        this.photoSettings = null;
+    }
+
+    // Hot-plug and recovery
+
+    // ended: unplugged, permission revoked or the OS reclaimed the camera (never fired by our own track.stop()).
+    // mute: frames stopped, usually another app holding the camera; lost if it lasts past muteTimeoutMs.
+    _watchTrack(track) {
+        if (!track) {
+            return;
+        }
+
+        track.onended = () => this._handleCameraLost('ended');
+        track.onmute = () => {
+            this._emitStatus('muted', { reason: 'muted' });
+            clearTimeout(this.muteTimer);
+            this.muteTimer = setTimeout(() => this._handleCameraLost('muted'), this.options.muteTimeoutMs);
+        };
+        track.onunmute = () => {
+            clearTimeout(this.muteTimer);
+            this.muteTimer = null;
+            this._emitStatus('unmuted', { reason: 'unmuted' });
+        };
+    }
+
+    // Called by the devicechange listener with the refreshed device list
+    _handleDevicesChanged(devices) {
+        if (this.status === 'live' && this.deviceId && !devices.some(device => device.deviceId === this.deviceId)) {
+            this._handleCameraLost('unplugged');
+        } else if (this.status === 'lost' && this.options.autoRecover && devices.length > 0) {
+            // A camera came back (or a new one was plugged in) after recovery gave up
+            this._recover('device-added', this.deviceId);
+        }
+    }
+
+    _handleCameraLost(reason) {
+        if (this.status !== 'live') {
+            return; // Already recovering, lost or stopped
+        }
+
+        const previousDeviceId = this.deviceId;
+        // Frame analysis has nothing to read without a stream; whatever was running restarts after recovery
+        this.suspendedAnalysis = this._getRunningAnalysis();
+        this.stopEdgeDetection();
+        this.stopAutoCapture();
+        this.stopBarcodeScanning();
+        this._releaseStream();
+        this.status = 'lost';
+
+        this._emitStatus('disconnected', { reason: reason, deviceId: previousDeviceId });
+
+        if (this.options.autoRecover) {
+            this._recover(reason, previousDeviceId);
+        }
+    }
+
+    // Try the previous device first, then every other camera; resolves to true when a stream is live again
+    _recover(reason, previousDeviceId) {
+        if (this.recovery) {
+            return this.recovery;
+        }
+
+        const recovery = (async () => {
+            if (await checkPermission() === 'denied') {
+                this._emitStatus('recovery-failed', {
+                    reason: 'permission-revoked',
+                    previousDeviceId: previousDeviceId,
+                    message: 'Camera permission was revoked'
+                });
+                return false;
+            }
+
+            const devices = await refreshKnownDevices();
+            const candidates = devices.map(device => device.deviceId)
+                .sort((a, b) => (b === previousDeviceId) - (a === previousDeviceId));
+
+            let lastError = null;
+            for (const deviceId of candidates) {
+                if (this.recovery !== recovery) {
+                    return false; // Stopped or restarted while recovering
+                }
+                try {
+                    await this.start(deviceId);
+                    if (this.recovery !== recovery) {
+                        this._releaseStream();
+                        this.status = 'idle';
+                        return false;
+                    }
+                    this._resumeAnalysis();
+                    this._emitStatus('recovered', { reason: reason, previousDeviceId: previousDeviceId });
+                    return true;
+                } catch (error) {
+                    lastError = error;
+                    this.status = 'lost';
+                }
+            }
+
+            this._emitStatus('recovery-failed', {
+                reason: candidates.length === 0 ? 'no-camera' : reason,
+                previousDeviceId: previousDeviceId,
+                message: lastError ? lastError.message : 'No camera available'
+            });
+            return false;
+        })();
+
+        this.recovery = recovery;
+        recovery.finally(() => {
+            if (this.recovery === recovery) {
+                this.recovery = null;
+            }
+        });
+        return recovery;
+    }
+
+    // Start arguments of each frame analysis that is running
+    _getRunningAnalysis() {
+        const running = {};
+        if (this.edgeDetection) {
+            const state = this.edgeDetection;
+            running.edgeDetection = [state.overlay, state.settings, state.dotNetRef];
+        }
+        if (this.autoCapture) {
+            const state = this.autoCapture;
+            running.autoCapture = [state.canvas, state.settings, state.dotNetRef];
+        }
+        if (this.barcodeScanning) {
+            const state = this.barcodeScanning;
+            running.barcodeScanning = [state.overlay, state.settings, state.dotNetRef];
+        }
+        return running;
+    }
+
+    // Restart the analysis stopped when the camera was lost, unless it was started again meanwhile
+    _resumeAnalysis() {
+        const suspended = this.suspendedAnalysis || {};
+        this.suspendedAnalysis = null;
+
+        if (suspended.edgeDetection && !this.edgeDetection) {
+            this.startEdgeDetection(...suspended.edgeDetection);
+        }
+        if (suspended.autoCapture && !this.autoCapture) {
+            this.startAutoCapture(...suspended.autoCapture);
+        }
+        if (suspended.barcodeScanning && !this.barcodeScanning) {
+            this.startBarcodeScanning(...suspended.barcodeScanning);
+        }
+    }
+
+    _emitStatus(status, details) {
+        const update = {
+            status: status,
+            deviceId: details.deviceId !== undefined ? details.deviceId : this.deviceId,
+            previousDeviceId: details.previousDeviceId || null,
+            reason: details.reason || null,
+            message: details.message || null
+        };
+
+        this.statusListeners.forEach(listener => {
+            try {
+                listener(update);
+            } catch (error) {
+                console.error('Camera status listener failed:', error);
+            }
+        });
+
+        notifyDotNet(this.dotNetRef, 'OnCameraStatusChanged', update.status, update.deviceId, update.previousDeviceId,
+            update.reason, update.message);
+    }
+
+    _getVideoTrack() {
+        if (!this.stream) {
+            return null;
+        }
+        const track = this.stream.getVideoTracks()[0];
+        return track && track.readyState === 'live' ? track : null;
+    }
+
+    // One ImageCapture per track; recreated after a camera switch
+    _getImageCapture(track) {
+        if (typeof ImageCapture === 'undefined') {
+            return null;
+        }
+        if (!this.imageCapture || this.imageCapture.track !== track) {
+            this.imageCapture = new ImageCapture(track);
+            this.photoSettings = null;
+        }
+        return this.imageCapture;
+    }
+
+    async _applyTrackConstraints(requested) {
+        const names = Object.keys(requested);
+        const track = this._getVideoTrack();
+        if (!track) {
+            return { applied: false, settings: null, reason: 'No active camera stream' };
+        }
+
+        const capabilities = typeof track.getCapabilities === 'function' ? track.getCapabilities() : {};
+        const initial = track.getSettings();
+        const constraints = {};
+
+        for (const name of names) {
+            const capability = capabilities[name];
+            const value = requested[name];
+
+            // Constraints without a capability are supported when the track reports them as a setting
+            if (SETTING_ONLY_CONSTRAINTS.includes(name) ? !(name in initial) : capability === undefined) {
+                return { applied: false, settings: null, reason: `${name} is not supported by this camera` };
+            }
+
+            if (Array.isArray(capability) && typeof value !== 'boolean') {
+                // Enumerated modes, e.g. focusMode: ['continuous', 'manual']
+                if (!capability.includes(value)) {
+                    return {
+                        applied: false,
+                        settings: null,
+                        reason: `${name} '${value}' is not supported (supported: ${capability.join(', ')})`
+                    };
+                }
+                constraints[name] = value;
+            } else if (typeof value === 'number' && capability && typeof capability.max === 'number') {
+                constraints[name] = fitToRange(value, capability);
+            } else {
+                constraints[name] = value;
+            }
+        }
+
+        try {
+            await track.applyConstraints({ advanced: [constraints] });
+        } catch (error) {
+            console.error('Error applying camera constraints:', error);
+            return { applied: false, settings: null, reason: error.message };
+        }
+
+        // Cameras may accept a constraint and still ignore it; trust only what the track reports back
+        const current = track.getSettings();
+        const settings = {};
+        let applied = true;
+        for (const name of names) {
+            settings[name] = current[name];
+            if (!settingMatches(current[name], constraints[name], capabilities[name])) {
+                applied = false;
+            }
+        }
+
+        return { applied: applied, settings: settings, reason: applied ? null : 'Camera did not apply the requested setting' };
+    }
+
+    _scheduleEdgeDetection(delay) {
+        const state = this.edgeDetection;
+        state.timer = setTimeout(() => {
+            if (this.edgeDetection !== state) {
+                return;
+            }
+
+            const startedAt = performance.now();
+            this._detectPreviewEdges(state);
+
+            // Keep the configured rate, but never queue frames faster than we can process them
+            const interval = 1000 / state.settings.framesPerSecond;
+            const elapsed = performance.now() - startedAt;
+            if (this.edgeDetection === state) {
+                this._scheduleEdgeDetection(Math.max(interval - elapsed, 0));
+            }
+        }, delay);
+    }
+
+    _detectPreviewEdges(state) {
+        const video = this.video;
+        if (video.readyState < 2 || !video.videoWidth) {
+            return; // No frame available yet
+        }
+
+        try {
+            const frame = samplePreviewFrame(video, state.sampleCanvas, state.settings.maxDimension);
+            const result = window.imageEnhancement._detectQuadrilateral(
+                frame.imageData.data, frame.width, frame.height, state.settings.edgeThreshold);
+
+            // Scale corners back to full video resolution
+            const corners = result ? result.corners.map(corner => ({
+                x: Math.round(corner.x / frame.scale),
+                y: Math.round(corner.y / frame.scale)
+            })) : null;
+            const confidence = result ? result.confidence : 0;
+
+            state.lastCorners = corners;
+            drawOverlay(state.overlay, video, corners ? [corners] : [], state.settings);
+
+            notifyDotNet(state.dotNetRef, 'OnDocumentCornersDetected', corners, confidence, video.videoWidth, video.videoHeight);
+        } catch (error) {
+            console.error('Error detecting document edges:', error);
+        }
+    }
+
+    _scheduleBarcodeScan(delay) {
+        const state = this.barcodeScanning;
+        state.timer = setTimeout(async () => {
+            if (this.barcodeScanning !== state) {
+                return;
+            }
+
+            const startedAt = performance.now();
+            await this._scanPreviewBarcodes(state);
+
+            const interval = 1000 / state.settings.framesPerSecond;
+            const elapsed = performance.now() - startedAt;
+            if (this.barcodeScanning === state) {
+                this._scheduleBarcodeScan(Math.max(interval - elapsed, 0));
+            }
+        }, delay);
+    }
+
+    async _scanPreviewBarcodes(state) {
+        const video = this.video;
+        if (video.readyState < 2 || !video.videoWidth) {
+            return;
+        }
+
+        try {
+            const barcodes = await scanImage(video, { ...state.settings, canvas: state.sampleCanvas });
+            if (this.barcodeScanning !== state) {
+                return; // Stopped while the frame was being scanned
+            }
+
+            state.lastBarcodes = barcodes;
+            if (state.overlay) {
+                drawOverlay(state.overlay, video, barcodes.map(barcode => barcode.cornerPoints), state.settings);
+            }
+
+            // Codes shift slightly on every frame; only a change in what was read is worth reporting
+            const key = barcodes.map(barcode => `${barcode.format}:${barcode.rawValue}`).sort().join('\n');
+            if (key !== state.lastKey) {
+                state.lastKey = key;
+                notifyDotNet(state.dotNetRef, 'OnBarcodesDetected', barcodes, video.videoWidth, video.videoHeight);
+            }
+
+            if (state.settings.stopOnDetect && barcodes.length > 0) {
+                this.stopBarcodeScanning();
+            }
+        } catch (error) {
+            console.error('Error scanning preview for barcodes:', error);
+        }
+    }
+
+    _scheduleAutoCapture(delay) {
+        const state = this.autoCapture;
+        state.timer = setTimeout(async () => {
+            if (this.autoCapture !== state) {
+                return;
+            }
+
+            const startedAt = performance.now();
+            await this._evaluateAutoCaptureFrame(state);
+
+            const interval = 1000 / state.settings.framesPerSecond;
+            const elapsed = performance.now() - startedAt;
+            if (this.autoCapture === state) {
+                this._scheduleAutoCapture(Math.max(interval - elapsed, 0));
+            }
+        }, delay);
+    }
+
+    async _evaluateAutoCaptureFrame(state) {
+        const video = this.video;
+        if (video.readyState < 2 || !video.videoWidth) {
+            return;
+        }
+
+        try {
+            const settings = state.settings;
+            const frame = samplePreviewFrame(video, state.sampleCanvas, settings.maxDimension);
+
+            const [blur, lighting, edges] = await Promise.all([
+                window.imageQuality.detectBlur(state.sampleCanvas),
+                window.imageQuality.assessLighting(state.sampleCanvas),
+                window.imageQuality.detectEdges(state.sampleCanvas)
+            ]);
+
+            const quad = window.imageEnhancement._detectQuadrilateral(
+                frame.imageData.data, frame.width, frame.height, settings.edgeThreshold);
+            const corners = quad ? quad.corners : null;
+            const cornerMovement = measureCornerMovement(state.previousCorners, corners, frame.width, frame.height);
+            state.previousCorners = corners;
+
+            if (this.autoCapture !== state) {
+                return; // Stopped while the analysis was running
+            }
+
+            const scores = {
+                blurScore: blur.blurScore,
+                lightingScore: lighting.lightingScore,
+                edgeScore: edges.edgeScore,
+                // JSON has no Infinity (no outline in this or the previous frame); .NET reads null as no measurement
+                cornerMovement: Number.isFinite(cornerMovement) ? Math.round(cornerMovement * 1000) / 1000 : null
+            };
+
+            const passed = blur.blurScore >= settings.minBlurScore &&
+                lighting.lightingScore >= settings.minLightingScore &&
+                edges.edgeScore >= settings.minEdgeScore &&
+                cornerMovement <= settings.maxCornerMovement;
+
+            state.stableFrames = passed ? state.stableFrames + 1 : 0;
+
+            notifyDotNet(state.dotNetRef, 'OnAutoCaptureProgress', state.stableFrames, settings.requiredFrames, scores);
+
+            if (state.stableFrames >= settings.requiredFrames) {
+                this._fireAutoCapture(state);
+            }
+        } catch (error) {
+            console.error('Error evaluating auto-capture frame:', error);
+            state.stableFrames = 0;
+        }
+    }
+
+    _fireAutoCapture(state) {
+        this.stopAutoCapture();
+
+        const imageData = this.captureImage(state.canvas);
+        if (!imageData) {
+            console.error('Auto-capture failed to grab a frame');
+            return;
+        }
+
+        notifyDotNet(state.dotNetRef, 'OnAutoCaptured', imageData);
+    }
+}
+
+// Helper functions
+
+function notifyDotNet(dotNetRef, methodName, ...args) {
+    if (dotNetRef) {
+        dotNetRef.invokeMethodAsync(methodName, ...args)
+            .catch(error => console.error(`Failed to invoke .NET ${methodName} callback:`, error));
+    }
+}
+
+function ensureDeviceWatch() {
+    if (deviceWatchActive || !navigator.mediaDevices || !navigator.mediaDevices.addEventListener) {
+        return;
+    }
+
+    navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+    deviceWatchActive = true;
+    refreshKnownDevices();
+}
+
+// Keep listening while there are subscribers or live sessions
+function releaseDeviceWatch() {
+    const inUse = deviceListeners.size > 0 ||
+        Array.from(sessions.values()).some(session => session.status !== 'idle');
+    if (!deviceWatchActive || inUse) {
+        return;
+    }
+
+    navigator.mediaDevices.removeEventListener('devicechange', handleDeviceChange);
+    deviceWatchActive = false;
+}
+
+async function refreshKnownDevices() {
+    knownDevices = await getCameraDevices();
+    return knownDevices;
+}
+
+function handleDeviceChange() {
+    deviceChanges = deviceChanges.then(applyDeviceChange)
+        .catch(error => console.error('Error handling camera device change:', error));
+    return deviceChanges;
+}
+
+async function applyDeviceChange() {
+    const previous = knownDevices;
+    const devices = await refreshKnownDevices();
+
+    const added = devices.filter(device => !previous.some(known => known.deviceId === device.deviceId));
+    const removed = previous.filter(known => !devices.some(device => device.deviceId === known.deviceId));
+
+    sessions.forEach(session => session._handleDevicesChanged(devices));
+
+    deviceListeners.forEach(listener => {
+        try {
+            listener(devices, added, removed);
+        } catch (error) {
+            console.error('Camera device listener failed:', error);
+        }
+    });
+}
+
+function samplePreviewFrame(video, canvas, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(video.videoWidth, video.videoHeight));
+    const width = Math.round(video.videoWidth * scale);
+    const height = Math.round(video.videoHeight * scale);
+
+    if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+    }
+
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(video, 0, 0, width, height);
+
+    return {
+        imageData: context.getImageData(0, 0, width, height),
+        width: width,
+        height: height,
+        scale: scale
+    };
+}
+
+// Outline each polygon of { x, y } points; settings supply strokeStyle and lineWidth
+function drawOverlay(overlay, video, polygons, settings) {
+    // Overlay uses video pixel coordinates; CSS scales it over the preview like the video itself
+    if (overlay.width !== video.videoWidth || overlay.height !== video.videoHeight) {
+        overlay.width = video.videoWidth;
+        overlay.height = video.videoHeight;
+    }
+
+    const context = overlay.getContext('2d');
+    context.clearRect(0, 0, overlay.width, overlay.height);
+
+    context.strokeStyle = settings.strokeStyle;
+    context.lineWidth = settings.lineWidth;
+    context.lineJoin = 'round';
+    polygons.forEach(corners => {
+        context.beginPath();
+        corners.forEach((corner, index) => {
+            if (index === 0) {
+                context.moveTo(corner.x, corner.y);
+            } else {
+                context.lineTo(corner.x, corner.y);
+            }
+        });
+        context.closePath();
+        context.stroke();
+    });
+}
+
+// Largest corner displacement relative to the frame diagonal; Infinity when either frame has no document
+function measureCornerMovement(previous, current, width, height) {
+    if (!previous || !current) {
+        return Infinity;
+    }
+
+    const diagonal = Math.sqrt(width * width + height * height);
+    let maxShift = 0;
+    for (let i = 0; i < 4; i++) {
+        const dx = current[i].x - previous[i].x;
+        const dy = current[i].y - previous[i].y;
+        maxShift = Math.max(maxShift, Math.sqrt(dx * dx + dy * dy));
+    }
+
+    return maxShift / diagonal;
+}
+
+// Keep requested values inside the camera's PhotoCapabilities; resolution defaults to the sensor maximum
+// and unsupported modes are dropped
+function buildPhotoSettings(capabilities, options) {
+    const photoSettings = {};
+    const { imageWidth, imageHeight } = capabilities;
+    if (imageWidth && imageWidth.max && imageHeight && imageHeight.max) {
+        photoSettings.imageWidth = fitToRange(options.imageWidth || imageWidth.max, imageWidth);
+        photoSettings.imageHeight = fitToRange(options.imageHeight || imageHeight.max, imageHeight);
+    }
+
+    if (options.fillLightMode && Array.from(capabilities.fillLightMode || []).includes(options.fillLightMode)) {
+        photoSettings.fillLightMode = options.fillLightMode;
+    }
+
+    if (typeof options.redEyeReduction === 'boolean' && capabilities.redEyeReduction === 'controllable') {
+        photoSettings.redEyeReduction = options.redEyeReduction;
+    }
+
+    return photoSettings;
+}
+
+function settingMatches(actual, expected, capability) {
+    if (actual === undefined) {
+        return false;
+    }
+
+    if (typeof expected === 'number') {
+        const tolerance = capability && capability.step ? capability.step / 2 : Math.abs(expected) * 0.01;
+        return Math.abs(actual - expected) <= tolerance + 1e-9;
+    }
+
+    if (Array.isArray(expected)) {
+        // pointsOfInterest: same points, allowing for rounding in the driver
+        return Array.isArray(actual) && actual.length === expected.length &&
+            expected.every((point, i) => Math.abs(actual[i].x - point.x) < 0.01 && Math.abs(actual[i].y - point.y) < 0.01);
+    }
+
+    return actual === expected;
+}
+
+// Clamp to { min, max } and snap to step
+function fitToRange(value, range) {
+    let fitted = Math.min(Math.max(value, range.min), range.max);
+    if (range.step) {
+        fitted = range.min + Math.round((fitted - range.min) / range.step) * range.step;
+        fitted = Math.min(fitted, range.max);
+    }
+    return fitted;
+}
+
+// MediaSettingsRange is a platform object; copy it so it survives JSON marshalling to .NET
+function copyRange(range) {
+    return range ? { min: range.min, max: range.max, step: range.step } : null;
+}
+
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (blob) {
+                resolve(blob);
+            } else {
+                reject(new Error('Canvas encoding failed'));
+            }
+        }, type, quality);
+    });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Export internal functions for testing
+export const _internal = {
+    sessions,
+    buildPhotoSettings,
+    settingMatches,
+    fitToRange,
+    measureCornerMovement
+};
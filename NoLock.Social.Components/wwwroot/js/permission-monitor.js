@@ -0,0 +1,289 @@
+/**
+ * Permission monitor module
+ * Shared camera/microphone permission state: keeps each PermissionStatus alive, relays its change events,
+ * and describes how to re-enable a denied permission in the current browser.
+ * States are always one of PERMISSION_STATES, lowercase, whichever API the caller used.
+ */
+
+export const PERMISSION_STATES = Object.freeze({
+    GRANTED: 'granted',
+    DENIED: 'denied',
+    PROMPT: 'prompt',           // Not decided yet, or the browser cannot tell without asking
+    UNSUPPORTED: 'unsupported'  // No getUserMedia, or no such device
+});
+
+const MEDIA_CONSTRAINTS = {
+    camera: { video: true },
+    microphone: { audio: true }
+};
+
+// name -> { status: PermissionStatus|null, state, systemBlocked, listeners: Set }
+const entries = new Map();
+
+/**
+ * Current permission state. The PermissionStatus is kept so later changes reach subscribers.
+ * @param {string} name - 'camera' or 'microphone'
+ * @returns {Promise<string>} One of PERMISSION_STATES
+ */
+export async function queryPermission(name) {
+    const entry = getEntry(name);
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        updateState(name, PERMISSION_STATES.UNSUPPORTED);
+        return entry.state;
+    }
+
+    // Safari fires no change events, so a change may only show up when the state is queried again
+    if (entry.status) {
+        updateState(name, normalizeState(entry.status.state));
+        return entry.state;
+    }
+
+    try {
+        if (navigator.permissions && navigator.permissions.query) {
+            const status = await navigator.permissions.query({ name: name });
+            if (!entry.status) {
+                entry.status = status;
+                status.addEventListener('change', () => updateState(name, normalizeState(status.state)));
+            }
+            updateState(name, normalizeState(entry.status.state));
+            return entry.state;
+        }
+    } catch (error) {
+        // Firefox and older Safari reject 'camera'/'microphone' queries; fall back to what we last observed
+        console.log(`Permissions API cannot query ${name}, will request on use`);
+    }
+
+    return entry.state || PERMISSION_STATES.PROMPT;
+}
+
+/**
+ * Ask for access by opening and immediately closing a stream
+ * @param {string} name - 'camera' or 'microphone'
+ * @returns {Promise<string>} One of PERMISSION_STATES
+ */
+export async function requestPermission(name) {
+    const entry = getEntry(name);
+
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        console.error('Media devices API not supported in this browser');
+        updateState(name, PERMISSION_STATES.UNSUPPORTED);
+        return entry.state;
+    }
+
+    try {
+        const stream = await navigator.mediaDevices.getUserMedia(MEDIA_CONSTRAINTS[name]);
+        stream.getTracks().forEach(track => track.stop());
+        entry.systemBlocked = false;
+        updateState(name, PERMISSION_STATES.GRANTED);
+    } catch (error) {
+        console.error(`${name} permission request failed:`, error);
+
+        if (error.name === 'NotFoundError' || error.name === 'DevicesNotFoundError') {
+            updateState(name, PERMISSION_STATES.UNSUPPORTED);
+        } else {
+            // Chrome on macOS reports an OS-level block as NotAllowedError "Permission denied by system"
+            entry.systemBlocked = /system/i.test(error.message || '');
+            updateState(name, PERMISSION_STATES.DENIED);
+        }
+    }
+
+    return entry.state;
+}
+
+/**
+ * Subscribe to permission changes. The callback receives (state, instructions); instructions is
+ * non-null only for 'denied'. Browsers without PermissionStatus events report changes seen by requestPermission.
+ * @param {string} name - 'camera' or 'microphone'
+ * @param {function} callback - Listener
+ * @returns {function} Unsubscribe function
+ */
+export function subscribe(name, callback) {
+    const entry = getEntry(name);
+    entry.listeners.add(callback);
+    queryPermission(name);
+    return () => entry.listeners.delete(callback);
+}
+
+/**
+ * Relay changes to .NET as OnPermissionChanged(name, state, instructions)
+ * @param {string} name - 'camera' or 'microphone'
+ * @param {object} dotNetRef - .NET object reference
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeDotNet(name, dotNetRef) {
+    return subscribe(name, (state, instructions) => {
+        dotNetRef.invokeMethodAsync('OnPermissionChanged', name, state, instructions)
+            .catch(error => console.error('Failed to invoke .NET permission callback:', error));
+    });
+}
+
+/**
+ * Steps for re-enabling a denied permission in the current browser
+ * @param {string} name - 'camera' or 'microphone'
+ * @returns {{browser: string, steps: string[], settingsUrl: string|null}}
+ */
+export function getRecoveryInstructions(name) {
+    const entry = getEntry(name);
+    const label = name === 'microphone' ? 'Microphone' : 'Camera';
+    const platform = detectPlatform();
+
+    let instructions;
+    if (platform.ios && platform.browser !== 'Safari') {
+        // Other iOS browsers take camera and microphone access from the system Settings app
+        return {
+            browser: platform.browser,
+            steps: [
+                `Open the Settings app and select ${platform.browser}.`,
+                `Turn on ${label}.`,
+                'Return to the browser and reload the page.'
+            ],
+            settingsUrl: null
+        };
+    }
+
+    switch (platform.browser) {
+        case 'Edge':
+        case 'Chrome':
+        case 'Opera':
+        case 'Samsung Internet':
+            instructions = {
+                browser: platform.browser,
+                steps: platform.mobile ? [
+                    'Tap the icon to the left of the address bar.',
+                    `Tap Permissions, then set ${label} to Allow.`,
+                    'Reload the page.'
+                ] : [
+                    'Click the icon to the left of the address bar.',
+                    `Set ${label} to Allow.`,
+                    'Reload the page.'
+                ],
+                settingsUrl: platform.mobile ? null : chromiumSettingsUrl(platform.browser, name)
+            };
+            break;
+        case 'Firefox':
+            instructions = {
+                browser: 'Firefox',
+                steps: [
+                    `Click the crossed-out ${label.toLowerCase()} icon in the address bar.`,
+                    'Clear the Blocked setting for this site.',
+                    `Reload the page and choose Allow when asked for the ${label.toLowerCase()}.`
+                ],
+                settingsUrl: 'about:preferences#privacy'
+            };
+            break;
+        case 'Safari':
+            instructions = {
+                browser: 'Safari',
+                steps: platform.ios ? [
+                    'Tap the page settings button (aA) in the address bar.',
+                    `Tap Website Settings, then set ${label} to Allow.`,
+                    'Reload the page.'
+                ] : [
+                    'Open Safari > Settings for This Website.',
+                    `Set ${label} to Allow.`,
+                    'Reload the page.'
+                ],
+                settingsUrl: null
+            };
+            break;
+        default:
+            instructions = {
+                browser: platform.browser,
+                steps: [
+                    `Open this site's settings in your browser.`,
+                    `Allow access to the ${label.toLowerCase()}.`,
+                    'Reload the page.'
+                ],
+                settingsUrl: null
+            };
+    }
+
+    // The browser allows it but the operating system does not
+    if (entry.systemBlocked) {
+        instructions.steps.unshift(platform.os === 'macOS' ?
+            `Open System Settings > Privacy & Security > ${label} and enable ${platform.browser}.` :
+            platform.os === 'Windows' ?
+                `Open Settings > Privacy & security > ${label} and allow desktop apps to access the ${label.toLowerCase()}.` :
+                `Allow ${platform.browser} to use the ${label.toLowerCase()} in your system settings.`);
+    }
+
+    return instructions;
+}
+
+// Helper functions
+
+function getEntry(name) {
+    if (!MEDIA_CONSTRAINTS[name]) {
+        throw new Error(`Unsupported permission '${name}'`);
+    }
+    if (!entries.has(name)) {
+        entries.set(name, { status: null, state: null, systemBlocked: false, listeners: new Set() });
+    }
+    return entries.get(name);
+}
+
+function updateState(name, state) {
+    const entry = getEntry(name);
+    if (entry.state === state) {
+        return;
+    }
+
+    entry.state = state;
+    if (state === PERMISSION_STATES.GRANTED) {
+        entry.systemBlocked = false;
+    }
+
+    const instructions = state === PERMISSION_STATES.DENIED ? getRecoveryInstructions(name) : null;
+    entry.listeners.forEach(listener => {
+        try {
+            listener(state, instructions);
+        } catch (error) {
+            console.error('Permission listener failed:', error);
+        }
+    });
+}
+
+function normalizeState(state) {
+    switch ((state || '').toLowerCase()) {
+        case 'granted':
+            return PERMISSION_STATES.GRANTED;
+        case 'denied':
+            return PERMISSION_STATES.DENIED;
+        default:
+            return PERMISSION_STATES.PROMPT;
+    }
+}
+
+function detectPlatform(userAgent = navigator.userAgent) {
+    const ios = /iPhone|iPad|iPod/.test(userAgent) ||
+        (/Macintosh/.test(userAgent) && navigator.maxTouchPoints > 1);
+    const mobile = ios || /Android|Mobile/.test(userAgent);
+    const os = ios ? 'iOS' :
+        /Android/.test(userAgent) ? 'Android' :
+        /Mac OS X/.test(userAgent) ? 'macOS' :
+        /Windows/.test(userAgent) ? 'Windows' :
+        /Linux|CrOS/.test(userAgent) ? 'Linux' : 'Unknown';
+
+    // Order matters: Edge, Opera and Samsung Internet also claim Chrome, and every browser claims Safari
+    const browser = /Edg\/|EdgiOS/.test(userAgent) ? 'Edge' :
+        /OPR\//.test(userAgent) ? 'Opera' :
+        /SamsungBrowser/.test(userAgent) ? 'Samsung Internet' :
+        /Firefox|FxiOS/.test(userAgent) ? 'Firefox' :
+        /Chrome|CriOS/.test(userAgent) ? 'Chrome' :
+        /Safari/.test(userAgent) ? 'Safari' : 'your browser';
+
+    return { browser: browser, os: os, mobile: mobile, ios: ios };
+}
+
+function chromiumSettingsUrl(browser, name) {
+    const scheme = browser === 'Edge' ? 'edge' : browser === 'Opera' ? 'opera' : 'chrome';
+    return `${scheme}://settings/content/${name}`;
+}
+
+// Export internal functions for testing
+export const _internal = {
+    entries,
+    normalizeState,
+    detectPlatform
+};
@@ -1,9 +1,12 @@
 using System;
 using System.Collections.Generic;
+using System.Linq;
+using System.Text.Json;
 using System.Threading.Tasks;
 using FluentAssertions;
 using Microsoft.Extensions.Logging;
 using Microsoft.JSInterop;
+using Microsoft.JSInterop.Infrastructure;
 using Moq;
 using NoLock.Social.Core.Camera.Interfaces;
 using NoLock.Social.Core.Camera.Models;
@@ -74,6 +77,245 @@ namespace NoLock.Social.Core.Tests.Camera
             await Assert.ThrowsAsync<ObjectDisposedException>(async () => await _sut.InitializeAsync());
         }
 
+        [Fact]
+        public async Task InitializeAsync_RegistersCameraEventsOnce()
+        {
+            // Arrange
+            _jsRuntimeMock
+                .Setup(x => x.InvokeAsync<IJSVoidResult>("registerCameraEvents", It.IsAny<object[]>()))
+                .ReturnsAsync(Mock.Of<IJSVoidResult>());
+
+            // Act
+            await _sut.InitializeAsync();
+            await _sut.InitializeAsync();
+
+            // Assert
+            _jsRuntimeMock.Verify(x => x.InvokeAsync<IJSVoidResult>(
+                "registerCameraEvents",
+                It.Is<object[]>(args => args.Length == 1 && args[0] is DotNetObjectReference<CameraService>)),
+                Times.Once);
+        }
+
+        [Fact]
+        public async Task InitializeAsync_WhenRegistrationFails_StillCompletes()
+        {
+            // Arrange
+            _jsRuntimeMock
+                .Setup(x => x.InvokeAsync<IJSVoidResult>("registerCameraEvents", It.IsAny<object[]>()))
+                .ThrowsAsync(new JSException("cameraInterop is not defined"));
+
+            // Act
+            var action = () => _sut.InitializeAsync().AsTask();
+
+            // Assert
+            await action.Should().NotThrowAsync();
+        }
+
+        #endregion
+
+        #region Camera Event Tests
+
+        [Fact]
+        public void OnCameraDevicesChanged_ReportsAddedAndRemovedDevices()
+        {
+            // Arrange
+            var events = new List<CameraDevicesChangedEventArgs>();
+            _sut.CameraDevicesChanged += (_, args) => events.Add(args);
+            var front = new CameraDeviceInfo { DeviceId = "front", Label = "Front" };
+            var usb = new CameraDeviceInfo { DeviceId = "usb", Label = "USB Webcam" };
+            var back = new CameraDeviceInfo { DeviceId = "back", Label = "Back" };
+
+            // Act
+            _sut.OnCameraDevicesChanged(new[] { front, usb });
+            _sut.OnCameraDevicesChanged(new[] { front, back });
+
+            // Assert
+            events.Should().HaveCount(2);
+            events[0].Added.Select(d => d.DeviceId).Should().BeEquivalentTo("front", "usb");
+            events[1].Devices.Should().HaveCount(2);
+            events[1].Added.Select(d => d.DeviceId).Should().BeEquivalentTo("back");
+            events[1].Removed.Select(d => d.DeviceId).Should().BeEquivalentTo("usb");
+        }
+
+        [Theory]
+        [InlineData("disconnected", CameraConnectionStatus.Disconnected)]
+        [InlineData("muted", CameraConnectionStatus.Muted)]
+        [InlineData("unmuted", CameraConnectionStatus.Unmuted)]
+        [InlineData("recovered", CameraConnectionStatus.Recovered)]
+        [InlineData("recovery-failed", CameraConnectionStatus.RecoveryFailed)]
+        public void OnCameraStatusChanged_RaisesEventWithParsedStatus(string status, CameraConnectionStatus expected)
+        {
+            // Arrange
+            CameraStatusChangedEventArgs? received = null;
+            _sut.CameraStatusChanged += (_, args) => received = args;
+
+            // Act
+            _sut.OnCameraStatusChanged(status, "usb", "front", "unplugged", null);
+
+            // Assert
+            received.Should().NotBeNull();
+            received!.Status.Should().Be(expected);
+            received.DeviceId.Should().Be("usb");
+            received.PreviousDeviceId.Should().Be("front");
+            received.Reason.Should().Be("unplugged");
+        }
+
+        [Fact]
+        public async Task InitializeAsync_StartsCameraPermissionMonitoring()
+        {
+            // Act
+            await _sut.InitializeAsync();
+
+            // Assert
+            _jsRuntimeMock.Verify(x => x.InvokeAsync<IJSVoidResult>(
+                "cameraPermissions.startMonitoring",
+                It.Is<object[]>(args => args.Length == 1 && args[0] is DotNetObjectReference<CameraService>)),
+                Times.Once);
+        }
+
+        [Fact]
+        public void OnPermissionChanged_WhenDenied_RaisesEventWithInstructions()
+        {
+            // Arrange
+            CameraPermissionChangedEventArgs? received = null;
+            _sut.PermissionStateChanged += (_, args) => received = args;
+            _sut.OnPermissionChanged("camera", "granted", null);
+            var instructions = new PermissionRecoveryInstructions
+            {
+                Browser = "Chrome",
+                Steps = new[] { "Click the icon to the left of the address bar." },
+                SettingsUrl = "chrome://settings/content/camera"
+            };
+
+            // Act
+            _sut.OnPermissionChanged("camera", "denied", instructions);
+
+            // Assert
+            received.Should().NotBeNull();
+            received!.State.Should().Be(CameraPermissionState.Denied);
+            received.PreviousState.Should().Be(CameraPermissionState.Granted);
+            received.Instructions.Should().BeSameAs(instructions);
+        }
+
+        [Fact]
+        public void OnPermissionChanged_ForMicrophone_IsIgnored()
+        {
+            // Arrange
+            var raised = false;
+            _sut.PermissionStateChanged += (_, _) => raised = true;
+
+            // Act
+            _sut.OnPermissionChanged("microphone", "denied", null);
+
+            // Assert
+            raised.Should().BeFalse();
+        }
+
+        [Fact]
+        public void OnCameraStatusChanged_WithUnknownStatus_DoesNotRaiseEvent()
+        {
+            // Arrange
+            var raised = false;
+            _sut.CameraStatusChanged += (_, _) => raised = true;
+
+            // Act
+            _sut.OnCameraStatusChanged("exploded", "usb", null, null, null);
+
+            // Assert
+            raised.Should().BeFalse();
+        }
+
+        #endregion
+
+        #region Auto-Capture Tests
+
+        [Fact]
+        public async Task StartAutoCaptureAsync_PassesEventsReferenceAndReturnsResult()
+        {
+            // Arrange
+            var options = new { requiredFrames = 3 };
+            _jsRuntimeMock
+                .Setup(x => x.InvokeAsync<bool>("startAutoCapture", It.IsAny<object[]>()))
+                .ReturnsAsync(true);
+
+            // Act
+            var started = await _sut.StartAutoCaptureAsync("capture-canvas", options);
+
+            // Assert
+            started.Should().BeTrue();
+            _jsRuntimeMock.Verify(x => x.InvokeAsync<bool>(
+                "startAutoCapture",
+                It.Is<object[]>(args => args.Length == 3 &&
+                    (string)args[0] == "capture-canvas" &&
+                    args[1] is DotNetObjectReference<CameraService> &&
+                    ReferenceEquals(args[2], options))),
+                Times.Once);
+        }
+
+        [Fact]
+        public async Task StartAutoCaptureAsync_WhenJSFails_ReturnsFalse()
+        {
+            // Arrange
+            _jsRuntimeMock
+                .Setup(x => x.InvokeAsync<bool>("startAutoCapture", It.IsAny<object[]>()))
+                .ThrowsAsync(new JSException("startAutoCapture is not defined"));
+
+            // Act
+            var started = await _sut.StartAutoCaptureAsync();
+
+            // Assert
+            started.Should().BeFalse();
+        }
+
+        [Fact]
+        public void OnAutoCaptureProgress_RaisesEventWithScores()
+        {
+            // Arrange
+            AutoCaptureProgressEventArgs? received = null;
+            _sut.AutoCaptureProgress += (_, args) => received = args;
+            var scores = new AutoCaptureScores { BlurScore = 0.8, LightingScore = 0.7, EdgeScore = 0.9, CornerMovement = null };
+
+            // Act
+            _sut.OnAutoCaptureProgress(2, 5, scores);
+
+            // Assert
+            received.Should().NotBeNull();
+            received!.StableFrames.Should().Be(2);
+            received.RequiredFrames.Should().Be(5);
+            received.Scores.Should().BeSameAs(scores);
+            received.Scores.CornerMovement.Should().BeNull();
+        }
+
+        [Fact]
+        public void AutoCaptureScores_WithoutCornerMeasurement_DeserializesFromJS()
+        {
+            // Arrange - the scores object as posted by camera-session.js before an outline is tracked
+            var json = "{\"blurScore\":0.8,\"lightingScore\":0.7,\"edgeScore\":0.9,\"cornerMovement\":null}";
+
+            // Act
+            var scores = JsonSerializer.Deserialize<AutoCaptureScores>(json, new JsonSerializerOptions(JsonSerializerDefaults.Web));
+
+            // Assert
+            scores.Should().NotBeNull();
+            scores!.BlurScore.Should().Be(0.8);
+            scores.CornerMovement.Should().BeNull();
+        }
+
+        [Fact]
+        public void OnAutoCaptured_RaisesEventWithImageData()
+        {
+            // Arrange
+            AutoCapturedEventArgs? received = null;
+            _sut.AutoCaptured += (_, args) => received = args;
+
+            // Act
+            _sut.OnAutoCaptured("data:image/jpeg;base64,/9j/");
+
+            // Assert
+            received.Should().NotBeNull();
+            received!.ImageData.Should().Be("data:image/jpeg;base64,/9j/");
+        }
+
         #endregion
 
         #region Permission Tests
@@ -460,12 +702,30 @@ namespace NoLock.Social.Core.Tests.Camera
 
             // Assert
             result.Should().NotBeNull();
-            result.OverallScore.Should().BeInRange(70, 80); // Based on weighted calculation
+            result.OverallScore.Should().Be(78); // The assessment's combined score, as a percentage
             result.BlurScore.Should().Be(0.8);
             result.LightingScore.Should().Be(0.7);
             result.EdgeDetectionScore.Should().Be(0.9);
         }
 
+        [Fact]
+        public async Task ValidateImageQualityAsync_DecodesImageOnceThroughAssess()
+        {
+            // Arrange
+            var image = new CapturedImage { ImageData = "base64data" };
+            SetupQualityMocks(0.8, 0.7, 0.9, "Move closer", "Reduce glare top-left");
+
+            // Act
+            var result = await _sut.ValidateImageQualityAsync(image);
+
+            // Assert
+            result.Fixes.Should().Equal("Move closer", "Reduce glare top-left");
+            _jsRuntimeMock.Verify(x => x.InvokeAsync<object>("imageQuality.assess", It.IsAny<object[]>()), Times.Once);
+            _jsRuntimeMock.Verify(x => x.InvokeAsync<object>("imageQuality.detectBlur", It.IsAny<object[]>()), Times.Never);
+            _jsRuntimeMock.Verify(x => x.InvokeAsync<object>("imageQuality.assessLighting", It.IsAny<object[]>()), Times.Never);
+            _jsRuntimeMock.Verify(x => x.InvokeAsync<object>("imageQuality.detectEdges", It.IsAny<object[]>()), Times.Never);
+        }
+
         [Theory]
         [InlineData(0.3, 0.8, 0.8, true, false, false)] // Blur issue only
         [InlineData(0.8, 0.4, 0.8, false, true, false)] // Lighting issue only
@@ -963,7 +1223,7 @@ namespace NoLock.Social.Core.Tests.Camera
             var image = new CapturedImage { ImageData = "base64data" };
             
             _jsRuntimeMock
-                .Setup(x => x.InvokeAsync<object>("imageQuality.detectBlur", It.IsAny<object[]>()))
+                .Setup(x => x.InvokeAsync<object>("imageQuality.assess", It.IsAny<object[]>()))
                 .ThrowsAsync(new JSException("Quality analysis failed"));
 
             // Act & Assert
@@ -1046,33 +1306,42 @@ namespace NoLock.Social.Core.Tests.Camera
             await _sut.StartStreamAsync();
         }
 
-        private void SetupQualityMocks(double blurScore, double lightingScore, double edgeScore)
+        private void SetupQualityMocks(double blurScore, double lightingScore, double edgeScore, params string[] fixes)
         {
-            // Setup blur detection
+            // imageQuality.assess report, reduced to the fields CameraService reads
             dynamic blurData = new System.Dynamic.ExpandoObject();
             blurData.blurScore = blurScore;
             blurData.threshold = 0.5;
-            _jsRuntimeMock
-                .Setup(x => x.InvokeAsync<object>("imageQuality.detectBlur", It.IsAny<object[]>()))
-                .ReturnsAsync((object)blurData);
 
-            // Setup lighting assessment
             dynamic lightingData = new System.Dynamic.ExpandoObject();
             lightingData.lightingScore = lightingScore;
-            lightingData.brightness = 128.0;
+            lightingData.brightness = 0.5;
             lightingData.contrast = 0.5;
-            _jsRuntimeMock
-                .Setup(x => x.InvokeAsync<object>("imageQuality.assessLighting", It.IsAny<object[]>()))
-                .ReturnsAsync((object)lightingData);
 
-            // Setup edge detection
             dynamic edgeData = new System.Dynamic.ExpandoObject();
             edgeData.edgeScore = edgeScore;
-            edgeData.edgeCount = 4;
+            edgeData.edgeCount = 0.25;
             edgeData.confidence = 0.7;
+
+            var fixData = new List<object>();
+            foreach (var message in fixes)
+            {
+                dynamic fix = new System.Dynamic.ExpandoObject();
+                fix.code = "fix";
+                fix.message = message;
+                fix.severity = 0.5;
+                fixData.Add(fix);
+            }
+
+            dynamic report = new System.Dynamic.ExpandoObject();
+            report.overallScore = 0.78;
+            report.blur = blurData;
+            report.lighting = lightingData;
+            report.edges = edgeData;
+            report.fixes = fixData;
             _jsRuntimeMock
-                .Setup(x => x.InvokeAsync<object>("imageQuality.detectEdges", It.IsAny<object[]>()))
-                .ReturnsAsync((object)edgeData);
+                .Setup(x => x.InvokeAsync<object>("imageQuality.assess", It.IsAny<object[]>()))
+                .ReturnsAsync((object)report);
         }
 
         #endregion
@@ -7,6 +7,17 @@ namespace NoLock.Social.Core.Camera.Interfaces
         // Initialization for Story 1.8
         ValueTask InitializeAsync();
         
+        // Camera hot-plug and stream loss, raised from JavaScript once initialized
+        event EventHandler<CameraDevicesChangedEventArgs>? CameraDevicesChanged;
+        event EventHandler<CameraStatusChangedEventArgs>? CameraStatusChanged;
+        event EventHandler<CameraPermissionChangedEventArgs>? PermissionStateChanged;
+        
+        // Auto-shutter: fires once the document has been sharp, well lit and steady for several frames
+        event EventHandler<AutoCaptureProgressEventArgs>? AutoCaptureProgress;
+        event EventHandler<AutoCapturedEventArgs>? AutoCaptured;
+        ValueTask<bool> StartAutoCaptureAsync(string? canvasId = null, object? options = null);
+        ValueTask StopAutoCaptureAsync();
+        
         ValueTask<CameraPermissionState> RequestPermission();
         ValueTask<CameraPermissionState> GetPermissionStateAsync();
         ValueTask<CameraStream> StartStreamAsync();
@@ -0,0 +1,23 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// Event arguments for an auto-capture frame that was evaluated but did not fire the shutter yet
+/// </summary>
+public class AutoCaptureProgressEventArgs : EventArgs
+{
+    /// <summary>
+    /// Consecutive frames that passed every threshold; reset to 0 by a failing frame
+    /// </summary>
+    public int StableFrames { get; }
+    
+    public int RequiredFrames { get; }
+    public AutoCaptureScores Scores { get; }
+    public DateTime Timestamp { get; } = DateTime.UtcNow;
+
+    public AutoCaptureProgressEventArgs(int stableFrames, int requiredFrames, AutoCaptureScores scores)
+    {
+        StableFrames = stableFrames;
+        RequiredFrames = requiredFrames;
+        Scores = scores;
+    }
+}
@@ -0,0 +1,17 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// Quality scores of one preview frame evaluated by auto-capture
+/// </summary>
+public class AutoCaptureScores
+{
+    public double BlurScore { get; set; }
+    public double LightingScore { get; set; }
+    public double EdgeScore { get; set; }
+    
+    /// <summary>
+    /// Largest corner shift since the previous frame, as a fraction of the frame diagonal;
+    /// null while the document outline has not been found in two frames in a row
+    /// </summary>
+    public double? CornerMovement { get; set; }
+}
@@ -0,0 +1,19 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// Event arguments for the frame taken when auto-capture fires
+/// </summary>
+public class AutoCapturedEventArgs : EventArgs
+{
+    /// <summary>
+    /// The captured frame as a JPEG data URL
+    /// </summary>
+    public string ImageData { get; }
+    
+    public DateTime Timestamp { get; } = DateTime.UtcNow;
+
+    public AutoCapturedEventArgs(string imageData)
+    {
+        ImageData = imageData;
+    }
+}
@@ -0,0 +1,32 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// Stream state changes reported by the browser camera session
+/// </summary>
+public enum CameraConnectionStatus
+{
+    /// <summary>
+    /// The video track ended: camera unplugged, permission revoked or taken over by another application
+    /// </summary>
+    Disconnected,
+    
+    /// <summary>
+    /// The track stopped delivering frames; it is treated as disconnected if this lasts
+    /// </summary>
+    Muted,
+    
+    /// <summary>
+    /// Frames resumed after a mute
+    /// </summary>
+    Unmuted,
+    
+    /// <summary>
+    /// The preview was reopened automatically, possibly on a different device
+    /// </summary>
+    Recovered,
+    
+    /// <summary>
+    /// No camera could be reopened
+    /// </summary>
+    RecoveryFailed
+}
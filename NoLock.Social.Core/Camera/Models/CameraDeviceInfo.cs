@@ -0,0 +1,11 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// A video input device as reported by the browser's mediaDevices.enumerateDevices
+/// </summary>
+public class CameraDeviceInfo
+{
+    public string DeviceId { get; set; } = string.Empty;
+    public string Label { get; set; } = string.Empty;
+    public string GroupId { get; set; } = string.Empty;
+}
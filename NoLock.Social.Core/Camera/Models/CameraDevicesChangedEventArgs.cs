@@ -0,0 +1,22 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// Event arguments for camera hot-plug: the current device list and what changed since the last notification
+/// </summary>
+public class CameraDevicesChangedEventArgs : EventArgs
+{
+    public IReadOnlyList<CameraDeviceInfo> Devices { get; }
+    public IReadOnlyList<CameraDeviceInfo> Added { get; }
+    public IReadOnlyList<CameraDeviceInfo> Removed { get; }
+    public DateTime Timestamp { get; } = DateTime.UtcNow;
+
+    public CameraDevicesChangedEventArgs(
+        IReadOnlyList<CameraDeviceInfo> devices,
+        IReadOnlyList<CameraDeviceInfo> added,
+        IReadOnlyList<CameraDeviceInfo> removed)
+    {
+        Devices = devices;
+        Added = added;
+        Removed = removed;
+    }
+}
@@ -0,0 +1,27 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// Event arguments for a camera permission change made in the browser (site settings, prompt or OS privacy settings)
+/// </summary>
+public class CameraPermissionChangedEventArgs : EventArgs
+{
+    public CameraPermissionState State { get; }
+    public CameraPermissionState PreviousState { get; }
+    
+    /// <summary>
+    /// How to grant access again; set when State is Denied
+    /// </summary>
+    public PermissionRecoveryInstructions? Instructions { get; }
+    
+    public DateTime Timestamp { get; } = DateTime.UtcNow;
+
+    public CameraPermissionChangedEventArgs(
+        CameraPermissionState state,
+        CameraPermissionState previousState,
+        PermissionRecoveryInstructions? instructions = null)
+    {
+        State = state;
+        PreviousState = previousState;
+        Instructions = instructions;
+    }
+}
@@ -0,0 +1,41 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// Event arguments for camera stream loss and recovery
+/// </summary>
+public class CameraStatusChangedEventArgs : EventArgs
+{
+    public CameraConnectionStatus Status { get; }
+    
+    /// <summary>
+    /// Device the status applies to; after recovery, the device now in use
+    /// </summary>
+    public string? DeviceId { get; }
+    
+    /// <summary>
+    /// Device in use before recovery, when Status is Recovered or RecoveryFailed
+    /// </summary>
+    public string? PreviousDeviceId { get; }
+    
+    /// <summary>
+    /// Cause reported by the browser: "ended", "muted", "unplugged", "device-added", "permission-revoked" or "no-camera"
+    /// </summary>
+    public string? Reason { get; }
+    
+    public string? Message { get; }
+    public DateTime Timestamp { get; } = DateTime.UtcNow;
+
+    public CameraStatusChangedEventArgs(
+        CameraConnectionStatus status,
+        string? deviceId,
+        string? previousDeviceId = null,
+        string? reason = null,
+        string? message = null)
+    {
+        Status = status;
+        DeviceId = deviceId;
+        PreviousDeviceId = previousDeviceId;
+        Reason = reason;
+        Message = message;
+    }
+}
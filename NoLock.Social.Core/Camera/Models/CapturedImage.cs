@@ -19,6 +19,11 @@ namespace NoLock.Social.Core.Camera.Models
         /// </summary>
         public string ImageUrl { get; set; } = string.Empty;
 
+        /// <summary>
+        /// Object URL of a small thumbnail for list views such as the film strip; empty when none is available
+        /// </summary>
+        public string ThumbnailUrl { get; set; } = string.Empty;
+
         /// <summary>
         /// Timestamp when the image was captured
         /// </summary>
@@ -40,6 +40,11 @@ namespace NoLock.Social.Core.Camera.Models
         /// </summary>
         public List<string> Suggestions { get; set; } = new List<string>();
 
+        /// <summary>
+        /// Specific fixes such as "Move closer" or "Reduce glare top-left", most important first
+        /// </summary>
+        public List<string> Fixes { get; set; } = new List<string>();
+
         /// <summary>
         /// Indicates if the quality is acceptable for processing
         /// </summary>
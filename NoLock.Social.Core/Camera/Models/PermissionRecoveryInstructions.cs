@@ -0,0 +1,15 @@
+namespace NoLock.Social.Core.Camera.Models;
+
+/// <summary>
+/// Browser-specific steps for re-enabling a denied camera or microphone permission
+/// </summary>
+public class PermissionRecoveryInstructions
+{
+    public string Browser { get; set; } = string.Empty;
+    public string[] Steps { get; set; } = Array.Empty<string>();
+    
+    /// <summary>
+    /// Browser settings page (e.g. chrome://settings/content/camera); pages cannot open it, so show it for copying
+    /// </summary>
+    public string? SettingsUrl { get; set; }
+}
@@ -18,8 +18,16 @@ namespace NoLock.Social.Core.Camera.Services
         private CameraStream? _currentStream;
         private CameraControlSettings _controlSettings = new CameraControlSettings();
         private readonly Dictionary<string, DocumentSession> _activeSessions = new();
+        private DotNetObjectReference<CameraService>? _eventsReference;
+        private IReadOnlyList<CameraDeviceInfo> _knownDevices = Array.Empty<CameraDeviceInfo>();
         private bool _disposed;
 
+        public event EventHandler<CameraDevicesChangedEventArgs>? CameraDevicesChanged;
+        public event EventHandler<CameraStatusChangedEventArgs>? CameraStatusChanged;
+        public event EventHandler<CameraPermissionChangedEventArgs>? PermissionStateChanged;
+        public event EventHandler<AutoCaptureProgressEventArgs>? AutoCaptureProgress;
+        public event EventHandler<AutoCapturedEventArgs>? AutoCaptured;
+
         public CameraService(
             IJSRuntime jsRuntime,
             ILogger<CameraService> logger
@@ -32,12 +40,173 @@ namespace NoLock.Social.Core.Camera.Services
         public async ValueTask InitializeAsync()
         {
             ThrowIfDisposed();
-            _logger.LogInformation("Camera service initialized");
             
-            // Result is always successful due to graceful error handling, but we maintain the pattern
-            // for consistency and potential future use of the result information
+            if (_eventsReference == null)
+            {
+                // Subscribe to device hot-plug and track-ended events; a failure only loses the notifications
+                _eventsReference = DotNetObjectReference.Create(this);
+                await _logger.ExecuteWithLogging(async () =>
+                {
+                    await _jsRuntime.InvokeVoidAsync("registerCameraEvents", _eventsReference);
+                },
+                "RegisterCameraEvents");
+                await _logger.ExecuteWithLogging(async () =>
+                {
+                    await _jsRuntime.InvokeVoidAsync("cameraPermissions.startMonitoring", _eventsReference);
+                },
+                "StartPermissionMonitoring");
+            }
             
-            await ValueTask.CompletedTask;
+            _logger.LogInformation("Camera service initialized");
+        }
+
+        /// <summary>
+        /// JavaScript callback raised when a permission changes outside the app, e.g. in site settings.
+        /// </summary>
+        /// <param name="name">Permission name; only "camera" is handled here.</param>
+        /// <param name="state">"granted", "denied", "prompt" or "unsupported".</param>
+        /// <param name="instructions">Recovery steps for the current browser when the permission is denied.</param>
+        [JSInvokable]
+        public void OnPermissionChanged(string name, string state, PermissionRecoveryInstructions? instructions)
+        {
+            if (name != "camera")
+            {
+                return;
+            }
+
+            var previousState = _currentPermissionState;
+            _currentPermissionState = ParsePermissionStateResult(state, CameraPermissionState.NotRequested);
+
+            _logger.LogInformation("Camera permission changed from {PreviousState} to {State}", previousState, _currentPermissionState);
+
+            PermissionStateChanged?.Invoke(this, new CameraPermissionChangedEventArgs(
+                _currentPermissionState, previousState, instructions));
+        }
+
+        /// <summary>
+        /// JavaScript callback raised after a camera is plugged in or removed.
+        /// </summary>
+        /// <param name="devices">The current list of video input devices.</param>
+        [JSInvokable]
+        public void OnCameraDevicesChanged(CameraDeviceInfo[] devices)
+        {
+            var current = devices ?? Array.Empty<CameraDeviceInfo>();
+            var previous = _knownDevices;
+            _knownDevices = current;
+
+            var added = current.Where(device => previous.All(known => known.DeviceId != device.DeviceId)).ToList();
+            var removed = previous.Where(known => current.All(device => device.DeviceId != known.DeviceId)).ToList();
+
+            _logger.LogInformation("Camera devices changed: {Count} available, {Added} added, {Removed} removed",
+                current.Length, added.Count, removed.Count);
+
+            CameraDevicesChanged?.Invoke(this, new CameraDevicesChangedEventArgs(current, added, removed));
+        }
+
+        /// <summary>
+        /// JavaScript callback raised when the preview stream is lost, muted or automatically recovered.
+        /// </summary>
+        /// <param name="status">"disconnected", "muted", "unmuted", "recovered" or "recovery-failed".</param>
+        /// <param name="deviceId">Device the status applies to.</param>
+        /// <param name="previousDeviceId">Device in use before recovery.</param>
+        /// <param name="reason">Cause reported by the browser.</param>
+        /// <param name="message">Error detail when recovery failed.</param>
+        [JSInvokable]
+        public void OnCameraStatusChanged(string status, string? deviceId, string? previousDeviceId, string? reason, string? message)
+        {
+            CameraConnectionStatus? parsed = status switch
+            {
+                "disconnected" => CameraConnectionStatus.Disconnected,
+                "muted" => CameraConnectionStatus.Muted,
+                "unmuted" => CameraConnectionStatus.Unmuted,
+                "recovered" => CameraConnectionStatus.Recovered,
+                "recovery-failed" => CameraConnectionStatus.RecoveryFailed,
+                _ => null
+            };
+
+            if (parsed == null)
+            {
+                _logger.LogWarning("Ignoring unknown camera status {Status}", status);
+                return;
+            }
+
+            if (_currentStream != null)
+            {
+                switch (parsed)
+                {
+                    case CameraConnectionStatus.Disconnected:
+                    case CameraConnectionStatus.RecoveryFailed:
+                        _currentStream.IsActive = false;
+                        break;
+                    case CameraConnectionStatus.Recovered:
+                        _currentStream.IsActive = true;
+                        _currentStream.DeviceId = deviceId ?? string.Empty;
+                        break;
+                }
+            }
+
+            if (parsed == CameraConnectionStatus.Recovered && deviceId != null)
+            {
+                _controlSettings.CurrentCameraId = deviceId;
+            }
+
+            _logger.LogInformation("Camera status {Status} for device {DeviceId} ({Reason})", parsed, deviceId, reason);
+
+            CameraStatusChanged?.Invoke(this, new CameraStatusChangedEventArgs(
+                parsed.Value, deviceId, previousDeviceId, reason, message));
+        }
+
+        /// <summary>
+        /// JavaScript callback raised for every preview frame auto-capture evaluates before firing.
+        /// </summary>
+        /// <param name="stableFrames">Consecutive frames that passed every threshold.</param>
+        /// <param name="requiredFrames">Passing frames needed before the shutter fires.</param>
+        /// <param name="scores">Quality scores of the evaluated frame.</param>
+        [JSInvokable]
+        public void OnAutoCaptureProgress(int stableFrames, int requiredFrames, AutoCaptureScores scores)
+        {
+            AutoCaptureProgress?.Invoke(this, new AutoCaptureProgressEventArgs(
+                stableFrames, requiredFrames, scores ?? new AutoCaptureScores()));
+        }
+
+        /// <summary>
+        /// JavaScript callback raised once auto-capture has taken its picture; auto-capture is stopped by then.
+        /// </summary>
+        /// <param name="imageData">The captured frame as a JPEG data URL.</param>
+        [JSInvokable]
+        public void OnAutoCaptured(string imageData)
+        {
+            _logger.LogInformation("Auto-capture took a picture");
+
+            AutoCaptured?.Invoke(this, new AutoCapturedEventArgs(imageData));
+        }
+
+        public async ValueTask<bool> StartAutoCaptureAsync(string? canvasId = null, object? options = null)
+        {
+            ThrowIfDisposed();
+
+            // Progress and the captured image are reported to the same reference as the camera events
+            if (_eventsReference == null)
+            {
+                await InitializeAsync();
+            }
+
+            var result = await _logger.ExecuteWithLogging(async () =>
+            {
+                return await _jsRuntime.InvokeAsync<bool>("startAutoCapture", canvasId, _eventsReference, options);
+            },
+            "StartAutoCaptureAsync");
+
+            return result.IsSuccess && result.Value;
+        }
+
+        public async ValueTask StopAutoCaptureAsync()
+        {
+            await _logger.ExecuteWithLogging(async () =>
+            {
+                await _jsRuntime.InvokeVoidAsync("stopAutoCapture");
+            },
+            "StopAutoCaptureAsync");
         }
 
         public async ValueTask<CameraPermissionState> GetPermissionStateAsync()
@@ -653,6 +822,15 @@ namespace NoLock.Social.Core.Camera.Services
                             _currentStream = null;
                         }
 
+                        // Stop receiving camera events
+                        if (_eventsReference != null)
+                        {
+                            _jsRuntime.InvokeVoidAsync("unregisterCameraEvents");
+                            _jsRuntime.InvokeVoidAsync("cameraPermissions.stopMonitoring");
+                            _eventsReference.Dispose();
+                            _eventsReference = null;
+                        }
+
                         // Dispose all active document sessions
                         foreach (var session in _activeSessions.Values)
                         {
@@ -687,6 +865,7 @@ namespace NoLock.Social.Core.Camera.Services
                 "denied" => CameraPermissionState.Denied,
                 "prompt" => CameraPermissionState.Prompt,
                 "not-requested" => CameraPermissionState.NotRequested,
+                "unsupported" => CameraPermissionState.Denied,
                 _ => defaultState
             };
         }
@@ -756,83 +935,63 @@ namespace NoLock.Social.Core.Camera.Services
 
         private async ValueTask<QualityAnalysisData> PerformQualityAnalysisAsync(string imageData)
         {
-            // Call the methods directly without the defensive error handling - let exceptions bubble up
-            var blurResult = await DetectBlurDirectAsync(imageData);
-            var lightingResult = await AssessLightingDirectAsync(imageData);
-            var edgeResult = await DetectDocumentEdgesDirectAsync(imageData);
-
-            return new QualityAnalysisData(blurResult, lightingResult, edgeResult);
-        }
+            // One combined report decodes the image once for every analysis; exceptions bubble up to the caller
+            var report = await _jsRuntime.InvokeAsync<dynamic>("imageQuality.assess", imageData);
+            if (report == null)
+            {
+                throw new InvalidOperationException("Image quality assessment returned no result");
+            }
 
-        private async ValueTask<BlurDetectionResult> DetectBlurDirectAsync(string imageData)
-        {
-            var jsResult = await _jsRuntime.InvokeAsync<dynamic>("imageQuality.detectBlur", imageData);
-            
-            var blurScore = jsResult?.blurScore ?? 0.0;
-            var threshold = jsResult?.threshold ?? 0.5;
-            
-            return new BlurDetectionResult
+            var blurScore = report.blur?.blurScore ?? 0.0;
+            var threshold = report.blur?.threshold ?? 0.5;
+            var blurResult = new BlurDetectionResult
             {
                 BlurScore = blurScore,
                 BlurThreshold = threshold,
                 IsBlurry = blurScore < threshold
             };
-        }
 
-        private async ValueTask<LightingQualityResult> AssessLightingDirectAsync(string imageData)
-        {
-            var jsResult = await _jsRuntime.InvokeAsync<dynamic>("imageQuality.assessLighting", imageData);
-            
-            var lightingScore = jsResult?.lightingScore ?? 0.0;
-            var brightness = jsResult?.brightness ?? 128.0;
-            var contrast = jsResult?.contrast ?? 0.5;
-            
-            return new LightingQualityResult
+            var lightingScore = report.lighting?.lightingScore ?? 0.0;
+            var lightingResult = new LightingQualityResult
             {
                 LightingScore = lightingScore,
-                Brightness = brightness,
-                Contrast = contrast,
+                // The assessment reports brightness as 0-1
+                Brightness = (report.lighting?.brightness ?? 0.5) * 255.0,
+                Contrast = report.lighting?.contrast ?? 0.5,
                 IsAdequate = lightingScore >= 0.6
             };
-        }
 
-        private async ValueTask<EdgeDetectionResult> DetectDocumentEdgesDirectAsync(string imageData)
-        {
-            var jsResult = await _jsRuntime.InvokeAsync<dynamic>("imageQuality.detectEdges", imageData);
-            
-            var edgeScore = jsResult?.edgeScore ?? 0.0;
-            var edgeCount = jsResult?.edgeCount ?? 0;
-            var confidence = jsResult?.confidence ?? 0.0;
-            
-            return new EdgeDetectionResult
+            var edgeScore = report.edges?.edgeScore ?? 0.0;
+            var confidence = report.edges?.confidence ?? 0.0;
+            var edgeResult = new EdgeDetectionResult
             {
                 EdgeScore = edgeScore,
-                EdgeCount = edgeCount,
+                EdgeCount = (int)(report.edges?.edgeCount ?? 0),
                 Confidence = confidence,
                 HasClearEdges = edgeScore >= 0.7 && confidence >= 0.6
             };
+
+            var fixes = new List<string>();
+            foreach (var fix in report.fixes ?? Array.Empty<object>())
+            {
+                fixes.Add((string)fix.message);
+            }
+
+            return new QualityAnalysisData(blurResult, lightingResult, edgeResult, (double)(report.overallScore ?? 0.0), fixes);
         }
 
         private static ImageQualityResult CreateQualityResult(QualityAnalysisData analysis)
         {
-            var overallScore = CalculateOverallScore(analysis);
-            
             return new ImageQualityResult
             {
-                OverallScore = overallScore,
+                OverallScore = (int)Math.Round(analysis.OverallScore * 100),
                 BlurScore = analysis.BlurResult.BlurScore,
                 LightingScore = analysis.LightingResult.LightingScore,
-                EdgeDetectionScore = analysis.EdgeResult.EdgeScore
+                EdgeDetectionScore = analysis.EdgeResult.EdgeScore,
+                Fixes = analysis.Fixes.ToList()
             };
         }
 
-        private static int CalculateOverallScore(QualityAnalysisData analysis)
-        {
-            return (int)((analysis.BlurResult.BlurScore * 0.4 +
-                         analysis.LightingResult.LightingScore * 0.3 +
-                         analysis.EdgeResult.EdgeScore * 0.3) * 100);
-        }
-
         private static void AddQualityIssuesAndSuggestions(ImageQualityResult result, QualityAnalysisData analysis)
         {
             var issues = new QualityIssues(analysis);
@@ -934,7 +1093,9 @@ namespace NoLock.Social.Core.Camera.Services
         private readonly record struct QualityAnalysisData(
             BlurDetectionResult BlurResult,
             LightingQualityResult LightingResult,
-            EdgeDetectionResult EdgeResult);
+            EdgeDetectionResult EdgeResult,
+            double OverallScore,
+            IReadOnlyList<string> Fixes);
 
         private readonly record struct QualityIssues(
             bool HasBlurIssue,
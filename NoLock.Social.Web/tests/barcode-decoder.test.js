@@ -0,0 +1,119 @@
+// Tests for NoLock.Social.Components/wwwroot/js/barcode-decoder.js
+// Symbols are generated with bwip-js and rendered into ImageData-shaped frames, upright, turned and noisy
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const bwip = require('bwip-js');
+
+function importDecoder() {
+    return import(pathToFileURL(path.join(__dirname, '../../NoLock.Social.Components/wwwroot/js/barcode-decoder.js')).href);
+}
+
+// Module grid of a symbol: get(column, row) is 1 for a dark module
+function symbolModules(bcid, text, options = {}) {
+    const symbol = bwip.raw(bcid, text, options)[0];
+    if (symbol.sbs) {
+        // Linear codes come as alternating bar and space widths, starting with a bar
+        const bars = [];
+        symbol.sbs.forEach((width, index) => bars.push(...new Array(width).fill(index % 2 === 0 ? 1 : 0)));
+        return { width: bars.length, height: Math.round(bars.length * 0.4), get: (column) => bars[column] };
+    }
+    const rowHeight = bcid === 'pdf417' ? 3 : 1;
+    return {
+        width: symbol.pixx,
+        height: symbol.pixy * rowHeight,
+        get: (column, row) => symbol.pixs[Math.floor(row / rowHeight) * symbol.pixx + column]
+    };
+}
+
+// Symbol centered on a square frame with a quiet zone, turned by angle degrees, 2x2 supersampled, plus noise
+function renderSymbol(modules, { scale = 3, angle = 0, noise = 0 } = {}) {
+    const quiet = 10;
+    const symbolWidth = (modules.width + 2 * quiet) * scale;
+    const symbolHeight = (modules.height + 2 * quiet) * scale;
+    const size = Math.ceil(Math.hypot(symbolWidth, symbolHeight)) + 20;
+    const cos = Math.cos(angle * Math.PI / 180);
+    const sin = Math.sin(angle * Math.PI / 180);
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+    const data = new Uint8ClampedArray(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            let level = 0;
+            for (const [dx, dy] of [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]]) {
+                const px = x + dx - size / 2;
+                const py = y + dy - size / 2;
+                const column = Math.floor((cos * px + sin * py + symbolWidth / 2) / scale) - quiet;
+                const row = Math.floor((-sin * px + cos * py + symbolHeight / 2) / scale) - quiet;
+                const inside = column >= 0 && row >= 0 && column < modules.width && row < modules.height;
+                level += inside && modules.get(column, row) ? 30 : 220;
+            }
+            const i = (y * size + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = level / 4 + (random() - 0.5) * 2 * noise;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: size, height: size };
+}
+
+const SYMBOLS = [
+    { bcid: 'qrcode', text: 'https://nolock.social/receipt?id=12345', options: { eclevel: 'M' }, format: 'qr_code' },
+    { bcid: 'code128', text: 'Hello-123', format: 'code_128' },
+    { bcid: 'ean13', text: '590123412345', format: 'ean_13', rawValue: '5901234123457' }
+];
+const VARIANTS = [
+    { name: 'upright' },
+    { name: 'rotated 90°', angle: 90 },
+    { name: 'upside down', angle: 180 },
+    { name: 'tilted 7° with noise', scale: 4, angle: 7, noise: 30 }
+];
+
+for (const { bcid, text, options, format, rawValue = text } of SYMBOLS) {
+    test(`decodes ${format} symbols upright, turned and noisy`, async () => {
+        const { decodeBarcodes } = await importDecoder();
+        const modules = symbolModules(bcid, text, options);
+
+        for (const { name, ...variant } of VARIANTS) {
+            const results = decodeBarcodes(renderSymbol(modules, variant));
+            assert.ok(results.some(result => result.format === format && result.rawValue === rawValue),
+                `${name}: ${JSON.stringify(results.map(result => [result.format, result.rawValue]))}`);
+        }
+    });
+}
+
+test('decodes PDF417, the driver\'s licence symbology', async () => {
+    const { decodeBarcodes } = await importDecoder();
+    const text = 'Hello PDF417 world 123';
+    const results = decodeBarcodes(renderSymbol(symbolModules('pdf417', text, { columns: 4 })));
+
+    assert.deepEqual(results.map(result => [result.format, result.rawValue]), [['pdf417', text]]);
+});
+
+test('reports corner points clockwise from the code\'s own top-left corner', async () => {
+    const { decodeBarcodes } = await importDecoder();
+    const modules = symbolModules('qrcode', 'HELLO WORLD 123', { eclevel: 'H' });
+    const frame = renderSymbol(modules, { angle: 90 });
+
+    const [result] = decodeBarcodes(frame, ['qr_code']);
+    const [topLeft, topRight, bottomRight, bottomLeft] = result.cornerPoints;
+    const center = frame.width / 2;
+    const half = modules.width * 3 / 2;
+
+    // Turned 90° clockwise, the code's top-left corner is at the top right of the frame
+    const near = (point, x, y) => Math.abs(point.x - x) <= 3 && Math.abs(point.y - y) <= 3;
+    assert.ok(near(topLeft, center + half, center - half), JSON.stringify(result.cornerPoints));
+    assert.ok(near(topRight, center + half, center + half), JSON.stringify(result.cornerPoints));
+    assert.ok(near(bottomRight, center - half, center + half), JSON.stringify(result.cornerPoints));
+    assert.ok(near(bottomLeft, center - half, center - half), JSON.stringify(result.cornerPoints));
+});
+
+test('only looks for the requested formats', async () => {
+    const { decodeBarcodes } = await importDecoder();
+    const frame = renderSymbol(symbolModules('code128', 'Hello-123'));
+
+    assert.deepEqual(decodeBarcodes(frame, ['qr_code', 'ean_13']), []);
+    assert.equal(decodeBarcodes(frame, ['code_128']).length, 1);
+});
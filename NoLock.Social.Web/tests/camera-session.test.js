@@ -0,0 +1,398 @@
+// Tests for NoLock.Social.Components/wwwroot/js/camera-session.js
+// navigator.mediaDevices is a stand-in whose cameras can be plugged, unplugged and made to fail per test;
+// each test imports its own copy of the module so sessions and the device watch start out empty
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_URL = pathToFileURL(path.join(__dirname, '../../NoLock.Social.Components/wwwroot/js/camera-session.js')).href;
+let imports = 0;
+
+function importSession() {
+    return import(`${MODULE_URL}?test=${++imports}`);
+}
+
+// permission-monitor.js keeps the first PermissionStatus it is given, so every test shares this one
+const permissionStatus = { state: 'granted', addEventListener() {} };
+
+// Cameras by deviceId; getUserMedia opens the exact device asked for, or the first one
+function fakeMediaDevices(deviceIds) {
+    const media = {
+        devices: deviceIds.slice(),
+        failing: new Set(),
+        opened: [],
+        tracks: [],
+        onDeviceChange: null,
+        async enumerateDevices() {
+            return media.devices.map(deviceId => ({ kind: 'videoinput', deviceId, label: `Camera ${deviceId}`, groupId: '' }));
+        },
+        async getUserMedia(constraints) {
+            const deviceId = constraints.video.deviceId ? constraints.video.deviceId.exact : media.devices[0];
+            media.opened.push(deviceId);
+            if (!media.devices.includes(deviceId) || media.failing.has(deviceId)) {
+                throw Object.assign(new Error(`Could not start video source ${deviceId}`), { name: 'NotReadableError' });
+            }
+            const track = {
+                readyState: 'live',
+                getSettings: () => ({ deviceId }),
+                stop() {
+                    track.readyState = 'ended';
+                }
+            };
+            media.tracks.push(track);
+            return { getTracks: () => [track], getVideoTracks: () => [track] };
+        },
+        addEventListener(type, listener) {
+            media.onDeviceChange = listener;
+        },
+        removeEventListener() {
+            media.onDeviceChange = null;
+        },
+        // Resolves once the devicechange has been handled
+        plug(deviceIds) {
+            media.devices = deviceIds.slice();
+            return media.onDeviceChange();
+        },
+        liveTrack() {
+            return media.tracks[media.tracks.length - 1];
+        }
+    };
+    return media;
+}
+
+function fakeVideo() {
+    return { srcObject: null, readyState: 0, videoWidth: 0, videoHeight: 0, play: async () => {}, pause() {} };
+}
+
+function fakeCanvas() {
+    const canvas = {
+        width: 0,
+        height: 0,
+        getContext: () => ({
+            clearRect() {},
+            drawImage() {},
+            getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4) })
+        }),
+        toDataURL: () => `data:image/jpeg;base64,${canvas.width}x${canvas.height}`
+    };
+    return canvas;
+}
+
+function installBrowser(media) {
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { mediaDevices: media, permissions: { query: async () => permissionStatus }, userAgent: '' },
+        configurable: true,
+        writable: true
+    });
+    globalThis.document = { createElement: () => fakeCanvas() };
+    globalThis.window = { imageEnhancement: { _disposeCanvas() {}, _detectQuadrilateral: () => null } };
+}
+
+// Let pending device refreshes settle
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+async function startSession(cameraSession, deviceId, options = {}) {
+    const session = cameraSession.createSession(fakeVideo(), null, options);
+    const statuses = [];
+    session.onStatusChanged(update => statuses.push(update));
+    await session.start(deviceId);
+    await settle();
+    return { session, statuses };
+}
+
+beforeEach(() => {
+    permissionStatus.state = 'granted';
+});
+
+test('recovers on another camera when the live one is unplugged', async () => {
+    const media = fakeMediaDevices(['front', 'back']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const { session, statuses } = await startSession(cameraSession, 'back');
+
+    await media.plug(['front']);
+    assert.equal(await session.recovery, true);
+
+    assert.deepEqual(statuses.map(({ status, deviceId, previousDeviceId, reason }) => ({ status, deviceId, previousDeviceId, reason })), [
+        { status: 'disconnected', deviceId: 'back', previousDeviceId: null, reason: 'unplugged' },
+        { status: 'recovered', deviceId: 'front', previousDeviceId: 'back', reason: 'unplugged' }
+    ]);
+    assert.equal(session.status, 'live');
+    cameraSession.disposeAll();
+});
+
+test('recovery tries the lost camera first, then the others in device order', async () => {
+    const media = fakeMediaDevices(['front', 'back', 'usb']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const { session, statuses } = await startSession(cameraSession, 'usb');
+
+    // The OS took the camera back: it is still listed but cannot be opened, and neither can 'front'
+    media.failing.add('usb');
+    media.failing.add('front');
+    media.liveTrack().onended();
+    assert.equal(await session.recovery, true);
+
+    assert.deepEqual(media.opened, ['usb', 'usb', 'front', 'back']);
+    assert.equal(session.deviceId, 'back');
+    assert.equal(statuses.at(-1).status, 'recovered');
+    cameraSession.disposeAll();
+});
+
+test('restarts the frame analysis the lost camera stopped', async () => {
+    const media = fakeMediaDevices(['front', 'back']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const { session } = await startSession(cameraSession, 'back');
+    const overlay = fakeCanvas();
+
+    session.startEdgeDetection(overlay, { framesPerSecond: 2 });
+    session.startBarcodeScanning(null, { formats: ['qr_code'] });
+    const edgeDetection = session.edgeDetection;
+
+    media.liveTrack().onended();
+    assert.equal(session.edgeDetection, null);
+    assert.equal(session.barcodeScanning, null);
+    await session.recovery;
+
+    assert.notEqual(session.edgeDetection, edgeDetection);
+    assert.equal(session.edgeDetection.overlay, overlay);
+    assert.deepEqual(session.edgeDetection.settings, edgeDetection.settings);
+    assert.deepEqual(session.barcodeScanning.settings.formats, ['qr_code']);
+    assert.equal(session.autoCapture, null);
+    cameraSession.disposeAll();
+});
+
+test('gives up without opening a camera when permission was revoked', async () => {
+    const media = fakeMediaDevices(['front']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const { session, statuses } = await startSession(cameraSession, 'front');
+
+    permissionStatus.state = 'denied';
+    session.startBarcodeScanning(null);
+    media.liveTrack().onended();
+    assert.equal(await session.recovery, false);
+
+    assert.deepEqual(media.opened, ['front']);
+    assert.deepEqual(statuses.map(({ status, reason }) => ({ status, reason })), [
+        { status: 'disconnected', reason: 'ended' },
+        { status: 'recovery-failed', reason: 'permission-revoked' }
+    ]);
+    assert.equal(session.status, 'lost');
+    assert.equal(session.barcodeScanning, null);
+    cameraSession.disposeAll();
+});
+
+test('retries a lost session when a camera is plugged in', async () => {
+    const media = fakeMediaDevices(['front']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const { session, statuses } = await startSession(cameraSession, 'front');
+
+    await media.plug([]);
+    assert.equal(await session.recovery, false);
+    assert.deepEqual(statuses.at(-1), {
+        status: 'recovery-failed', deviceId: 'front', previousDeviceId: 'front', reason: 'no-camera', message: 'No camera available'
+    });
+
+    await media.plug(['usb']);
+    assert.equal(await session.recovery, true);
+    assert.deepEqual(statuses.at(-1), {
+        status: 'recovered', deviceId: 'usb', previousDeviceId: 'front', reason: 'device-added', message: null
+    });
+    cameraSession.disposeAll();
+});
+
+test('only reports the loss when autoRecover is off', async () => {
+    const media = fakeMediaDevices(['front', 'back']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const { session, statuses } = await startSession(cameraSession, 'back', { autoRecover: false });
+
+    media.liveTrack().onended();
+    await media.plug(['front', 'back', 'usb']);
+
+    assert.equal(session.recovery, null);
+    assert.deepEqual(media.opened, ['back']);
+    assert.deepEqual(statuses.map(update => update.status), ['disconnected']);
+    assert.equal(session.status, 'lost');
+    cameraSession.disposeAll();
+});
+
+test('reports each added and removed camera once when devicechange events come in a burst', async () => {
+    const media = fakeMediaDevices(['front']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const changes = [];
+    const unwatch = cameraSession.watchDevices((devices, added, removed) => changes.push({
+        devices: devices.map(device => device.deviceId),
+        added: added.map(device => device.deviceId),
+        removed: removed.map(device => device.deviceId)
+    }));
+    await settle();
+
+    // One camera plugged in, announced three times
+    media.devices = ['front', 'usb'];
+    await Promise.all([media.onDeviceChange(), media.onDeviceChange(), media.onDeviceChange()]);
+    await media.plug(['usb']);
+
+    assert.deepEqual(changes, [
+        { devices: ['front', 'usb'], added: ['usb'], removed: [] },
+        { devices: ['front', 'usb'], added: [], removed: [] },
+        { devices: ['front', 'usb'], added: [], removed: [] },
+        { devices: ['usb'], added: [], removed: ['front'] }
+    ]);
+    assert.deepEqual(cameraSession.getKnownDevices().map(device => device.deviceId), ['usb']);
+    unwatch();
+    assert.equal(media.onDeviceChange, null);
+});
+
+test('a setting matches within half a capability step, or 1% without one', async () => {
+    installBrowser(fakeMediaDevices([]));
+    const { _internal: { settingMatches } } = await importSession();
+
+    assert.equal(settingMatches(2.04, 2, { min: 1, max: 8, step: 0.1 }), true);
+    assert.equal(settingMatches(2.06, 2, { min: 1, max: 8, step: 0.1 }), false);
+    assert.equal(settingMatches(4950, 5000, {}), true);
+    assert.equal(settingMatches(4940, 5000, {}), false);
+    assert.equal(settingMatches(0, 0, undefined), true);
+    assert.equal(settingMatches(undefined, 2, { step: 1 }), false);
+
+    assert.equal(settingMatches([{ x: 0.504, y: 0.2 }], [{ x: 0.5, y: 0.2 }]), true);
+    assert.equal(settingMatches([{ x: 0.52, y: 0.2 }], [{ x: 0.5, y: 0.2 }]), false);
+    assert.equal(settingMatches([], [{ x: 0.5, y: 0.2 }]), false);
+    assert.equal(settingMatches('manual', 'manual'), true);
+    assert.equal(settingMatches('continuous', 'manual'), false);
+});
+
+test('fits values into a capability range and onto its steps', async () => {
+    installBrowser(fakeMediaDevices([]));
+    const { _internal: { fitToRange } } = await importSession();
+
+    assert.equal(fitToRange(12, { min: 1, max: 8 }), 8);
+    assert.equal(fitToRange(-3, { min: 1, max: 8 }), 1);
+    assert.equal(fitToRange(2.5, { min: 1, max: 8 }), 2.5);
+    assert.equal(fitToRange(2.6, { min: 1, max: 8, step: 0.5 }), 2.5);
+    assert.equal(fitToRange(4000, { min: 100, max: 4000, step: 256 }), 3940);
+    // Snapping never goes past max
+    assert.equal(fitToRange(4032, { min: 100, max: 4032, step: 200 }), 4032);
+});
+
+test('photo settings keep the resolution in range and drop modes the camera lacks', async () => {
+    installBrowser(fakeMediaDevices([]));
+    const { _internal: { buildPhotoSettings } } = await importSession();
+    const capabilities = {
+        imageWidth: { min: 640, max: 4032, step: 16 },
+        imageHeight: { min: 480, max: 3024, step: 16 },
+        fillLightMode: ['auto', 'off'],
+        redEyeReduction: 'always'
+    };
+
+    assert.deepEqual(buildPhotoSettings(capabilities, {}), { imageWidth: 4032, imageHeight: 3024 });
+    assert.deepEqual(buildPhotoSettings(capabilities, { imageWidth: 10000, imageHeight: 100, fillLightMode: 'flash', redEyeReduction: true }),
+        { imageWidth: 4032, imageHeight: 480 });
+    assert.deepEqual(buildPhotoSettings({ ...capabilities, redEyeReduction: 'controllable' }, { fillLightMode: 'off', redEyeReduction: false }),
+        { imageWidth: 4032, imageHeight: 3024, fillLightMode: 'off', redEyeReduction: false });
+    assert.deepEqual(buildPhotoSettings({ fillLightMode: ['flash'] }, { fillLightMode: 'flash' }), { fillLightMode: 'flash' });
+});
+
+test('auto-capture reports no corner movement until two frames have an outline, and restarts the count on a bad frame', async () => {
+    const media = fakeMediaDevices(['back']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const { session } = await startSession(cameraSession, 'back');
+    Object.assign(session.video, { readyState: 4, videoWidth: 640, videoHeight: 480 });
+
+    const square = (offset) => [
+        { x: 100 + offset, y: 100 }, { x: 380 + offset, y: 100 }, { x: 380 + offset, y: 300 }, { x: 100 + offset, y: 300 }
+    ];
+    // Per frame: the outline found in the 480 x 360 sample (diagonal 600), if any, and the lighting score (0.6 needed)
+    const frames = [
+        [null, 0.9], [square(0), 0.9], [square(1), 0.9], [square(1), 0.9], [square(1), 0.3],
+        [square(1), 0.9], [square(60), 0.9], [square(60), 0.9], [square(60), 0.9], [square(60), 0.9]
+    ];
+    let frame = 0;
+    window.imageQuality = {
+        detectBlur: async () => ({ blurScore: 0.8 }),
+        assessLighting: async () => ({ lightingScore: frames[frame][1] }),
+        detectEdges: async () => ({ edgeScore: 0.9 })
+    };
+    window.imageEnhancement._detectQuadrilateral = () => frames[frame][0] && { corners: frames[frame][0], confidence: 0.9 };
+
+    const calls = [];
+    const dotNetRef = { invokeMethodAsync: async (...args) => calls.push(args) };
+    session.startAutoCapture(null, { requiredFrames: 3 }, dotNetRef);
+    // Frames are driven one by one below instead of by the timer
+    clearTimeout(session.autoCapture.timer);
+
+    for (; frame < frames.length && session.autoCapture; frame++) {
+        await session._evaluateAutoCaptureFrame(session.autoCapture);
+    }
+
+    const progress = calls.filter(([method]) => method === 'OnAutoCaptureProgress');
+    assert.deepEqual(progress.map(([, stableFrames, requiredFrames]) => [stableFrames, requiredFrames]), [
+        [0, 3], [0, 3], [1, 3], [2, 3], [0, 3], [1, 3], [0, 3], [1, 3], [2, 3], [3, 3]
+    ]);
+    assert.deepEqual(progress.map(([, , , scores]) => scores.cornerMovement),
+        [null, null, 0.002, 0, 0, 0, 0.098, 0, 0, 0]);
+    assert.equal(JSON.stringify(progress[0][3]), '{"blurScore":0.8,"lightingScore":0.9,"edgeScore":0.9,"cornerMovement":null}');
+
+    assert.deepEqual(calls.at(-1), ['OnAutoCaptured', 'data:image/jpeg;base64,640x480']);
+    assert.equal(session.autoCapture, null);
+    cameraSession.disposeAll();
+});
+
+test('corner movement is the largest corner shift over the frame diagonal', async () => {
+    installBrowser(fakeMediaDevices([]));
+    const { _internal: { measureCornerMovement } } = await importSession();
+    const corners = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+    const moved = corners.map((corner, i) => i === 2 ? { x: 13, y: 14 } : corner);
+
+    assert.equal(measureCornerMovement(corners, moved, 30, 40), 0.1);
+    assert.equal(measureCornerMovement(corners, corners, 30, 40), 0);
+    assert.equal(measureCornerMovement(null, corners, 30, 40), Infinity);
+    assert.equal(measureCornerMovement(corners, null, 30, 40), Infinity);
+});
+
+test('tap-to-focus support follows the track settings, not its capabilities', async () => {
+    const media = fakeMediaDevices(['back']);
+    installBrowser(media);
+    const cameraSession = await importSession();
+    const { session } = await startSession(cameraSession, 'back');
+
+    // A camera that lists pointsOfInterest as a capability but has no such setting
+    let settings = { deviceId: 'back', focusMode: 'continuous' };
+    const applied = [];
+    Object.assign(media.liveTrack(), {
+        getCapabilities: () => ({ pointsOfInterest: true, focusMode: ['continuous', 'single-shot'] }),
+        getSettings: () => settings,
+        applyConstraints: async ({ advanced: [constraints] }) => {
+            applied.push(constraints);
+            settings = { ...settings, ...constraints };
+        }
+    });
+
+    assert.equal((await session.getCapabilities()).pointsOfInterest, false);
+    assert.deepEqual(await session.setPointsOfInterest([{ x: 0.5, y: 0.5 }]),
+        { applied: false, settings: null, reason: 'pointsOfInterest is not supported by this camera' });
+    assert.deepEqual(applied, []);
+
+    // One that reports the setting without listing a capability for it
+    settings = { deviceId: 'back', focusMode: 'continuous', pointsOfInterest: [] };
+    media.liveTrack().getCapabilities = () => ({ focusMode: ['continuous', 'single-shot'] });
+
+    assert.equal((await session.getCapabilities()).pointsOfInterest, true);
+    const result = await session.setPointsOfInterest([{ x: 1.4, y: 0.25 }]);
+    assert.deepEqual(applied, [{ pointsOfInterest: [{ x: 1, y: 0.25 }], focusMode: 'single-shot' }]);
+    assert.deepEqual(result, {
+        applied: true,
+        settings: { pointsOfInterest: [{ x: 1, y: 0.25 }], focusMode: 'single-shot' },
+        reason: null
+    });
+    cameraSession.disposeAll();
+});
@@ -0,0 +1,248 @@
+// Tests for wwwroot/js/document-pdf-export.js
+// Generated documents are read back with pdf.js, the same parser the browser viewers use
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+// pdf.js logs on load that it cannot polyfill canvas rendering without the 'canvas' package; only parsing is used here
+const pdfjs = (() => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return require('pdfjs-dist/legacy/build/pdf.js');
+    } finally {
+        console.log = log;
+    }
+})();
+
+// ES module scripts are imported from source, so Node does not have to guess their type inside this CommonJS package
+function importModule(file) {
+    const source = fs.readFileSync(path.join(__dirname, '../wwwroot/js', file), 'utf8');
+    return import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+}
+
+// SOI, an empty APP0 and a baseline SOF0 header: 200 x 100, three components.
+// Enough for the JPEG passthrough; pdf.js only parses documents here and never decodes the image.
+const JPEG_HEADER = new Uint8Array([
+    0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,
+    0xFF, 0xC0, 0x00, 0x11, 0x08, 0x00, 0x64, 0x00, 0xC8, 0x03,
+    0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01, 0xFF, 0xD9
+]);
+const JPEG_DATA_URL = `data:image/jpeg;base64,${Buffer.from(JPEG_HEADER).toString('base64')}`;
+
+function openPdf(bytes) {
+    return pdfjs.getDocument({ data: bytes, verbosity: 0 }).promise;
+}
+
+// A CCITT page as embedCcittImage produces it, from one byte per pixel (1 = black)
+function ccittPage(pdfExport, bits, width, height, page = {}) {
+    const { encodeCcittGroup4, calculatePageLayout } = pdfExport._internal;
+    return {
+        image: {
+            width,
+            height,
+            colorSpace: 'DeviceGray',
+            bitsPerComponent: 1,
+            filter: 'CCITTFaxDecode',
+            decodeParms: `<< /K -1 /Columns ${width} /Rows ${height} /BlackIs1 false >>`,
+            data: encodeCcittGroup4(bits, width, height)
+        },
+        layout: calculatePageLayout(width, height, { pageSize: 'a4', orientation: 'auto', margin: 10, dpi: 150 }),
+        label: null,
+        title: null,
+        words: [],
+        ...page
+    };
+}
+
+// The decoded image pdf.js paints on a page, as one byte per pixel (1 = black)
+async function readPageBits(doc, pageNumber) {
+    const page = await doc.getPage(pageNumber);
+    const operators = await page.getOperatorList();
+    const index = operators.fnArray.indexOf(pdfjs.OPS.paintImageXObject);
+    const image = await new Promise(resolve => page.objs.get(operators.argsArray[index][0], resolve));
+
+    assert.equal(image.kind, pdfjs.ImageKind.GRAYSCALE_1BPP);
+    const rowBytes = image.data.length / image.height;
+    const bits = new Uint8Array(image.width * image.height);
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const byte = image.data[y * rowBytes + (x >> 3)];
+            bits[y * image.width + x] = (byte >> (7 - (x & 7))) & 1 ? 0 : 1;
+        }
+    }
+    return { width: image.width, height: image.height, bits };
+}
+
+// Stripes, long runs across the whole row, a solid block and noise - every CCITT coding mode gets used
+function testPattern(width, height) {
+    let seed = 7;
+    const random = () => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed / 0x7fffffff;
+    };
+
+    const bits = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let black = ((Math.floor(x / 7) + Math.floor(y / 5)) % 3) === 0;
+            if (y === 20) {
+                black = false;
+            } else if (y === 40) {
+                black = true;
+            } else if (y > 100 && y <= 130) {
+                black = x < 150;
+            } else if (y > 130) {
+                black = random() < 0.3;
+            }
+            bits[y * width + x] = black ? 1 : 0;
+        }
+    }
+    return bits;
+}
+
+test('CCITT Group 4 pages decode back to the exact bitmap', async () => {
+    const pdfExport = await importModule('document-pdf-export.js');
+    const width = 203;
+    const height = 157;
+    const bits = testPattern(width, height);
+
+    const doc = await openPdf(pdfExport._internal.buildDocument([ccittPage(pdfExport, bits, width, height)], {}));
+    const decoded = await readPageBits(doc, 1);
+
+    assert.equal(decoded.width, width);
+    assert.equal(decoded.height, height);
+    assert.deepEqual(decoded.bits, bits);
+    await doc.destroy();
+});
+
+test('CCITT Group 4 encodes wide all-white and all-black rows with makeup codes', async () => {
+    const pdfExport = await importModule('document-pdf-export.js');
+    const width = 2600;
+    const height = 4;
+    const bits = new Uint8Array(width * height);
+    bits.fill(1, width, width * 2);
+    bits.fill(1, width * 3 + 1300, width * 4);
+
+    const doc = await openPdf(pdfExport._internal.buildDocument([ccittPage(pdfExport, bits, width, height)], {}));
+
+    assert.deepEqual((await readPageBits(doc, 1)).bits, bits);
+    await doc.destroy();
+});
+
+test('writes page sizes, labels, bookmarks and document metadata', async () => {
+    const pdfExport = await importModule('document-pdf-export.js');
+    const { calculatePageLayout } = pdfExport._internal;
+    const bits = testPattern(40, 20);
+    const pages = [
+        ccittPage(pdfExport, bits, 40, 20, { label: 'Cover', title: 'Première page' }),
+        ccittPage(pdfExport, bits, 40, 20, {
+            layout: calculatePageLayout(40, 20, { pageSize: 'original', dpi: 72 }),
+            title: 'Signatures'
+        })
+    ];
+
+    const doc = await openPdf(pdfExport._internal.buildDocument(pages, { title: 'Contract ✓', author: 'Legal' }));
+    const { info } = await doc.getMetadata();
+
+    assert.equal(doc.numPages, 2);
+    assert.equal(info.Title, 'Contract ✓');
+    assert.equal(info.Author, 'Legal');
+    assert.deepEqual(await doc.getPageLabels(), ['Cover', '2']);
+    assert.deepEqual((await doc.getOutline()).map(item => item.title), ['Première page', 'Signatures']);
+    assert.deepEqual((await doc.getPage(1)).view, [0, 0, 841.89, 595.28]);
+    assert.deepEqual((await doc.getPage(2)).view, [0, 0, 40, 20]);
+    await doc.destroy();
+});
+
+test('fits the image inside the margins of the page, centered', async () => {
+    const { _internal: { calculatePageLayout } } = await importModule('document-pdf-export.js');
+
+    const portrait = calculatePageLayout(1000, 2000, { pageSize: 'letter', orientation: 'auto', margin: 36 });
+    assert.deepEqual(portrait, { pageWidth: 612, pageHeight: 792, x: 126, y: 36, width: 360, height: 720 });
+
+    const forced = calculatePageLayout(1000, 2000, { pageSize: 'letter', orientation: 'landscape', margin: 0 });
+    assert.equal(forced.pageWidth, 792);
+    assert.equal(forced.height, 612);
+
+    const original = calculatePageLayout(300, 150, { pageSize: 'original', dpi: 300 });
+    assert.deepEqual(original, { pageWidth: 72, pageHeight: 36, x: 0, y: 0, width: 72, height: 36 });
+
+    assert.throws(() => calculatePageLayout(10, 10, { pageSize: 'a3' }), /Unknown page size/);
+});
+
+test('embeds upright camera JPEGs without re-encoding them', async () => {
+    const pdfExport = await importModule('document-pdf-export.js');
+    const jpeg = JPEG_HEADER;
+
+    assert.deepEqual(pdfExport._internal.readJpegInfo(jpeg), { width: 200, height: 100, components: 3, orientation: 1 });
+    assert.equal(pdfExport._internal.readJpegInfo(new Uint8Array([0x89, 0x50, 0x4E, 0x47])), null);
+
+    // The same header behind a big-endian EXIF block with Orientation 6 (rotate 90° clockwise)
+    const exif = [
+        0xFF, 0xE1, 0x00, 0x22, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+        0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08,
+        0x00, 0x01, 0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00,
+        0x00, 0x00, 0x00, 0x00
+    ];
+    const rotated = new Uint8Array([...jpeg.subarray(0, 2), ...exif, ...jpeg.subarray(2)]);
+    assert.equal(pdfExport._internal.readJpegInfo(rotated).orientation, 6);
+
+    const pdf = await pdfExport.createPdfBytes([JPEG_DATA_URL], { compression: 'jpeg' });
+
+    assert.notEqual(Buffer.from(pdf).indexOf(Buffer.from(jpeg)), -1);
+    assert.match(Buffer.from(pdf).toString('latin1'), /\/Width 200 \/Height 100 \/ColorSpace \/DeviceRGB \/BitsPerComponent 8 \/Filter \/DCTDecode/);
+
+    const doc = await openPdf(pdf);
+    assert.deepEqual((await doc.getPage(1)).view, [0, 0, 841.89, 595.28]);
+    await doc.destroy();
+});
+
+test('searchable PDFs carry the OCR words as extractable text on their own page', async () => {
+    const pdfExport = await importModule('document-pdf-export.js');
+    const ocrResult = {
+        words: [
+            { text: 'Invoice', x: 10, y: 10, width: 60, height: 12 },
+            { value: 'Straße', boundingBox: { x: 100, y: 40, width: 50, height: 10, pageNumber: 1 } },
+            { text: 'Total', boundingBox: { x: 20, y: 80, width: 40, height: 10, pageNumber: 2 } },
+            { text: '   ', x: 0, y: 0, width: 10, height: 10 },
+            { text: 'Outside', x: 250, y: 10, width: 10, height: 10 }
+        ]
+    };
+    // 200 x 100 pixels at 72 dpi on 'original' pages, so one pixel is one point
+    const pdf = await pdfExport.createSearchablePdfBytes([JPEG_DATA_URL, JPEG_DATA_URL], ocrResult, {
+        pageSize: 'original',
+        dpi: 72
+    });
+
+    const doc = await openPdf(pdf);
+    const readWords = async (pageNumber) => {
+        const { items } = await (await doc.getPage(pageNumber)).getTextContent();
+        return items.filter(item => item.str.trim()).map(item => ({
+            text: item.str,
+            x: Math.round(item.transform[4]),
+            y: Math.round(item.transform[5]),
+            width: Math.round(item.width)
+        }));
+    };
+
+    // PDF y runs up from the bottom of the page; the text baseline sits on the bottom of the word box
+    assert.deepEqual(await readWords(1), [
+        { text: 'Invoice', x: 10, y: 78, width: 60 },
+        { text: 'Straße', x: 100, y: 50, width: 50 }
+    ]);
+    assert.deepEqual(await readWords(2), [{ text: 'Total', x: 20, y: 10, width: 40 }]);
+    await doc.destroy();
+});
+
+test('pages without OCR words get no text layer', async () => {
+    const pdfExport = await importModule('document-pdf-export.js');
+    const pdf = await pdfExport.createSearchablePdfBytes(JPEG_DATA_URL, []);
+
+    assert.doesNotMatch(Buffer.from(pdf).toString('latin1'), /GlyphLessFont/);
+    const doc = await openPdf(pdf);
+    assert.deepEqual((await (await doc.getPage(1)).getTextContent()).items, []);
+    await doc.destroy();
+});
@@ -0,0 +1,473 @@
+// Tests for wwwroot/js/image-enhancement.js and image-enhancement-offload.js
+// Scripts are loaded into their own window object; browser canvas APIs are not needed for step planning,
+// and the worker globals the offload script looks for are passed in per test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/image-enhancement.js'), 'utf8');
+const OFFLOAD_SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/image-enhancement-offload.js'), 'utf8');
+const QUALITY_SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/image-quality.js'), 'utf8');
+
+function loadEnhancement(window = {}) {
+    new Function('window', SCRIPT)(window);
+    return window.imageEnhancement;
+}
+
+// ES module scripts are imported from source, so Node does not have to guess their type inside this CommonJS package
+function importModule(file) {
+    const source = fs.readFileSync(path.join(__dirname, '../wwwroot/js', file), 'utf8');
+    return import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+}
+
+// imageEnhancement with the offload adapter installed over stubbed in-thread operations
+function loadOffloaded(globals = {}) {
+    const enhancement = loadEnhancement();
+    const inThreadCalls = [];
+    enhancement.adjustContrast = async (imageData, options) => {
+        inThreadCalls.push({ operation: 'adjustContrast', imageData, options });
+        return 'in-thread';
+    };
+    enhancement.enhanceImageBinary = async (imageStream, settings) => {
+        inThreadCalls.push({ operation: 'enhanceImageBinary', imageStream, settings });
+        return 'in-thread';
+    };
+    enhancement._mergeBurstFrames = async (frames, options) => {
+        inThreadCalls.push({ operation: '_mergeBurstFrames', frames, options });
+        return { canvas: frames[0], selectedIndex: 0, sharpness: [1], stackedFrames: 1 };
+    };
+
+    const document = {
+        createElement: () => ({ getContext: () => ({ drawImage() {} }) })
+    };
+    const names = ['window', 'document', 'Worker', 'OffscreenCanvas', 'createImageBitmap'];
+    new Function(...names, OFFLOAD_SCRIPT)(
+        { imageEnhancement: enhancement }, document, globals.Worker, globals.OffscreenCanvas, globals.createImageBitmap);
+    return { enhancement, inThreadCalls };
+}
+
+// RGBA frame with a light convex quadrilateral (the document) on a dark background, 4x supersampled edges
+function renderDocument(width, height, corners) {
+    const inside = (x, y) => corners.every((a, i) => {
+        const b = corners[(i + 1) % 4];
+        return (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x) >= 0;
+    });
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let covered = 0;
+            for (const [dx, dy] of [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]]) {
+                covered += inside(x + dx, y + dy) ? 1 : 0;
+            }
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = 40 + covered * 45;
+            data[i + 3] = 255;
+        }
+    }
+    return data;
+}
+
+// Worker stand-in that answers every request with reply(message)
+function fakeWorkerGlobals(reply) {
+    const posted = [];
+    class FakeWorker {
+        postMessage(message) {
+            posted.push(message);
+            setTimeout(() => this.onmessage({ data: { id: message.id, ...reply(message) } }), 0);
+        }
+        terminate() {}
+    }
+    class FakeOffscreenCanvas {
+        transferToImageBitmap() {}
+    }
+    return {
+        posted: posted,
+        Worker: FakeWorker,
+        OffscreenCanvas: FakeOffscreenCanvas,
+        createImageBitmap: async () => ({ width: 1, height: 1, close() {} })
+    };
+}
+
+test('large images run the same preset steps and options, compressed after perspective correction', async () => {
+    const enhancement = loadEnhancement();
+
+    for (const name of ['generic', 'receipt', 'check', 'passport', 'w2']) {
+        const settings = await enhancement._resolveEnhancementSettings({ preset: name, isLargeImage: true });
+        const standard = enhancement._getEnhancementSteps(settings);
+        const large = enhancement._getLargeImageSteps(settings);
+
+        const operations = large.map(step => step.operation);
+        assert.equal(operations.indexOf('compressImage'), operations.indexOf('correctPerspective') + 1, name);
+        assert.deepEqual(
+            large.filter(step => step.operation !== 'compressImage').sort((a, b) => a.operation.localeCompare(b.operation)),
+            [...standard].sort((a, b) => a.operation.localeCompare(b.operation)),
+            name);
+    }
+
+    const receipt = enhancement._getLargeImageSteps(await enhancement._resolveEnhancementSettings({ preset: 'receipt', isLargeImage: true }));
+    assert.deepEqual(receipt.find(step => step.operation === 'convertToGrayscale').options, { method: 'text_optimized', textBoost: 1.4 });
+});
+
+test('large images without a preset only run the steps switched on', () => {
+    const enhancement = loadEnhancement();
+    const operations = settings => enhancement._getLargeImageSteps(settings).map(step => step.operation);
+
+    assert.deepEqual(operations({ isLargeImage: true }), ['compressImage']);
+    assert.deepEqual(operations({ progressiveProcessing: true }), []);
+    assert.deepEqual(
+        operations({ isLargeImage: true, enableShadowRemoval: true, enablePerspectiveCorrection: true, binarize: true }),
+        ['correctPerspective', 'compressImage', 'removeShadows', 'binarize']);
+});
+
+test('runs operations on the main thread when workers or OffscreenCanvas are missing', async () => {
+    const { enhancement, inThreadCalls } = loadOffloaded();
+
+    assert.equal(enhancement.isWorkerSupported(), false);
+    assert.equal(await enhancement.adjustContrast('data:image/png;base64,AAAA', { strength: 1.5 }), 'in-thread');
+    assert.deepEqual(inThreadCalls, [{ operation: 'adjustContrast', imageData: 'data:image/png;base64,AAAA', options: { strength: 1.5 } }]);
+});
+
+test('posts operations to the worker under the same names and options', async () => {
+    const result = new Blob(['enhanced'], { type: 'image/png' });
+    const globals = fakeWorkerGlobals(() => ({ blob: result }));
+    const { enhancement, inThreadCalls } = loadOffloaded(globals);
+
+    assert.equal(enhancement.isWorkerSupported(), true);
+    assert.equal(await enhancement.enhanceImageBinary(new Uint8Array([0x89, 0x50, 0x4E, 0x47]), { binarize: true }), result);
+    assert.equal(inThreadCalls.length, 0);
+    assert.equal(globals.posted[0].operation, 'enhanceImage');
+    assert.deepEqual(globals.posted[0].options, { binarize: true });
+    assert.deepEqual(globals.posted[0].encode, { type: 'image/png' });
+});
+
+test('falls back to the main thread for good once the worker cannot run the pipeline', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const globals = fakeWorkerGlobals(() => ({ error: 'OffscreenCanvas 2D context not available', fatal: true }));
+    const { enhancement, inThreadCalls } = loadOffloaded(globals);
+
+    assert.equal(await enhancement.enhanceImageBinary(new Uint8Array([0xFF, 0xD8]), {}), 'in-thread');
+    assert.equal(enhancement.isWorkerSupported(), false);
+    assert.equal(await enhancement.adjustContrast('data:image/png;base64,AAAA'), 'in-thread');
+    assert.equal(globals.posted.length, 1);
+    assert.deepEqual(inThreadCalls.map(call => call.operation), ['enhanceImageBinary', 'adjustContrast']);
+});
+
+test('reports worker failures that are not about the environment', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const globals = fakeWorkerGlobals(() => ({ error: 'No document corners found', fatal: false }));
+    const { enhancement, inThreadCalls } = loadOffloaded(globals);
+
+    await assert.rejects(enhancement.enhanceImageBinary(new Uint8Array([0xFF, 0xD8]), {}),
+        /Image enhancement failed: No document corners found/);
+    assert.equal(inThreadCalls.length, 0);
+    assert.equal(enhancement.isWorkerSupported(), true);
+});
+
+test('median-stacks burst frames in the worker and keeps sharpest-frame picks on the main thread', async () => {
+    const merged = { width: 4, height: 3, closed: false, close() { this.closed = true; } };
+    const burst = { selectedIndex: 1, sharpness: [10, 30, 25], stackedFrames: 3 };
+    const globals = fakeWorkerGlobals(() => ({ bitmap: merged, burst: burst }));
+    const { enhancement, inThreadCalls } = loadOffloaded(globals);
+    const frames = [{ id: 0 }, { id: 1 }, { id: 2 }];
+
+    const stacked = await enhancement._mergeBurstFrames(frames, { mode: 'stack', canvas: { id: 'preview' }, quality: 0.9 });
+    assert.deepEqual({ ...stacked, canvas: undefined }, { ...burst, canvas: undefined });
+    assert.equal(stacked.canvas.width, 4);
+    assert.equal(merged.closed, true);
+    assert.equal(globals.posted[0].operation, 'mergeBurstFrames');
+    assert.equal(globals.posted[0].bitmaps.length, 3);
+    assert.deepEqual(globals.posted[0].options, { mode: 'stack', quality: 0.9 });
+    assert.equal(inThreadCalls.length, 0);
+
+    const sharpest = await enhancement._mergeBurstFrames(frames, { mode: 'sharpest' });
+    assert.equal(sharpest.canvas, frames[0]);
+    assert.equal(globals.posted.length, 1);
+    assert.deepEqual(inThreadCalls.map(call => call.operation), ['_mergeBurstFrames']);
+});
+
+test('accepts Blobs, array buffers, typed arrays and .NET stream references as binary input', async () => {
+    const enhancement = loadEnhancement();
+    const bytes = new Uint8Array([0xFF, 0xD8, 0xFF, 0xE0]);
+    const blob = new Blob([bytes], { type: 'image/jpeg' });
+    const streamReference = { arrayBuffer: async () => bytes.buffer };
+
+    assert.equal(await enhancement._toBlob(blob), blob);
+    for (const input of [bytes.buffer, bytes, streamReference]) {
+        const converted = await enhancement._toBlob(input);
+        assert.deepEqual(new Uint8Array(await converted.arrayBuffer()), bytes);
+    }
+    await assert.rejects(enhancement._toBlob('data:image/jpeg;base64,/9j/'), /Invalid input type/);
+});
+
+test('binary operations return PNG for black and white output and JPEG otherwise', async () => {
+    const enhancement = loadEnhancement();
+    const encoded = [];
+    enhancement._getCanvasFromInput = async () => ({ width: 2, height: 2 });
+    enhancement._processCanvas = async (operation, canvas) => canvas;
+    enhancement._disposeCanvas = () => {};
+    enhancement._canvasToBlob = async (canvas, type, quality) => {
+        encoded.push({ type, quality });
+        return new Blob([], { type });
+    };
+    const image = new Uint8Array([0xFF, 0xD8]);
+
+    assert.equal((await enhancement.binarizeBinary(image)).type, 'image/png');
+    assert.equal((await enhancement.enhanceImageBinary(image, { binarize: true })).type, 'image/png');
+    assert.equal((await enhancement.enhanceImageBinary(image, { preset: 'receipt' })).type, 'image/jpeg');
+    assert.equal((await enhancement.adjustContrastBinary(image)).type, 'image/jpeg');
+    assert.deepEqual(encoded.at(-1), { type: 'image/jpeg', quality: 0.95 });
+});
+
+test('finds the corners of a tilted document in top-left, top-right, bottom-right, bottom-left order', () => {
+    const enhancement = loadEnhancement();
+    const documents = [
+        [{ x: 60, y: 40 }, { x: 250, y: 55 }, { x: 240, y: 200 }, { x: 45, y: 185 }],
+        [{ x: 90, y: 50 }, { x: 230, y: 40 }, { x: 260, y: 215 }, { x: 70, y: 200 }]
+    ];
+
+    for (const corners of documents) {
+        const result = enhancement._detectQuadrilateral(renderDocument(320, 240, corners), 320, 240, 50);
+        assert.ok(result, JSON.stringify(corners));
+        result.corners.forEach((corner, i) => {
+            assert.ok(Math.hypot(corner.x - corners[i].x, corner.y - corners[i].y) < 5, `corner ${i}: ${JSON.stringify(corner)}`);
+        });
+        assert.ok(result.confidence > 0.5);
+    }
+});
+
+test('reports the full frame, undetected, when there is no document outline', async () => {
+    const enhancement = loadEnhancement();
+    const flat = new Uint8ClampedArray(320 * 240 * 4).fill(128);
+    assert.equal(enhancement._detectQuadrilateral(flat, 320, 240, 50), null);
+
+    enhancement._getCanvasFromInput = async () => ({
+        width: 320,
+        height: 240,
+        getContext: () => ({ getImageData: () => ({ data: flat, width: 320, height: 240 }) })
+    });
+    enhancement._disposeCanvas = () => {};
+    assert.deepEqual(await enhancement.detectDocumentCorners(new Uint8Array([0xFF, 0xD8])), {
+        detected: false,
+        corners: [{ x: 0, y: 0 }, { x: 320, y: 0 }, { x: 320, y: 240 }, { x: 0, y: 240 }],
+        confidence: 0,
+        width: 320,
+        height: 240
+    });
+});
+
+test('corner overlay keeps corners on the image and corrects with them rounded', async () => {
+    const { CornerAdjustmentOverlay } = await importModule('corner-adjustment-overlay.js');
+    const overlay = Object.create(CornerAdjustmentOverlay.prototype);
+    overlay.image = { naturalWidth: 400, naturalHeight: 300 };
+    overlay.render = () => {};
+
+    overlay.setCorners([{ x: -5, y: 10.4 }, { x: 420, y: -1 }, { x: 390.6, y: 310 }, { x: 12, y: 280 }]);
+    assert.deepEqual(overlay.getCorners(), [{ x: 0, y: 10 }, { x: 400, y: 0 }, { x: 391, y: 300 }, { x: 12, y: 280 }]);
+    overlay.setCorners(null);
+    assert.deepEqual(overlay.getCorners(), [{ x: 0, y: 0 }, { x: 400, y: 0 }, { x: 400, y: 300 }, { x: 0, y: 300 }]);
+
+    const calls = [];
+    globalThis.window = { imageEnhancement: { correctPerspective: async (image, options) => calls.push(options) } };
+    try {
+        await overlay.applyCorrection('data:image/jpeg;base64,/9j/', { preserveAspectRatio: false });
+    } finally {
+        delete globalThis.window;
+    }
+    assert.deepEqual(calls, [{ preserveAspectRatio: false, manualCorners: overlay.getCorners() }]);
+});
+
+test('adaptive binarization separates text from paper under a lighting gradient that defeats a global threshold', () => {
+    const enhancement = loadEnhancement();
+    const width = 240;
+    const height = 160;
+    const isInk = (x, y) => (y % 20 >= 8 && y % 20 < 12 && x > 20 && x < 220 && x % 12 < 8) ||
+        (x % 40 >= 18 && x % 40 < 21 && y > 30 && y < 130);
+    let seed = 3;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+    // Paper darkens from 230 to 90 across the page; ink is 75 below the paper around it, plus noise
+    const page = () => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const paper = 230 - 140 * x / width;
+                const i = (y * width + x) * 4;
+                data[i] = data[i + 1] = data[i + 2] = (isInk(x, y) ? paper - 75 : paper) + (random() - 0.5) * 20;
+                data[i + 3] = 255;
+            }
+        }
+        return data;
+    };
+    const accuracy = (method) => {
+        const data = page();
+        enhancement._applyBinarization(data, width, height, { method });
+        const hits = { ink: 0, inkTotal: 0, paper: 0, paperTotal: 0 };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const black = data[(y * width + x) * 4] === 0;
+                if (isInk(x, y)) {
+                    hits.inkTotal++;
+                    hits.ink += black ? 1 : 0;
+                } else {
+                    hits.paperTotal++;
+                    hits.paper += black ? 0 : 1;
+                }
+            }
+        }
+        return { ink: hits.ink / hits.inkTotal, paper: hits.paper / hits.paperTotal };
+    };
+
+    for (const method of ['sauvola', 'bradley']) {
+        const result = accuracy(method);
+        assert.ok(result.ink > 0.95 && result.paper > 0.99, `${method}: ${JSON.stringify(result)}`);
+    }
+    const niblack = accuracy('niblack');
+    assert.ok(niblack.ink > 0.95 && niblack.paper > 0.85, `niblack: ${JSON.stringify(niblack)}`);
+    const otsu = accuracy('otsu');
+    assert.ok(otsu.paper < 0.7, `otsu: ${JSON.stringify(otsu)}`);
+});
+
+test('Otsu picks a threshold between the two modes and binarization honours invert', () => {
+    const enhancement = loadEnhancement();
+    const gray = Float32Array.from({ length: 1000 }, (_, i) => (i < 300 ? 40 : 200) + i % 10);
+    const threshold = enhancement._calculateOtsuThreshold(gray);
+    assert.ok(threshold >= 49 && threshold < 200, `threshold ${threshold}`);
+
+    const data = new Uint8ClampedArray([30, 30, 30, 255, 220, 220, 220, 255]);
+    enhancement._applyBinarization(data, 2, 1, { method: 'otsu', invert: true });
+    assert.deepEqual([...data], [255, 255, 255, 255, 0, 0, 0, 255]);
+    assert.throws(() => enhancement._applyBinarization(data, 2, 1, { method: 'threshold' }), /Unknown binarization method/);
+});
+
+// Canvas stand-in over an RGBA buffer; getImageData hands out a copy, as a real context does
+function pixelCanvas(width, height, level = () => 0) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = level(x, y);
+            data[i + 3] = 255;
+        }
+    }
+    return {
+        width,
+        height,
+        data,
+        getContext: () => ({
+            getImageData: () => ({ data: new Uint8ClampedArray(data), width, height }),
+            putImageData: (imageData) => data.set(imageData.data),
+            createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }),
+            // Nearest-neighbour scaling of another pixelCanvas
+            drawImage(source, dx, dy, dw = source.width, dh = source.height) {
+                for (let y = 0; y < dh; y++) {
+                    for (let x = 0; x < dw; x++) {
+                        const sx = Math.floor(x * source.width / dw);
+                        const sy = Math.floor(y * source.height / dh);
+                        const from = (sy * source.width + sx) * 4;
+                        data.set(source.data.subarray(from, from + 4), ((dy + y) * width + dx + x) * 4);
+                    }
+                }
+            },
+            clearRect() {}
+        })
+    };
+}
+
+// A page of ruled text lines on a dark desk, 400 x 300
+function textPage(x, y) {
+    if (x < 50 || x >= 350 || y < 40 || y >= 260) {
+        return 60;
+    }
+    return y % 20 < 4 && x > 70 && x < 330 ? 20 : 200;
+}
+
+test('glare removal inpaints a small hotspot and leaves a large white page alone', async () => {
+    const enhancement = loadEnhancement();
+    const inGlare = (x, y) => Math.hypot(x - 150, y - 120) < 25;
+    const canvas = pixelCanvas(400, 300, (x, y) => (inGlare(x, y) ? 255 : textPage(x, y)));
+
+    await enhancement._removeGlareOnCanvas(canvas);
+
+    let blownOut = 0;
+    for (let y = 95; y < 145; y++) {
+        for (let x = 125; x < 175; x++) {
+            blownOut += inGlare(x, y) && canvas.data[(y * 400 + x) * 4] >= 235 ? 1 : 0;
+        }
+    }
+    assert.equal(blownOut, 0);
+    assert.equal(canvas.data[(30 * 400 + 30) * 4], 60);
+
+    const blankPage = pixelCanvas(400, 300, (x, y) => (x >= 50 && x < 350 && y >= 40 && y < 260 ? 250 : 60));
+    const before = new Uint8ClampedArray(blankPage.data);
+    await enhancement._removeGlareOnCanvas(blankPage);
+    assert.deepEqual(blankPage.data, before);
+});
+
+test('glare removal copies the hidden text from a second capture, aligned by the document outline', async () => {
+    const enhancement = loadEnhancement();
+    enhancement._getCanvasFromInput = async (input) => input;
+    const canvas = pixelCanvas(400, 300, (x, y) => (Math.hypot(x - 150, y - 120) < 25 ? 255 : textPage(x, y)));
+    // Taken from further left: the page sits 10 px to the right, with its glare somewhere else
+    const secondCapture = pixelCanvas(400, 300, (x, y) => (Math.hypot(x - 300, y - 200) < 25 ? 255 : textPage(x - 10, y)));
+
+    await enhancement._removeGlareOnCanvas(canvas, { secondCapture });
+
+    let wrong = 0;
+    for (let y = 95; y < 145; y++) {
+        for (let x = 125; x < 175; x++) {
+            wrong += Math.abs(canvas.data[(y * 400 + x) * 4] - textPage(x, y)) > 40 ? 1 : 0;
+        }
+    }
+    assert.equal(wrong, 0);
+});
+
+test('burst merge picks the sharpest frame and median-stacks the sharp ones through their outlines', async () => {
+    const window = {};
+    new Function('window', QUALITY_SCRIPT)(window);
+    const enhancement = loadEnhancement(window);
+    enhancement._createCanvas = (width, height) => pixelCanvas(width, height);
+
+    let seed = 5;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const page = (x, y) => {
+        if (x < 40 || x >= 280 || y < 30 || y >= 210) {
+            return 50;
+        }
+        return y % 16 < 3 && x > 60 && x < 260 ? 30 : 210;
+    };
+    // Noisy frames of the page, shifted sideways by hand shake; smear > 0 blurs one across the lines
+    const frame = (shift, smear = 0) => pixelCanvas(320, 240, (x, y) => {
+        let sum = 0;
+        for (let k = -smear; k <= smear; k++) {
+            sum += page(x - shift, y + k);
+        }
+        return sum / (2 * smear + 1) + (random() - 0.5) * 30;
+    });
+    const shifts = [0, 2, -2, 1, 0];
+    const frames = shifts.map((shift, index) => frame(shift, index === 2 ? 8 : 0));
+    const error = (canvas, shift) => {
+        let total = 0;
+        for (let y = 40; y < 200; y++) {
+            for (let x = 60; x < 260; x++) {
+                total += Math.abs(canvas.data[(y * 320 + x) * 4] - page(x - shift, y));
+            }
+        }
+        return total / (160 * 200);
+    };
+
+    const sharpest = await enhancement._mergeBurstFrames(frames, { analysisDimension: 160 });
+    assert.notEqual(sharpest.selectedIndex, 2);
+    assert.equal(sharpest.canvas, frames[sharpest.selectedIndex]);
+    assert.equal(sharpest.stackedFrames, 1);
+    assert.ok(sharpest.sharpness[2] < Math.min(...sharpest.sharpness.filter((value, index) => index !== 2)));
+
+    const stacked = await enhancement._mergeBurstFrames(frames, { mode: 'stack', analysisDimension: 320 });
+    const shift = shifts[stacked.selectedIndex];
+    assert.equal(stacked.stackedFrames, 4);
+    assert.ok(error(stacked.canvas, shift) < error(frames[stacked.selectedIndex], shift) * 0.7,
+        `stacked ${error(stacked.canvas, shift)}, reference ${error(frames[stacked.selectedIndex], shift)}`);
+
+    await assert.rejects(enhancement._mergeBurstFrames([]), /No frames captured/);
+});
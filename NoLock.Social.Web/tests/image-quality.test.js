@@ -0,0 +1,160 @@
+// Tests for wwwroot/js/image-quality.js
+// The analysis helpers work on ImageData-shaped objects, so no canvas is needed
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/image-quality.js'), 'utf8');
+
+function loadQuality(window = {}) {
+    new Function('window', SCRIPT)(window);
+    return window.imageQuality;
+}
+
+test('reads binary input as a Blob and leaves other inputs to the canvas path', async () => {
+    const quality = loadQuality();
+    const bytes = new Uint8Array([0x89, 0x50, 0x4E, 0x47]);
+    const blob = new Blob([bytes], { type: 'image/png' });
+
+    assert.equal(await quality._getBlobFromInput(blob), blob);
+    for (const input of [bytes, bytes.buffer, { arrayBuffer: async () => bytes.buffer }]) {
+        const converted = await quality._getBlobFromInput(input);
+        assert.deepEqual(new Uint8Array(await converted.arrayBuffer()), bytes);
+    }
+    assert.equal(await quality._getBlobFromInput('data:image/png;base64,iVBORw0KGgo='), null);
+});
+
+// RGBA pixels from a gray level function
+function grayImage(width, height, level) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = level(x, y);
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width, height };
+}
+
+// Stands in for the canvas _getCanvasFromInput draws the input on
+function fakeCanvas(imageData) {
+    return {
+        width: imageData.width,
+        height: imageData.height,
+        getContext: () => ({ getImageData: () => imageData })
+    };
+}
+
+test('reports glare hotspots by region, ignoring paper white', () => {
+    const quality = loadQuality();
+    // Paper white page with a blown-out patch over a third of the top-right ninth
+    const image = grayImage(90, 90, (x, y) => (x >= 70 && y < 15 ? 255 : 235));
+
+    const glare = quality._detectGlare(image, 90, 90);
+
+    assert.deepEqual(glare.hotspots, [{ region: 'top-right', ratio: 0.333 }]);
+    assert.equal(glare.hasGlare, true);
+    assert.equal(glare.glareRatio, 0.037);
+    assert.equal(glare.glareScore, 0);
+
+    const clean = quality._detectGlare(grayImage(90, 90, () => 235), 90, 90);
+    assert.deepEqual(clean, { glareScore: 1, glareRatio: 0, hasGlare: false, hotspots: [] });
+});
+
+test('estimates the motion blur direction from which gradients survive', () => {
+    const quality = loadQuality();
+    const blurOf = (level) => {
+        const image = grayImage(60, 60, level);
+        const tensor = { xx: 0, yy: 0, xy: 0 };
+        quality._applySobelEdgeDetection(quality._convertToGrayscale(image), 60, 60, tensor);
+        return quality._estimateMotionBlur(tensor, { isSharp: false });
+    };
+
+    // Smearing sideways leaves only horizontal structure, so only vertical gradients
+    const sideways = blurOf((x, y) => (Math.floor(y / 4) % 2 ? 200 : 60));
+    assert.equal(sideways.detected, true);
+    assert.equal(sideways.direction, 'horizontal');
+    assert.equal(sideways.strength, 1);
+
+    assert.equal(blurOf((x) => (Math.floor(x / 4) % 2 ? 200 : 60)).direction, 'vertical');
+    assert.equal(blurOf((x, y) => (Math.floor((x + y) / 4) % 2 ? 200 : 60)).direction, 'diagonal');
+
+    const checkerboard = blurOf((x, y) => ((Math.floor(x / 4) + Math.floor(y / 4)) % 2 ? 200 : 60));
+    assert.equal(checkerboard.detected, false);
+    assert.equal(checkerboard.direction, null);
+
+    assert.deepEqual(quality._estimateMotionBlur({ xx: 0, yy: 0, xy: 0 }, { isSharp: false }),
+        { detected: false, angle: null, direction: null, strength: 0 });
+});
+
+test('ranks fixes by severity with a message per problem', () => {
+    const quality = loadQuality();
+    const fixes = quality._rankFixes({
+        blur: { blurScore: 0.2, isSharp: false },
+        motionBlur: { detected: true, direction: 'vertical' },
+        resolution: { resolutionScore: 0.5, coverage: 0.3, documentDetected: true },
+        glare: { hotspots: [{ region: 'center', ratio: 0.1 }, { region: 'top-left', ratio: 0.03 }] },
+        lighting: { isWellLit: false, lightingScore: 0.4, brightness: 0.2 },
+        edges: { hasRectangle: false, edgeScore: 0.2 }
+    });
+
+    assert.deepEqual(fixes, [
+        { code: 'motion-blur', message: 'Hold the camera still (vertical motion blur)', severity: 0.8 },
+        { code: 'too-dark', message: 'Add more light', severity: 0.6 },
+        { code: 'too-far', message: 'Move closer', severity: 0.5 },
+        { code: 'glare', message: 'Reduce glare center', severity: 0.5 },
+        { code: 'glare', message: 'Reduce glare top-left', severity: 0.15 }
+    ]);
+
+    const unfocused = quality._rankFixes({
+        blur: { blurScore: 0.1, isSharp: false },
+        motionBlur: { detected: false },
+        resolution: { resolutionScore: 0.9, coverage: 0.9, documentDetected: false },
+        glare: { hotspots: [] },
+        lighting: { isWellLit: false, lightingScore: 0.5, brightness: 0.8 },
+        edges: { hasRectangle: false, edgeScore: 0.6 }
+    });
+    assert.deepEqual(unfocused.map(fix => fix.code),
+        ['out-of-focus', 'too-bright', 'edges-not-visible', 'low-resolution']);
+});
+
+test('estimates capture DPI from the detected outline and the document size', () => {
+    // A passport (4.92 in wide) detected 1476 px wide in a 2000 x 1500 frame
+    const corners = [{ x: 262, y: 230 }, { x: 1738, y: 230 }, { x: 1738, y: 1270 }, { x: 262, y: 1270 }];
+    const window = { imageEnhancement: { _detectCornersOnCanvas: () => ({ corners }) } };
+    const quality = loadQuality(window);
+    const canvas = { width: 2000, height: 1500 };
+
+    const passport = quality._estimateResolution(canvas, quality._getDocumentProfile('Passport'));
+    assert.deepEqual(passport, {
+        estimatedDpi: 300, requiredDpi: 300, resolutionScore: 1, documentDetected: true, coverage: 0.51
+    });
+
+    // Receipts are measured across their 3.15 in roll width
+    assert.equal(quality._estimateResolution(canvas, quality._getDocumentProfile('Receipt')).estimatedDpi, 330);
+
+    // Without the corner detector the page is assumed to fill the frame
+    const undetected = loadQuality();
+    const letter = undetected._estimateResolution({ width: 1100, height: 850 }, undetected._getDocumentProfile('Invoice'));
+    assert.deepEqual(letter, {
+        estimatedDpi: 100, requiredDpi: 150, resolutionScore: 0.67, documentDetected: false, coverage: 1
+    });
+    assert.equal(undetected._getDocumentProfile('unknown-type').name, 'generic');
+});
+
+test('assess flags a dark, sideways-smeared capture and explains why', async () => {
+    const quality = loadQuality();
+    const image = grayImage(120, 90, (x, y) => (Math.floor(y / 6) % 2 ? 70 : 30));
+    quality._getCanvasFromInput = async () => fakeCanvas(image);
+
+    const result = await quality.assess('capture', { documentType: 'Invoice' });
+
+    assert.equal(result.documentType, 'invoice');
+    assert.equal(result.isAcceptable, false);
+    assert.equal(result.motionBlur.direction, 'horizontal');
+    assert.deepEqual(result.fixes.slice(0, 2).map(fix => fix.code), ['low-resolution', 'too-dark']);
+    assert.ok(result.fixes.some(fix => fix.message === 'Hold the camera still (horizontal motion blur)'));
+});
@@ -0,0 +1,622 @@
+// Tests for wwwroot/js/indexeddb-storage.js on fake-indexeddb
+// Each test loads a fresh copy of the script, the way a separate browser tab would
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { IDBFactory } = require('fake-indexeddb');
+require('fake-indexeddb/auto');
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/indexeddb-storage.js'), 'utf8');
+const DB_NAME = 'NoLockSocialOfflineStorage';
+
+let tabs = [];
+const { log, info, warn, error } = console;
+
+// Load the storage script into its own window object
+function openTab() {
+    const window = {};
+    new Function('window', SCRIPT)(window);
+    tabs.push(window.indexedDbStorage);
+    return window.indexedDbStorage;
+}
+
+// Stand-in for a DotNetObjectReference that records every callback
+function createDotNetRef() {
+    const calls = [];
+    return {
+        calls: calls,
+        invokeMethodAsync: (method, ...args) => {
+            calls.push({ method: method, args: args });
+            return Promise.resolve();
+        },
+        of: (method) => calls.filter(call => call.method === method).map(call => call.args)
+    };
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openRaw(version) {
+    return requestToPromise(indexedDB.open(DB_NAME, version));
+}
+
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    console.log = () => {};
+    console.info = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+});
+
+afterEach(() => {
+    tabs.forEach(storage => storage.dispose());
+    tabs = [];
+    delete globalThis.navigator;
+    Object.assign(console, { log, info, warn, error });
+});
+
+// navigator.storage with a settable usage; quota is 1000 bytes
+function stubStorageManager(persisted = false) {
+    const manager = {
+        usage: 0,
+        persisted: persisted,
+        persistRequests: 0,
+        estimate: async () => ({ usage: manager.usage, quota: 1000 }),
+        persist: async () => {
+            manager.persistRequests++;
+            manager.persisted = true;
+            return true;
+        }
+    };
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { storage: { estimate: manager.estimate, persist: manager.persist, persisted: async () => manager.persisted } },
+        configurable: true
+    });
+    return manager;
+}
+
+test('creates the version 1 schema on a new database', async () => {
+    const storage = openTab();
+    const dotNetRef = createDotNetRef();
+    storage.registerStorageEvents(dotNetRef);
+
+    await storage.initialize();
+
+    const database = await openRaw();
+    assert.equal(database.version, storage.getSchemaVersion());
+    assert.deepEqual([...database.objectStoreNames].sort(), ['imageData', 'images', 'operations', 'sessions']);
+    const indexes = [...database.transaction('operations').objectStore('operations').indexNames].sort();
+    assert.deepEqual(indexes, ['createdAt', 'operationId', 'priority']);
+    database.close();
+
+    const statuses = dotNetRef.of('OnStorageMigrationProgress').map(([progress]) => progress.status);
+    assert.deepEqual(statuses, ['started', ...Array(storage.getSchemaVersion()).fill('migrating'), 'completed']);
+});
+
+test('keeps existing data when a later migration adds an index and transforms records', async () => {
+    const first = openTab();
+    await first.saveSession('s1', '{"name":"first"}');
+    await first.saveSession('s2', '{"name":"second"}');
+    first.dispose();
+
+    const storage = openTab();
+    const next = storage.getSchemaVersion() + 1;
+    const dotNetRef = createDotNetRef();
+    storage.registerStorageEvents(dotNetRef);
+    storage.registerMigration(next, (database, transaction, context) => {
+        transaction.objectStore('sessions').createIndex('updatedAt', 'updatedAt', { unique: false });
+        context.transformRecords('sessions', record => ({ ...record, schema: 2 }));
+    });
+
+    await storage.initialize();
+    assert.equal(await storage.loadSession('s1'), '{"name":"first"}');
+
+    const database = await openRaw();
+    assert.equal(database.version, next);
+    const store = database.transaction('sessions').objectStore('sessions');
+    assert.ok(store.indexNames.contains('updatedAt'));
+    const records = await requestToPromise(store.getAll());
+    assert.deepEqual(records.map(record => record.schema), [2, 2]);
+    database.close();
+
+    const completed = dotNetRef.of('OnStorageMigrationProgress').map(([progress]) => progress).pop();
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.fromVersion, next - 1);
+    assert.equal(completed.toVersion, next);
+    assert.equal(completed.recordsProcessed, 2);
+});
+
+test('runs migrations in version order and waits for each transform to finish', async () => {
+    const seed = openTab();
+    for (let i = 0; i < 250; i++) {
+        await seed.saveSession(`s${i}`, `"data${i}"`);
+    }
+    seed.dispose();
+
+    const storage = openTab();
+    const next = storage.getSchemaVersion() + 1;
+    const dotNetRef = createDotNetRef();
+    storage.registerStorageEvents(dotNetRef);
+    storage.registerMigration(next + 1, (database, transaction, context) => {
+        context.transformRecords('sessions', record => record.step === 1 ? { ...record, step: 2 } : undefined);
+    });
+    storage.registerMigration(next, (database, transaction, context) => {
+        context.transformRecords('sessions', record => (record.id === 's0' ? null : { ...record, step: 1 }));
+    });
+
+    await storage.initialize();
+    assert.equal(await storage.loadSession('s0'), null);
+    assert.equal(await storage.loadSession('s1'), '"data1"');
+
+    const database = await openRaw();
+    const records = await requestToPromise(database.transaction('sessions').objectStore('sessions').getAll());
+    database.close();
+    assert.equal(records.length, 249);
+    assert.ok(records.every(record => record.step === 2));
+
+    const progress = dotNetRef.of('OnStorageMigrationProgress').map(([update]) => update);
+    assert.ok(progress.some(update => update.status === 'migrating' && update.recordsProcessed === 100));
+    assert.equal(progress.pop().recordsProcessed, 499);
+});
+
+test('rolls back and reports a failed migration', async () => {
+    const first = openTab();
+    await first.saveSession('s1', '{}');
+    first.dispose();
+
+    const storage = openTab();
+    const next = storage.getSchemaVersion() + 1;
+    const dotNetRef = createDotNetRef();
+    storage.registerStorageEvents(dotNetRef);
+    storage.registerMigration(next, (database, transaction, context) => {
+        database.createObjectStore('drafts', { keyPath: 'id' });
+        context.transformRecords('sessions', () => {
+            throw new Error('bad record');
+        });
+    });
+
+    await assert.rejects(storage.initialize(), new RegExp(`Migration to version ${next} failed: bad record`));
+
+    const database = await openRaw();
+    assert.equal(database.version, next - 1);
+    assert.ok(!database.objectStoreNames.contains('drafts'));
+    database.close();
+
+    const failed = dotNetRef.of('OnStorageMigrationProgress').map(([progress]) => progress).pop();
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.message, 'bad record');
+});
+
+test('rejects migrations registered after the database is open', async () => {
+    const storage = openTab();
+    await storage.initialize();
+
+    assert.throws(() => storage.registerMigration(storage.getSchemaVersion() + 1, () => {}), /before the database is opened/);
+    assert.throws(() => openTab().registerMigration(1, () => {}), /already registered/);
+    assert.throws(() => openTab().registerMigration(0, () => {}), /Invalid migration version/);
+});
+
+test('closes the connection when another tab upgrades the schema', async () => {
+    const oldTab = openTab();
+    const oldTabRef = createDotNetRef();
+    oldTab.registerStorageEvents(oldTabRef);
+    await oldTab.initialize();
+
+    const newTab = openTab();
+    const next = newTab.getSchemaVersion() + 1;
+    newTab.registerMigration(next, (database) => database.createObjectStore('drafts', { keyPath: 'id' }));
+    await newTab.initialize();
+
+    assert.equal(oldTab.isReady(), false);
+    assert.deepEqual(oldTabRef.of('OnStorageVersionChange'), [[next]]);
+    await assert.rejects(oldTab.loadSession('s1'), /upgraded by a newer version of the app/);
+});
+
+test('reports a blocked upgrade and asks other tabs to close their connection', async () => {
+    const oldTab = openTab();
+    await oldTab.initialize();
+
+    // A connection without a versionchange handler, like a tab running an older build
+    const legacy = await openRaw();
+
+    const newTab = openTab();
+    const next = newTab.getSchemaVersion() + 1;
+    const dotNetRef = createDotNetRef();
+    newTab.registerStorageEvents(dotNetRef);
+    newTab.registerMigration(next, (database) => database.createObjectStore('drafts', { keyPath: 'id' }));
+
+    const opening = newTab.initialize();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(dotNetRef.of('OnStorageBlocked'), [[next - 1, next]]);
+    assert.equal(newTab.isReady(), false);
+
+    legacy.close();
+    await opening;
+    assert.equal(newTab.isReady(), true);
+    assert.equal(oldTab.isReady(), false);
+});
+
+test('concurrent callers share one open request', async () => {
+    const storage = openTab();
+    const dotNetRef = createDotNetRef();
+    storage.registerStorageEvents(dotNetRef);
+
+    await Promise.all([storage.initialize(), storage.saveSession('a', '1'), storage.loadSession('a')]);
+    assert.equal(dotNetRef.of('OnStorageMigrationProgress').filter(([progress]) => progress.status === 'started').length, 1);
+});
+
+const PNG_BYTES = Uint8Array.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13, 0x49, 0x48, 0x44, 0x52]);
+
+test('stores binary images as Blobs with separate metadata', async () => {
+    const storage = openTab();
+    await storage.saveImage('img1', PNG_BYTES.buffer, JSON.stringify({ Width: 640, Height: 480, Quality: 87 }));
+
+    const blob = await storage.loadImage('img1');
+    assert.ok(blob instanceof Blob);
+    assert.equal(blob.type, 'image/png');
+    assert.deepEqual(new Uint8Array(await blob.arrayBuffer()), PNG_BYTES);
+
+    const metadata = await storage.getImageMetadata('img1');
+    assert.equal(metadata.Width, 640);
+    assert.equal(metadata.Quality, 87);
+    assert.equal(metadata.size, PNG_BYTES.length);
+    assert.equal(metadata.mimeType, 'image/png');
+    assert.equal(metadata.hasThumbnail, false); // No image decoding in Node
+
+    assert.deepEqual(await storage.loadImageRange('img1', 1, 4), PNG_BYTES.slice(1, 4));
+    assert.equal(await storage.loadImageRange('missing', 0, 4), null);
+    assert.equal((await storage.getStorageInfo()).totalSize, PNG_BYTES.length);
+});
+
+test('reads images read-only and records access once per interval, not per chunk', async (t) => {
+    const storage = openTab();
+    await storage.saveImage('img1', PNG_BYTES.buffer);
+    const transactions = [];
+    const transaction = IDBDatabase.prototype.transaction;
+    t.mock.method(IDBDatabase.prototype, 'transaction', function (storeNames, mode) {
+        transactions.push([[].concat(storeNames).join(), mode]);
+        return transaction.call(this, storeNames, mode);
+    });
+
+    for (let start = 0; start < PNG_BYTES.length; start += 2) {
+        await storage.loadImageRange('img1', start, start + 2);
+    }
+    await storage.loadImage('img1');
+
+    assert.deepEqual(transactions.filter(([, mode]) => mode === 'readwrite'), [['images', 'readwrite']]);
+    assert.ok(transactions.filter(([stores]) => stores === 'imageData').every(([, mode]) => mode === 'readonly'));
+});
+
+test('decodes serialized CapturedImage JSON into a Blob', async () => {
+    const storage = openTab();
+    const base64 = Buffer.from(PNG_BYTES).toString('base64');
+    await storage.saveImage('img1', JSON.stringify({ Id: 'img1', ImageData: `data:image/png;base64,${base64}`, Width: 10 }));
+    await storage.saveImage('img2', JSON.stringify({ imageData: base64, imageUrl: 'blob:http://localhost/1' }));
+
+    assert.deepEqual(new Uint8Array(await (await storage.loadImage('img1')).arrayBuffer()), PNG_BYTES);
+    assert.equal((await storage.getImageMetadata('img1')).Width, 10);
+    assert.equal((await storage.loadImage('img2')).type, 'image/png');
+    assert.equal((await storage.getImageMetadata('img2')).imageUrl, undefined);
+
+    await assert.rejects(storage.saveImage('img3', JSON.stringify({ Width: 10 })), /no image data/);
+
+    // A captured data URL with separate metadata
+    await storage.saveImage('img4', `data:image/png;base64,${base64}`, JSON.stringify({ Quality: 80 }));
+    assert.equal((await storage.loadImage('img4')).type, 'image/png');
+    assert.equal((await storage.getImageMetadata('img4')).Quality, 80);
+});
+
+test('migrates version 1 image JSON into Blobs and metadata', async () => {
+    // Version 1 schema and records, as written by earlier builds
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+        const images = request.result.createObjectStore('images', { keyPath: 'id' });
+        images.createIndex('imageId', 'imageId', { unique: true });
+        images.createIndex('timestamp', 'timestamp', { unique: false });
+        request.result.createObjectStore('sessions', { keyPath: 'id' });
+        request.result.createObjectStore('operations', { keyPath: 'id' });
+    };
+    const legacy = await requestToPromise(request);
+    const imageJson = JSON.stringify({ Id: 'old', SessionId: 's1', ImageData: Buffer.from(PNG_BYTES).toString('base64'), Quality: 70 });
+    const timestamp = new Date('2024-01-02T03:04:05Z');
+    const transaction = legacy.transaction('images', 'readwrite');
+    transaction.objectStore('images').put({ id: 'old', imageId: 'old', data: imageJson, timestamp: timestamp, size: imageJson.length });
+    transaction.objectStore('images').put({ id: 'broken', imageId: 'broken', data: '{', timestamp: timestamp, size: 1 });
+    await new Promise(resolve => { transaction.oncomplete = resolve; });
+    legacy.close();
+
+    const storage = openTab();
+    await storage.initialize();
+
+    assert.deepEqual(new Uint8Array(await (await storage.loadImage('old')).arrayBuffer()), PNG_BYTES);
+    const metadata = await storage.getImageMetadata('old');
+    assert.equal(metadata.Quality, 70);
+    assert.equal(metadata.size, PNG_BYTES.length);
+    assert.deepEqual(metadata.storedAt, timestamp);
+    assert.equal(await storage.getImageMetadata('broken'), null);
+    assert.deepEqual((await storage.listImages({ sessionId: 's1' })).items.map(item => item.imageId), ['old']);
+});
+
+test('saveSession keeps createdAt and updateSession requires an existing session', async () => {
+    const storage = openTab();
+    await storage.saveSession('s1', '"v1"');
+    const [created] = (await storage.listSessions()).items;
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await storage.saveSession('s1', '"v2"');
+    await storage.updateSession('s1', '"v3"');
+    const [updated] = (await storage.listSessions()).items;
+
+    assert.equal(updated.data, '"v3"');
+    assert.deepEqual(updated.createdAt, created.createdAt);
+    assert.ok(updated.updatedAt > created.updatedAt);
+    await assert.rejects(storage.updateSession('missing', '{}'), /Session 'missing' not found/);
+    assert.equal(await storage.loadSession('missing'), null);
+});
+
+test('lists sessions a page at a time within a date range', async () => {
+    const storage = openTab();
+    const times = [];
+    for (let i = 0; i < 7; i++) {
+        await storage.saveSession(`s${i}`, String(i));
+        times.push((await storage.listSessions({ limit: 10 })).items[i].createdAt);
+        await new Promise(resolve => setTimeout(resolve, 2));
+    }
+
+    const pages = [];
+    let cursor = null;
+    do {
+        const page = await storage.listSessions({ limit: 3, cursor: cursor });
+        pages.push(page.items.map(item => item.sessionId));
+        cursor = page.cursor;
+    } while (cursor);
+    assert.deepEqual(pages, [['s0', 's1', 's2'], ['s3', 's4', 's5'], ['s6']]);
+
+    const exact = await storage.listSessions({ limit: 7 });
+    assert.equal(exact.items.length, 7);
+    assert.equal(exact.cursor, null);
+
+    const ranged = await storage.listSessions({ since: times[2], until: times[4].toISOString(), limit: 2 });
+    assert.deepEqual(ranged.items.map(item => item.sessionId), ['s2', 's3']);
+    const rest = await storage.listSessions({ since: times[2], until: times[4], cursor: ranged.cursor });
+    assert.deepEqual(rest.items.map(item => item.sessionId), ['s4']);
+    assert.equal(rest.cursor, null);
+
+    await assert.rejects(storage.listSessions({ limit: 0 }), /Invalid page size/);
+    await assert.rejects(storage.listSessions({ cursor: 'nonsense' }), /Invalid page cursor/);
+});
+
+test('returns an empty page for inverted ranges', async () => {
+    const storage = openTab();
+    await storage.saveSession('s1', '{}');
+    await storage.saveSession('s2', '{}');
+    await storage.saveImage('a', PNG_BYTES, JSON.stringify({ SessionId: 's1' }));
+
+    const empty = { items: [], cursor: null };
+    const future = new Date(Date.now() + 60000);
+    assert.deepEqual(await storage.listSessions({ since: future, until: new Date(0) }), empty);
+    assert.deepEqual(await storage.listImages({ sessionId: 's1', since: future, until: new Date(0) }), empty);
+
+    // A cursor past until
+    const first = await storage.listSessions({ limit: 1 });
+    const until = first.items[0].createdAt.getTime() - 1;
+    assert.deepEqual(await storage.listSessions({ until: until, cursor: first.cursor }), empty);
+});
+
+test('pages through sessions that share a creation time', async () => {
+    const storage = openTab();
+    await storage.initialize();
+
+    const createdAt = new Date('2025-05-05T00:00:00Z');
+    const database = await openRaw();
+    const transaction = database.transaction('sessions', 'readwrite');
+    ['a', 'b', 'c', 'd'].forEach(id => transaction.objectStore('sessions')
+        .put({ id: id, sessionId: id, data: id, createdAt: createdAt, updatedAt: createdAt }));
+    await new Promise(resolve => { transaction.oncomplete = resolve; });
+    database.close();
+
+    const first = await storage.listSessions({ limit: 2 });
+    const second = await storage.listSessions({ limit: 2, cursor: first.cursor });
+    assert.deepEqual(first.items.map(item => item.sessionId), ['a', 'b']);
+    assert.deepEqual(second.items.map(item => item.sessionId), ['c', 'd']);
+    assert.equal(second.cursor, null);
+});
+
+test('lists images by session and deletes sessions with their images', async () => {
+    const storage = openTab();
+    await storage.saveSession('s1', '{}');
+    await storage.saveSession('s2', '{}');
+    await storage.saveImage('a', PNG_BYTES, JSON.stringify({ SessionId: 's1' }));
+    await storage.saveImage('b', PNG_BYTES, JSON.stringify({ sessionId: 's2' }));
+    await storage.saveImage('c', PNG_BYTES, JSON.stringify({ SessionId: 's1' }));
+    await storage.saveImage('loose', PNG_BYTES);
+
+    const page = await storage.listImages({ sessionId: 's1', limit: 1 });
+    assert.deepEqual(page.items.map(item => item.imageId), ['a']);
+    const next = await storage.listImages({ sessionId: 's1', limit: 1, cursor: page.cursor });
+    assert.deepEqual(next.items.map(item => item.imageId), ['c']);
+    assert.equal(next.cursor, null);
+    assert.equal((await storage.listImages()).items.length, 4);
+
+    assert.equal(await storage.deleteSession('s1'), 2);
+    assert.equal(await storage.loadSession('s1'), null);
+    assert.equal(await storage.loadImage('a'), null);
+    assert.equal(await storage.getImageMetadata('c'), null);
+    assert.deepEqual((await storage.listImages()).items.map(item => item.imageId).sort(), ['b', 'loose']);
+
+    await storage.deleteImage('b');
+    assert.equal(await storage.loadImage('b'), null);
+    assert.equal(await storage.getImageMetadata('b'), null);
+    assert.equal((await storage.getStorageInfo()).images, 1);
+});
+
+test('reports bytes per store alongside the browser estimate', async () => {
+    const manager = stubStorageManager(true);
+    manager.usage = 250;
+    const storage = openTab();
+    await storage.saveSession('s1', '{"name":"é"}');
+    await storage.saveImage('img1', PNG_BYTES);
+    await storage.queueOperation('op1', JSON.stringify({ Priority: 1 }));
+
+    const info = await storage.getStorageInfo();
+    assert.equal(info.sessions, 1);
+    assert.deepEqual(info.sizes, { sessions: 13, images: PNG_BYTES.length, operations: 14 });
+    assert.equal(info.totalSize, 13 + PNG_BYTES.length + 14);
+    assert.equal(info.usage, 250);
+    assert.equal(info.quota, 1000);
+    assert.equal(info.usageRatio, 0.25);
+    assert.equal(info.persisted, true);
+});
+
+test('requests persistent storage once', async () => {
+    const storage = openTab();
+    assert.equal(await storage.requestPersistence(), false); // No StorageManager
+
+    const manager = stubStorageManager();
+    assert.equal(await storage.requestPersistence(), true);
+    assert.equal(await storage.requestPersistence(), true);
+    assert.equal(manager.persistRequests, 1);
+});
+
+test('warns .NET each time usage crosses a higher threshold', async () => {
+    const manager = stubStorageManager();
+    const storage = openTab();
+    const dotNetRef = createDotNetRef();
+    storage.registerStorageEvents(dotNetRef);
+    storage.configureQuota({ warningThresholds: [0.9, 0.6], evictionThreshold: 0.95, evictionTarget: 0.5 });
+
+    const thresholds = () => dotNetRef.of('OnStorageQuotaWarning').map(([status]) => status.threshold);
+    for (const [usage, expected] of [[100, []], [650, [0.6]], [700, [0.6]], [920, [0.6, 0.9]], [300, [0.6, 0.9]], [610, [0.6, 0.9, 0.6]]]) {
+        manager.usage = usage;
+        await storage.saveSession('s1', '{}');
+        assert.deepEqual(thresholds(), expected, `usage ${usage}`);
+    }
+
+    const [status] = dotNetRef.of('OnStorageQuotaWarning').pop();
+    assert.equal(status.usageRatio, 0.61);
+    assert.equal(status.persisted, false);
+    assert.throws(() => storage.configureQuota({ evictionTarget: 0.99 }), /evictionTarget below evictionThreshold/);
+});
+
+test('evicts the least recently used uploaded images and never queued operations', async () => {
+    const manager = stubStorageManager();
+    const storage = openTab();
+    const dotNetRef = createDotNetRef();
+    storage.registerStorageEvents(dotNetRef);
+
+    const large = new Uint8Array(100).fill(7);
+    for (const id of ['a', 'b', 'c', 'd']) {
+        await storage.saveImage(id, large);
+        await new Promise(resolve => setTimeout(resolve, 2));
+    }
+    await storage.queueOperation('op1', '{}');
+    await Promise.all(['a', 'b', 'c'].map(id => storage.markImageUploaded(id)));
+    await storage.loadImage('a');
+    await assert.rejects(storage.markImageUploaded('missing'), /Image 'missing' not found/);
+
+    // 850 of 1000 bytes used, eviction from 0.8 down to 0.7 frees two images
+    manager.usage = 850;
+    const status = await storage.checkQuota();
+    assert.equal(status.evictedImages, 2);
+    assert.equal(status.freedBytes, 200);
+    assert.equal(status.usage, 650);
+    assert.deepEqual(dotNetRef.of('OnStorageEviction').map(([eviction]) => eviction.imageIds), [['b', 'c']]);
+
+    assert.equal(await storage.loadImage('b'), null);
+    assert.ok(await storage.loadImage('a'));
+    assert.ok(await storage.loadImage('d'));
+    const metadata = await storage.getImageMetadata('b');
+    assert.equal(metadata.evicted, true);
+    assert.equal(metadata.uploaded, true);
+    assert.equal((await storage.getPendingOperations()).length, 1);
+    assert.equal((await storage.getStorageInfo()).sizes.images, 200);
+
+    // Only un-uploaded images are left besides 'a'
+    manager.usage = 990;
+    assert.equal((await storage.checkQuota()).evictedImages, 1);
+    assert.ok(await storage.loadImage('d'));
+});
+
+test('runTransaction resolves after commit with the returned request result', async () => {
+    const storage = openTab();
+    const { SESSIONS, OPERATIONS } = storage.stores;
+
+    let committed = false;
+    const key = await storage.runTransaction([SESSIONS, OPERATIONS], 'readwrite', (stores) => {
+        stores[OPERATIONS].put({ id: 'op1', data: '{}', priority: 0, createdAt: new Date() });
+        const request = stores[SESSIONS].put({ id: 's1', sessionId: 's1', data: '{}', createdAt: new Date() });
+        request.transaction.addEventListener('complete', () => {
+            committed = true;
+        });
+        return request;
+    });
+
+    assert.equal(key, 's1');
+    assert.equal(committed, true);
+    assert.equal(await storage.loadSession('s1'), '{}');
+    assert.equal((await storage.getPendingOperations()).length, 1);
+});
+
+test('runTransaction rolls back every store when a request fails, fn throws or aborts', async () => {
+    const storage = openTab();
+    const { SESSIONS, OPERATIONS } = storage.stores;
+    await storage.queueOperation('op1', '{}');
+
+    const writeBoth = (stores) => {
+        stores[SESSIONS].put({ id: 's1', sessionId: 's1', data: '{}', createdAt: new Date() });
+        stores[OPERATIONS].put({ id: 'op2', data: '{}', priority: 0, createdAt: new Date() });
+    };
+
+    // Duplicate key
+    await assert.rejects(storage.runTransaction([SESSIONS, OPERATIONS], 'readwrite', (stores) => {
+        writeBoth(stores);
+        stores[OPERATIONS].add({ id: 'op1', data: '{}', priority: 0, createdAt: new Date() });
+    }), /Transaction failed/);
+
+    await assert.rejects(storage.runTransaction([SESSIONS, OPERATIONS], 'readwrite', (stores) => {
+        writeBoth(stores);
+        throw new Error('Invalid session');
+    }), /Invalid session/);
+
+    await assert.rejects(storage.runTransaction([SESSIONS, OPERATIONS], 'readwrite', (stores, abort) => {
+        writeBoth(stores);
+        stores[SESSIONS].count().onsuccess = () => abort(new Error('Changed my mind'));
+    }), /Changed my mind/);
+
+    assert.equal(await storage.loadSession('s1'), null);
+    assert.equal((await storage.getPendingOperations()).length, 1);
+});
+
+test('saves a session with its images or with an operation in one transaction', async () => {
+    const storage = openTab();
+
+    await storage.saveSessionWithImages('s1', '{"name":"trip"}', [
+        { imageId: 'i1', image: PNG_BYTES, metadataJson: '{"Width":1}' },
+        { imageId: 'i2', image: Buffer.from(PNG_BYTES).toString('base64'), metadataJson: '{"SessionId":"other"}' }
+    ]);
+    assert.equal(await storage.loadSession('s1'), '{"name":"trip"}');
+    const images = await storage.listImages({ sessionId: 's1' });
+    assert.deepEqual(images.items.map(image => image.imageId).sort(), ['i1', 'i2']);
+    assert.equal((await storage.loadImage('i2')).type, 'image/png');
+
+    // An unreadable image leaves the session untouched
+    await assert.rejects(storage.saveSessionWithImages('s1', '{"name":"changed"}', [
+        { imageId: 'i3', image: '{"Width":1}' }
+    ]), /no image data/);
+    assert.equal(await storage.loadSession('s1'), '{"name":"trip"}');
+
+    await storage.saveSessionWithOperation('s1', '{"name":"queued"}', 'op1', '{"Priority":2}');
+    assert.equal(await storage.loadSession('s1'), '{"name":"queued"}');
+    assert.deepEqual(await storage.getPendingOperations(), ['{"Priority":2}']);
+
+    // Invalid operation JSON writes neither record
+    await assert.rejects(storage.saveSessionWithOperation('s2', '{}', 'op2', 'not json'));
+    assert.equal(await storage.loadSession('s2'), null);
+    assert.equal(await storage.deleteSession('s1'), 2);
+});
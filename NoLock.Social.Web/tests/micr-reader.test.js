@@ -0,0 +1,169 @@
+// Tests for wwwroot/js/micr-reader.js
+// Checks are rendered from the reader's own E-13B glyph grids at true size: 0.013" cells,
+// 0.125" pitch, the line 3/16" above the bottom edge of a 2.75" tall check
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const OCR_COMMON_SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/ocr-common.js'), 'utf8');
+const SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/micr-reader.js'), 'utf8');
+
+function loadMicrReader() {
+    const window = {};
+    new Function('window', OCR_COMMON_SCRIPT)(window);
+    new Function('window', SCRIPT)(window);
+    return window.micrReader;
+}
+
+// Grayscale check with the MICR line at the bottom right, printed text above it, shading and noise
+function renderCheck(glyphs, line, { dpi = 200, widthInches = 6, skewDegrees = 0, noise = 20 } = {}) {
+    const width = Math.round(widthInches * dpi);
+    const height = Math.round(2.75 * dpi);
+    const cell = 0.013 * dpi;
+    const pitch = 0.125 * dpi;
+    const baseline = height - 0.1875 * dpi;
+    const lineStart = width - 0.3125 * dpi - line.length * pitch;
+    const skew = Math.tan(skewDegrees * Math.PI / 180);
+    let seed = 1;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+    // Ink coverage, 2x2 supersampled
+    const ink = new Float32Array(width * height);
+    Array.from(line).forEach((char, index) => {
+        if (char === ' ') {
+            return;
+        }
+        const rows = glyphs[char];
+        const columns = rows[0].length;
+        const left = lineStart + index * pitch + (7 - columns) / 2 * cell;
+        for (let row = 0; row < 9; row++) {
+            for (let column = 0; column < columns; column++) {
+                if (rows[row][column] !== '#') {
+                    continue;
+                }
+                for (let sy = 0; sy < cell * 2; sy++) {
+                    for (let sx = 0; sx < cell * 2; sx++) {
+                        const x = left + column * cell + sx / 2;
+                        const y = baseline - 9 * cell + row * cell + sy / 2 + (x - width / 2) * skew;
+                        const pixel = Math.floor(y) * width + Math.floor(x);
+                        if (x >= 0 && y >= 0 && x < width && y < height) {
+                            ink[pixel] = Math.min(1, ink[pixel] + 0.25);
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    // Payee and memo lines the band search has to look past
+    for (let block = 0; block < 40; block++) {
+        const x = Math.floor(random() * width * 0.9);
+        const y = Math.floor(random() * height * 0.55);
+        for (let dy = 0; dy < 12; dy++) {
+            for (let dx = 0; dx < 25; dx++) {
+                if (random() < 0.5) {
+                    ink[(y + dy) * width + x + dx] = 1;
+                }
+            }
+        }
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < ink.length; i++) {
+        const paper = 235 - 30 * (i % width) / width;
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = paper - ink[i] * (paper - 40) + (random() - 0.5) * 2 * noise;
+        data[i * 4 + 3] = 255;
+    }
+    return { data, width, height };
+}
+
+// Cut the band out and binarize it halfway between ink and paper, as the capture pipeline's binarize step would
+function binarizeBand(imageData, band) {
+    const data = new Uint8ClampedArray(band.width * band.height * 4);
+    for (let y = 0; y < band.height; y++) {
+        for (let x = 0; x < band.width; x++) {
+            const level = imageData.data[((band.y + y) * imageData.width + band.x + x) * 4] < 130 ? 0 : 255;
+            const i = (y * band.width + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = level;
+            data[i + 3] = 255;
+        }
+    }
+    return { data, width: band.width, height: band.height };
+}
+
+function readCheck(micrReader, imageData) {
+    const band = micrReader.locateBand(imageData);
+    assert.ok(band, 'MICR band not found');
+    return micrReader.readLine(binarizeBand(imageData, band));
+}
+
+const SPECIMENS = [
+    // Personal check: routing, account, check number
+    '⑆021000021⑆ 123456789012⑈ 0123',
+    // Business check: auxiliary on-us check number ahead of the routing number
+    '⑈004512⑈ ⑆011000015⑆ 9876543⑈',
+    // Processed item with a dashed account number and the encoded amount
+    '⑆121000358⑆ 3300⑉12345⑈ 1001 ⑇0000012345⑇'
+];
+
+for (const [name, options] of [
+    ['a 200 dpi capture', {}],
+    ['a skewed 300 dpi capture', { dpi: 300, skewDegrees: -1.2 }],
+    ['a noisy 150 dpi capture', { dpi: 150, noise: 40 }],
+    ['an 8.5" business check', { widthInches: 8.5 }]
+]) {
+    test(`reads specimen MICR lines from ${name}`, () => {
+        const micrReader = loadMicrReader();
+        for (const line of SPECIMENS) {
+            const result = readCheck(micrReader, renderCheck(micrReader._GLYPHS, line, options));
+            assert.equal(result.micrLine, line);
+            assert.ok(result.confidence > 0.8, `confidence ${result.confidence}`);
+        }
+    });
+}
+
+test('splits MICR lines into routing, account, check number and amount fields', () => {
+    const micrReader = loadMicrReader();
+
+    assert.deepEqual(micrReader.parseMicrLine(SPECIMENS[0]), {
+        routingNumber: '021000021',
+        accountNumber: '123456789012',
+        checkNumber: '0123',
+        amount: null,
+        isRoutingNumberValid: true
+    });
+    assert.deepEqual(micrReader.parseMicrLine(SPECIMENS[1]), {
+        routingNumber: '011000015',
+        accountNumber: '9876543',
+        checkNumber: '004512',
+        amount: null,
+        isRoutingNumberValid: true
+    });
+    assert.deepEqual(micrReader.parseMicrLine(SPECIMENS[2]), {
+        routingNumber: '121000358',
+        accountNumber: '3300-12345',
+        checkNumber: '1001',
+        amount: 123.45,
+        isRoutingNumberValid: true
+    });
+});
+
+test('checks ABA routing numbers with the 3-7-1 checksum', () => {
+    const micrReader = loadMicrReader();
+
+    for (const routingNumber of ['021000021', '011000015', '121000358', '026009593']) {
+        assert.equal(micrReader.isValidRoutingNumber(routingNumber), true, routingNumber);
+    }
+    for (const routingNumber of ['021000022', '12100035', '12100035X', '', null]) {
+        assert.equal(micrReader.isValidRoutingNumber(routingNumber), false, String(routingNumber));
+    }
+});
+
+test('finds no MICR band on a blank check', () => {
+    const micrReader = loadMicrReader();
+    const blank = { width: 600, height: 275, data: new Uint8ClampedArray(600 * 275 * 4).fill(230) };
+
+    assert.equal(micrReader.locateBand(blank), null);
+});
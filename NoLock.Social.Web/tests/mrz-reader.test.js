@@ -0,0 +1,179 @@
+// Tests for wwwroot/js/mrz-reader.js
+// Parsing is pinned on the ICAO Doc 9303 specimens; reading renders MRZs in OCR-B (the font bwip-js ships)
+// at ICAO size - 2.54 mm pitch - on documents of TD1, TD2 and TD3 dimensions
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const bwip = require('bwip-js');
+
+const OCR_COMMON_SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/ocr-common.js'), 'utf8');
+const SCRIPT = fs.readFileSync(path.join(__dirname, '../wwwroot/js/mrz-reader.js'), 'utf8');
+
+function loadMrzReader() {
+    const window = {};
+    new Function('window', OCR_COMMON_SCRIPT)(window);
+    new Function('window', SCRIPT)(window);
+    return window.mrzReader;
+}
+
+const ICAO_SPECIMENS = {
+    TD1: ['I<UTOD231458907<<<<<<<<<<<<<<<', '7408122F1204159UTO<<<<<<<<<<<6', 'ERIKSSON<<ANNA<MARIA<<<<<<<<<<'],
+    TD2: ['I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<', 'D231458907UTO7408122F1204159<<<<<<<6'],
+    TD3: ['P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<', 'L898902C36UTO7408122F1204159ZE184226B<<<<<10']
+};
+
+// Document size in millimetres
+const DOCUMENT_SIZES = { TD1: [85.6, 54], TD2: [105, 74], TD3: [125, 88] };
+
+// MRZ lines 4 mm above the bottom edge, with a photo above them, shading and noise
+function renderDocument(format, lines, { pixelsPerMm = 8, skewDegrees = 0, noise = 15 } = {}) {
+    const font = bwip.FontLib.lookup('OCR-B');
+    const [widthMm, heightMm] = DOCUMENT_SIZES[format];
+    const width = Math.round(widthMm * pixelsPerMm);
+    const height = Math.round(heightMm * pixelsPerMm);
+    const pitch = 2.54 * pixelsPerMm;
+    const capHeight = pitch / 0.94 * 0.95;
+    const fontSize = 300 * capHeight / bwip.FontLib.getglyph(font, 72, 300, 300).top; // 'H' sets the cap height
+    const lineGap = capHeight * 1.75;
+    const left = (width - pitch * lines[0].length) / 2;
+    const bottom = height - 4 * pixelsPerMm;
+    const skew = Math.tan(skewDegrees * Math.PI / 180);
+    let seed = 7;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+
+    const ink = new Float32Array(width * height);
+    lines.forEach((line, lineIndex) => {
+        const baseline = bottom - (lines.length - 1 - lineIndex) * lineGap;
+        Array.from(line).forEach((char, index) => {
+            const glyph = bwip.FontLib.getglyph(font, char.charCodeAt(0), fontSize, fontSize);
+            const glyphLeft = left + index * pitch + (pitch - glyph.advance) / 2 + glyph.left;
+            for (let y = 0; y < glyph.height; y++) {
+                for (let x = 0; x < glyph.width; x++) {
+                    const px = Math.round(glyphLeft + x);
+                    const py = Math.round(baseline - glyph.top + y + (glyphLeft + x - width / 2) * skew);
+                    if (px >= 0 && py >= 0 && px < width && py < height) {
+                        ink[py * width + px] = Math.max(ink[py * width + px], glyph.bytes[y * glyph.width + x] / 255);
+                    }
+                }
+            }
+        });
+    });
+
+    const photoBottom = bottom - (lines.length - 1) * lineGap - capHeight * 3;
+    for (let y = Math.floor(height * 0.15); y < photoBottom - 10; y++) {
+        for (let x = Math.floor(width * 0.05); x < width * 0.3; x++) {
+            ink[y * width + x] = 0.3 + 0.4 * Math.sin(x / 9) * Math.sin(y / 13);
+        }
+    }
+
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < ink.length; i++) {
+        const paper = 225 - 35 * (i % width) / width;
+        data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = paper - ink[i] * (paper - 40) + (random() - 0.5) * 2 * noise;
+        data[i * 4 + 3] = 255;
+    }
+    return { data, width, height };
+}
+
+test('computes ICAO check digits', () => {
+    const mrzReader = loadMrzReader();
+
+    assert.equal(mrzReader.computeCheckDigit('L898902C3'), '6');
+    assert.equal(mrzReader.computeCheckDigit('740812'), '2');
+    assert.equal(mrzReader.computeCheckDigit('120415'), '9');
+    assert.equal(mrzReader.computeCheckDigit('ZE184226B<<<<<'), '1');
+    assert.equal(mrzReader.computeCheckDigit('<<<<<<<<<'), '0');
+});
+
+test('parses the ICAO passport specimen', () => {
+    const mrzReader = loadMrzReader();
+
+    assert.deepEqual(mrzReader.parse(ICAO_SPECIMENS.TD3), {
+        format: 'TD3',
+        documentCode: 'P',
+        documentType: 'Passport',
+        issuingState: 'UTO',
+        surname: 'ERIKSSON',
+        givenNames: 'ANNA MARIA',
+        documentNumber: 'L898902C3',
+        nationality: 'UTO',
+        birthDate: '1974-08-12',
+        sex: 'F',
+        expiryDate: '2012-04-15',
+        optionalData: 'ZE184226B',
+        checks: { documentNumber: true, birthDate: true, expiryDate: true, optionalData: true, composite: true },
+        valid: true
+    });
+});
+
+test('parses the ICAO identity card specimens', () => {
+    const mrzReader = loadMrzReader();
+
+    for (const format of ['TD1', 'TD2']) {
+        const fields = mrzReader.parse(ICAO_SPECIMENS[format]);
+        assert.equal(fields.format, format);
+        assert.equal(fields.documentType, 'IDCard');
+        assert.equal(fields.surname, 'ERIKSSON');
+        assert.equal(fields.givenNames, 'ANNA MARIA');
+        assert.equal(fields.documentNumber, 'D23145890');
+        assert.equal(fields.birthDate, '1974-08-12');
+        assert.equal(fields.expiryDate, '2012-04-15');
+        assert.equal(fields.valid, true, `${format}: ${JSON.stringify(fields.checks)}`);
+    }
+});
+
+test('flags the field whose check digit does not match', () => {
+    const mrzReader = loadMrzReader();
+    const [first, second] = ICAO_SPECIMENS.TD3;
+
+    const fields = mrzReader.parse([first, second.slice(0, 13) + '7508122' + second.slice(20)]);
+
+    assert.equal(fields.checks.birthDate, false);
+    assert.equal(fields.checks.composite, false);
+    assert.equal(fields.checks.documentNumber, true);
+    assert.equal(fields.valid, false);
+    assert.throws(() => mrzReader.parse([first]), /Unrecognized MRZ layout/);
+});
+
+for (const [name, options] of [
+    ['an 8 px/mm capture', {}],
+    ['a 5.5 px/mm capture', { pixelsPerMm: 5.5 }],
+    ['a skewed, noisy capture', { skewDegrees: 0.8, noise: 25 }]
+]) {
+    test(`reads the ICAO specimens from ${name}`, async () => {
+        const mrzReader = loadMrzReader();
+        for (const [format, lines] of Object.entries(ICAO_SPECIMENS)) {
+            const result = await mrzReader.read(renderDocument(format, lines, options));
+            assert.equal(result.found, true, format);
+            assert.deepEqual(result.lines, lines);
+            assert.equal(result.valid, true, `${format}: ${JSON.stringify(result.checks)}`);
+        }
+    });
+}
+
+test('settles look-alike characters in the document number with its check digit', async () => {
+    const mrzReader = loadMrzReader();
+    // Both sides of 0/O, 1/I and 8/B, in a field that allows letters and digits alike
+    const documentNumber = 'X0O1I8B5Z';
+    const second = `${documentNumber}${mrzReader.computeCheckDigit(documentNumber)}UTO7408122F1204159<<<<<<<<<<<<<<0`;
+    const lines = [
+        'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+        second + mrzReader.computeCheckDigit(second.slice(0, 10) + second.slice(13, 20) + second.slice(21, 43))
+    ];
+
+    const result = await mrzReader.read(renderDocument('TD3', lines));
+
+    assert.equal(result.documentNumber, documentNumber);
+    assert.equal(result.valid, true);
+});
+
+test('reports no MRZ on a blank page', async () => {
+    const mrzReader = loadMrzReader();
+    const blank = { width: 800, height: 560, data: new Uint8ClampedArray(800 * 560 * 4).fill(220) };
+
+    assert.deepEqual(await mrzReader.read(blank), {
+        found: false, format: null, lines: [], confidence: 0, zone: null, valid: false
+    });
+});
@@ -0,0 +1,179 @@
+// Tests for NoLock.Social.Components/wwwroot/js/permission-monitor.js
+// navigator is replaced per test; each test imports its own copy of the module so no permission state carries over
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const MODULE_URL = pathToFileURL(path.join(__dirname, '../../NoLock.Social.Components/wwwroot/js/permission-monitor.js')).href;
+let imports = 0;
+
+function importMonitor() {
+    return import(`${MODULE_URL}?test=${++imports}`);
+}
+
+const USER_AGENTS = {
+    edgeWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91',
+    operaMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 OPR/106.0.0.0',
+    samsungAndroid: 'Mozilla/5.0 (Linux; Android 13; SM-S918B) AppleWebKit/537.36 (KHTML, like Gecko) SamsungBrowser/23.0 Chrome/115.0.0.0 Mobile Safari/537.36',
+    chromeMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    chromeLinux: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    chromeIPhone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/119.0.6045.169 Mobile/15E148 Safari/604.1',
+    firefoxWindows: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:121.0) Gecko/20100101 Firefox/121.0',
+    firefoxIPhone: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) FxiOS/121.0 Mobile/15E148 Safari/605.1.15',
+    safariMac: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15'
+};
+
+// PermissionStatus stand-in; change() fires its change event the way Chrome and Firefox do
+function fakePermissionStatus(state) {
+    const listeners = [];
+    return {
+        state,
+        addEventListener: (type, listener) => listeners.push(listener),
+        change(newState) {
+            this.state = newState;
+            listeners.forEach(listener => listener());
+        }
+    };
+}
+
+function installNavigator({ userAgent = USER_AGENTS.chromeLinux, maxTouchPoints = 0, status = null, getUserMedia = async () => fakeStream() } = {}) {
+    Object.defineProperty(globalThis, 'navigator', {
+        value: {
+            userAgent,
+            maxTouchPoints,
+            mediaDevices: { getUserMedia },
+            permissions: status ? { query: async () => status } : undefined
+        },
+        configurable: true,
+        writable: true
+    });
+}
+
+function fakeStream() {
+    return { getTracks: () => [{ stop() {} }] };
+}
+
+test('maps user agents to browsers, checking the Chromium rebrands before Chrome', async () => {
+    installNavigator();
+    const { _internal: { detectPlatform } } = await importMonitor();
+
+    const expected = {
+        edgeWindows: { browser: 'Edge', os: 'Windows', mobile: false, ios: false },
+        operaMac: { browser: 'Opera', os: 'macOS', mobile: false, ios: false },
+        samsungAndroid: { browser: 'Samsung Internet', os: 'Android', mobile: true, ios: false },
+        chromeMac: { browser: 'Chrome', os: 'macOS', mobile: false, ios: false },
+        chromeLinux: { browser: 'Chrome', os: 'Linux', mobile: false, ios: false },
+        chromeIPhone: { browser: 'Chrome', os: 'iOS', mobile: true, ios: true },
+        firefoxWindows: { browser: 'Firefox', os: 'Windows', mobile: false, ios: false },
+        firefoxIPhone: { browser: 'Firefox', os: 'iOS', mobile: true, ios: true },
+        safariMac: { browser: 'Safari', os: 'macOS', mobile: false, ios: false }
+    };
+    for (const [name, platform] of Object.entries(expected)) {
+        assert.deepEqual(detectPlatform(USER_AGENTS[name]), platform, name);
+    }
+
+    // iPadOS asks for the desktop site and only gives itself away by its touch screen
+    installNavigator({ maxTouchPoints: 5 });
+    assert.deepEqual(detectPlatform(USER_AGENTS.safariMac), { browser: 'Safari', os: 'iOS', mobile: true, ios: true });
+});
+
+test('normalizes permission states to lowercase, unknown ones to prompt', async () => {
+    installNavigator();
+    const { _internal: { normalizeState } } = await importMonitor();
+
+    assert.equal(normalizeState('GRANTED'), 'granted');
+    assert.equal(normalizeState('denied'), 'denied');
+    assert.equal(normalizeState('prompt'), 'prompt');
+    assert.equal(normalizeState(undefined), 'prompt');
+});
+
+for (const [name, userAgent, firstStep, browserSteps] of [
+    ['Chrome on macOS', USER_AGENTS.chromeMac,
+        'Open System Settings > Privacy & Security > Camera and enable Chrome.',
+        ['Click the icon to the left of the address bar.', 'Set Camera to Allow.', 'Reload the page.']],
+    ['Edge on Windows', USER_AGENTS.edgeWindows,
+        'Open Settings > Privacy & security > Camera and allow desktop apps to access the camera.',
+        ['Click the icon to the left of the address bar.', 'Set Camera to Allow.', 'Reload the page.']],
+    ['Firefox on Windows', USER_AGENTS.firefoxWindows,
+        'Open Settings > Privacy & security > Camera and allow desktop apps to access the camera.',
+        ['Click the crossed-out camera icon in the address bar.', 'Clear the Blocked setting for this site.',
+            'Reload the page and choose Allow when asked for the camera.']]
+]) {
+    test(`puts the operating system step first when it blocks the camera (${name})`, async (t) => {
+        t.mock.method(console, 'error', () => {});
+        installNavigator({
+            userAgent,
+            getUserMedia: async () => {
+                throw Object.assign(new Error('Permission denied by system'), { name: 'NotAllowedError' });
+            }
+        });
+        const monitor = await importMonitor();
+        const changes = [];
+        monitor.subscribe('camera', (state, instructions) => changes.push({ state, instructions }));
+
+        assert.equal(await monitor.requestPermission('camera'), 'denied');
+
+        assert.deepEqual(changes.map(change => change.state), ['denied']);
+        assert.deepEqual(changes[0].instructions.steps, [firstStep, ...browserSteps]);
+        assert.deepEqual(monitor.getRecoveryInstructions('camera').steps, [firstStep, ...browserSteps]);
+    });
+}
+
+test('a site-level denial gets only the browser steps', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    installNavigator({
+        userAgent: USER_AGENTS.chromeMac,
+        getUserMedia: async () => {
+            throw Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+        }
+    });
+    const monitor = await importMonitor();
+
+    assert.equal(await monitor.requestPermission('microphone'), 'denied');
+    assert.deepEqual(monitor.getRecoveryInstructions('microphone'), {
+        browser: 'Chrome',
+        steps: ['Click the icon to the left of the address bar.', 'Set Microphone to Allow.', 'Reload the page.'],
+        settingsUrl: 'chrome://settings/content/microphone'
+    });
+});
+
+test('notifies subscribers once per change, whether it arrives as an event or a later query', async () => {
+    const status = fakePermissionStatus('prompt');
+    installNavigator({ status });
+    const monitor = await importMonitor();
+    const changes = [];
+    const unsubscribe = monitor.subscribe('camera', (state, instructions) => changes.push([state, instructions && instructions.browser]));
+
+    assert.equal(await monitor.queryPermission('camera'), 'prompt');
+    assert.equal(await monitor.queryPermission('camera'), 'prompt');
+
+    // Safari: the state moves on without a change event, and is seen on the next query
+    status.state = 'granted';
+    assert.equal(await monitor.queryPermission('camera'), 'granted');
+    // The event arriving late changes nothing
+    status.change('granted');
+
+    status.change('denied');
+    assert.equal(await monitor.queryPermission('camera'), 'denied');
+
+    assert.deepEqual(changes, [['prompt', null], ['granted', null], ['denied', 'Chrome']]);
+
+    unsubscribe();
+    status.change('granted');
+    assert.equal(changes.length, 3);
+});
+
+test('reports unsupported without getUserMedia', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    installNavigator();
+    navigator.mediaDevices = undefined;
+    const monitor = await importMonitor();
+    const changes = [];
+    monitor.subscribe('camera', state => changes.push(state));
+
+    assert.equal(await monitor.queryPermission('camera'), 'unsupported');
+    assert.equal(await monitor.requestPermission('camera'), 'unsupported');
+    assert.deepEqual(changes, ['unsupported']);
+});
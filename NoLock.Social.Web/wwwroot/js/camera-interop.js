@@ -1,36 +1,20 @@
 // Camera interop functions for Blazor
+// Global adapter over one default CameraSession (see camera-session.js); the first setupCamera call
+// binds it to a video element. Components that need several previews use the camera-session module directly.
+import { CameraSession, checkPermission, requestPermission, getCameraDevices, watchDevices } from '../_content/NoLock.Social.Components/js/camera-session.js';
+
 window.cameraInterop = {
-    stream: null,
-    video: null,
+    session: null,
+    events: null,
     
     // Check camera permission status
-    checkCameraPermission: async function() {
-        try {
-            // Check if permissions API is available
-            if (navigator.permissions && navigator.permissions.query) {
-                const result = await navigator.permissions.query({ name: 'camera' });
-                return result.state; // 'granted', 'denied', or 'prompt'
-            }
-            // If permissions API not available, return 'prompt' to try getUserMedia
-            return 'prompt';
-        } catch (error) {
-            console.log('Permissions API not available, will request on use');
-            return 'prompt';
-        }
+    checkCameraPermission: function() {
+        return checkPermission();
     },
     
     // Request camera permission
-    requestCameraPermission: async function() {
-        try {
-            // Request camera access by trying to get user media
-            const stream = await navigator.mediaDevices.getUserMedia({ video: true });
-            // If successful, stop the stream immediately (we just wanted permission)
-            stream.getTracks().forEach(track => track.stop());
-            return 'granted';
-        } catch (error) {
-            console.error('Camera permission denied:', error);
-            return 'denied';
-        }
+    requestCameraPermission: function() {
+        return requestPermission();
     },
     
     setupCamera: async function(videoElementId, streamUrl) {
@@ -41,27 +25,20 @@ window.cameraInterop = {
                 return false;
             }
             
-            this.video = video;
-            
             // If streamUrl is provided, use it
             if (streamUrl) {
+                this._releaseSession();
                 video.src = streamUrl;
                 return true;
             }
             
-            // Otherwise, get user media
-            const constraints = {
-                video: {
-                    width: { ideal: 1920 },
-                    height: { ideal: 1080 },
-                    facingMode: 'environment'
-                },
-                audio: false
-            };
+            if (!this.session || this.session.video !== video) {
+                this._releaseSession();
+                this.session = new CameraSession(video, null, { facingMode: 'environment' });
+                this._forwardStatus();
+            }
             
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            video.srcObject = this.stream;
-            return true;
+            return await this.session.start();
         } catch (error) {
             console.error('Error setting up camera:', error);
             throw error;
@@ -69,147 +46,235 @@ window.cameraInterop = {
     },
     
     captureImage: function(canvasId, videoId) {
-        try {
-            const video = document.getElementById(videoId) || this.video;
-            const canvas = document.getElementById(canvasId);
-            
-            if (!video || !canvas) {
-                console.error('Video or canvas element not found');
-                return null;
-            }
-            
-            const context = canvas.getContext('2d');
-            canvas.width = video.videoWidth;
-            canvas.height = video.videoHeight;
-            context.drawImage(video, 0, 0, canvas.width, canvas.height);
-            
-            // Return base64 image
-            return canvas.toDataURL('image/jpeg', 0.95);
-        } catch (error) {
-            console.error('Error capturing image:', error);
-            return null;
-        }
+        const session = this._getSession(videoId);
+        return session ? session.captureImage(document.getElementById(canvasId), 0.95) : null;
+    },
+    
+    // Capture as a JPEG Blob (received by .NET as IJSStreamReference) to avoid base64 overhead
+    captureImageBinary: function(canvasId, videoId, quality) {
+        const session = this._getSession(videoId);
+        return session ? session.captureImageBlob(document.getElementById(canvasId), quality || 0.95) : Promise.resolve(null);
+    },
+    
+    // Full-sensor still via ImageCapture.takePhoto, falling back to a video frame grab.
+    // options: { imageWidth, imageHeight, fillLightMode, redEyeReduction, canvasId, videoId, quality }.
+    capturePhoto: function(options) {
+        const settings = options || {};
+        const session = this._getSession(settings.videoId);
+        return session ? session.capturePhoto(this._withCanvas(settings)) : Promise.resolve(null);
+    },
+    
+    // Binary variant: resolves to the encoded photo Blob (received by .NET as IJSStreamReference)
+    capturePhotoBinary: function(options) {
+        const settings = options || {};
+        const session = this._getSession(settings.videoId);
+        return session ? session.capturePhotoBlob(this._withCanvas(settings)) : Promise.resolve(null);
+    },
+    
+    // Burst capture: grab several frames and keep the sharpest, or median-stack the sharp ones to cut
+    // low-light noise. Resolves to { imageData, mode, selectedIndex, sharpness, stackedFrames } or null.
+    captureBurst: function(count, intervalMs, options) {
+        const settings = options || {};
+        const session = this._getSession(settings.videoId);
+        return session ? session.captureBurst(count || 5, intervalMs || 100, this._withCanvas(settings)) : Promise.resolve(null);
     },
     
     stopCamera: function() {
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
-        if (this.video) {
-            this.video.srcObject = null;
-            // Don't null the video reference - we need it for switching cameras
-            // this.video = null;
+        if (this.session) {
+            // Keep the session - switchCamera restarts it on the same video element
+            this.session.stop();
         }
     },
     
-    getAvailableCameras: async function() {
-        try {
-            const devices = await navigator.mediaDevices.enumerateDevices();
-            return devices
-                .filter(device => device.kind === 'videoinput')
-                .map(device => ({
-                    id: device.deviceId,
-                    label: device.label || `Camera ${device.deviceId.substring(0, 8)}`
-                }));
-        } catch (error) {
-            console.error('Error getting cameras:', error);
-            return [];
-        }
+    // { deviceId, label, groupId } for each video input
+    getAvailableCameras: function() {
+        return getCameraDevices();
     },
     
     switchCamera: async function(deviceId) {
-        try {
-            // Get video element if not already set
-            if (!this.video) {
-                this.video = document.getElementById('cameraPreview');
-                if (!this.video) {
-                    console.error('Video element not found');
-                    return false;
-                }
-            }
-            
-            // Stop current stream and clean up
-            if (this.stream) {
-                this.stream.getTracks().forEach(track => track.stop());
-                // Also pause the video to stop any pending operations
-                if (this.video) {
-                    this.video.pause();
-                    this.video.srcObject = null;
-                }
-            }
-            
-            // Start new stream with selected camera
-            const constraints = {
-                video: {
-                    deviceId: { exact: deviceId },
-                    width: { ideal: 1920 },
-                    height: { ideal: 1080 }
-                },
-                audio: false
-            };
-            
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            
-            // Set the new stream to video element
-            if (this.video) {
-                this.video.srcObject = this.stream;
-                // Ensure video plays
-                await this.video.play();
-            }
-            
-            return true;
-        } catch (error) {
-            console.error('Error switching camera:', error);
-            
-            // Try to restart with any available camera if exact match fails
-            try {
-                const fallbackConstraints = {
-                    video: {
-                        width: { ideal: 1920 },
-                        height: { ideal: 1080 }
-                    },
-                    audio: false
-                };
-                
-                this.stream = await navigator.mediaDevices.getUserMedia(fallbackConstraints);
-                
-                if (this.video) {
-                    this.video.srcObject = this.stream;
-                    await this.video.play();
-                }
-            } catch (fallbackError) {
-                console.error('Fallback camera also failed:', fallbackError);
-            }
-            
-            throw error;
+        if (!this.session) {
+            console.error('Camera not set up; call setupCamera first');
+            return false;
         }
+        return this.session.switchCamera(deviceId);
     },
     
+    // Camera controls
+    // Every setter resolves to { applied, settings, reason }; see CameraSession.
+    
     setZoom: function(zoomLevel) {
-        if (this.stream) {
-            const track = this.stream.getVideoTracks()[0];
-            const capabilities = track.getCapabilities();
-            
-            if (capabilities.zoom) {
-                const settings = {
-                    zoom: Math.min(Math.max(zoomLevel, capabilities.zoom.min), capabilities.zoom.max)
-                };
-                track.applyConstraints({ advanced: [settings] });
-            }
-        }
+        return this._control(session => session.setZoom(zoomLevel));
     },
     
     toggleTorch: function(enabled) {
-        if (this.stream) {
-            const track = this.stream.getVideoTracks()[0];
-            const capabilities = track.getCapabilities();
-            
-            if (capabilities.torch) {
-                track.applyConstraints({
-                    advanced: [{ torch: enabled }]
-                });
-            }
+        return this._control(session => session.setTorch(enabled));
+    },
+    
+    getCameraCapabilities: function() {
+        return this.session ?
+            this.session.getCapabilities() :
+            Promise.resolve({ supported: false, capabilities: {}, settings: {}, photoCapabilities: null, photoSettings: null });
+    },
+    
+    setFocusMode: function(focusMode, focusDistance) {
+        return this._control(session => session.setFocusMode(focusMode, focusDistance));
+    },
+    
+    setPointsOfInterest: function(points, refocus) {
+        return this._control(session => session.setPointsOfInterest(points, refocus));
+    },
+    
+    setExposureMode: function(exposureMode) {
+        return this._control(session => session.setExposureMode(exposureMode));
+    },
+    
+    setExposureCompensation: function(exposureCompensation) {
+        return this._control(session => session.setExposureCompensation(exposureCompensation));
+    },
+    
+    setWhiteBalanceMode: function(whiteBalanceMode, colorTemperature) {
+        return this._control(session => session.setWhiteBalanceMode(whiteBalanceMode, colorTemperature));
+    },
+    
+    setPhotoResolution: function(width, height) {
+        return this._control(session => session.setPhotoResolution(width, height));
+    },
+    
+    // Edge detection and auto-capture report to the dotNetRef passed here
+    startEdgeDetection: function(overlayCanvasId, dotNetRef, options) {
+        if (!this.session) {
+            console.error('Camera not set up; call setupCamera first');
+            return false;
+        }
+        return this.session.startEdgeDetection(document.getElementById(overlayCanvasId), options, dotNetRef);
+    },
+    
+    stopEdgeDetection: function() {
+        if (this.session) {
+            this.session.stopEdgeDetection();
+        }
+    },
+    
+    getDetectedCorners: function() {
+        return this.session ? this.session.getDetectedCorners() : null;
+    },
+    
+    startAutoCapture: function(canvasId, dotNetRef, options) {
+        if (!this.session) {
+            console.error('Camera not set up; call setupCamera first');
+            return false;
+        }
+        return this.session.startAutoCapture(document.getElementById(canvasId), options, dotNetRef);
+    },
+    
+    stopAutoCapture: function() {
+        if (this.session) {
+            this.session.stopAutoCapture();
+        }
+    },
+    
+    // Live barcode/QR scanning: OnBarcodesDetected(barcodes, frameWidth, frameHeight) when the decoded set changes.
+    // options: { formats, framesPerSecond, maxDimension, useNative, stopOnDetect }; the overlay canvas is optional.
+    startBarcodeScanning: function(overlayCanvasId, dotNetRef, options) {
+        if (!this.session) {
+            console.error('Camera not set up; call setupCamera first');
+            return false;
+        }
+        const overlay = overlayCanvasId ? document.getElementById(overlayCanvasId) : null;
+        return this.session.startBarcodeScanning(overlay, options, dotNetRef);
+    },
+    
+    stopBarcodeScanning: function() {
+        if (this.session) {
+            this.session.stopBarcodeScanning();
+        }
+    },
+    
+    getDetectedBarcodes: function() {
+        return this.session ? this.session.getDetectedBarcodes() : [];
+    },
+    
+    // Scan one still; options: { source: 'photo'|'frame', formats, useNative, videoId } plus capturePhoto options.
+    // Resolves to { barcodes, width, height } or null.
+    scanBarcodes: function(options) {
+        const settings = options || {};
+        const session = this._getSession(settings.videoId);
+        return session ? session.scanBarcodes(this._withCanvas(settings)) : Promise.resolve(null);
+    },
+    
+    // Hot-plug and stream loss: OnCameraDevicesChanged(devices) after each devicechange and
+    // OnCameraStatusChanged(status, deviceId, previousDeviceId, reason, message) when the preview is lost or recovered
+    registerCameraEvents: function(dotNetRef) {
+        this.unregisterCameraEvents();
+        
+        const unwatch = watchDevices(devices => {
+            dotNetRef.invokeMethodAsync('OnCameraDevicesChanged', devices)
+                .catch(error => console.error('Failed to invoke .NET device change callback:', error));
+        });
+        
+        this.events = { dotNetRef: dotNetRef, unwatch: unwatch, unsubscribeStatus: null };
+        this._forwardStatus();
+    },
+    
+    unregisterCameraEvents: function() {
+        if (!this.events) {
+            return;
+        }
+        
+        this.events.unwatch();
+        if (this.events.unsubscribeStatus) {
+            this.events.unsubscribeStatus();
+        }
+        this.events = null;
+    },
+    
+    // Helper methods
+    
+    // Route the default session's status changes to the registered .NET reference
+    _forwardStatus: function() {
+        const events = this.events;
+        if (!events || !this.session) {
+            return;
+        }
+        
+        if (events.unsubscribeStatus) {
+            events.unsubscribeStatus();
+        }
+        events.unsubscribeStatus = this.session.onStatusChanged(update => {
+            events.dotNetRef.invokeMethodAsync('OnCameraStatusChanged', update.status, update.deviceId,
+                update.previousDeviceId, update.reason, update.message)
+                .catch(error => console.error('Failed to invoke .NET camera status callback:', error));
+        });
+    },
+    
+    // The default session, checked against an explicit video id when one is given
+    _getSession: function(videoId) {
+        if (!this.session) {
+            console.error('Camera not set up; call setupCamera first');
+            return null;
+        }
+        const video = videoId ? document.getElementById(videoId) : null;
+        if (video && video !== this.session.video) {
+            console.error(`Video element '${videoId}' is not bound to the camera session`);
+            return null;
+        }
+        return this.session;
+    },
+    
+    _withCanvas: function(options) {
+        return { ...options, canvas: options.canvasId ? document.getElementById(options.canvasId) : null };
+    },
+    
+    _control: function(apply) {
+        return this.session ?
+            apply(this.session) :
+            Promise.resolve({ applied: false, settings: null, reason: 'No active camera stream' });
+    },
+    
+    _releaseSession: function() {
+        if (this.session) {
+            this.session.dispose();
+            this.session = null;
         }
     }
 };
@@ -219,8 +284,29 @@ window.checkCameraPermission = window.cameraInterop.checkCameraPermission.bind(w
 window.requestCameraPermission = window.cameraInterop.requestCameraPermission.bind(window.cameraInterop);
 window.setupCamera = window.cameraInterop.setupCamera.bind(window.cameraInterop);
 window.captureImage = window.cameraInterop.captureImage.bind(window.cameraInterop);
+window.captureImageBinary = window.cameraInterop.captureImageBinary.bind(window.cameraInterop);
+window.capturePhoto = window.cameraInterop.capturePhoto.bind(window.cameraInterop);
+window.capturePhotoBinary = window.cameraInterop.capturePhotoBinary.bind(window.cameraInterop);
+window.captureBurst = window.cameraInterop.captureBurst.bind(window.cameraInterop);
 window.stopCamera = window.cameraInterop.stopCamera.bind(window.cameraInterop);
 window.getAvailableCameras = window.cameraInterop.getAvailableCameras.bind(window.cameraInterop);
 window.switchCamera = window.cameraInterop.switchCamera.bind(window.cameraInterop);
 window.setZoom = window.cameraInterop.setZoom.bind(window.cameraInterop);
-window.toggleTorch = window.cameraInterop.toggleTorch.bind(window.cameraInterop);
\ No newline at end of file
+window.toggleTorch = window.cameraInterop.toggleTorch.bind(window.cameraInterop);
+window.getCameraCapabilities = window.cameraInterop.getCameraCapabilities.bind(window.cameraInterop);
+window.setFocusMode = window.cameraInterop.setFocusMode.bind(window.cameraInterop);
+window.setPointsOfInterest = window.cameraInterop.setPointsOfInterest.bind(window.cameraInterop);
+window.setExposureMode = window.cameraInterop.setExposureMode.bind(window.cameraInterop);
+window.setExposureCompensation = window.cameraInterop.setExposureCompensation.bind(window.cameraInterop);
+window.setWhiteBalanceMode = window.cameraInterop.setWhiteBalanceMode.bind(window.cameraInterop);
+window.setPhotoResolution = window.cameraInterop.setPhotoResolution.bind(window.cameraInterop);
+window.startEdgeDetection = window.cameraInterop.startEdgeDetection.bind(window.cameraInterop);
+window.stopEdgeDetection = window.cameraInterop.stopEdgeDetection.bind(window.cameraInterop);
+window.startAutoCapture = window.cameraInterop.startAutoCapture.bind(window.cameraInterop);
+window.stopAutoCapture = window.cameraInterop.stopAutoCapture.bind(window.cameraInterop);
+window.startBarcodeScanning = window.cameraInterop.startBarcodeScanning.bind(window.cameraInterop);
+window.stopBarcodeScanning = window.cameraInterop.stopBarcodeScanning.bind(window.cameraInterop);
+window.getDetectedBarcodes = window.cameraInterop.getDetectedBarcodes.bind(window.cameraInterop);
+window.scanBarcodes = window.cameraInterop.scanBarcodes.bind(window.cameraInterop);
+window.registerCameraEvents = window.cameraInterop.registerCameraEvents.bind(window.cameraInterop);
+window.unregisterCameraEvents = window.cameraInterop.unregisterCameraEvents.bind(window.cameraInterop);
@@ -0,0 +1,412 @@
+// Corner Adjustment Overlay JavaScript Module
+// Four draggable, keyboard-nudgeable corner handles with a magnifier loupe over a captured image.
+// Corners are kept in image pixel coordinates and feed straight into imageEnhancement.correctPerspective.
+
+const HANDLE_LABELS = ['Top-left corner', 'Top-right corner', 'Bottom-right corner', 'Bottom-left corner'];
+
+const DEFAULT_OPTIONS = {
+    handleSize: 28,          // Handle diameter in CSS pixels
+    nudgeStep: 1,            // Arrow key step in image pixels
+    largeNudgeStep: 10,      // Shift + arrow key step in image pixels
+    loupeSize: 120,          // Loupe diameter in CSS pixels
+    loupeZoom: 3,
+    strokeStyle: '#00c853',
+    maskStyle: 'rgba(0, 0, 0, 0.45)'
+};
+
+export class CornerAdjustmentOverlay {
+    /**
+     * @param {HTMLImageElement|HTMLCanvasElement} imageElement - Displayed image; its parent hosts the overlay
+     * @param {Array} corners - Initial corners in image pixels [top-left, top-right, bottom-right, bottom-left]
+     * @param {object} dotNetRef - Optional .NET object reference; receives OnCornersChanged(corners)
+     * @param {object} options - Display options, see DEFAULT_OPTIONS
+     */
+    constructor(imageElement, corners, dotNetRef, options) {
+        this.image = imageElement;
+        this.dotNetRef = dotNetRef || null;
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options || {});
+        this.corners = this.normalizeCorners(corners);
+        this.activeHandle = -1;
+        this.loupeHandle = -1;
+
+        this.container = imageElement.parentElement;
+        if (getComputedStyle(this.container).position === 'static') {
+            this.container.style.position = 'relative';
+        }
+
+        this.canvas = this.createOverlayCanvas();
+        this.handles = HANDLE_LABELS.map((label, index) => this.createHandle(label, index));
+        this.loupe = this.createLoupe();
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+
+        this.resizeObserver = new ResizeObserver(() => this.render());
+        this.resizeObserver.observe(this.image);
+
+        this.render();
+    }
+
+    // Natural image size; corners are expressed in these units
+    get imageWidth() {
+        return this.image.naturalWidth || this.image.width;
+    }
+
+    get imageHeight() {
+        return this.image.naturalHeight || this.image.height;
+    }
+
+    // CSS pixels per image pixel, plus the image offset inside the container
+    getLayout() {
+        const imageRect = this.image.getBoundingClientRect();
+        const containerRect = this.container.getBoundingClientRect();
+        return {
+            scaleX: imageRect.width / this.imageWidth,
+            scaleY: imageRect.height / this.imageHeight,
+            offsetX: imageRect.left - containerRect.left,
+            offsetY: imageRect.top - containerRect.top,
+            width: imageRect.width,
+            height: imageRect.height
+        };
+    }
+
+    normalizeCorners(corners) {
+        if (!corners || corners.length !== 4) {
+            return [
+                { x: 0, y: 0 },
+                { x: this.imageWidth, y: 0 },
+                { x: this.imageWidth, y: this.imageHeight },
+                { x: 0, y: this.imageHeight }
+            ];
+        }
+        return corners.map(corner => this.clampToImage(corner));
+    }
+
+    clampToImage(point) {
+        return {
+            x: Math.min(Math.max(point.x, 0), this.imageWidth),
+            y: Math.min(Math.max(point.y, 0), this.imageHeight)
+        };
+    }
+
+    createOverlayCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'corner-overlay-canvas';
+        canvas.setAttribute('aria-hidden', 'true');
+        Object.assign(canvas.style, {
+            position: 'absolute',
+            pointerEvents: 'none'
+        });
+        this.container.appendChild(canvas);
+        return canvas;
+    }
+
+    createHandle(label, index) {
+        const size = this.options.handleSize;
+        const handle = document.createElement('div');
+        handle.className = 'corner-overlay-handle';
+        handle.tabIndex = 0;
+        handle.setAttribute('role', 'button');
+        handle.setAttribute('aria-label', `${label}. Drag or use arrow keys to adjust, hold Shift for larger steps.`);
+        Object.assign(handle.style, {
+            position: 'absolute',
+            width: `${size}px`,
+            height: `${size}px`,
+            marginLeft: `${-size / 2}px`,
+            marginTop: `${-size / 2}px`,
+            borderRadius: '50%',
+            border: `3px solid ${this.options.strokeStyle}`,
+            background: 'rgba(255, 255, 255, 0.35)',
+            boxSizing: 'border-box',
+            touchAction: 'none',
+            cursor: 'grab'
+        });
+
+        handle.addEventListener('pointerdown', event => this.onPointerDown(event, index));
+        handle.addEventListener('keydown', event => this.onKeyDown(event, index));
+        handle.addEventListener('focus', () => this.showLoupe(index));
+        handle.addEventListener('blur', () => this.hideLoupe());
+
+        this.container.appendChild(handle);
+        return handle;
+    }
+
+    createLoupe() {
+        const size = this.options.loupeSize;
+        const loupe = document.createElement('canvas');
+        loupe.className = 'corner-overlay-loupe';
+        loupe.setAttribute('aria-hidden', 'true');
+        loupe.width = size * (window.devicePixelRatio || 1);
+        loupe.height = size * (window.devicePixelRatio || 1);
+        Object.assign(loupe.style, {
+            position: 'absolute',
+            width: `${size}px`,
+            height: `${size}px`,
+            borderRadius: '50%',
+            border: `2px solid ${this.options.strokeStyle}`,
+            pointerEvents: 'none',
+            display: 'none'
+        });
+        this.container.appendChild(loupe);
+        return loupe;
+    }
+
+    onPointerDown(event, index) {
+        event.preventDefault();
+        this.activeHandle = index;
+        this.handles[index].setPointerCapture(event.pointerId);
+        this.handles[index].style.cursor = 'grabbing';
+        this.handles[index].addEventListener('pointermove', this.onPointerMove);
+        this.handles[index].addEventListener('pointerup', this.onPointerUp);
+        this.handles[index].addEventListener('pointercancel', this.onPointerUp);
+        this.showLoupe(index);
+    }
+
+    onPointerMove(event) {
+        if (this.activeHandle < 0) {
+            return;
+        }
+
+        const layout = this.getLayout();
+        const containerRect = this.container.getBoundingClientRect();
+        const point = this.clampToImage({
+            x: (event.clientX - containerRect.left - layout.offsetX) / layout.scaleX,
+            y: (event.clientY - containerRect.top - layout.offsetY) / layout.scaleY
+        });
+
+        this.corners[this.activeHandle] = point;
+        this.render();
+    }
+
+    onPointerUp(event) {
+        const handle = this.handles[this.activeHandle];
+        if (!handle) {
+            return;
+        }
+
+        handle.releasePointerCapture(event.pointerId);
+        handle.style.cursor = 'grab';
+        handle.removeEventListener('pointermove', this.onPointerMove);
+        handle.removeEventListener('pointerup', this.onPointerUp);
+        handle.removeEventListener('pointercancel', this.onPointerUp);
+
+        this.activeHandle = -1;
+        if (document.activeElement !== handle) {
+            this.hideLoupe();
+        }
+        this.notifyCornersChanged();
+    }
+
+    onKeyDown(event, index) {
+        const step = event.shiftKey ? this.options.largeNudgeStep : this.options.nudgeStep;
+        const deltas = {
+            ArrowLeft: { x: -step, y: 0 },
+            ArrowRight: { x: step, y: 0 },
+            ArrowUp: { x: 0, y: -step },
+            ArrowDown: { x: 0, y: step }
+        };
+
+        const delta = deltas[event.key];
+        if (!delta) {
+            return;
+        }
+
+        event.preventDefault();
+        const corner = this.corners[index];
+        this.corners[index] = this.clampToImage({ x: corner.x + delta.x, y: corner.y + delta.y });
+        this.showLoupe(index);
+        this.render();
+        this.notifyCornersChanged();
+    }
+
+    showLoupe(index) {
+        this.loupeHandle = index;
+        this.loupe.style.display = 'block';
+        this.renderLoupe();
+    }
+
+    hideLoupe() {
+        this.loupeHandle = -1;
+        this.loupe.style.display = 'none';
+    }
+
+    render() {
+        const layout = this.getLayout();
+        const ratio = window.devicePixelRatio || 1;
+
+        Object.assign(this.canvas.style, {
+            left: `${layout.offsetX}px`,
+            top: `${layout.offsetY}px`,
+            width: `${layout.width}px`,
+            height: `${layout.height}px`
+        });
+        this.canvas.width = Math.round(layout.width * ratio);
+        this.canvas.height = Math.round(layout.height * ratio);
+
+        const points = this.corners.map(corner => ({
+            x: corner.x * layout.scaleX,
+            y: corner.y * layout.scaleY
+        }));
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, layout.width, layout.height);
+
+        // Dim everything outside the selected quadrilateral
+        ctx.fillStyle = this.options.maskStyle;
+        ctx.beginPath();
+        ctx.rect(0, 0, layout.width, layout.height);
+        this.tracePolygon(ctx, points);
+        ctx.fill('evenodd');
+
+        ctx.strokeStyle = this.options.strokeStyle;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        this.tracePolygon(ctx, points);
+        ctx.stroke();
+
+        points.forEach((point, index) => {
+            this.handles[index].style.left = `${layout.offsetX + point.x}px`;
+            this.handles[index].style.top = `${layout.offsetY + point.y}px`;
+        });
+
+        if (this.loupeHandle >= 0) {
+            this.renderLoupe();
+        }
+    }
+
+    tracePolygon(ctx, points) {
+        points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+    }
+
+    // Magnified view of the image around the active corner, placed away from the finger
+    renderLoupe() {
+        const corner = this.corners[this.loupeHandle];
+        if (!corner) {
+            return;
+        }
+
+        const layout = this.getLayout();
+        const size = this.options.loupeSize;
+        const zoom = this.options.loupeZoom;
+        const ctx = this.loupe.getContext('2d');
+        const ratio = this.loupe.width / size;
+
+        // Image pixels covered by the loupe
+        const sourceWidth = size / (layout.scaleX * zoom);
+        const sourceHeight = size / (layout.scaleY * zoom);
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, size, size);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.image,
+            corner.x - sourceWidth / 2, corner.y - sourceHeight / 2, sourceWidth, sourceHeight,
+            0, 0, size, size);
+
+        // Crosshair on the exact corner position
+        ctx.strokeStyle = this.options.strokeStyle;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(size / 2, 0);
+        ctx.lineTo(size / 2, size);
+        ctx.moveTo(0, size / 2);
+        ctx.lineTo(size, size / 2);
+        ctx.stroke();
+
+        // Top corners show the loupe below the handle, bottom corners above it
+        const handleX = layout.offsetX + corner.x * layout.scaleX;
+        const handleY = layout.offsetY + corner.y * layout.scaleY;
+        const offset = this.options.handleSize + size / 2;
+        const below = this.loupeHandle < 2;
+        this.loupe.style.left = `${handleX - size / 2}px`;
+        this.loupe.style.top = `${handleY + (below ? offset : -offset) - size / 2}px`;
+    }
+
+    notifyCornersChanged() {
+        if (!this.dotNetRef) {
+            return;
+        }
+
+        this.dotNetRef.invokeMethodAsync('OnCornersChanged', this.getCorners())
+            .catch(error => console.error('Failed to invoke .NET corners callback:', error));
+    }
+
+    /**
+     * Current corners in image pixels, rounded
+     * @returns {Array} [top-left, top-right, bottom-right, bottom-left]
+     */
+    getCorners() {
+        return this.corners.map(corner => ({
+            x: Math.round(corner.x),
+            y: Math.round(corner.y)
+        }));
+    }
+
+    /**
+     * Replace all four corners, e.g. after re-running detectDocumentCorners
+     * @param {Array} corners - Corners in image pixels
+     */
+    setCorners(corners) {
+        this.corners = this.normalizeCorners(corners);
+        this.render();
+    }
+
+    /**
+     * Run perspective correction with the adjusted corners
+     * @param {string} imageData - Base64 image data matching the displayed image
+     * @param {object} options - Extra correctPerspective options
+     * @returns {Promise<string>} Corrected base64 image data
+     */
+    applyCorrection(imageData, options) {
+        return window.imageEnhancement.correctPerspective(imageData, Object.assign({}, options || {}, {
+            manualCorners: this.getCorners()
+        }));
+    }
+
+    dispose() {
+        this.resizeObserver.disconnect();
+        this.handles.forEach(handle => handle.remove());
+        this.canvas.remove();
+        this.loupe.remove();
+        this.dotNetRef = null;
+    }
+}
+
+/**
+ * Create an overlay over a displayed image. Pass corners from imageEnhancement.detectDocumentCorners,
+ * or omit them to start from the full image.
+ * @returns {Promise<CornerAdjustmentOverlay>} Overlay instance (an IJSObjectReference on the .NET side)
+ */
+export async function createCornerOverlay(imageElement, corners, dotNetRef, options) {
+    if (!imageElement) {
+        throw new Error('Image element not found');
+    }
+
+    // Natural dimensions are only known once the image has loaded
+    if (imageElement instanceof HTMLImageElement && !imageElement.complete) {
+        await new Promise((resolve, reject) => {
+            imageElement.addEventListener('load', resolve, { once: true });
+            imageElement.addEventListener('error', () => reject(new Error('Image failed to load')), { once: true });
+        });
+    }
+
+    return new CornerAdjustmentOverlay(imageElement, corners, dotNetRef, options);
+}
+
+/**
+ * Detect corners for an image and open the overlay on them in one call
+ * @param {HTMLImageElement|HTMLCanvasElement} imageElement - Displayed image
+ * @param {string} imageData - Base64 image data of the same image
+ * @returns {Promise<CornerAdjustmentOverlay>} Overlay instance
+ */
+export async function createCornerOverlayWithDetection(imageElement, imageData, dotNetRef, options) {
+    const detection = await window.imageEnhancement.detectDocumentCorners(imageData);
+    return createCornerOverlay(imageElement, detection.corners, dotNetRef, options);
+}
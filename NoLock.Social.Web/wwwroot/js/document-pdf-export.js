@@ -0,0 +1,1002 @@
+// Document PDF Export JavaScript Module
+// Stitches an ordered list of captured pages into one PDF entirely in the browser (no server round trip).
+// Pages are embedded as JPEG (DCTDecode) or as binarized CCITT Group 4 bitmaps (CCITTFaxDecode).
+// Pages that carry OCR words get an invisible, selectable text layer on top of the image.
+// Relies on window.imageEnhancement for decoding, re-encoding and binarization.
+
+const POINTS_PER_INCH = 72;
+
+// Page sizes in points
+const PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 }
+};
+
+const DEFAULT_OPTIONS = {
+    pageSize: 'a4',          // 'a4', 'letter' or 'original'
+    orientation: 'auto',     // 'auto' follows the image, otherwise 'portrait' or 'landscape'
+    margin: 0,               // Margin in points on A4 / Letter pages
+    dpi: 150,                // Source resolution used to size 'original' pages
+    compression: 'jpeg',     // 'jpeg' or 'ccitt' (binarized, CCITT Group 4)
+    jpegQuality: 0.92,       // Used when a page has to be re-encoded as JPEG
+    binarize: {},            // imageEnhancement.binarize options for 'ccitt' pages
+    metadata: {}             // { title, author, subject, keywords, creator }
+};
+
+/**
+ * Build a PDF from an ordered list of pages
+ * @param {Array<string|Blob|ArrayBuffer|Uint8Array|Object>} pages - Images, or page objects
+ *        { image | imageData, pageSize, orientation, compression, label, title, words }
+ * @param {Object} options - Export options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Blob>} PDF document
+ */
+export async function createPdf(pages, options = {}) {
+    const bytes = await createPdfBytes(pages, options);
+    return new Blob([bytes], { type: 'application/pdf' });
+}
+
+/**
+ * Build a PDF and return its raw bytes (marshalled to byte[] by Blazor)
+ * @param {Array<string|Blob|ArrayBuffer|Uint8Array|Object>} pages - Images or page objects
+ * @param {Object} options - Export options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function createPdfBytes(pages, options = {}) {
+    try {
+        if (!Array.isArray(pages) || pages.length === 0) {
+            throw new Error('At least one page is required');
+        }
+
+        const settings = { ...DEFAULT_OPTIONS, ...options };
+        const embeddedPages = [];
+
+        for (const page of pages) {
+            embeddedPages.push(await embedPage(normalizePage(page), settings));
+        }
+
+        return buildDocument(embeddedPages, settings.metadata || {});
+    } catch (error) {
+        console.error('PDF export failed:', error);
+        throw new Error(`PDF export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Build a searchable PDF: page images with an invisible text layer from an OCR response
+ * @param {string|Blob|ArrayBuffer|Uint8Array|Array} images - One page image, or an ordered list of them
+ * @param {Array|Object} ocrResult - Word list, or an OCR result with words / extractedFields.
+ *        Each word is { text | value, x, y, width, height } or { text | value, boundingBox },
+ *        in pixels of the page image; boundingBox.pageNumber (1-based) picks the page
+ * @param {Object} options - Export options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Blob>} PDF document
+ */
+export async function createSearchablePdf(images, ocrResult, options = {}) {
+    return createPdf(attachWordsToPages(images, ocrResult), options);
+}
+
+/**
+ * Build a searchable PDF and return its raw bytes (marshalled to byte[] by Blazor)
+ * @param {string|Blob|ArrayBuffer|Uint8Array|Array} images - One page image, or an ordered list of them
+ * @param {Array|Object} ocrResult - Word list, or an OCR result with words / extractedFields
+ * @param {Object} options - Export options (see DEFAULT_OPTIONS)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function createSearchablePdfBytes(images, ocrResult, options = {}) {
+    return createPdfBytes(attachWordsToPages(images, ocrResult), options);
+}
+
+/**
+ * Build a PDF and hand it to the browser as a file download
+ * @param {Array<string|Blob|ArrayBuffer|Uint8Array|Object>} pages - Images or page objects
+ * @param {string} fileName - Suggested file name
+ * @param {Object} options - Export options (see DEFAULT_OPTIONS)
+ * @returns {Promise<number>} Size of the generated file in bytes
+ */
+export async function downloadPdf(pages, fileName = 'document.pdf', options = {}) {
+    const blob = await createPdf(pages, options);
+    const url = URL.createObjectURL(blob);
+
+    try {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    } finally {
+        // Give the browser a moment to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    return blob.size;
+}
+
+/**
+ * Check whether the browser can export PDFs
+ * @returns {boolean} true if supported
+ */
+export function isSupported() {
+    return typeof window !== 'undefined' &&
+           !!window.imageEnhancement &&
+           window.imageEnhancement.isAvailable() &&
+           typeof createImageBitmap === 'function';
+}
+
+// Page preparation
+
+// Accept bare images as well as CapturedImage-shaped page objects
+function normalizePage(page) {
+    const isImage = typeof page === 'string' ||
+        page instanceof Blob ||
+        page instanceof ArrayBuffer ||
+        ArrayBuffer.isView(page) ||
+        (page && typeof page.arrayBuffer === 'function');
+
+    if (isImage) {
+        return { image: page };
+    }
+
+    if (!page || !(page.image || page.imageData)) {
+        throw new Error('Page has no image data');
+    }
+
+    return { ...page, image: page.image || page.imageData };
+}
+
+async function embedPage(page, settings) {
+    const compression = page.compression || settings.compression;
+    const source = await readImageBytes(page.image);
+
+    let image;
+    if (compression === 'ccitt') {
+        image = await embedCcittImage(source, { ...settings.binarize, ...page.binarize });
+    } else if (compression === 'jpeg') {
+        image = await embedJpegImage(source, page.jpegQuality || settings.jpegQuality);
+    } else {
+        throw new Error(`Unknown compression: ${compression}`);
+    }
+
+    const layout = calculatePageLayout(image.width, image.height, {
+        pageSize: page.pageSize || settings.pageSize,
+        orientation: page.orientation || settings.orientation,
+        margin: page.margin !== undefined ? page.margin : settings.margin,
+        dpi: page.dpi || settings.dpi
+    });
+
+    return {
+        image,
+        layout,
+        label: page.label || null,
+        title: page.title || null,
+        words: normalizeWords(page.words, image)
+    };
+}
+
+// Split an OCR response across the page images by bounding box page number
+function attachWordsToPages(images, ocrResult) {
+    const pageImages = Array.isArray(images) ? images : [images];
+    const words = Array.isArray(ocrResult) ?
+        ocrResult :
+        (ocrResult && (ocrResult.words || ocrResult.extractedFields)) || [];
+
+    return pageImages.map((image, index) => {
+        const page = normalizePage(image);
+        const pageWords = words.filter(word => {
+            const pageNumber = (word.boundingBox && word.boundingBox.pageNumber) || word.pageNumber || 1;
+            return pageNumber === index + 1;
+        });
+        return { ...page, words: (page.words || []).concat(pageWords) };
+    });
+}
+
+// Keep words that have text and a usable box, clipped to the image
+function normalizeWords(words, image) {
+    if (!Array.isArray(words)) {
+        return [];
+    }
+
+    const result = [];
+    for (const word of words) {
+        const text = String(word.text || word.value || '').trim();
+        const box = word.boundingBox || word;
+        const x = Math.max(0, Number(box.x) || 0);
+        const y = Math.max(0, Number(box.y) || 0);
+        const width = Math.min(Number(box.width) || 0, image.width - x);
+        const height = Math.min(Number(box.height) || 0, image.height - y);
+
+        if (text && width > 0 && height > 0) {
+            result.push({ text, x, y, width, height });
+        }
+    }
+    return result;
+}
+
+/**
+ * Work out the page box and where the image sits on it
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @param {Object} options - { pageSize, orientation, margin, dpi }
+ * @returns {Object} { pageWidth, pageHeight, x, y, width, height } in points
+ */
+function calculatePageLayout(imageWidth, imageHeight, options) {
+    const { pageSize, orientation, margin, dpi } = options;
+
+    if (pageSize === 'original') {
+        const width = imageWidth * POINTS_PER_INCH / dpi;
+        const height = imageHeight * POINTS_PER_INCH / dpi;
+        return { pageWidth: width, pageHeight: height, x: 0, y: 0, width, height };
+    }
+
+    const size = PAGE_SIZES[String(pageSize).toLowerCase()];
+    if (!size) {
+        throw new Error(`Unknown page size: ${pageSize}`);
+    }
+
+    const landscape = orientation === 'landscape' ||
+        (orientation === 'auto' && imageWidth > imageHeight);
+    const pageWidth = landscape ? size.height : size.width;
+    const pageHeight = landscape ? size.width : size.height;
+
+    // Fit inside the margins, preserving aspect ratio, centered
+    const availableWidth = Math.max(1, pageWidth - margin * 2);
+    const availableHeight = Math.max(1, pageHeight - margin * 2);
+    const scale = Math.min(availableWidth / imageWidth, availableHeight / imageHeight);
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+
+    return {
+        pageWidth,
+        pageHeight,
+        x: (pageWidth - width) / 2,
+        y: (pageHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+// Image embedding
+
+async function embedJpegImage(source, quality) {
+    const info = readJpegInfo(source.bytes);
+
+    // Camera JPEGs go in untouched - no second generation of compression loss.
+    // EXIF-rotated and CMYK files are re-encoded because PDF viewers honour neither.
+    if (info && (info.components === 1 || info.components === 3) && info.orientation === 1) {
+        return {
+            width: info.width,
+            height: info.height,
+            colorSpace: info.components === 1 ? 'DeviceGray' : 'DeviceRGB',
+            bitsPerComponent: 8,
+            filter: 'DCTDecode',
+            data: source.bytes
+        };
+    }
+
+    const enhancement = window.imageEnhancement;
+    const canvas = await enhancement._getCanvasFromInput(new Blob([source.bytes]));
+    const blob = await enhancement._canvasToBlob(canvas, 'image/jpeg', quality);
+    const { width, height } = canvas;
+    enhancement._disposeCanvas(canvas);
+
+    return {
+        width,
+        height,
+        colorSpace: 'DeviceRGB',
+        bitsPerComponent: 8,
+        filter: 'DCTDecode',
+        data: new Uint8Array(await blob.arrayBuffer())
+    };
+}
+
+async function embedCcittImage(source, binarizeOptions) {
+    const enhancement = window.imageEnhancement;
+    const canvas = await enhancement._getCanvasFromInput(new Blob([source.bytes]));
+    const { width, height } = canvas;
+
+    enhancement._binarizeOnCanvas(canvas, binarizeOptions);
+    const pixels = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+    enhancement._disposeCanvas(canvas);
+
+    // One byte per pixel, 1 = black
+    const bits = new Uint8Array(width * height);
+    for (let i = 0; i < bits.length; i++) {
+        bits[i] = pixels[i * 4] < 128 ? 1 : 0;
+    }
+
+    return {
+        width,
+        height,
+        colorSpace: 'DeviceGray',
+        bitsPerComponent: 1,
+        filter: 'CCITTFaxDecode',
+        decodeParms: `<< /K -1 /Columns ${width} /Rows ${height} /BlackIs1 false >>`,
+        data: encodeCcittGroup4(bits, width, height)
+    };
+}
+
+// Decode a data URL or bare base64 string without fetch (CSP connect-src does not allow data:)
+async function readImageBytes(image) {
+    if (typeof image === 'string') {
+        const match = /^data:([^;,]+)?(;base64)?,/.exec(image);
+        const payload = match ? image.substring(match[0].length) : image;
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return { bytes };
+    }
+
+    const blob = await window.imageEnhancement._toBlob(image);
+    return { bytes: new Uint8Array(await blob.arrayBuffer()) };
+}
+
+/**
+ * Read dimensions, component count and EXIF orientation from a JPEG header
+ * @param {Uint8Array} bytes - Encoded image
+ * @returns {Object|null} { width, height, components, orientation } or null when not a JPEG
+ */
+function readJpegInfo(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+        return null;
+    }
+
+    let orientation = 1;
+    let offset = 2;
+
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            return null;
+        }
+
+        const marker = bytes[offset + 1];
+        if (marker === 0xFF) {
+            offset++; // Fill byte
+            continue;
+        }
+
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+        if (marker === 0xE1) {
+            orientation = readExifOrientation(bytes, offset + 4, length - 2) || orientation;
+        }
+
+        // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8],
+                components: bytes[offset + 9],
+                orientation
+            };
+        }
+
+        offset += 2 + length;
+    }
+
+    return null;
+}
+
+function readExifOrientation(bytes, start, length) {
+    // "Exif\0\0" followed by a TIFF header
+    if (length < 14 || bytes[start] !== 0x45 || bytes[start + 1] !== 0x78 ||
+        bytes[start + 2] !== 0x69 || bytes[start + 3] !== 0x66) {
+        return null;
+    }
+
+    const tiff = start + 6;
+    const littleEndian = bytes[tiff] === 0x49;
+    const read16 = (pos) => littleEndian ?
+        bytes[pos] | (bytes[pos + 1] << 8) :
+        (bytes[pos] << 8) | bytes[pos + 1];
+    const read32 = (pos) => littleEndian ?
+        (read16(pos) | (read16(pos + 2) << 16)) >>> 0 :
+        ((read16(pos) << 16) | read16(pos + 2)) >>> 0;
+
+    const ifd = tiff + read32(tiff + 4);
+    const end = start + length;
+    if (ifd + 2 > end) {
+        return null;
+    }
+
+    const entries = read16(ifd);
+    for (let i = 0; i < entries; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > end) {
+            break;
+        }
+        if (read16(entry) === 0x0112) {
+            return read16(entry + 8);
+        }
+    }
+
+    return null;
+}
+
+// CCITT Group 4 (T.6) encoding
+
+// Code words as bit strings, indexed by run length (terminating) or run / 64 - 1 (make-up)
+const WHITE_TERMINATING = [
+    '00110101', '000111', '0111', '1000', '1011', '1100', '1110', '1111',
+    '10011', '10100', '00111', '01000', '001000', '000011', '110100', '110101',
+    '101010', '101011', '0100111', '0001100', '0001000', '0010111', '0000011', '0000100',
+    '0101000', '0101011', '0010011', '0100100', '0011000', '00000010', '00000011', '00011010',
+    '00011011', '00010010', '00010011', '00010100', '00010101', '00010110', '00010111', '00101000',
+    '00101001', '00101010', '00101011', '00101100', '00101101', '00000100', '00000101', '00001010',
+    '00001011', '01010010', '01010011', '01010100', '01010101', '00100100', '00100101', '01011000',
+    '01011001', '01011010', '01011011', '01001010', '01001011', '00110010', '00110011', '00110100'
+];
+
+const WHITE_MAKEUP = [
+    '11011', '10010', '010111', '0110111', '00110110', '00110111', '01100100', '01100101',
+    '01101000', '01100111', '011001100', '011001101', '011010010', '011010011', '011010100', '011010101',
+    '011010110', '011010111', '011011000', '011011001', '011011010', '011011011', '010011000', '010011001',
+    '010011010', '011000', '010011011'
+];
+
+const BLACK_TERMINATING = [
+    '0000110111', '010', '11', '10', '011', '0011', '0010', '00011',
+    '000101', '000100', '0000100', '0000101', '0000111', '00000100', '00000111', '000011000',
+    '0000010111', '0000011000', '0000001000', '00001100111', '00001101000', '00001101100', '00000110111', '00000101000',
+    '00000010111', '00000011000', '000011001010', '000011001011', '000011001100', '000011001101', '000001101000', '000001101001',
+    '000001101010', '000001101011', '000011010010', '000011010011', '000011010100', '000011010101', '000011010110', '000011010111',
+    '000001101100', '000001101101', '000011011010', '000011011011', '000001010100', '000001010101', '000001010110', '000001010111',
+    '000001100100', '000001100101', '000001010010', '000001010011', '000000100100', '000000110111', '000000111000', '000000100111',
+    '000000101000', '000001011000', '000001011001', '000000101011', '000000101100', '000001011010', '000001100110', '000001100111'
+];
+
+const BLACK_MAKEUP = [
+    '0000001111', '000011001000', '000011001001', '000001011011', '000000110011', '000000110100', '000000110101', '0000001101100',
+    '0000001101101', '0000001001010', '0000001001011', '0000001001100', '0000001001101', '0000001110010', '0000001110011', '0000001110100',
+    '0000001110101', '0000001110110', '0000001110111', '0000001010010', '0000001010011', '0000001010100', '0000001010101', '0000001011010',
+    '0000001011011', '0000001100100', '0000001100101'
+];
+
+// Shared by both colours, runs 1792 to 2560
+const EXTENDED_MAKEUP = [
+    '00000001000', '00000001100', '00000001101', '000000010010', '000000010011', '000000010100', '000000010101',
+    '000000010110', '000000010111', '000000011100', '000000011101', '000000011110', '000000011111'
+];
+
+const PASS_CODE = '0001';
+const HORIZONTAL_CODE = '001';
+// Vertical mode, indexed by b1 - a1 + 3 (VR3, VR2, VR1, V0, VL1, VL2, VL3)
+const VERTICAL_CODES = ['0000011', '000011', '011', '1', '010', '000010', '0000010'];
+// End of facsimile block: two EOL codes
+const EOFB_CODE = '000000000001000000000001';
+
+class BitWriter {
+    constructor(initialCapacity) {
+        this.buffer = new Uint8Array(Math.max(1024, Math.ceil(initialCapacity)));
+        this.length = 0;
+        this.accumulator = 0;
+        this.bitCount = 0;
+    }
+
+    writeCode(code) {
+        for (let i = 0; i < code.length; i++) {
+            this.accumulator = (this.accumulator << 1) | (code.charCodeAt(i) - 48);
+            if (++this.bitCount === 8) {
+                this.pushByte(this.accumulator);
+                this.accumulator = 0;
+                this.bitCount = 0;
+            }
+        }
+    }
+
+    pushByte(value) {
+        if (this.length === this.buffer.length) {
+            const grown = new Uint8Array(this.buffer.length * 2);
+            grown.set(this.buffer);
+            this.buffer = grown;
+        }
+        this.buffer[this.length++] = value;
+    }
+
+    finish() {
+        if (this.bitCount > 0) {
+            this.pushByte(this.accumulator << (8 - this.bitCount));
+            this.accumulator = 0;
+            this.bitCount = 0;
+        }
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+/**
+ * Encode a bilevel image with CCITT Group 4 (T.6) two-dimensional coding
+ * @param {Uint8Array} pixels - One byte per pixel, 1 = black, row-major
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} Encoded data, terminated with EOFB
+ */
+function encodeCcittGroup4(pixels, width, height) {
+    const writer = new BitWriter(width * height / 16);
+    // The line above the first row is imaginary and all white
+    let reference = new Uint8Array(width);
+
+    for (let y = 0; y < height; y++) {
+        const row = pixels.subarray(y * width, (y + 1) * width);
+        encodeRow(writer, row, reference, width);
+        reference = row;
+    }
+
+    writer.writeCode(EOFB_CODE);
+    return writer.finish();
+}
+
+// First position at or after start whose colour differs from color
+function findChange(row, start, width, color) {
+    let i = start;
+    while (i < width && row[i] === color) {
+        i++;
+    }
+    return i;
+}
+
+function encodeRow(writer, row, reference, width) {
+    // a0 starts on an imaginary white pixel just before the row
+    let a0 = 0;
+    let a1 = row[0] !== 0 ? 0 : findChange(row, 0, width, 0);
+    let b1 = reference[0] !== 0 ? 0 : findChange(reference, 0, width, 0);
+
+    for (;;) {
+        const b2 = b1 < width ? findChange(reference, b1, width, reference[b1]) : width;
+
+        if (b2 < a1) {
+            writer.writeCode(PASS_CODE);
+            a0 = b2;
+        } else {
+            const delta = b1 - a1;
+            if (delta >= -3 && delta <= 3) {
+                writer.writeCode(VERTICAL_CODES[delta + 3]);
+                a0 = a1;
+            } else {
+                const a2 = a1 < width ? findChange(row, a1, width, row[a1]) : width;
+                const startsWhite = a0 + a1 === 0 || row[a0] === 0;
+
+                writer.writeCode(HORIZONTAL_CODE);
+                writeRun(writer, a1 - a0, startsWhite);
+                writeRun(writer, a2 - a1, !startsWhite);
+                a0 = a2;
+            }
+        }
+
+        if (a0 >= width) {
+            break;
+        }
+
+        const color = row[a0];
+        a1 = findChange(row, a0, width, color);
+        b1 = findChange(reference, a0, width, color ^ 1);
+        b1 = findChange(reference, b1, width, color);
+    }
+}
+
+function writeRun(writer, run, white) {
+    const terminating = white ? WHITE_TERMINATING : BLACK_TERMINATING;
+    const makeup = white ? WHITE_MAKEUP : BLACK_MAKEUP;
+
+    while (run >= 2624) {
+        writer.writeCode(EXTENDED_MAKEUP[EXTENDED_MAKEUP.length - 1]);
+        run -= 2560;
+    }
+
+    if (run >= 64) {
+        const makeupRun = run - (run % 64);
+        writer.writeCode(makeupRun <= 1728 ?
+            makeup[makeupRun / 64 - 1] :
+            EXTENDED_MAKEUP[(makeupRun - 1792) / 64]);
+        run -= makeupRun;
+    }
+
+    writer.writeCode(terminating[run]);
+}
+
+// PDF serialization
+
+function buildDocument(pages, metadata) {
+    const objects = [];
+    const addObject = (body, stream = null) => {
+        objects.push({ body, stream });
+        return objects.length;
+    };
+    const reserveObject = () => addObject(null);
+
+    const catalogId = reserveObject();
+    const pagesId = reserveObject();
+    const pageIds = [];
+
+    const textLayer = pages.some(page => page.words && page.words.length > 0) ?
+        createTextLayerFont(pages) : null;
+    const fontId = textLayer ? addTextLayerFont(textLayer, addObject) : null;
+
+    for (const page of pages) {
+        const { image, layout } = page;
+
+        const imageDict = [
+            '/Type /XObject /Subtype /Image',
+            `/Width ${image.width} /Height ${image.height}`,
+            `/ColorSpace /${image.colorSpace} /BitsPerComponent ${image.bitsPerComponent}`,
+            `/Filter /${image.filter}`,
+            image.decodeParms ? `/DecodeParms ${image.decodeParms}` : ''
+        ].filter(Boolean).join(' ');
+        const imageId = addObject(`<< ${imageDict} /Length ${image.data.length} >>`, image.data);
+
+        const hasText = textLayer && page.words && page.words.length > 0;
+        const content = encodeAscii(
+            `q ${formatNumber(layout.width)} 0 0 ${formatNumber(layout.height)} ` +
+            `${formatNumber(layout.x)} ${formatNumber(layout.y)} cm /Im0 Do Q\n` +
+            (hasText ? buildTextLayerContent(page, textLayer) : '')
+        );
+        const contentId = addObject(`<< /Length ${content.length} >>`, content);
+
+        const fonts = hasText ? ` /Font << /F0 ${fontId} 0 R >>` : '';
+        pageIds.push(addObject(
+            `<< /Type /Page /Parent ${pagesId} 0 R ` +
+            `/MediaBox [0 0 ${formatNumber(layout.pageWidth)} ${formatNumber(layout.pageHeight)}] ` +
+            `/Resources << /XObject << /Im0 ${imageId} 0 R >>${fonts} >> /Contents ${contentId} 0 R >>`
+        ));
+    }
+
+    objects[pagesId - 1].body =
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const catalog = [`/Type /Catalog /Pages ${pagesId} 0 R`];
+
+    if (pages.some(page => page.label)) {
+        // Unlabelled pages keep their plain page number
+        const nums = pages.map((page, index) => page.label ?
+            `${index} << /P ${encodeTextString(page.label)} >>` :
+            `${index} << /S /D /St ${index + 1} >>`);
+        catalog.push(`/PageLabels << /Nums [${nums.join(' ')}] >>`);
+    }
+
+    const outlineId = buildOutline(pages, pageIds, addObject, reserveObject, objects);
+    if (outlineId) {
+        catalog.push(`/Outlines ${outlineId} 0 R /PageMode /UseOutlines`);
+    }
+
+    objects[catalogId - 1].body = `<< ${catalog.join(' ')} >>`;
+
+    const infoId = addObject(buildInfoDictionary(metadata));
+
+    return serialize(objects, catalogId, infoId);
+}
+
+// Bookmarks for pages that carry a title
+function buildOutline(pages, pageIds, addObject, reserveObject, objects) {
+    const entries = pages
+        .map((page, index) => ({ title: page.title, pageId: pageIds[index] }))
+        .filter(entry => entry.title);
+
+    if (entries.length === 0) {
+        return null;
+    }
+
+    const outlineId = reserveObject();
+    const itemIds = entries.map(() => reserveObject());
+
+    entries.forEach((entry, index) => {
+        const links = [
+            index > 0 ? `/Prev ${itemIds[index - 1]} 0 R` : '',
+            index < entries.length - 1 ? `/Next ${itemIds[index + 1]} 0 R` : ''
+        ].filter(Boolean).join(' ');
+
+        objects[itemIds[index] - 1].body =
+            `<< /Title ${encodeTextString(entry.title)} /Parent ${outlineId} 0 R ${links} ` +
+            `/Dest [${entry.pageId} 0 R /Fit] >>`;
+    });
+
+    objects[outlineId - 1].body =
+        `<< /Type /Outlines /First ${itemIds[0]} 0 R /Last ${itemIds[itemIds.length - 1]} 0 R ` +
+        `/Count ${itemIds.length} >>`;
+
+    return outlineId;
+}
+
+// Invisible text layer
+//
+// Text is drawn in render mode 3 (neither filled nor stroked) with a glyphless embedded font,
+// so it never shows but viewers can search, select and copy it. Each distinct character gets
+// its own CID and the ToUnicode CMap maps it back, so any script survives copy and paste.
+
+const TEXT_LAYER_ADVANCE = 500; // Glyph advance in 1/1000 em, matches /DW and the font's hmtx
+
+function createTextLayerFont(pages) {
+    const cids = new Map();
+    for (const page of pages) {
+        for (const word of page.words || []) {
+            for (const char of word.text) {
+                if (!cids.has(char)) {
+                    cids.set(char, cids.size + 1); // CID 0 is .notdef
+                }
+            }
+        }
+    }
+    return { cids };
+}
+
+function addTextLayerFont(textLayer, addObject) {
+    const fontFile = buildGlyphlessFont();
+    const fontFileId = addObject(`<< /Length ${fontFile.length} /Length1 ${fontFile.length} >>`, fontFile);
+
+    const descriptorId = addObject(
+        '<< /Type /FontDescriptor /FontName /GlyphLessFont /Flags 5 ' +
+        `/FontBBox [0 0 ${TEXT_LAYER_ADVANCE} 1000] /ItalicAngle 0 /Ascent 1000 /Descent 0 ` +
+        `/CapHeight 1000 /StemV 80 /FontFile2 ${fontFileId} 0 R >>`
+    );
+
+    const cidFontId = addObject(
+        '<< /Type /Font /Subtype /CIDFontType2 /BaseFont /GlyphLessFont ' +
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ' +
+        `/FontDescriptor ${descriptorId} 0 R /DW ${TEXT_LAYER_ADVANCE} /CIDToGIDMap /Identity >>`
+    );
+
+    const toUnicode = encodeAscii(buildToUnicodeCMap(textLayer.cids));
+    const toUnicodeId = addObject(`<< /Length ${toUnicode.length} >>`, toUnicode);
+
+    return addObject(
+        '<< /Type /Font /Subtype /Type0 /BaseFont /GlyphLessFont /Encoding /Identity-H ' +
+        `/DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+    );
+}
+
+function buildTextLayerContent(page, textLayer) {
+    const { image, layout } = page;
+    const scaleX = layout.width / image.width;
+    const scaleY = layout.height / image.height;
+    const commands = ['BT', '3 Tr'];
+
+    for (const word of page.words) {
+        const chars = Array.from(word.text);
+        const fontSize = word.height * scaleY;
+        const boxWidth = word.width * scaleX;
+        // Stretch the glyph run horizontally so selection covers exactly the word box
+        const naturalWidth = chars.length * fontSize * TEXT_LAYER_ADVANCE / 1000;
+        const horizontalScale = naturalWidth > 0 ? boxWidth / naturalWidth * 100 : 100;
+
+        const x = layout.x + word.x * scaleX;
+        const y = layout.y + layout.height - (word.y + word.height) * scaleY;
+        const codes = chars.map(char => textLayer.cids.get(char).toString(16).toUpperCase().padStart(4, '0')).join('');
+
+        commands.push(
+            `/F0 ${formatNumber(fontSize)} Tf ${formatNumber(horizontalScale)} Tz ` +
+            `1 0 0 1 ${formatNumber(x)} ${formatNumber(y)} Tm <${codes}> Tj`
+        );
+    }
+
+    commands.push('ET');
+    return commands.join('\n') + '\n';
+}
+
+function buildToUnicodeCMap(cids) {
+    const entries = Array.from(cids, ([char, cid]) => {
+        let unicode = '';
+        for (let i = 0; i < char.length; i++) {
+            unicode += char.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+        }
+        return `<${cid.toString(16).toUpperCase().padStart(4, '0')}> <${unicode}>`;
+    });
+
+    const lines = [
+        '/CIDInit /ProcSet findresource begin',
+        '12 dict begin',
+        'begincmap',
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+        '/CMapName /Adobe-Identity-UCS def',
+        '/CMapType 2 def',
+        '1 begincodespacerange',
+        '<0000> <FFFF>',
+        'endcodespacerange'
+    ];
+
+    // bfchar blocks are limited to 100 entries each
+    for (let i = 0; i < entries.length; i += 100) {
+        const block = entries.slice(i, i + 100);
+        lines.push(`${block.length} beginbfchar`, ...block, 'endbfchar');
+    }
+
+    lines.push('endcmap', 'CMapName currentdict /CMap defineresource pop', 'end', 'end');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Build a minimal TrueType font with a single empty glyph, used only to carry invisible text
+ * @returns {Uint8Array} sfnt bytes
+ */
+function buildGlyphlessFont() {
+    const table = (size, fill) => {
+        const view = new DataView(new ArrayBuffer(size));
+        fill(view);
+        return new Uint8Array(view.buffer);
+    };
+
+    const tables = {
+        glyf: new Uint8Array(0),
+        head: table(54, v => {
+            v.setUint32(0, 0x00010000);       // version
+            v.setUint32(4, 0x00010000);       // fontRevision
+            v.setUint32(12, 0x5F0F3CF5);      // magicNumber
+            v.setUint16(16, 0x000B);          // flags
+            v.setUint16(18, 1000);            // unitsPerEm
+            v.setInt16(40, TEXT_LAYER_ADVANCE); // xMax
+            v.setInt16(42, 1000);             // yMax
+            v.setUint16(46, 8);               // lowestRecPPEM
+            v.setInt16(48, 2);                // fontDirectionHint
+        }),
+        hhea: table(36, v => {
+            v.setUint32(0, 0x00010000);
+            v.setInt16(4, 1000);              // ascender
+            v.setUint16(10, TEXT_LAYER_ADVANCE); // advanceWidthMax
+            v.setInt16(18, 1);                // caretSlopeRise
+            v.setUint16(34, 1);               // numberOfHMetrics
+        }),
+        hmtx: table(4, v => v.setUint16(0, TEXT_LAYER_ADVANCE)),
+        loca: table(4, () => {}),             // Short offsets: the one glyph is empty
+        maxp: table(32, v => {
+            v.setUint32(0, 0x00010000);
+            v.setUint16(4, 1);                // numGlyphs
+            v.setUint16(14, 2);               // maxZones
+        })
+    };
+
+    const tags = Object.keys(tables).sort();
+    const headerSize = 12 + tags.length * 16;
+    const padded = (length) => (length + 3) & ~3;
+    const totalSize = tags.reduce((size, tag) => size + padded(tables[tag].length), headerSize);
+
+    const font = new Uint8Array(totalSize);
+    const view = new DataView(font.buffer);
+    const entrySelector = Math.floor(Math.log2(tags.length));
+    const searchRange = (1 << entrySelector) * 16;
+
+    view.setUint32(0, 0x00010000);
+    view.setUint16(4, tags.length);
+    view.setUint16(6, searchRange);
+    view.setUint16(8, entrySelector);
+    view.setUint16(10, tags.length * 16 - searchRange);
+
+    let offset = headerSize;
+    tags.forEach((tag, index) => {
+        const data = tables[tag];
+        const entry = 12 + index * 16;
+        for (let i = 0; i < 4; i++) {
+            font[entry + i] = tag.charCodeAt(i);
+        }
+        view.setUint32(entry + 4, calculateTableChecksum(data));
+        view.setUint32(entry + 8, offset);
+        view.setUint32(entry + 12, data.length);
+        font.set(data, offset);
+        offset += padded(data.length);
+    });
+
+    // head.checkSumAdjustment makes the whole file sum to 0xB1B0AFBA
+    const headOffset = view.getUint32(12 + tags.indexOf('head') * 16 + 8);
+    view.setUint32(headOffset + 8, (0xB1B0AFBA - calculateTableChecksum(font)) >>> 0);
+
+    return font;
+}
+
+function calculateTableChecksum(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        const word = ((data[i] << 24) | ((data[i + 1] || 0) << 16) | ((data[i + 2] || 0) << 8) | (data[i + 3] || 0)) >>> 0;
+        sum = (sum + word) >>> 0;
+    }
+    return sum;
+}
+
+function buildInfoDictionary(metadata) {
+    const fields = {
+        Title: metadata.title,
+        Author: metadata.author,
+        Subject: metadata.subject,
+        Keywords: Array.isArray(metadata.keywords) ? metadata.keywords.join(', ') : metadata.keywords,
+        Creator: metadata.creator,
+        Producer: 'NoLock.Social'
+    };
+
+    const entries = Object.entries(fields)
+        .filter(([, value]) => value)
+        .map(([key, value]) => `/${key} ${encodeTextString(String(value))}`);
+
+    entries.push(`/CreationDate (${formatPdfDate(metadata.creationDate ? new Date(metadata.creationDate) : new Date())})`);
+
+    return `<< ${entries.join(' ')} >>`;
+}
+
+function serialize(objects, catalogId, infoId) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+
+    const append = (bytes) => {
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+
+    // Binary comment marks the file as binary for transfer tools
+    append(encodeAscii('%PDF-1.4\n'));
+    append(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+
+    objects.forEach((object, index) => {
+        offsets.push(length);
+        append(encodeAscii(`${index + 1} 0 obj\n${object.body}\n`));
+        if (object.stream) {
+            append(encodeAscii('stream\n'));
+            append(object.stream);
+            append(encodeAscii('\nendstream\n'));
+        }
+        append(encodeAscii('endobj\n'));
+    });
+
+    const xrefOffset = length;
+    const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n'];
+    for (const offset of offsets) {
+        xref.push(`${String(offset).padStart(10, '0')} 00000 n \n`);
+    }
+
+    const id = createDocumentId();
+    append(encodeAscii(
+        xref.join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R /ID [<${id}> <${id}>] >>\n` +
+        `startxref\n${xrefOffset}\n%%EOF\n`
+    ));
+
+    const output = new Uint8Array(length);
+    let position = 0;
+    for (const chunk of chunks) {
+        output.set(chunk, position);
+        position += chunk.length;
+    }
+    return output;
+}
+
+// Helper methods
+
+function encodeAscii(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+// UTF-16BE hex string with BOM - safe for any text, no escaping needed
+function encodeTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+        hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+    }
+    return `<${hex}>`;
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// D:YYYYMMDDHHmmSSZ in UTC
+function formatPdfDate(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+           `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+function createDocumentId() {
+    const bytes = new Uint8Array(16);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Export for testing purposes
+export const _internal = {
+    calculatePageLayout,
+    readJpegInfo,
+    encodeCcittGroup4,
+    normalizeWords,
+    attachWordsToPages,
+    buildGlyphlessFont,
+    buildDocument
+};
@@ -0,0 +1,67 @@
+// Image Enhancement Worker
+// Runs the imageEnhancement pixel pipeline off the main thread on OffscreenCanvas, for image-enhancement-offload.js.
+// Messages: { id, operation, bitmap, options, encode } in, { id, bitmap }, { id, blob } or { id, error, fatal } out.
+// When encode ({ type, quality }) is set the result is encoded here and returned as a Blob.
+// 'mergeBurstFrames' takes bitmaps (one per frame) instead of bitmap and answers { id, bitmap, burst }.
+
+// image-enhancement.js and image-quality.js register themselves on window; alias it to the worker global
+self.window = self;
+importScripts('image-enhancement.js', 'image-quality.js');
+
+const enhancement = self.imageEnhancement;
+
+// Draw a transferred bitmap onto a new OffscreenCanvas and release the bitmap
+function toCanvas(bitmap) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+        throw new Error('OffscreenCanvas 2D context not available');
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return canvas;
+}
+
+self.onmessage = async (event) => {
+    const { id, operation, bitmap, bitmaps, options, encode } = event.data;
+    const inputs = bitmaps || [bitmap];
+
+    let canvases;
+    try {
+        canvases = inputs.map(toCanvas);
+    } catch (error) {
+        // The environment cannot run the pipeline at all; the client falls back to the main thread
+        inputs.forEach(input => input.close());
+        self.postMessage({ id, error: error.message, fatal: true });
+        return;
+    }
+
+    try {
+        if (operation === 'mergeBurstFrames') {
+            const { canvas, selectedIndex, sharpness, stackedFrames } = await enhancement._mergeBurstFrames(canvases, options || {});
+            const result = canvas.transferToImageBitmap();
+            canvases.forEach(frame => enhancement._disposeCanvas(frame));
+            self.postMessage({ id, bitmap: result, burst: { selectedIndex, sharpness, stackedFrames } }, [result]);
+            return;
+        }
+
+        const [canvas] = canvases;
+        const resultCanvas = await enhancement._processCanvas(operation, canvas, options || {});
+
+        if (encode) {
+            const blob = await enhancement._canvasToBlob(resultCanvas, encode.type, encode.quality);
+            enhancement._disposeCanvas(resultCanvas);
+            enhancement._disposeCanvas(canvas);
+            self.postMessage({ id, blob });
+            return;
+        }
+
+        const result = resultCanvas.transferToImageBitmap();
+
+        enhancement._disposeCanvas(canvas);
+        self.postMessage({ id, bitmap: result }, [result]);
+    } catch (error) {
+        console.error(`Worker enhancement '${operation}' failed:`, error);
+        self.postMessage({ id, error: error.message, fatal: false });
+    }
+};
@@ -0,0 +1,242 @@
+// Image Enhancement Offload
+// Moves the pixel work of window.imageEnhancement into enhancement-worker.js, a Web Worker drawing on OffscreenCanvas.
+// Load it after image-enhancement.js: the public operations keep their names and options and are replaced by
+// versions that post to the worker, keeping the in-thread implementations as the fallback for browsers
+// without workers or OffscreenCanvas and for a worker that fails to start.
+
+(function() {
+    'use strict';
+
+    const enhancement = window.imageEnhancement;
+    if (!enhancement || typeof document === 'undefined') {
+        return; // The worker loads image-enhancement.js on its own and must not offload again
+    }
+
+    const WORKER_URL = 'js/enhancement-worker.js';
+    const JPEG_OUTPUT = { type: 'image/jpeg', quality: 0.95 };
+    const PNG_OUTPUT = { type: 'image/png' };
+
+    // Operation -> label used in error messages, and the encoding of its result
+    const OPERATIONS = {
+        adjustContrast: { label: 'Contrast adjustment' },
+        removeShadows: { label: 'Shadow removal' },
+        removeGlare: { label: 'Glare removal' },
+        correctPerspective: { label: 'Perspective correction' },
+        convertToGrayscale: { label: 'Grayscale conversion' },
+        compressImage: { label: 'Image compression', encode: (options) => ({ type: 'image/jpeg', quality: options.quality || 0.85 }) },
+        binarize: { label: 'Binarization', encode: () => PNG_OUTPUT },
+        enhanceImage: { label: 'Image enhancement', encode: (settings) => settings.binarize ? PNG_OUTPUT : JPEG_OUTPUT }
+    };
+
+    // In-thread implementations, used whenever the worker cannot be
+    const inThread = {};
+
+    let worker = null;
+    let workerFailed = false;
+    let nextRequestId = 1;
+    const pendingRequests = new Map();
+
+    // Feature detection for the worker path
+    function isSupported() {
+        return !workerFailed &&
+            typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function' &&
+            typeof OffscreenCanvas.prototype.transferToImageBitmap === 'function';
+    }
+
+    function getWorker() {
+        if (!worker) {
+            worker = new Worker(WORKER_URL);
+            worker.onmessage = handleWorkerMessage;
+            worker.onerror = handleWorkerError;
+        }
+        return worker;
+    }
+
+    function handleWorkerMessage(event) {
+        const { id, bitmap, blob, error, fatal } = event.data;
+        const request = pendingRequests.get(id);
+
+        if (!request) {
+            if (bitmap) {
+                bitmap.close();
+            }
+            return;
+        }
+
+        pendingRequests.delete(id);
+
+        if (error) {
+            if (fatal) {
+                workerFailed = true;
+            }
+            request.reject(Object.assign(new Error(error), { fatal: !!fatal }));
+        } else {
+            request.resolve(event.data.burst ? event.data : bitmap || blob);
+        }
+    }
+
+    // Worker script failed to load or crashed - stop using it and fail over pending requests
+    function handleWorkerError(event) {
+        console.error('Image enhancement worker failed:', event.message);
+        event.preventDefault();
+        workerFailed = true;
+        terminate(Object.assign(new Error(event.message || 'Image enhancement worker failed'), { fatal: true }));
+    }
+
+    // Accept data URLs as well as the binary inputs understood by imageEnhancement._toBlob
+    function toBlob(imageData) {
+        return typeof imageData === 'string' ?
+            Promise.resolve(dataUrlToBlob(imageData)) :
+            enhancement._toBlob(imageData);
+    }
+
+    // Decode a data URL or bare base64 string without fetch (CSP connect-src does not allow data:)
+    function dataUrlToBlob(imageData) {
+        const match = /^data:([^;,]+)?(;base64)?,/.exec(imageData);
+        const mimeType = match && match[1] ? match[1] : 'image/jpeg';
+        const payload = match ? imageData.substring(match[0].length) : imageData;
+
+        const binary = atob(payload);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    function bitmapToDataUrl(bitmap, encode) {
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        const dataUrl = canvas.toDataURL(encode.type, encode.quality);
+        enhancement._disposeCanvas(canvas);
+        return dataUrl;
+    }
+
+    // Data URL options (second glare capture) become Blobs - the worker has no Image element to decode them
+    function prepareOptions(options) {
+        const prepared = { ...options };
+        for (const key of ['secondCapture', 'glareSecondCapture']) {
+            if (typeof prepared[key] === 'string') {
+                prepared[key] = dataUrlToBlob(prepared[key]);
+            }
+        }
+        return prepared;
+    }
+
+    function postToWorker(operation, bitmap, options, encode) {
+        return new Promise((resolve, reject) => {
+            const id = nextRequestId++;
+            pendingRequests.set(id, { resolve, reject });
+            getWorker().postMessage({ id, operation, bitmap, options: prepareOptions(options), encode }, [bitmap]);
+        });
+    }
+
+    // Burst frames go over as bitmaps; the worker answers with the merged frame and the ranking
+    function postFramesToWorker(bitmaps, options) {
+        return new Promise((resolve, reject) => {
+            const id = nextRequestId++;
+            pendingRequests.set(id, { resolve, reject });
+            getWorker().postMessage({ id, operation: 'mergeBurstFrames', bitmaps, options }, bitmaps);
+        });
+    }
+
+    // Run one operation in the worker, falling back to the main thread when the worker path is unusable.
+    // binary operations resolve to the Blob encoded by the worker, the others to a data URL.
+    async function runOperation(operation, binary, image, options) {
+        const method = binary ? `${operation}Binary` : operation;
+        const fallback = () => inThread[method].call(enhancement, image, options);
+        if (!isSupported()) {
+            return fallback();
+        }
+
+        const { label, encode } = OPERATIONS[operation];
+        try {
+            // Presets are resolved here, so the output format follows the preset's binarize setting
+            const resolved = operation === 'enhanceImage' ? await enhancement._resolveEnhancementSettings(options) : options;
+            const output = encode ? encode(resolved) : JPEG_OUTPUT;
+            const bitmap = await createImageBitmap(await toBlob(image));
+
+            if (binary) {
+                return await postToWorker(operation, bitmap, resolved, output);
+            }
+            return bitmapToDataUrl(await postToWorker(operation, bitmap, resolved), output);
+        } catch (error) {
+            if (error.fatal) {
+                console.warn(`Worker unavailable, running '${method}' on the main thread:`, error.message);
+                return fallback();
+            }
+            console.error(`Worker ${method} failed:`, error);
+            throw new Error(`${label} failed: ${error.message}`);
+        }
+    }
+
+    // Median stacking reads every pixel of every frame at full resolution, so it runs in the worker.
+    // Picking the sharpest frame only measures downscaled copies and stays here, returning one of the frames.
+    async function mergeBurstFrames(frames, options = {}) {
+        const fallback = () => inThread._mergeBurstFrames.call(enhancement, frames, options);
+        if (options.mode !== 'stack' || !isSupported() || !frames || frames.length === 0) {
+            return fallback();
+        }
+
+        try {
+            // The caller's output canvas stays here; DOM elements cannot be posted
+            const { canvas: target, ...mergeOptions } = options;
+            const bitmaps = await Promise.all(frames.map(frame => createImageBitmap(frame)));
+            const { bitmap, burst } = await postFramesToWorker(bitmaps, mergeOptions);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            canvas.getContext('2d').drawImage(bitmap, 0, 0);
+            bitmap.close();
+            return { canvas, ...burst };
+        } catch (error) {
+            if (error.fatal) {
+                console.warn('Worker unavailable, merging burst frames on the main thread:', error.message);
+                return fallback();
+            }
+            console.error('Worker burst merge failed:', error);
+            throw new Error(`Burst merge failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Terminate the worker and reject any requests still in flight
+     * @param {Error} reason - Rejection reason for pending requests
+     */
+    function terminate(reason) {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+
+        const error = reason || new Error('Image enhancement worker terminated');
+        for (const request of pendingRequests.values()) {
+            request.reject(error);
+        }
+        pendingRequests.clear();
+    }
+
+    for (const operation of Object.keys(OPERATIONS)) {
+        for (const binary of [false, true]) {
+            const method = binary ? `${operation}Binary` : operation;
+            if (typeof enhancement[method] !== 'function') {
+                continue;
+            }
+            inThread[method] = enhancement[method];
+            enhancement[method] = (image, options = {}) => runOperation(operation, binary, image, options);
+        }
+    }
+
+    inThread._mergeBurstFrames = enhancement._mergeBurstFrames;
+    enhancement._mergeBurstFrames = mergeBurstFrames;
+
+    enhancement.isWorkerSupported = isSupported;
+    enhancement.terminateWorker = () => terminate();
+})();
@@ -14,36 +14,8 @@ window.imageEnhancement = {
      */
     async adjustContrast(imageData, options = {}) {
         try {
-            const {
-                strength = null,
-                mode = 'auto',
-                preserveDetails = true
-            } = options;
-
             const canvas = await this._getCanvasFromBase64(imageData);
-            const ctx = canvas.getContext('2d');
-            const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const data = imgData.data;
-            
-            // Analyze histogram and image characteristics
-            const analysis = this._analyzeImageHistogram(data);
-            
-            // Determine optimal contrast adjustment strategy
-            let contrastStrength = strength;
-            if (contrastStrength === null) {
-                contrastStrength = this._calculateOptimalContrast(analysis, mode);
-            }
-            
-            // Apply adaptive contrast enhancement
-            if (mode === 'text' || (mode === 'auto' && analysis.isTextDocument)) {
-                this._applyTextOptimizedContrast(data, contrastStrength, analysis, preserveDetails);
-            } else if (mode === 'photo') {
-                this._applyPhotoOptimizedContrast(data, contrastStrength, analysis, preserveDetails);
-            } else {
-                this._applyMixedContentContrast(data, contrastStrength, analysis, preserveDetails);
-            }
-            
-            ctx.putImageData(imgData, 0, 0);
+            this._adjustContrastOnCanvas(canvas, options);
             return canvas.toDataURL('image/jpeg', 0.95);
         } catch (error) {
             console.error('Error adjusting contrast:', error);
@@ -62,38 +34,8 @@ window.imageEnhancement = {
      */
     async removeShadows(imageData, options = {}) {
         try {
-            const {
-                intensity = 0.7,
-                mode = 'auto',
-                preserveText = true
-            } = options;
-
             const canvas = await this._getCanvasFromBase64(imageData);
-            const ctx = canvas.getContext('2d');
-            const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const data = imgData.data;
-            const width = canvas.width;
-            const height = canvas.height;
-            
-            // Step 1: Analyze lighting patterns and detect shadows
-            const lightingAnalysis = this._analyzeLightingPatterns(data, width, height);
-            
-            // Step 2: Create shadow map to identify shadow regions
-            const shadowMap = this._createShadowMap(data, width, height, lightingAnalysis);
-            
-            // Step 3: Apply adaptive shadow removal based on shadow type and content
-            const processedData = this._applyShadowRemoval(data, shadowMap, lightingAnalysis, {
-                intensity,
-                mode,
-                preserveText,
-                width,
-                height
-            });
-            
-            // Step 4: Apply local brightness normalization for remaining uneven lighting
-            this._applyLocalLightingNormalization(processedData, width, height, intensity * 0.5);
-            
-            ctx.putImageData(imgData, 0, 0);
+            this._removeShadowsOnCanvas(canvas, options);
             return canvas.toDataURL('image/jpeg', 0.95);
         } catch (error) {
             console.error('Error removing shadows:', error);
@@ -101,6 +43,29 @@ window.imageEnhancement = {
         }
     },
 
+    /**
+     * Remove specular glare (blown-out highlights) from glossy or laminated documents
+     * @param {string} imageData - Base64 encoded image data
+     * @param {Object} options - Glare removal options
+     * @param {number} options.threshold - Minimum brightness (0-255) of a glare pixel (default: 235)
+     * @param {number} options.maxSaturation - Maximum colour saturation (0-1) of a glare pixel (default: 0.12)
+     * @param {number} options.maxAreaRatio - Hotspots covering more of the image than this are paper, not glare (default: 0.15)
+     * @param {number} options.featherRadius - Pixels added around each hotspot to cover its halo (default: scales with image size)
+     * @param {string|Blob|ArrayBuffer|Uint8Array} options.secondCapture - Optional capture of the same document from
+     *        another angle. Glare pixels are copied from it where it is clean; the rest are inpainted.
+     * @returns {Promise<string>} Enhanced base64 image data
+     */
+    async removeGlare(imageData, options = {}) {
+        try {
+            const canvas = await this._getCanvasFromBase64(imageData);
+            await this._removeGlareOnCanvas(canvas, options);
+            return canvas.toDataURL('image/jpeg', 0.95);
+        } catch (error) {
+            console.error('Error removing glare:', error);
+            throw new Error(`Glare removal failed: ${error.message}`);
+        }
+    },
+
     /**
      * Correct perspective distortion for document images with automatic edge detection
      * @param {string} imageData - Base64 encoded image data
@@ -112,61 +77,63 @@ window.imageEnhancement = {
      * @returns {Promise<string>} Enhanced base64 image data
      */
     async correctPerspective(imageData, options = {}) {
+        try {
+            const canvas = await this._getCanvasFromBase64(imageData);
+            const correctedCanvas = this._correctPerspectiveOnCanvas(canvas, options);
+            return correctedCanvas.toDataURL('image/jpeg', 0.95);
+        } catch (error) {
+            console.error('Error correcting perspective:', error);
+            throw new Error(`Perspective correction failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * Detect document corners so they can be shown to the user and adjusted before correctPerspective
+     * @param {string|Blob|ArrayBuffer|Uint8Array} imageData - Base64 image data or encoded image bytes
+     * @param {Object} options - Detection options
+     * @param {number} options.edgeThreshold - Edge detection threshold (default: 50)
+     * @param {number} options.maxDimension - Detection runs on a copy downscaled to this size (default: 800)
+     * @returns {Promise<{detected: boolean, corners: Array, confidence: number, width: number, height: number}>}
+     *          Corners in image pixels, sorted [top-left, top-right, bottom-right, bottom-left].
+     *          When nothing is detected the corners span the whole image and confidence is 0.
+     */
+    async detectDocumentCorners(imageData, options = {}) {
         try {
             const {
-                autoDetect = true,
-                manualCorners = null,
                 edgeThreshold = 50,
-                preserveAspectRatio = true
+                maxDimension = 800
             } = options;
-
-            const canvas = await this._getCanvasFromBase64(imageData);
-            const ctx = canvas.getContext('2d');
-            const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const data = imgData.data;
-            const width = canvas.width;
-            const height = canvas.height;
-
-            let corners;
-            
-            if (manualCorners && manualCorners.length === 4) {
-                // Use manually specified corners
-                corners = manualCorners;
-            } else if (autoDetect) {
-                // Step 1: Detect document edges and find corners
-                const edges = this._detectDocumentEdges(data, width, height, edgeThreshold);
-                corners = this._findDocumentCorners(edges, width, height);
-                
-                // If auto-detection fails, apply skew detection and correction
-                if (!corners || corners.length !== 4) {
-                    const skewAngle = this._detectSkewAngle(data, width, height);
-                    if (Math.abs(skewAngle) > 0.5) { // Only correct if skew > 0.5 degrees
-                        return this._applySkewCorrection(canvas, skewAngle);
-                    } else {
-                        // No significant distortion detected, return original
-                        return canvas.toDataURL('image/jpeg', 0.95);
-                    }
-                }
-            } else {
-                // No correction needed
-                return canvas.toDataURL('image/jpeg', 0.95);
-            }
-
-            // Step 2: Calculate target rectangle dimensions
-            const targetRect = this._calculateTargetRectangle(corners, width, height, preserveAspectRatio);
             
-            // Step 3: Compute perspective transformation matrix
-            const transformMatrix = this._calculateHomographyMatrix(corners, targetRect);
+            const canvas = await this._getCanvasFromInput(imageData);
+            const result = this._detectCornersOnCanvas(canvas, edgeThreshold, maxDimension);
+            const { width, height } = canvas;
+            this._disposeCanvas(canvas);
             
-            // Step 4: Apply perspective transformation with quality preservation
-            const correctedCanvas = this._applyPerspectiveTransformation(
-                canvas, transformMatrix, targetRect, width, height
-            );
+            if (!result) {
+                return {
+                    detected: false,
+                    corners: [
+                        { x: 0, y: 0 },
+                        { x: width, y: 0 },
+                        { x: width, y: height },
+                        { x: 0, y: height }
+                    ],
+                    confidence: 0,
+                    width,
+                    height
+                };
+            }
             
-            return correctedCanvas.toDataURL('image/jpeg', 0.95);
+            return {
+                detected: true,
+                corners: result.corners,
+                confidence: result.confidence,
+                width,
+                height
+            };
         } catch (error) {
-            console.error('Error correcting perspective:', error);
-            throw new Error(`Perspective correction failed: ${error.message}`);
+            console.error('Error detecting document corners:', error);
+            throw new Error(`Corner detection failed: ${error.message}`);
         }
     },
 
@@ -182,41 +149,8 @@ window.imageEnhancement = {
      */
     async convertToGrayscale(imageData, options = {}) {
         try {
-            const {
-                method = 'auto',
-                enhanceText = true,
-                preserveContrast = true,
-                textBoost = 1.2
-            } = options;
-
             const canvas = await this._getCanvasFromBase64(imageData);
-            const ctx = canvas.getContext('2d');
-            const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            const data = imgData.data;
-            const width = canvas.width;
-            const height = canvas.height;
-            
-            // Analyze image content to determine optimal conversion method
-            const analysis = this._analyzeImageForGrayscale(data, width, height);
-            
-            // Select conversion method based on analysis and user preference
-            const selectedMethod = method === 'auto' ? 
-                this._selectOptimalGrayscaleMethod(analysis) : 
-                method;
-            
-            // Apply the selected grayscale conversion
-            this._applyGrayscaleConversion(data, selectedMethod, analysis, {
-                enhanceText,
-                preserveContrast,
-                textBoost: this._clamp(textBoost, 0.5, 2.0)
-            });
-            
-            // Apply post-processing optimizations for document quality
-            if (enhanceText && analysis.isDocumentLike) {
-                this._applyDocumentGrayscaleOptimization(data, analysis);
-            }
-            
-            ctx.putImageData(imgData, 0, 0);
+            this._convertToGrayscaleOnCanvas(canvas, options);
             return canvas.toDataURL('image/jpeg', 0.95);
         } catch (error) {
             console.error('Error converting to grayscale:', error);
@@ -224,14 +158,106 @@ window.imageEnhancement = {
         }
     },
 
+    /**
+     * Convert image to pure black and white for OCR using global or adaptive thresholding
+     * @param {string} imageData - Base64 encoded image data
+     * @param {Object} options - Binarization options
+     * @param {string} options.method - Thresholding method: 'otsu' (global), 'sauvola', 'niblack', 'bradley' (adaptive). Default: 'sauvola'
+     * @param {number} options.windowSize - Local window size in pixels for adaptive methods (default: derived from image size)
+     * @param {number} options.k - Method parameter: Sauvola k (default 0.34), Niblack k (default -0.2), Bradley t (default 0.15)
+     * @param {boolean} options.invert - Produce white text on black (default: false)
+     * @returns {Promise<string>} Black and white PNG base64 image data
+     */
+    async binarize(imageData, options = {}) {
+        try {
+            const canvas = await this._getCanvasFromBase64(imageData);
+            this._binarizeOnCanvas(canvas, options);
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            console.error('Error binarizing image:', error);
+            throw new Error(`Binarization failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * Check processing mode: find the MICR E-13B line along the bottom of a rectified check, crop and binarize it,
+     * and read the routing, account and check numbers locally so the user can confirm them before upload.
+     * Recognition is done by window.micrReader (micr-reader.js).
+     * @param {string|Blob|ArrayBuffer|Uint8Array|Object} imageData - Rectified check (see correctPerspective) as a
+     *        data URL, encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Check processing options
+     * @param {number} options.searchRatio - Fraction of the check height, from the bottom, searched for the line (default: 0.35)
+     * @param {Object} options.binarize - Band binarization options, see binarize (default: Sauvola, two characters wide)
+     * @param {number} options.minConfidence - Characters scoring below this are read as '?' (default: 0.6)
+     * @returns {Promise<Object>} { found, micrLine, routingNumber, accountNumber, checkNumber, amount, isRoutingNumberValid,
+     *          confidence, characters, band, bandImage }. Band and character positions are in check image pixels;
+     *          bandImage is the binarized band as a PNG data URL, for showing next to the numbers read from it.
+     */
+    async processCheck(imageData, options = {}) {
+        try {
+            if (!window.micrReader) {
+                throw new Error('MICR reader module not loaded');
+            }
+
+            const { searchRatio = 0.35, binarize = {}, minConfidence = 0.6 } = options;
+            const canvas = await this._getCanvasFromInput(imageData);
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            const band = window.micrReader.locateBand(context.getImageData(0, 0, canvas.width, canvas.height), { searchRatio });
+
+            if (!band) {
+                this._disposeCanvas(canvas);
+                return {
+                    found: false,
+                    micrLine: '',
+                    ...window.micrReader.parseMicrLine(''),
+                    confidence: 0,
+                    characters: [],
+                    band: null,
+                    bandImage: null
+                };
+            }
+
+            const bandCanvas = this._createCanvas(band.width, band.height);
+            const bandContext = bandCanvas.getContext('2d', { willReadFrequently: true });
+            bandContext.drawImage(canvas, band.x, band.y, band.width, band.height, 0, 0, band.width, band.height);
+            this._disposeCanvas(canvas);
+
+            // A window about two characters wide follows tinted security paper without eroding the thin strokes
+            const bandData = bandContext.getImageData(0, 0, band.width, band.height);
+            this._applyBinarization(bandData.data, band.width, band.height,
+                { method: 'sauvola', windowSize: band.characterHeight * 2, ...binarize });
+            bandContext.putImageData(bandData, 0, 0);
+
+            const line = window.micrReader.readLine(bandData, { minConfidence });
+            const bandImage = bandCanvas.toDataURL('image/png');
+            this._disposeCanvas(bandCanvas);
+
+            return {
+                found: line.characters.length > 0,
+                micrLine: line.micrLine,
+                ...window.micrReader.parseMicrLine(line.micrLine),
+                confidence: line.confidence,
+                characters: line.characters.map(character => ({ ...character, x: character.x + band.x, y: character.y + band.y })),
+                band: { x: band.x, y: band.y, width: band.width, height: band.height },
+                bandImage: bandImage
+            };
+        } catch (error) {
+            console.error('Error processing check:', error);
+            throw new Error(`Check processing failed: ${error.message}`);
+        }
+    },
+
     /**
      * Apply full enhancement chain to an image with performance optimizations
      * @param {string} imageData - Base64 encoded image data
      * @param {Object} settings - Enhancement settings
+     * @param {string} settings.preset - Optional preset name (e.g. 'receipt', 'Check'); other settings override the preset
      * @returns {Promise<string>} Fully enhanced base64 image data
      */
     async enhanceImage(imageData, settings = {}) {
         try {
+            settings = await this._resolveEnhancementSettings(settings);
+            
             // Check if this is a large image that needs optimized processing
             if (settings.isLargeImage || settings.progressiveProcessing) {
                 return await this._optimizeForLargeImages(imageData, settings);
@@ -240,163 +266,979 @@ window.imageEnhancement = {
             let enhanced = imageData;
             
             // Apply enhancements in sequence based on settings
-            if (settings.enableContrastAdjustment !== false) {
-                const contrastOptions = {
-                    strength: settings.contrastStrength || null, // Let auto-detection work if not specified
-                    mode: settings.contrastMode || 'auto',
-                    preserveDetails: settings.preserveDetails !== false
-                };
-                enhanced = await this.adjustContrast(enhanced, contrastOptions);
+            for (const step of this._getEnhancementSteps(settings)) {
+                enhanced = await this[step.operation](enhanced, step.options);
             }
             
-            if (settings.enableShadowRemoval !== false) {
-                const shadowOptions = {
-                    intensity: settings.shadowRemovalIntensity || 0.7,
-                    mode: settings.shadowRemovalMode || 'auto',
-                    preserveText: settings.preserveTextInShadows !== false
-                };
-                enhanced = await this.removeShadows(enhanced, shadowOptions);
+            return enhanced;
+        } catch (error) {
+            console.error('Error enhancing image:', error);
+            throw new Error(`Image enhancement failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * Check if image enhancement is available
+     * @returns {boolean} True if enhancement is available
+     */
+    isAvailable() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(canvas.getContext && canvas.getContext('2d'));
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * Analyze image size and dimensions for performance optimization decisions
+     * @param {string} imageData - Base64 encoded image data
+     * @returns {Promise<Object>} Image information including dimensions and size
+     */
+    async analyzeImageSize(imageData) {
+        try {
+            const canvas = await this._getCanvasFromBase64(imageData);
+            const width = canvas.width;
+            const height = canvas.height;
+            
+            // Estimate file size from base64 data
+            const base64Length = imageData.replace(/^data:image\/[a-z]+;base64,/, '').length;
+            const sizeBytes = (base64Length * 3) / 4; // Base64 to bytes conversion
+            const sizeMB = sizeBytes / (1024 * 1024);
+            
+            // Detect format from data URL
+            const formatMatch = imageData.match(/^data:image\/([a-z]+);base64,/);
+            const format = formatMatch ? formatMatch[1] : 'unknown';
+            
+            return {
+                width: width,
+                height: height,
+                sizeMB: sizeMB,
+                format: format
+            };
+        } catch (error) {
+            console.error('Error analyzing image size:', error);
+            throw new Error(`Image size analysis failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * Compress image for processing to reduce memory usage
+     * @param {string} imageData - Base64 encoded image data
+     * @param {Object} options - Compression options
+     * @param {number} options.maxWidth - Maximum width for compressed image
+     * @param {number} options.maxHeight - Maximum height for compressed image
+     * @param {number} options.quality - JPEG quality (0.1 to 1.0)
+     * @param {boolean} options.preserveAspectRatio - Preserve aspect ratio
+     * @returns {Promise<string>} Compressed base64 image data
+     */
+    async compressImage(imageData, options = {}) {
+        try {
+            const {
+                maxWidth = 1920,
+                maxHeight = 1920,
+                quality = 0.85,
+                preserveAspectRatio = true
+            } = options;
+
+            const sourceCanvas = await this._getCanvasFromBase64(imageData);
+            const compressedCanvas = this._compressCanvas(sourceCanvas, {
+                maxWidth,
+                maxHeight,
+                preserveAspectRatio
+            });
+            
+            // Skip re-encoding if image is already small enough
+            if (compressedCanvas === sourceCanvas) {
+                return imageData;
+            }
+            
+            // Return compressed image as JPEG with specified quality
+            const compressedData = compressedCanvas.toDataURL('image/jpeg', quality);
+            
+            // Cleanup compressed canvas
+            this._disposeCanvas(compressedCanvas);
+            
+            return compressedData;
+        } catch (error) {
+            console.error('Error compressing image:', error);
+            throw new Error(`Image compression failed: ${error.message}`);
+        }
+    },
+
+    // Binary Transport Methods
+    // Parallel entry points that take and return binary images instead of base64 data URLs.
+    // Inputs may be a Blob, ArrayBuffer, Uint8Array or a DotNetStreamReference; outputs are Blobs,
+    // which .NET receives as an IJSStreamReference.
+    
+    /**
+     * Binary variant of adjustContrast
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Same options as adjustContrast
+     * @returns {Promise<Blob>} Enhanced JPEG image
+     */
+    async adjustContrastBinary(imageStream, options = {}) {
+        return this._processBinary('adjustContrast', imageStream, options, 'Contrast adjustment');
+    },
+
+    /**
+     * Binary variant of removeShadows
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Same options as removeShadows
+     * @returns {Promise<Blob>} Enhanced JPEG image
+     */
+    async removeShadowsBinary(imageStream, options = {}) {
+        return this._processBinary('removeShadows', imageStream, options, 'Shadow removal');
+    },
+
+    /**
+     * Binary variant of removeGlare
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Same options as removeGlare
+     * @returns {Promise<Blob>} Enhanced JPEG image
+     */
+    async removeGlareBinary(imageStream, options = {}) {
+        return this._processBinary('removeGlare', imageStream, options, 'Glare removal');
+    },
+
+    /**
+     * Binary variant of correctPerspective
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Same options as correctPerspective
+     * @returns {Promise<Blob>} Corrected JPEG image
+     */
+    async correctPerspectiveBinary(imageStream, options = {}) {
+        return this._processBinary('correctPerspective', imageStream, options, 'Perspective correction');
+    },
+
+    /**
+     * Binary variant of convertToGrayscale
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Same options as convertToGrayscale
+     * @returns {Promise<Blob>} Grayscale JPEG image
+     */
+    async convertToGrayscaleBinary(imageStream, options = {}) {
+        return this._processBinary('convertToGrayscale', imageStream, options, 'Grayscale conversion');
+    },
+
+    /**
+     * Binary variant of binarize
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Same options as binarize
+     * @returns {Promise<Blob>} Black and white PNG image
+     */
+    async binarizeBinary(imageStream, options = {}) {
+        return this._processBinary('binarize', imageStream, options, 'Binarization');
+    },
+
+    /**
+     * Binary variant of enhanceImage. The image is decoded once and encoded once for the whole chain.
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} settings - Same settings as enhanceImage
+     * @returns {Promise<Blob>} Fully enhanced JPEG image
+     */
+    async enhanceImageBinary(imageStream, settings = {}) {
+        return this._processBinary('enhanceImage', imageStream, settings, 'Image enhancement');
+    },
+
+    /**
+     * Binary variant of compressImage
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Same options as compressImage
+     * @returns {Promise<Blob>} Compressed JPEG image, or the original bytes if already small enough
+     */
+    async compressImageBinary(imageStream, options = {}) {
+        try {
+            const blob = await this._toBlob(imageStream);
+            const sourceCanvas = await this._getCanvasFromInput(blob);
+            const compressedCanvas = this._compressCanvas(sourceCanvas, options);
+            
+            // Skip re-encoding if image is already small enough
+            if (compressedCanvas === sourceCanvas) {
+                this._disposeCanvas(sourceCanvas);
+                return blob;
+            }
+            
+            const compressed = await this._canvasToBlob(compressedCanvas, 'image/jpeg', options.quality || 0.85);
+            this._disposeCanvas(compressedCanvas);
+            return compressed;
+        } catch (error) {
+            console.error('Error compressing image:', error);
+            throw new Error(`Image compression failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * Binary variant of analyzeImageSize
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @returns {Promise<Object>} Image information including dimensions and size
+     */
+    async analyzeImageSizeBinary(imageStream) {
+        try {
+            const blob = await this._toBlob(imageStream);
+            const bitmap = await createImageBitmap(blob);
+            const { width, height } = bitmap;
+            bitmap.close();
+            
+            const formatMatch = blob.type.match(/^image\/([a-z]+)$/);
+            
+            return {
+                width: width,
+                height: height,
+                sizeMB: blob.size / (1024 * 1024),
+                format: formatMatch ? formatMatch[1] : 'unknown'
+            };
+        } catch (error) {
+            console.error('Error analyzing image size:', error);
+            throw new Error(`Image size analysis failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * Decode, process and re-encode a binary image with a single canvas operation
+     * @param {string} operation - Operation name understood by _processCanvas
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} imageStream - Encoded image bytes or DotNetStreamReference
+     * @param {Object} options - Operation options
+     * @param {string} errorLabel - Human readable operation name for error messages
+     * @returns {Promise<Blob>} Processed JPEG image, or PNG for black and white output
+     */
+    async _processBinary(operation, imageStream, options, errorLabel) {
+        try {
+            if (operation === 'enhanceImage') {
+                options = await this._resolveEnhancementSettings(options);
             }
             
-            if (settings.enablePerspectiveCorrection !== false) {
-                enhanced = await this.correctPerspective(enhanced);
+            // Black and white output compresses far better (and stays crisp) as PNG
+            const binarized = operation === 'binarize' || (operation === 'enhanceImage' && options.binarize);
+            const type = binarized ? 'image/png' : 'image/jpeg';
+            
+            const canvas = await this._getCanvasFromInput(imageStream);
+            const result = await this._processCanvas(operation, canvas, options);
+            const blob = await this._canvasToBlob(result, type, 0.95);
+            
+            this._disposeCanvas(result);
+            if (result !== canvas) {
+                this._disposeCanvas(canvas);
             }
             
-            if (settings.convertToGrayscale !== false) {
-                enhanced = await this.convertToGrayscale(enhanced);
+            return blob;
+        } catch (error) {
+            console.error(`Error in ${operation}:`, error);
+            throw new Error(`${errorLabel} failed: ${error.message}`);
+        }
+    },
+
+    // Enhancement Presets
+    
+    /**
+     * Built-in presets, one per C# DocumentType. Keys are matched case-insensitively.
+     * Values use the same flat settings accepted by enhanceImage.
+     */
+    _builtInPresets: (() => {
+        const general = {
+            enableContrastAdjustment: true,
+            contrastMode: 'auto',
+            enableShadowRemoval: true,
+            shadowRemovalIntensity: 0.7,
+            enablePerspectiveCorrection: true,
+            convertToGrayscale: true,
+            grayscaleMethod: 'auto'
+        };
+        // Text-heavy paper forms
+        const form = { ...general, contrastMode: 'text', grayscaleMethod: 'document', textBoost: 1.3 };
+        // Photo IDs: keep colour and skin tones, gentle shadow removal to avoid washing out holograms,
+        // glare removal for the laminate
+        const photoId = {
+            ...general,
+            contrastMode: 'photo',
+            preserveDetails: true,
+            shadowRemovalIntensity: 0.4,
+            convertToGrayscale: false,
+            enableGlareRemoval: true
+        };
+        
+        return {
+            generic: { description: 'Balanced settings for any document', settings: general },
+            receipt: {
+                description: 'Thermal paper receipts: strong text contrast, shadow and glare removal',
+                settings: { ...general, contrastMode: 'text', shadowRemovalIntensity: 0.8, grayscaleMethod: 'text_optimized', textBoost: 1.4, enableGlareRemoval: true }
+            },
+            check: {
+                description: 'Bank checks: colour kept for the MICR band and security background',
+                settings: { ...general, contrastMode: 'mixed', shadowRemovalIntensity: 0.5, convertToGrayscale: false }
+            },
+            passport: { description: 'Passports: photo-mode contrast, colour kept', settings: photoId },
+            driverslicense: { description: 'Driver\'s licences: photo-mode contrast, colour kept', settings: photoId },
+            idcard: { description: 'ID cards: photo-mode contrast, colour kept', settings: photoId },
+            identity: { description: 'Identity documents: photo-mode contrast, colour kept', settings: photoId },
+            w4: { description: 'W-4 forms', settings: form },
+            w2: { description: 'W-2 forms', settings: form },
+            form1099: { description: '1099 forms', settings: form },
+            invoice: { description: 'Invoices', settings: form },
+            contract: { description: 'Contracts', settings: form },
+            financial: { description: 'Financial statements', settings: form },
+            medical: { description: 'Medical forms', settings: form },
+            legal: { description: 'Legal documents', settings: form },
+            singlepage: { description: 'Single page documents', settings: form },
+            multipage: { description: 'Multi-page documents', settings: form },
+            other: { description: 'Other documents', settings: general }
+        };
+    })(),
+    
+    _presetDatabase: null,
+    
+    /**
+     * List built-in and user-defined presets
+     * @returns {Promise<Array<{name: string, description: string, builtIn: boolean, basePreset: string|null}>>}
+     */
+    async listPresets() {
+        try {
+            const presets = Object.entries(this._builtInPresets).map(([name, preset]) => ({
+                name,
+                description: preset.description,
+                builtIn: true,
+                basePreset: null
+            }));
+            
+            const userPresets = await this._presetStoreRequest('readonly', store => store.getAll());
+            for (const preset of userPresets || []) {
+                presets.push({
+                    name: preset.name,
+                    description: preset.description || '',
+                    builtIn: false,
+                    basePreset: preset.basePreset || null
+                });
             }
             
-            return enhanced;
+            return presets;
         } catch (error) {
-            console.error('Error enhancing image:', error);
-            throw new Error(`Image enhancement failed: ${error.message}`);
+            console.error('Error listing presets:', error);
+            throw new Error(`Preset listing failed: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Get the effective settings for a preset, with user presets layered over their base preset
+     * @param {string} name - Preset name (case-insensitive)
+     * @param {Set} visited - Preset names already on the inheritance chain (internal)
+     * @returns {Promise<Object>} Flat enhancement settings
+     */
+    async getPreset(name, visited = new Set()) {
+        const key = this._normalizePresetName(name);
+        if (visited.has(key)) {
+            throw new Error(`Circular preset inheritance at '${name}'`);
+        }
+        visited.add(key);
+        
+        const userPreset = await this._presetStoreRequest('readonly', store => store.get(key));
+        
+        if (userPreset) {
+            const base = userPreset.basePreset ? await this.getPreset(userPreset.basePreset, visited) : {};
+            return { ...base, ...userPreset.settings };
+        }
+        
+        const builtIn = this._builtInPresets[key];
+        if (!builtIn) {
+            throw new Error(`Unknown enhancement preset: ${name}`);
+        }
+        
+        return { ...builtIn.settings };
+    },
+    
+    /**
+     * Save a user-defined preset to IndexedDB
+     * @param {string} name - Preset name; must not collide with a built-in preset
+     * @param {Object} settings - Flat enhancement settings (only overrides are needed when basePreset is set)
+     * @param {Object} options - Preset metadata
+     * @param {string} options.basePreset - Preset to inherit unspecified settings from
+     * @param {string} options.description - Human readable description
+     * @returns {Promise<void>}
+     */
+    async savePreset(name, settings, options = {}) {
+        try {
+            const key = this._normalizePresetName(name);
+            if (this._builtInPresets[key]) {
+                throw new Error(`'${name}' is a built-in preset`);
+            }
+            if (options.basePreset && this._normalizePresetName(options.basePreset) === key) {
+                throw new Error('A preset cannot be based on itself');
+            }
+            
+            // Strip any nested preset reference; inheritance is expressed through basePreset
+            const { preset, ...flatSettings } = settings || {};
+            
+            await this._presetStoreRequest('readwrite', store => store.put({
+                name: key,
+                description: options.description || '',
+                basePreset: options.basePreset ? this._normalizePresetName(options.basePreset) : null,
+                settings: flatSettings,
+                updatedAt: new Date()
+            }));
+        } catch (error) {
+            console.error('Error saving preset:', error);
+            throw new Error(`Preset save failed: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Delete a user-defined preset
+     * @param {string} name - Preset name
+     * @returns {Promise<void>}
+     */
+    async deletePreset(name) {
+        try {
+            const key = this._normalizePresetName(name);
+            if (this._builtInPresets[key]) {
+                throw new Error(`'${name}' is a built-in preset and cannot be deleted`);
+            }
+            
+            await this._presetStoreRequest('readwrite', store => store.delete(key));
+        } catch (error) {
+            console.error('Error deleting preset:', error);
+            throw new Error(`Preset deletion failed: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Expand settings.preset into flat settings; explicit settings win over preset values
+     * @param {Object} settings - Settings that may carry a preset name
+     * @returns {Promise<Object>} Flat settings
+     */
+    async _resolveEnhancementSettings(settings) {
+        if (!settings || !settings.preset) {
+            return settings || {};
+        }
+        
+        const { preset, ...overrides } = settings;
+        const presetSettings = await this.getPreset(preset);
+        // Spell out the steps a preset leaves on by default; the large-image chain only runs steps switched on
+        return {
+            enableContrastAdjustment: true,
+            enableShadowRemoval: true,
+            enablePerspectiveCorrection: true,
+            convertToGrayscale: true,
+            ...presetSettings,
+            ...overrides
+        };
+    },
+    
+    /**
+     * Normalize preset names so C# enum names ('DriversLicense') and lowercase keys match
+     * @param {string} name - Preset name
+     * @returns {string} Lookup key
+     */
+    _normalizePresetName(name) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Preset name is required');
+        }
+        return name.trim().toLowerCase();
+    },
+    
+    /**
+     * Run a request against the user preset store
+     * @param {string} mode - Transaction mode
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async _presetStoreRequest(mode, operation) {
+        if (typeof indexedDB === 'undefined') {
+            // No persistence available (e.g. private mode) - only built-in presets exist
+            if (mode === 'readonly') {
+                return undefined;
+            }
+            throw new Error('IndexedDB not available');
+        }
+        
+        const db = await this._openPresetDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(['presets'], mode);
+            const request = operation(transaction.objectStore('presets'));
+            
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(new Error(`Preset transaction failed: ${transaction.error}`));
+            transaction.onabort = () => reject(new Error(`Preset transaction aborted: ${transaction.error}`));
+        });
+    },
+    
+    /**
+     * Open (once) the IndexedDB database holding user presets
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    _openPresetDatabase() {
+        if (!this._presetDatabase) {
+            this._presetDatabase = new Promise((resolve, reject) => {
+                const request = indexedDB.open('NoLockSocialEnhancementPresets', 1);
+                
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+                    if (!database.objectStoreNames.contains('presets')) {
+                        database.createObjectStore('presets', { keyPath: 'name' });
+                    }
+                };
+                request.onsuccess = () => {
+                    const database = request.result;
+                    // Let other tabs upgrade the schema
+                    database.onversionchange = () => {
+                        database.close();
+                        this._presetDatabase = null;
+                    };
+                    resolve(database);
+                };
+                request.onerror = () => {
+                    this._presetDatabase = null;
+                    reject(new Error(`Failed to open preset database: ${request.error}`));
+                };
+            });
+        }
+        return this._presetDatabase;
+    },
+
+    // Canvas Pipeline Methods
+    
+    /**
+     * Build the ordered list of enhancement steps for a settings bag
+     * @param {Object} settings - Enhancement settings as accepted by enhanceImage
+     * @returns {Array<{operation: string, options: Object}>} Steps to apply in sequence
+     */
+    _getEnhancementSteps(settings) {
+        const steps = [];
+        
+        // Glare first: later steps would clip highlights further and hide the hotspot boundary
+        if (settings.enableGlareRemoval) {
+            steps.push({ operation: 'removeGlare', options: this._getGlareOptions(settings) });
+        }
+        
+        if (settings.enableContrastAdjustment !== false) {
+            steps.push({
+                operation: 'adjustContrast',
+                options: {
+                    strength: settings.contrastStrength || null, // Let auto-detection work if not specified
+                    mode: settings.contrastMode || 'auto',
+                    preserveDetails: settings.preserveDetails !== false
+                }
+            });
+        }
+        
+        if (settings.enableShadowRemoval !== false) {
+            steps.push({
+                operation: 'removeShadows',
+                options: {
+                    intensity: settings.shadowRemovalIntensity || 0.7,
+                    mode: settings.shadowRemovalMode || 'auto',
+                    preserveText: settings.preserveTextInShadows !== false
+                }
+            });
+        }
+        
+        if (settings.enablePerspectiveCorrection !== false) {
+            steps.push({ operation: 'correctPerspective', options: {} });
         }
+        
+        if (settings.convertToGrayscale !== false) {
+            steps.push({
+                operation: 'convertToGrayscale',
+                options: {
+                    method: settings.grayscaleMethod || 'auto',
+                    textBoost: settings.textBoost || 1.2
+                }
+            });
+        }
+        
+        if (settings.binarize) {
+            steps.push({ operation: 'binarize', options: this._getBinarizeOptions(settings) });
+        }
+        
+        return steps;
+    },
+    
+    /**
+     * Map flat enhanceImage settings to removeGlare options
+     * @param {Object} settings - Enhancement settings
+     * @returns {Object} removeGlare options
+     */
+    _getGlareOptions(settings) {
+        return {
+            threshold: settings.glareThreshold,
+            secondCapture: settings.glareSecondCapture || null
+        };
+    },
+    
+    /**
+     * Map flat enhanceImage settings to binarize options.
+     * settings.binarize may be true (default method) or a method name.
+     * @param {Object} settings - Enhancement settings
+     * @returns {Object} Binarize options
+     */
+    _getBinarizeOptions(settings) {
+        return {
+            method: typeof settings.binarize === 'string' ? settings.binarize : (settings.binarizeMethod || 'sauvola'),
+            windowSize: settings.binarizeWindowSize,
+            k: settings.binarizeK
+        };
+    },
+    
+    /**
+     * Build the memory-efficient step order used for large images: perspective correction at full
+     * resolution and the rest after compression. Unlike _getEnhancementSteps every step is opt-in, so
+     * { isLargeImage: true } alone only compresses; resolved presets switch their steps on explicitly
+     * and get the same steps and options as the standard chain.
+     * @param {Object} settings - Enhancement settings as accepted by enhanceImage
+     * @returns {Array<{operation: string, options: Object}>} Steps to apply in sequence
+     */
+    _getLargeImageSteps(settings) {
+        const order = ['removeGlare', 'correctPerspective', 'compressImage', 'removeShadows', 'adjustContrast', 'convertToGrayscale', 'binarize'];
+        const switches = {
+            adjustContrast: settings.enableContrastAdjustment,
+            removeShadows: settings.enableShadowRemoval,
+            correctPerspective: settings.enablePerspectiveCorrection,
+            convertToGrayscale: settings.convertToGrayscale
+        };
+        const steps = this._getEnhancementSteps(settings).filter(step => !(step.operation in switches) || switches[step.operation]);
+        
+        if (settings.isLargeImage) {
+            // Compress after perspective correction if still large
+            steps.push({
+                operation: 'compressImage',
+                options: {
+                    maxWidth: 1600,
+                    maxHeight: 1600,
+                    quality: 0.9,
+                    preserveAspectRatio: true
+                }
+            });
+        }
+        
+        return steps.sort((a, b) => order.indexOf(a.operation) - order.indexOf(b.operation));
+    },
+    
+    /**
+     * Run a single named operation directly on a canvas.
+     * Used by the enhancement worker, where the canvas is an OffscreenCanvas.
+     * @param {string} operation - Public operation name, e.g. 'adjustContrast' or 'enhanceImage'
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Source canvas
+     * @param {Object} options - Options for the operation
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>} Canvas holding the result
+     */
+    async _processCanvas(operation, canvas, options = {}) {
+        switch (operation) {
+            case 'adjustContrast':
+                return this._adjustContrastOnCanvas(canvas, options);
+            case 'removeShadows':
+                return this._removeShadowsOnCanvas(canvas, options);
+            case 'removeGlare':
+                return this._removeGlareOnCanvas(canvas, options);
+            case 'correctPerspective':
+                return this._correctPerspectiveOnCanvas(canvas, options);
+            case 'convertToGrayscale':
+                return this._convertToGrayscaleOnCanvas(canvas, options);
+            case 'binarize':
+                return this._binarizeOnCanvas(canvas, options);
+            case 'compressImage':
+                return this._compressCanvas(canvas, options);
+            case 'enhanceImage':
+                return this._enhanceCanvas(canvas, options);
+            default:
+                throw new Error(`Unknown enhancement operation: ${operation}`);
+        }
+    },
+    
+    /**
+     * Apply the full enhancement chain to a canvas without intermediate encoding
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Source canvas
+     * @param {Object} settings - Enhancement settings as accepted by enhanceImage
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>} Canvas holding the enhanced image
+     */
+    async _enhanceCanvas(canvas, settings = {}) {
+        settings = await this._resolveEnhancementSettings(settings);
+        
+        const steps = settings.isLargeImage || settings.progressiveProcessing ?
+            this._getLargeImageSteps(settings) :
+            this._getEnhancementSteps(settings);
+        
+        let current = canvas;
+        for (const step of steps) {
+            current = await this._processCanvas(step.operation, current, step.options);
+        }
+        
+        return current;
+    },
+    
+    /**
+     * Apply adaptive contrast adjustment in place
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to process
+     * @param {Object} options - Same options as adjustContrast
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The processed canvas
+     */
+    _adjustContrastOnCanvas(canvas, options = {}) {
+        const {
+            strength = null,
+            mode = 'auto',
+            preserveDetails = true
+        } = options;
+
+        const ctx = canvas.getContext('2d');
+        const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imgData.data;
+        
+        // Analyze histogram and image characteristics
+        const analysis = this._analyzeImageHistogram(data);
+        
+        // Determine optimal contrast adjustment strategy
+        let contrastStrength = strength;
+        if (contrastStrength === null) {
+            contrastStrength = this._calculateOptimalContrast(analysis, mode);
+        }
+        
+        // Apply adaptive contrast enhancement
+        if (mode === 'text' || (mode === 'auto' && analysis.isTextDocument)) {
+            this._applyTextOptimizedContrast(data, contrastStrength, analysis, preserveDetails);
+        } else if (mode === 'photo') {
+            this._applyPhotoOptimizedContrast(data, contrastStrength, analysis, preserveDetails);
+        } else {
+            this._applyMixedContentContrast(data, contrastStrength, analysis, preserveDetails);
+        }
+        
+        ctx.putImageData(imgData, 0, 0);
+        return canvas;
+    },
+    
+    /**
+     * Remove shadows in place
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to process
+     * @param {Object} options - Same options as removeShadows
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The processed canvas
+     */
+    _removeShadowsOnCanvas(canvas, options = {}) {
+        const {
+            intensity = 0.7,
+            mode = 'auto',
+            preserveText = true
+        } = options;
+
+        const ctx = canvas.getContext('2d');
+        const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imgData.data;
+        const width = canvas.width;
+        const height = canvas.height;
+        
+        // Step 1: Analyze lighting patterns and detect shadows
+        const lightingAnalysis = this._analyzeLightingPatterns(data, width, height);
+        
+        // Step 2: Create shadow map to identify shadow regions
+        const shadowMap = this._createShadowMap(data, width, height, lightingAnalysis);
+        
+        // Step 3: Apply adaptive shadow removal based on shadow type and content
+        const processedData = this._applyShadowRemoval(data, shadowMap, lightingAnalysis, {
+            intensity,
+            mode,
+            preserveText,
+            width,
+            height
+        });
+        
+        // Step 4: Apply local brightness normalization for remaining uneven lighting
+        this._applyLocalLightingNormalization(processedData, width, height, intensity * 0.5);
+        
+        ctx.putImageData(imgData, 0, 0);
+        return canvas;
+    },
+    
+    /**
+     * Remove glare in place
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to process
+     * @param {Object} options - Same options as removeGlare
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>} The processed canvas
+     */
+    async _removeGlareOnCanvas(canvas, options = {}) {
+        const {
+            threshold = 235,
+            maxSaturation = 0.12,
+            maxAreaRatio = 0.15,
+            featherRadius = Math.max(2, Math.round(Math.min(canvas.width, canvas.height) / 300)),
+            secondCapture = null
+        } = options;
+
+        const ctx = canvas.getContext('2d');
+        const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imgData.data;
+        const width = canvas.width;
+        const height = canvas.height;
+        
+        // Step 1: Find bright, colourless hotspots small enough to be reflections rather than paper
+        const mask = this._createGlareMask(data, width, height, threshold, maxSaturation, maxAreaRatio);
+        if (!mask) {
+            return canvas;
+        }
+        
+        // Step 2: Grow the mask over the washed-out halo around each hotspot
+        this._dilateMask(mask, width, height, featherRadius);
+        
+        // Step 3: Copy clean pixels from a second capture taken at another angle
+        if (secondCapture) {
+            const secondCanvas = await this._getCanvasFromInput(secondCapture);
+            this._fillGlareFromSecondCapture(canvas, data, mask, secondCanvas, threshold, maxSaturation);
+            if (secondCanvas !== secondCapture) {
+                this._disposeCanvas(secondCanvas);
+            }
+        }
+        
+        // Step 4: Inpaint whatever is left from the surrounding pixels
+        this._inpaintMask(data, width, height, mask);
+        
+        ctx.putImageData(imgData, 0, 0);
+        return canvas;
+    },
+    
+    /**
+     * Correct perspective distortion
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Source canvas
+     * @param {Object} options - Same options as correctPerspective
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The source canvas if no correction was needed, otherwise a new canvas
+     */
+    _correctPerspectiveOnCanvas(canvas, options = {}) {
+        const {
+            autoDetect = true,
+            manualCorners = null,
+            edgeThreshold = 50,
+            preserveAspectRatio = true
+        } = options;
+
+        const ctx = canvas.getContext('2d');
+        const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imgData.data;
+        const width = canvas.width;
+        const height = canvas.height;
+
+        let corners;
+        
+        if (manualCorners && manualCorners.length === 4) {
+            // Use manually specified corners
+            corners = manualCorners;
+        } else if (autoDetect) {
+            // Step 1: Detect document edges and find corners (same detector as detectDocumentCorners)
+            const detection = this._detectCornersOnCanvas(canvas, edgeThreshold, 800);
+            corners = detection ? detection.corners : null;
+            
+            // If auto-detection fails, apply skew detection and correction
+            if (!corners || corners.length !== 4) {
+                const skewAngle = this._detectSkewAngle(data, width, height);
+                if (Math.abs(skewAngle) > 0.5) { // Only correct if skew > 0.5 degrees
+                    return this._applySkewCorrection(canvas, skewAngle);
+                }
+                // No significant distortion detected, return original
+                return canvas;
+            }
+        } else {
+            // No correction needed
+            return canvas;
+        }
+
+        // Step 2: Calculate target rectangle dimensions
+        const targetRect = this._calculateTargetRectangle(corners, width, height, preserveAspectRatio);
+        
+        // Step 3: Compute perspective transformation matrix
+        const transformMatrix = this._calculateHomographyMatrix(corners, targetRect);
+        
+        // Step 4: Apply perspective transformation with quality preservation
+        return this._applyPerspectiveTransformation(
+            canvas, transformMatrix, targetRect, width, height
+        );
     },
-
+    
     /**
-     * Check if image enhancement is available
-     * @returns {boolean} True if enhancement is available
+     * Convert to optimized grayscale in place
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to process
+     * @param {Object} options - Same options as convertToGrayscale
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The processed canvas
      */
-    isAvailable() {
-        try {
-            const canvas = document.createElement('canvas');
-            return !!(canvas.getContext && canvas.getContext('2d'));
-        } catch {
-            return false;
+    _convertToGrayscaleOnCanvas(canvas, options = {}) {
+        const {
+            method = 'auto',
+            enhanceText = true,
+            preserveContrast = true,
+            textBoost = 1.2
+        } = options;
+
+        const ctx = canvas.getContext('2d');
+        const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imgData.data;
+        const width = canvas.width;
+        const height = canvas.height;
+        
+        // Analyze image content to determine optimal conversion method
+        const analysis = this._analyzeImageForGrayscale(data, width, height);
+        
+        // Select conversion method based on analysis and user preference
+        const selectedMethod = method === 'auto' ? 
+            this._selectOptimalGrayscaleMethod(analysis) : 
+            method;
+        
+        // Apply the selected grayscale conversion
+        this._applyGrayscaleConversion(data, selectedMethod, analysis, {
+            enhanceText,
+            preserveContrast,
+            textBoost: this._clamp(textBoost, 0.5, 2.0)
+        });
+        
+        // Apply post-processing optimizations for document quality
+        if (enhanceText && analysis.isDocumentLike) {
+            this._applyDocumentGrayscaleOptimization(data, analysis);
         }
+        
+        ctx.putImageData(imgData, 0, 0);
+        return canvas;
     },
-
+    
     /**
-     * Analyze image size and dimensions for performance optimization decisions
-     * @param {string} imageData - Base64 encoded image data
-     * @returns {Promise<Object>} Image information including dimensions and size
+     * Binarize in place
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to process
+     * @param {Object} options - Same options as binarize
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The processed canvas
      */
-    async analyzeImageSize(imageData) {
-        try {
-            const canvas = await this._getCanvasFromBase64(imageData);
-            const width = canvas.width;
-            const height = canvas.height;
-            
-            // Estimate file size from base64 data
-            const base64Length = imageData.replace(/^data:image\/[a-z]+;base64,/, '').length;
-            const sizeBytes = (base64Length * 3) / 4; // Base64 to bytes conversion
-            const sizeMB = sizeBytes / (1024 * 1024);
-            
-            // Detect format from data URL
-            const formatMatch = imageData.match(/^data:image\/([a-z]+);base64,/);
-            const format = formatMatch ? formatMatch[1] : 'unknown';
-            
-            return {
-                width: width,
-                height: height,
-                sizeMB: sizeMB,
-                format: format
-            };
-        } catch (error) {
-            console.error('Error analyzing image size:', error);
-            throw new Error(`Image size analysis failed: ${error.message}`);
-        }
+    _binarizeOnCanvas(canvas, options = {}) {
+        const ctx = canvas.getContext('2d');
+        const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        
+        this._applyBinarization(imgData.data, canvas.width, canvas.height, options);
+        
+        ctx.putImageData(imgData, 0, 0);
+        return canvas;
     },
-
+    
     /**
-     * Compress image for processing to reduce memory usage
-     * @param {string} imageData - Base64 encoded image data
-     * @param {Object} options - Compression options
-     * @param {number} options.maxWidth - Maximum width for compressed image
-     * @param {number} options.maxHeight - Maximum height for compressed image
-     * @param {number} options.quality - JPEG quality (0.1 to 1.0)
-     * @param {boolean} options.preserveAspectRatio - Preserve aspect ratio
-     * @returns {Promise<string>} Compressed base64 image data
+     * Downscale a canvas to fit within the given bounds
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Source canvas
+     * @param {Object} options - Same sizing options as compressImage (quality is applied at encode time)
+     * @returns {HTMLCanvasElement|OffscreenCanvas} The source canvas if already small enough, otherwise a new canvas
      */
-    async compressImage(imageData, options = {}) {
-        try {
-            const {
-                maxWidth = 1920,
-                maxHeight = 1920,
-                quality = 0.85,
-                preserveAspectRatio = true
-            } = options;
+    _compressCanvas(canvas, options = {}) {
+        const {
+            maxWidth = 1920,
+            maxHeight = 1920,
+            preserveAspectRatio = true
+        } = options;
 
-            const sourceCanvas = await this._getCanvasFromBase64(imageData);
-            const sourceWidth = sourceCanvas.width;
-            const sourceHeight = sourceCanvas.height;
-            
-            // Calculate target dimensions
-            let targetWidth = sourceWidth;
-            let targetHeight = sourceHeight;
-            
-            if (preserveAspectRatio) {
-                const aspectRatio = sourceWidth / sourceHeight;
-                
-                if (sourceWidth > maxWidth || sourceHeight > maxHeight) {
-                    if (aspectRatio > 1) {
-                        // Landscape orientation
-                        targetWidth = Math.min(sourceWidth, maxWidth);
-                        targetHeight = targetWidth / aspectRatio;
-                    } else {
-                        // Portrait orientation
-                        targetHeight = Math.min(sourceHeight, maxHeight);
-                        targetWidth = targetHeight * aspectRatio;
-                    }
-                }
-            } else {
-                targetWidth = Math.min(sourceWidth, maxWidth);
-                targetHeight = Math.min(sourceHeight, maxHeight);
-            }
-            
-            // Skip compression if image is already small enough
-            if (targetWidth >= sourceWidth && targetHeight >= sourceHeight) {
-                return imageData;
-            }
-            
-            // Create compressed canvas
-            const compressedCanvas = document.createElement('canvas');
-            compressedCanvas.width = Math.round(targetWidth);
-            compressedCanvas.height = Math.round(targetHeight);
-            const ctx = compressedCanvas.getContext('2d');
-            
-            // Enable high-quality image scaling
-            ctx.imageSmoothingEnabled = true;
-            ctx.imageSmoothingQuality = 'high';
-            
-            // Draw compressed image
-            ctx.drawImage(sourceCanvas, 0, 0, sourceWidth, sourceHeight, 
-                         0, 0, compressedCanvas.width, compressedCanvas.height);
-            
-            // Cleanup source canvas
-            this._disposeCanvas(sourceCanvas);
-            
-            // Return compressed image as JPEG with specified quality
-            const compressedData = compressedCanvas.toDataURL('image/jpeg', quality);
-            
-            // Cleanup compressed canvas
-            this._disposeCanvas(compressedCanvas);
-            
-            return compressedData;
-        } catch (error) {
-            console.error('Error compressing image:', error);
-            throw new Error(`Image compression failed: ${error.message}`);
+        const { width: targetWidth, height: targetHeight } = this._calculateCompressedSize(
+            canvas.width, canvas.height, maxWidth, maxHeight, preserveAspectRatio
+        );
+        
+        // Skip compression if image is already small enough
+        if (targetWidth >= canvas.width && targetHeight >= canvas.height) {
+            return canvas;
         }
+        
+        const compressedCanvas = this._createCanvas(Math.round(targetWidth), Math.round(targetHeight));
+        const ctx = compressedCanvas.getContext('2d');
+        
+        // Enable high-quality image scaling
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        
+        ctx.drawImage(canvas, 0, 0, canvas.width, canvas.height,
+                     0, 0, compressedCanvas.width, compressedCanvas.height);
+        
+        this._disposeCanvas(canvas);
+        return compressedCanvas;
     },
 
     // Histogram Analysis and Adaptive Contrast Methods
@@ -1048,45 +1890,327 @@ window.imageEnhancement = {
         const windowSize = Math.min(width, height) / 8; // Adaptive window size
         const halfWindow = Math.floor(windowSize / 2);
         
-        // Create a copy for reference
-        const originalData = new Uint8ClampedArray(data);
+        // Local averages come from a summed-area table of the original brightness
+        const brightness = new Float32Array(width * height);
+        for (let i = 0; i < brightness.length; i++) {
+            const pixelIdx = i * 4;
+            brightness[i] = (data[pixelIdx] + data[pixelIdx + 1] + data[pixelIdx + 2]) / 3;
+        }
+        const integral = this._computeIntegralImage(brightness, width, height, false);
         
         for (let y = 0; y < height; y++) {
             for (let x = 0; x < width; x++) {
-                const pixelIdx = (y * width + x) * 4;
+                const idx = y * width + x;
+                const pixelIdx = idx * 4;
+                
+                const localAvg = this._getWindowStats(integral, x, y, halfWindow, width, height, false).mean;
+                const currentBrightness = brightness[idx];
+                
+                // Apply gentle normalization towards local average
+                if (currentBrightness < localAvg * 0.9) {
+                    const adjustment = (localAvg - currentBrightness) * intensity * 0.3;
+                    
+                    data[pixelIdx] = this._clamp(data[pixelIdx] + adjustment, 0, 255);
+                    data[pixelIdx + 1] = this._clamp(data[pixelIdx + 1] + adjustment, 0, 255);
+                    data[pixelIdx + 2] = this._clamp(data[pixelIdx + 2] + adjustment, 0, 255);
+                }
+            }
+        }
+    },
+
+    // Glare Removal Methods
+    
+    /**
+     * Build a mask of specular hotspots
+     * @param {Uint8ClampedArray} data - RGBA image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {number} threshold - Minimum brightness of a glare pixel
+     * @param {number} maxSaturation - Maximum saturation of a glare pixel
+     * @param {number} maxAreaRatio - Largest hotspot, as a share of the image, still treated as glare
+     * @returns {Uint8Array|null} 1 for glare pixels, or null when there is no glare
+     */
+    _createGlareMask(data, width, height, threshold, maxSaturation, maxAreaRatio) {
+        const pixelCount = width * height;
+        const candidates = new Uint8Array(pixelCount);
+        let candidateCount = 0;
+        
+        for (let i = 0; i < pixelCount; i++) {
+            const r = data[i * 4];
+            const g = data[i * 4 + 1];
+            const b = data[i * 4 + 2];
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            
+            if (min >= threshold && (max - min) / max <= maxSaturation) {
+                candidates[i] = 1;
+                candidateCount++;
+            }
+        }
+        
+        if (candidateCount === 0) {
+            return null;
+        }
+        
+        // Keep connected hotspots between a few pixels (sensor noise) and maxAreaRatio (white paper)
+        const mask = new Uint8Array(pixelCount);
+        const maxArea = pixelCount * maxAreaRatio;
+        const minArea = 4;
+        const stack = [];
+        const component = [];
+        let glarePixels = 0;
+        
+        for (let start = 0; start < pixelCount; start++) {
+            if (candidates[start] !== 1) {
+                continue;
+            }
+            
+            candidates[start] = 2;
+            stack.push(start);
+            component.length = 0;
+            
+            while (stack.length > 0) {
+                const index = stack.pop();
+                component.push(index);
+                const x = index % width;
                 
-                // Calculate local average brightness in surrounding window
-                let localSum = 0;
-                let localCount = 0;
+                const neighbours = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    index - width,
+                    index + width
+                ];
+                for (const neighbour of neighbours) {
+                    if (neighbour >= 0 && neighbour < pixelCount && candidates[neighbour] === 1) {
+                        candidates[neighbour] = 2;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+            
+            if (component.length >= minArea && component.length <= maxArea) {
+                for (const index of component) {
+                    mask[index] = 1;
+                }
+                glarePixels += component.length;
+            }
+        }
+        
+        return glarePixels > 0 ? mask : null;
+    },
+    
+    /**
+     * Grow a binary mask by a square radius in place (separable running-window max)
+     * @param {Uint8Array} mask - Mask to dilate
+     * @param {number} width - Mask width
+     * @param {number} height - Mask height
+     * @param {number} radius - Dilation radius in pixels
+     */
+    _dilateMask(mask, width, height, radius) {
+        if (radius <= 0) {
+            return;
+        }
+        
+        const temp = new Uint8Array(mask.length);
+        
+        // Horizontal pass: count set pixels in the sliding window
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            let count = 0;
+            for (let x = 0; x < Math.min(radius, width); x++) {
+                count += mask[row + x];
+            }
+            for (let x = 0; x < width; x++) {
+                if (x + radius < width) count += mask[row + x + radius];
+                if (x - radius - 1 >= 0) count -= mask[row + x - radius - 1];
+                temp[row + x] = count > 0 ? 1 : 0;
+            }
+        }
+        
+        // Vertical pass
+        for (let x = 0; x < width; x++) {
+            let count = 0;
+            for (let y = 0; y < Math.min(radius, height); y++) {
+                count += temp[y * width + x];
+            }
+            for (let y = 0; y < height; y++) {
+                if (y + radius < height) count += temp[(y + radius) * width + x];
+                if (y - radius - 1 >= 0) count -= temp[(y - radius - 1) * width + x];
+                mask[y * width + x] = count > 0 ? 1 : 0;
+            }
+        }
+    },
+    
+    /**
+     * Replace masked pixels with the matching pixels of a second capture, aligned on the document corners.
+     * Filled pixels are cleared from the mask; pixels that are glare in both captures stay masked.
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Primary capture
+     * @param {Uint8ClampedArray} data - Primary capture RGBA data (modified in place)
+     * @param {Uint8Array} mask - Glare mask (modified in place)
+     * @param {HTMLCanvasElement|OffscreenCanvas} secondCanvas - Second capture
+     * @param {number} threshold - Glare brightness threshold
+     * @param {number} maxSaturation - Glare saturation threshold
+     */
+    _fillGlareFromSecondCapture(canvas, data, mask, secondCanvas, threshold, maxSaturation) {
+        const width = canvas.width;
+        const height = canvas.height;
+        const secondWidth = secondCanvas.width;
+        const secondHeight = secondCanvas.height;
+        const second = secondCanvas.getContext('2d').getImageData(0, 0, secondWidth, secondHeight).data;
+        
+        // Map primary pixels onto the second capture through the document outline in each.
+        // Without a detected outline the captures are assumed to be framed the same way.
+        const frame = (w, h) => [{ x: 0, y: 0 }, { x: w, y: 0 }, { x: w, y: h }, { x: 0, y: h }];
+        const primaryDetection = this._detectCornersOnCanvas(canvas, 50, 800);
+        const secondDetection = this._detectCornersOnCanvas(secondCanvas, 50, 800);
+        const [[a, b, c], [d, e, f], [g, h, i]] = this._calculateHomographyMatrix(
+            primaryDetection ? primaryDetection.corners : frame(width, height),
+            secondDetection ? secondDetection.corners : frame(secondWidth, secondHeight)
+        );
+        
+        const sample = (x, y, out) => {
+            const w = g * x + h * y + i;
+            const sx = (a * x + b * y + c) / w;
+            const sy = (d * x + e * y + f) / w;
+            if (!(sx >= 0 && sy >= 0 && sx <= secondWidth - 1 && sy <= secondHeight - 1)) {
+                return false;
+            }
+            
+            const x0 = Math.floor(sx);
+            const y0 = Math.floor(sy);
+            const x1 = Math.min(x0 + 1, secondWidth - 1);
+            const y1 = Math.min(y0 + 1, secondHeight - 1);
+            const fx = sx - x0;
+            const fy = sy - y0;
+            
+            for (let channel = 0; channel < 3; channel++) {
+                const top = second[(y0 * secondWidth + x0) * 4 + channel] * (1 - fx) + second[(y0 * secondWidth + x1) * 4 + channel] * fx;
+                const bottom = second[(y1 * secondWidth + x0) * 4 + channel] * (1 - fx) + second[(y1 * secondWidth + x1) * 4 + channel] * fx;
+                out[channel] = top * (1 - fy) + bottom * fy;
+            }
+            return true;
+        };
+        
+        // Match exposure using the clean ring just outside the mask
+        const sums = [0, 0, 0, 0, 0, 0];
+        const pixel = [0, 0, 0];
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const index = y * width + x;
+                if (mask[index] || !(mask[index - 1] || mask[index + 1] || mask[index - width] || mask[index + width])) {
+                    continue;
+                }
+                if (sample(x, y, pixel)) {
+                    for (let channel = 0; channel < 3; channel++) {
+                        sums[channel] += data[index * 4 + channel];
+                        sums[channel + 3] += pixel[channel];
+                    }
+                }
+            }
+        }
+        const gains = [0, 1, 2].map(channel => sums[channel + 3] > 0 ? this._clamp(sums[channel] / sums[channel + 3], 0.5, 2) : 1);
+        
+        for (let index = 0; index < mask.length; index++) {
+            if (!mask[index] || !sample(index % width, Math.floor(index / width), pixel)) {
+                continue;
+            }
+            
+            const max = Math.max(pixel[0], pixel[1], pixel[2]);
+            const min = Math.min(pixel[0], pixel[1], pixel[2]);
+            if (min >= threshold && (max - min) / max <= maxSaturation) {
+                continue; // Glare here too
+            }
+            
+            for (let channel = 0; channel < 3; channel++) {
+                data[index * 4 + channel] = this._clamp(pixel[channel] * gains[channel], 0, 255);
+            }
+            mask[index] = 0;
+        }
+    },
+    
+    /**
+     * Inpaint masked pixels from the outside in (onion peel): each ring of the hole is filled with
+     * the distance-weighted average of the already-known pixels around it
+     * @param {Uint8ClampedArray} data - RGBA image data (modified in place)
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Uint8Array} mask - Pixels to fill (cleared as they are filled)
+     * @param {number} radius - Neighbourhood radius used for each fill (default: 3)
+     */
+    _inpaintMask(data, width, height, mask, radius = 3) {
+        let frontier = [];
+        const isFrontier = (index) => {
+            const x = index % width;
+            return (x > 0 && !mask[index - 1]) ||
+                (x < width - 1 && !mask[index + 1]) ||
+                (index >= width && !mask[index - width]) ||
+                (index + width < mask.length && !mask[index + width]);
+        };
+        
+        for (let index = 0; index < mask.length; index++) {
+            if (mask[index] && isFrontier(index)) {
+                frontier.push(index);
+            }
+        }
+        
+        const queued = new Uint8Array(mask.length);
+        
+        while (frontier.length > 0) {
+            // Compute the whole ring before writing so fill order does not bias the result
+            const values = new Float32Array(frontier.length * 3);
+            
+            frontier.forEach((index, n) => {
+                const x = index % width;
+                const y = Math.floor(index / width);
+                let r = 0, g = 0, b = 0, weightSum = 0;
                 
-                for (let dy = -halfWindow; dy <= halfWindow; dy += 4) { // Skip pixels for performance
-                    for (let dx = -halfWindow; dx <= halfWindow; dx += 4) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const ny = y + dy;
+                    if (ny < 0 || ny >= height) continue;
+                    for (let dx = -radius; dx <= radius; dx++) {
                         const nx = x + dx;
-                        const ny = y + dy;
+                        if (nx < 0 || nx >= width || (dx === 0 && dy === 0)) continue;
+                        const neighbour = ny * width + nx;
+                        if (mask[neighbour]) continue;
                         
-                        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-                            const nIdx = (ny * width + nx) * 4;
-                            const brightness = (originalData[nIdx] + originalData[nIdx + 1] + originalData[nIdx + 2]) / 3;
-                            localSum += brightness;
-                            localCount++;
-                        }
+                        const weight = 1 / (dx * dx + dy * dy);
+                        r += data[neighbour * 4] * weight;
+                        g += data[neighbour * 4 + 1] * weight;
+                        b += data[neighbour * 4 + 2] * weight;
+                        weightSum += weight;
                     }
                 }
                 
-                if (localCount > 0) {
-                    const localAvg = localSum / localCount;
-                    const currentBrightness = (data[pixelIdx] + data[pixelIdx + 1] + data[pixelIdx + 2]) / 3;
-                    
-                    // Apply gentle normalization towards local average
-                    if (currentBrightness < localAvg * 0.9) {
-                        const adjustment = (localAvg - currentBrightness) * intensity * 0.3;
-                        
-                        data[pixelIdx] = this._clamp(data[pixelIdx] + adjustment, 0, 255);
-                        data[pixelIdx + 1] = this._clamp(data[pixelIdx + 1] + adjustment, 0, 255);
-                        data[pixelIdx + 2] = this._clamp(data[pixelIdx + 2] + adjustment, 0, 255);
+                values[n * 3] = weightSum > 0 ? r / weightSum : 255;
+                values[n * 3 + 1] = weightSum > 0 ? g / weightSum : 255;
+                values[n * 3 + 2] = weightSum > 0 ? b / weightSum : 255;
+            });
+            
+            frontier.forEach((index, n) => {
+                data[index * 4] = values[n * 3];
+                data[index * 4 + 1] = values[n * 3 + 1];
+                data[index * 4 + 2] = values[n * 3 + 2];
+                mask[index] = 0;
+            });
+            
+            // Next ring: masked pixels touching the one just filled
+            const next = [];
+            for (const index of frontier) {
+                const x = index % width;
+                const neighbours = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    index - width,
+                    index + width
+                ];
+                for (const neighbour of neighbours) {
+                    if (neighbour >= 0 && neighbour < mask.length && mask[neighbour] && !queued[neighbour]) {
+                        queued[neighbour] = 1;
+                        next.push(neighbour);
                     }
                 }
             }
+            frontier = next;
         }
     },
 
@@ -1194,14 +2318,12 @@ window.imageEnhancement = {
             for (let x = 0; x < width; x++) {
                 let sum = 0;
                 
+                // Edge pixels are repeated past the border; zero padding would darken the border into a false edge
                 for (let ky = 0; ky < kernelSize; ky++) {
+                    const py = Math.min(Math.max(y + ky - halfKernel, 0), height - 1);
                     for (let kx = 0; kx < kernelSize; kx++) {
-                        const px = x + kx - halfKernel;
-                        const py = y + ky - halfKernel;
-                        
-                        if (px >= 0 && px < width && py >= 0 && py < height) {
-                            sum += data[py * width + px] * kernel[ky * kernelSize + kx];
-                        }
+                        const px = Math.min(Math.max(x + kx - halfKernel, 0), width - 1);
+                        sum += data[py * width + px] * kernel[ky * kernelSize + kx];
                     }
                 }
                 
@@ -1300,7 +2422,8 @@ window.imageEnhancement = {
         
         for (let thetaIndex = 0; thetaIndex < thetaSteps; thetaIndex++) {
             for (let rhoIndex = 0; rhoIndex < rhoSteps; rhoIndex++) {
-                if (accumulator[thetaIndex][rhoIndex] > minVotes) {
+                if (accumulator[thetaIndex][rhoIndex] > minVotes &&
+                    this._isHoughPeak(accumulator, thetaIndex, rhoIndex, thetaSteps, rhoSteps)) {
                     const theta = thetaIndex * thetaResolution;
                     const rho = (rhoIndex * rhoResolution) - maxRho;
                     lines.push({ theta, rho, votes: accumulator[thetaIndex][rhoIndex] });
@@ -1308,41 +2431,179 @@ window.imageEnhancement = {
             }
         }
         
-        // Sort by votes and return top lines
-        return lines.sort((a, b) => b.votes - a.votes).slice(0, 20);
+        // Sort by votes and return top lines
+        return lines.sort((a, b) => b.votes - a.votes).slice(0, 20);
+    },
+    
+    /**
+     * Non-maximum suppression for the Hough accumulator, so one thick edge yields one line
+     * @param {Array} accumulator - Hough accumulator [theta][rho]
+     * @param {number} thetaIndex - Cell theta index
+     * @param {number} rhoIndex - Cell rho index
+     * @param {number} thetaSteps - Number of theta bins
+     * @param {number} rhoSteps - Number of rho bins
+     * @returns {boolean} True if no neighbour within the window has more votes
+     */
+    _isHoughPeak(accumulator, thetaIndex, rhoIndex, thetaSteps, rhoSteps) {
+        const votes = accumulator[thetaIndex][rhoIndex];
+        const peakRadius = 5;
+        
+        for (let dt = -peakRadius; dt <= peakRadius; dt++) {
+            const t = thetaIndex + dt;
+            if (t < 0 || t >= thetaSteps) continue;
+            
+            for (let dr = -peakRadius; dr <= peakRadius; dr++) {
+                const r = rhoIndex + dr;
+                if (r < 0 || r >= rhoSteps || (dt === 0 && dr === 0)) continue;
+                
+                const neighbour = accumulator[t][r];
+                // Break ties towards the earlier cell so plateaus produce a single peak
+                if (neighbour > votes || (neighbour === votes && (dt < 0 || (dt === 0 && dr < 0)))) {
+                    return false;
+                }
+            }
+        }
+        
+        return true;
+    },
+    
+    /**
+     * Filter lines to find document boundaries
+     * @param {Array} lines - Detected lines
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @returns {Array} Document boundary lines
+     */
+    _filterDocumentLines(lines, width, height) {
+        const horizontal = [];
+        const vertical = [];
+        
+        // Group lines by orientation; theta is the angle of the line's normal, so theta near 90° is a horizontal line
+        for (const line of lines) {
+            const angle = line.theta * 180 / Math.PI;
+            if (Math.abs(angle - 90) < 15) {
+                horizontal.push(line);
+            } else if (Math.abs(angle) < 15 || Math.abs(angle - 180) < 15) {
+                vertical.push(line);
+            }
+        }
+        
+        // Select the strongest well-separated pair in each direction; horizontal lines lie apart along the height
+        return {
+            horizontal: this._selectLinePair(horizontal, height * 0.1),
+            vertical: this._selectLinePair(vertical, width * 0.1)
+        };
+    },
+    
+    /**
+     * Pick the strongest line plus the strongest line parallel to it that is not a near-duplicate
+     * @param {Array} lines - Lines of one orientation
+     * @param {number} minSeparation - Minimum rho distance between the two lines
+     * @returns {Array} Up to two lines
+     */
+    _selectLinePair(lines, minSeparation) {
+        const sorted = [...lines].sort((a, b) => b.votes - a.votes);
+        if (sorted.length === 0) {
+            return [];
+        }
+        
+        const strongest = sorted[0];
+        const partner = sorted.find(line => Math.abs(Math.abs(line.rho) - Math.abs(strongest.rho)) > minSeparation);
+        
+        return partner ? [strongest, partner] : [strongest];
     },
     
     /**
-     * Filter lines to find document boundaries
-     * @param {Array} lines - Detected lines
+     * Detect the document quadrilateral in raw pixels
+     * @param {Uint8ClampedArray} data - RGBA image data
      * @param {number} width - Image width
      * @param {number} height - Image height
-     * @returns {Array} Document boundary lines
+     * @param {number} threshold - Edge detection threshold
+     * @returns {{corners: Array, confidence: number}|null} Corners sorted clockwise from top-left, or null if none found
      */
-    _filterDocumentLines(lines, width, height) {
-        const horizontal = [];
-        const vertical = [];
+    _detectQuadrilateral(data, width, height, threshold = 50) {
+        const edges = this._detectDocumentEdges(data, width, height, threshold);
+        const corners = this._findDocumentCorners(edges, width, height);
         
-        // Group lines by orientation
-        for (const line of lines) {
-            const angle = line.theta * 180 / Math.PI;
-            if (Math.abs(angle) < 15 || Math.abs(angle - 180) < 15) {
-                horizontal.push(line);
-            } else if (Math.abs(angle - 90) < 15) {
-                vertical.push(line);
-            }
+        if (!corners || corners.length !== 4) {
+            return null;
+        }
+        
+        // Reject slivers - a document should cover a meaningful part of the frame
+        const area = this._calculatePolygonArea(corners);
+        if (area < width * height * 0.1) {
+            return null;
+        }
+        
+        // Confidence: how much of each boundary line is backed by edge pixels
+        // (theta near 0 is a vertical line spanning the height, theta near 90 spans the width)
+        const lines = [...edges.horizontal, ...edges.vertical];
+        const support = lines.map(line => {
+            const span = Math.abs(Math.cos(line.theta)) > 0.5 ? height : width;
+            return Math.min(line.votes / (span * 0.8), 1.0);
+        });
+        const confidence = support.reduce((sum, value) => sum + value, 0) / support.length;
+        
+        return {
+            corners,
+            confidence: Math.round(confidence * 100) / 100
+        };
+    },
+    
+    /**
+     * Detect the document quadrilateral on a downscaled copy of a canvas
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Source canvas (left untouched)
+     * @param {number} edgeThreshold - Edge detection threshold
+     * @param {number} maxDimension - Longest side of the detection copy
+     * @returns {{corners: Array, confidence: number}|null} Corners in source canvas pixels, or null
+     */
+    _detectCornersOnCanvas(canvas, edgeThreshold, maxDimension) {
+        const scale = Math.min(1, maxDimension / Math.max(canvas.width, canvas.height));
+        let working = canvas;
+        
+        if (scale < 1) {
+            working = this._createCanvas(Math.round(canvas.width * scale), Math.round(canvas.height * scale));
+            const workingCtx = working.getContext('2d');
+            workingCtx.imageSmoothingEnabled = true;
+            workingCtx.imageSmoothingQuality = 'high';
+            workingCtx.drawImage(canvas, 0, 0, working.width, working.height);
+        }
+        
+        const pixels = working.getContext('2d').getImageData(0, 0, working.width, working.height);
+        const result = this._detectQuadrilateral(pixels.data, working.width, working.height, edgeThreshold);
+        
+        if (working !== canvas) {
+            this._disposeCanvas(working);
         }
         
-        // Select the strongest lines in each direction
-        horizontal.sort((a, b) => b.votes - a.votes);
-        vertical.sort((a, b) => b.votes - a.votes);
+        if (!result) {
+            return null;
+        }
         
         return {
-            horizontal: horizontal.slice(0, 2),
-            vertical: vertical.slice(0, 2)
+            corners: result.corners.map(corner => ({
+                x: corner.x / scale,
+                y: corner.y / scale
+            })),
+            confidence: result.confidence
         };
     },
     
+    /**
+     * Calculate polygon area using the shoelace formula
+     * @param {Array} points - Polygon vertices in order
+     * @returns {number} Area in square pixels
+     */
+    _calculatePolygonArea(points) {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const current = points[i];
+            const next = points[(i + 1) % points.length];
+            area += current.x * next.y - next.x * current.y;
+        }
+        return Math.abs(area) / 2;
+    },
+    
     /**
      * Find document corners from detected edges
      * @param {Object} edges - Detected document edges
@@ -1512,14 +2773,12 @@ window.imageEnhancement = {
     
     /**
      * Apply simple skew correction using rotation
-     * @param {HTMLCanvasElement} canvas - Input canvas
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Input canvas
      * @param {number} angle - Skew angle in degrees
-     * @returns {string} Corrected image data URL
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Corrected canvas
      */
     _applySkewCorrection(canvas, angle) {
-        const correctedCanvas = document.createElement('canvas');
-        correctedCanvas.width = canvas.width;
-        correctedCanvas.height = canvas.height;
+        const correctedCanvas = this._createCanvas(canvas.width, canvas.height);
         const ctx = correctedCanvas.getContext('2d');
         
         // Apply rotation correction
@@ -1530,7 +2789,7 @@ window.imageEnhancement = {
         ctx.drawImage(canvas, 0, 0);
         ctx.restore();
         
-        return correctedCanvas.toDataURL('image/jpeg', 0.95);
+        return correctedCanvas;
     },
     
     /**
@@ -1605,53 +2864,325 @@ window.imageEnhancement = {
     },
     
     /**
-     * Solve Direct Linear Transform system (simplified)
-     * @param {Array} A - Coefficient matrix
-     * @returns {Array} Solution vector
+     * Solve the Direct Linear Transform system for the 8 homography unknowns (h33 fixed to 1)
+     * @param {Array} A - 8x9 coefficient matrix from _calculateHomographyMatrix
+     * @returns {Array} Solution vector [h11, h12, h13, h21, h22, h23, h31, h32]
      */
     _solveDLT(A) {
-        // Simplified least squares solution for homography
-        // In a full implementation, this would use SVD
+        // Move the h33 column to the right-hand side: M * h = -A[:, 8]
+        const n = 8;
+        const m = A.map(row => [...row.slice(0, n), -row[n]]);
+        
+        // Gaussian elimination with partial pivoting
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            
+            if (Math.abs(m[pivot][col]) < 1e-12) {
+                throw new Error('Degenerate corner configuration');
+            }
+            
+            [m[col], m[pivot]] = [m[pivot], m[col]];
+            
+            for (let row = col + 1; row < n; row++) {
+                const factor = m[row][col] / m[col][col];
+                for (let k = col; k <= n; k++) {
+                    m[row][k] -= factor * m[col][k];
+                }
+            }
+        }
+        
+        // Back substitution
+        const h = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = m[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= m[row][k] * h[k];
+            }
+            h[row] = sum / m[row][row];
+        }
+        
+        return h;
+    },
+    
+    /**
+     * Invert a 3x3 matrix
+     * @param {Array} matrix - 3x3 matrix
+     * @returns {Array} Inverse 3x3 matrix
+     */
+    _invert3x3(matrix) {
+        const [[a, b, c], [d, e, f], [g, h, i]] = matrix;
+        const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
         
-        // For now, use a direct calculation approach
-        const [s1, s2, s3, s4] = A.slice(0, 4).map(row => ({ x: row[0], y: row[1] }));
-        const [d1, d2, d3, d4] = A.slice(0, 4).map(row => ({ x: row[8], y: row[8] }));
+        if (Math.abs(det) < 1e-12) {
+            throw new Error('Perspective matrix is not invertible');
+        }
         
-        // Simplified calculation (this is a placeholder - real implementation would be more complex)
-        return [1, 0, 0, 0, 1, 0, 0, 0];
+        return [
+            [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+            [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+            [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+        ];
     },
     
     /**
      * Apply perspective transformation to canvas
-     * @param {HTMLCanvasElement} sourceCanvas - Source canvas
-     * @param {Array} matrix - Transformation matrix
+     * @param {HTMLCanvasElement|OffscreenCanvas} sourceCanvas - Source canvas
+     * @param {Array} matrix - 3x3 homography mapping source corners onto the target rectangle
      * @param {Array} targetRect - Target rectangle
      * @param {number} originalWidth - Original width
      * @param {number} originalHeight - Original height
-     * @returns {HTMLCanvasElement} Transformed canvas
+     * @returns {HTMLCanvasElement|OffscreenCanvas} Transformed canvas
      */
     _applyPerspectiveTransformation(sourceCanvas, matrix, targetRect, originalWidth, originalHeight) {
-        const targetWidth = Math.max(...targetRect.map(p => p.x));
-        const targetHeight = Math.max(...targetRect.map(p => p.y));
+        const targetWidth = Math.max(1, Math.round(Math.max(...targetRect.map(p => p.x))));
+        const targetHeight = Math.max(1, Math.round(Math.max(...targetRect.map(p => p.y))));
         
-        const targetCanvas = document.createElement('canvas');
-        targetCanvas.width = targetWidth;
-        targetCanvas.height = targetHeight;
+        const source = sourceCanvas.getContext('2d').getImageData(0, 0, originalWidth, originalHeight).data;
+        const targetCanvas = this._createCanvas(targetWidth, targetHeight);
         const ctx = targetCanvas.getContext('2d');
+        const output = ctx.createImageData(targetWidth, targetHeight);
+        const out = output.data;
+        
+        // Inverse mapping: for every target pixel find its source position and sample bilinearly
+        const [[a, b, c], [d, e, f], [g, h, i]] = this._invert3x3(matrix);
+        const maxX = originalWidth - 1;
+        const maxY = originalHeight - 1;
+        
+        for (let y = 0; y < targetHeight; y++) {
+            for (let x = 0; x < targetWidth; x++) {
+                const w = g * x + h * y + i;
+                const sx = this._clamp((a * x + b * y + c) / w, 0, maxX);
+                const sy = this._clamp((d * x + e * y + f) / w, 0, maxY);
+                
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(x0 + 1, maxX);
+                const y1 = Math.min(y0 + 1, maxY);
+                const fx = sx - x0;
+                const fy = sy - y0;
+                
+                const i00 = (y0 * originalWidth + x0) * 4;
+                const i10 = (y0 * originalWidth + x1) * 4;
+                const i01 = (y1 * originalWidth + x0) * 4;
+                const i11 = (y1 * originalWidth + x1) * 4;
+                const o = (y * targetWidth + x) * 4;
+                
+                for (let channel = 0; channel < 4; channel++) {
+                    const top = source[i00 + channel] * (1 - fx) + source[i10 + channel] * fx;
+                    const bottom = source[i01 + channel] * (1 - fx) + source[i11 + channel] * fx;
+                    out[o + channel] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
         
-        // For browser compatibility, use CSS transform for basic perspective correction
-        // In a full implementation, this would use pixel-by-pixel transformation
-        ctx.save();
+        ctx.putImageData(output, 0, 0);
+        return targetCanvas;
+    },
+
+    // Binarization Methods
+    
+    /**
+     * Threshold pixels to black and white in place
+     * @param {Uint8ClampedArray} data - RGBA image data
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {Object} options - Binarization options (see binarize)
+     */
+    _applyBinarization(data, width, height, options = {}) {
+        const {
+            method = 'sauvola',
+            windowSize = null,
+            k = null,
+            invert = false
+        } = options;
+        
+        const gray = this._convertToGrayscaleArray(data, width, height);
+        let isForeground;
+        
+        switch (method) {
+            case 'otsu': {
+                const threshold = this._calculateOtsuThreshold(gray);
+                isForeground = (value) => value <= threshold;
+                break;
+            }
+            case 'sauvola':
+            case 'niblack':
+            case 'bradley': {
+                isForeground = this._createAdaptiveThreshold(gray, width, height, method, windowSize, k);
+                break;
+            }
+            default:
+                throw new Error(`Unknown binarization method: ${method}`);
+        }
         
-        // Apply simple transformation using canvas transform
-        const [tl, tr, br, bl] = targetRect;
+        const ink = invert ? 255 : 0;
+        const paper = invert ? 0 : 255;
         
-        // Use setTransform for basic perspective approximation
-        ctx.drawImage(sourceCanvas, 0, 0, originalWidth, originalHeight, 0, 0, targetWidth, targetHeight);
+        for (let i = 0; i < gray.length; i++) {
+            const value = isForeground(gray[i], i) ? ink : paper;
+            const pixelIdx = i * 4;
+            data[pixelIdx] = value;
+            data[pixelIdx + 1] = value;
+            data[pixelIdx + 2] = value;
+            data[pixelIdx + 3] = 255;
+        }
+    },
+    
+    /**
+     * Global threshold maximizing between-class variance (Otsu's method)
+     * @param {Float32Array} gray - Grayscale values
+     * @returns {number} Threshold (values at or below are foreground)
+     */
+    _calculateOtsuThreshold(gray) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < gray.length; i++) {
+            histogram[Math.round(gray[i])]++;
+        }
         
-        ctx.restore();
+        const total = gray.length;
+        let sumAll = 0;
+        for (let i = 0; i < 256; i++) {
+            sumAll += i * histogram[i];
+        }
         
-        return targetCanvas;
+        let sumBackground = 0;
+        let weightBackground = 0;
+        let maxVariance = 0;
+        let threshold = 127;
+        
+        for (let t = 0; t < 256; t++) {
+            weightBackground += histogram[t];
+            if (weightBackground === 0) continue;
+            
+            const weightForeground = total - weightBackground;
+            if (weightForeground === 0) break;
+            
+            sumBackground += t * histogram[t];
+            const meanBackground = sumBackground / weightBackground;
+            const meanForeground = (sumAll - sumBackground) / weightForeground;
+            const variance = weightBackground * weightForeground * Math.pow(meanBackground - meanForeground, 2);
+            
+            if (variance > maxVariance) {
+                maxVariance = variance;
+                threshold = t;
+            }
+        }
+        
+        return threshold;
+    },
+    
+    /**
+     * Build a per-pixel foreground test from local window statistics
+     * @param {Float32Array} gray - Grayscale values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {string} method - 'sauvola', 'niblack' or 'bradley'
+     * @param {number|null} windowSize - Window size, or null for a size derived from the image
+     * @param {number|null} k - Method parameter, or null for the method default
+     * @returns {Function} (value, index) => boolean
+     */
+    _createAdaptiveThreshold(gray, width, height, method, windowSize, k) {
+        // Bradley's paper uses a window of 1/8 of the image width; Sauvola/Niblack work best around text-line height
+        const defaultWindow = method === 'bradley' ?
+            Math.round(width / 8) :
+            Math.max(15, Math.round(Math.min(width, height) / 16));
+        const halfWindow = Math.max(1, Math.floor((windowSize || defaultWindow) / 2));
+        const needsVariance = method !== 'bradley';
+        const integral = this._computeIntegralImage(gray, width, height, needsVariance);
+        
+        const parameter = k !== null && k !== undefined ? k : { sauvola: 0.34, niblack: -0.2, bradley: 0.15 }[method];
+        const dynamicRange = 128; // Sauvola R for 8-bit images
+        
+        return (value, index) => {
+            const x = index % width;
+            const y = (index - x) / width;
+            const stats = this._getWindowStats(integral, x, y, halfWindow, width, height, needsVariance);
+            
+            let threshold;
+            if (method === 'sauvola') {
+                threshold = stats.mean * (1 + parameter * (Math.sqrt(stats.variance) / dynamicRange - 1));
+            } else if (method === 'niblack') {
+                threshold = stats.mean + parameter * Math.sqrt(stats.variance);
+            } else {
+                threshold = stats.mean * (1 - parameter);
+            }
+            
+            return value <= threshold;
+        };
+    },
+    
+    /**
+     * Summed-area tables for constant-time window sums
+     * @param {Float32Array|Array} values - Per-pixel values
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {boolean} withSquares - Also build the table of squared values (for variance)
+     * @returns {{sum: Float64Array, sumSquares: Float64Array|null, stride: number}} Tables of size (width + 1) * (height + 1)
+     */
+    _computeIntegralImage(values, width, height, withSquares) {
+        const stride = width + 1;
+        const sum = new Float64Array(stride * (height + 1));
+        const sumSquares = withSquares ? new Float64Array(stride * (height + 1)) : null;
+        
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            let rowSumSquares = 0;
+            
+            for (let x = 0; x < width; x++) {
+                const value = values[y * width + x];
+                const idx = (y + 1) * stride + (x + 1);
+                
+                rowSum += value;
+                sum[idx] = sum[idx - stride] + rowSum;
+                
+                if (withSquares) {
+                    rowSumSquares += value * value;
+                    sumSquares[idx] = sumSquares[idx - stride] + rowSumSquares;
+                }
+            }
+        }
+        
+        return { sum, sumSquares, stride };
+    },
+    
+    /**
+     * Mean (and optionally variance) of the window centred on a pixel, clipped to the image
+     * @param {Object} integral - Tables from _computeIntegralImage
+     * @param {number} x - Pixel x
+     * @param {number} y - Pixel y
+     * @param {number} halfWindow - Half window size
+     * @param {number} width - Image width
+     * @param {number} height - Image height
+     * @param {boolean} withVariance - Compute variance as well
+     * @returns {{mean: number, variance: number}} Window statistics
+     */
+    _getWindowStats(integral, x, y, halfWindow, width, height, withVariance) {
+        const { sum, sumSquares, stride } = integral;
+        const x0 = Math.max(0, x - halfWindow);
+        const y0 = Math.max(0, y - halfWindow);
+        const x1 = Math.min(width, x + halfWindow + 1);
+        const y1 = Math.min(height, y + halfWindow + 1);
+        const count = (x1 - x0) * (y1 - y0);
+        
+        const a = y0 * stride + x0;
+        const b = y0 * stride + x1;
+        const c = y1 * stride + x0;
+        const d = y1 * stride + x1;
+        
+        const mean = (sum[d] - sum[b] - sum[c] + sum[a]) / count;
+        let variance = 0;
+        
+        if (withVariance) {
+            const meanSquares = (sumSquares[d] - sumSquares[b] - sumSquares[c] + sumSquares[a]) / count;
+            variance = Math.max(0, meanSquares - mean * mean);
+        }
+        
+        return { mean, variance };
     },
 
     // Advanced Grayscale Conversion Methods
@@ -2107,6 +3638,157 @@ window.imageEnhancement = {
         }
     },
 
+    // Multi-frame Burst Methods
+    
+    /**
+     * Reduce a burst of frames to one image: either the sharpest frame, or a per-pixel median of the
+     * sharp frames aligned on their document corners (removes sensor noise in low light).
+     * With image-enhancement-offload.js loaded, 'stack' mode runs in the enhancement worker.
+     * @param {Array<HTMLCanvasElement|OffscreenCanvas>} frames - Frames of the same scene, all the same size
+     * @param {Object} options - Burst options
+     * @param {string} options.mode - 'sharpest' or 'stack' (default: 'sharpest')
+     * @param {number} options.minRelativeSharpness - Frames below this share of the best sharpness are left out of the stack (default: 0.6)
+     * @param {number} options.analysisDimension - Longest side used for sharpness ranking and corner detection (default: 1024)
+     * @returns {Promise<{canvas: HTMLCanvasElement|OffscreenCanvas, selectedIndex: number, sharpness: Array<number>, stackedFrames: number}>}
+     *          The chosen frame itself in 'sharpest' mode, a new canvas in 'stack' mode
+     */
+    async _mergeBurstFrames(frames, options = {}) {
+        const {
+            mode = 'sharpest',
+            minRelativeSharpness = 0.6,
+            analysisDimension = 1024
+        } = options;
+        
+        if (!frames || frames.length === 0) {
+            throw new Error('No frames captured');
+        }
+        if (!window.imageQuality) {
+            throw new Error('Image quality module not loaded');
+        }
+        
+        const sharpness = frames.map(frame => this._measureFrameSharpness(frame, analysisDimension));
+        const selectedIndex = sharpness.indexOf(Math.max(...sharpness));
+        const reference = frames[selectedIndex];
+        
+        const stackable = frames.filter((frame, index) =>
+            sharpness[index] >= sharpness[selectedIndex] * minRelativeSharpness);
+        
+        if (mode !== 'stack' || stackable.length < 3) {
+            // A median of two frames is just their average; not worth the alignment cost
+            return { canvas: reference, selectedIndex, sharpness, stackedFrames: 1 };
+        }
+        
+        const canvas = this._medianStackFrames(reference, stackable, analysisDimension);
+        return { canvas, selectedIndex, sharpness, stackedFrames: stackable.length };
+    },
+    
+    /**
+     * Laplacian-variance sharpness of a frame, measured on a downscaled copy
+     * @param {HTMLCanvasElement|OffscreenCanvas} frame - Frame to measure
+     * @param {number} maxDimension - Longest side of the measured copy
+     * @returns {number} Sharpness (higher is sharper)
+     */
+    _measureFrameSharpness(frame, maxDimension) {
+        const scale = Math.min(1, maxDimension / Math.max(frame.width, frame.height));
+        const width = Math.max(1, Math.round(frame.width * scale));
+        const height = Math.max(1, Math.round(frame.height * scale));
+        
+        const working = this._createCanvas(width, height);
+        working.getContext('2d').drawImage(frame, 0, 0, width, height);
+        const pixels = working.getContext('2d').getImageData(0, 0, width, height).data;
+        this._disposeCanvas(working);
+        
+        const grayscale = new Float32Array(width * height);
+        for (let i = 0; i < grayscale.length; i++) {
+            grayscale[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+        }
+        
+        // Same measure imageQuality uses for blur detection, so scores line up with detectBlur
+        return window.imageQuality._calculateLaplacianVariance(grayscale, width, height);
+    },
+    
+    /**
+     * Per-pixel median of several frames, each warped onto the reference frame through its document corners
+     * @param {HTMLCanvasElement|OffscreenCanvas} reference - Frame that defines the output geometry
+     * @param {Array<HTMLCanvasElement|OffscreenCanvas>} frames - Frames to stack (including the reference)
+     * @param {number} analysisDimension - Longest side used for corner detection
+     * @returns {HTMLCanvasElement|OffscreenCanvas} New canvas holding the composite
+     */
+    _medianStackFrames(reference, frames, analysisDimension) {
+        const width = reference.width;
+        const height = reference.height;
+        const frameCorners = (frame) => {
+            const detection = this._detectCornersOnCanvas(frame, 50, analysisDimension);
+            return detection ? detection.corners : null;
+        };
+        
+        // Without corners on both sides the frames are treated as already aligned (tripod / steady hands)
+        const referenceCorners = frameCorners(reference);
+        const layers = frames.map(frame => {
+            const pixels = frame.getContext('2d').getImageData(0, 0, frame.width, frame.height).data;
+            if (frame === reference) {
+                return { pixels, width: frame.width, height: frame.height, matrix: null };
+            }
+            
+            const corners = referenceCorners ? frameCorners(frame) : null;
+            const matrix = corners ? this._calculateHomographyMatrix(referenceCorners, corners) : null;
+            return { pixels, width: frame.width, height: frame.height, matrix };
+        });
+        
+        const output = this._createCanvas(width, height);
+        const ctx = output.getContext('2d');
+        const result = ctx.createImageData(width, height);
+        const out = result.data;
+        const samples = new Float32Array(layers.length * 3);
+        const counts = [0, 0, 0];
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                counts[0] = counts[1] = counts[2] = 0;
+                
+                for (const layer of layers) {
+                    let sx = x;
+                    let sy = y;
+                    if (layer.matrix) {
+                        const [[a, b, c], [d, e, f], [g, h, i]] = layer.matrix;
+                        const w = g * x + h * y + i;
+                        sx = Math.round((a * x + b * y + c) / w);
+                        sy = Math.round((d * x + e * y + f) / w);
+                    }
+                    if (sx < 0 || sy < 0 || sx >= layer.width || sy >= layer.height) {
+                        continue; // This frame does not cover the pixel
+                    }
+                    
+                    const index = (sy * layer.width + sx) * 4;
+                    for (let channel = 0; channel < 3; channel++) {
+                        // Insertion sort into this channel's slice - frame counts are small
+                        const base = channel * layers.length;
+                        const value = layer.pixels[index + channel];
+                        let j = counts[channel]++;
+                        while (j > 0 && samples[base + j - 1] > value) {
+                            samples[base + j] = samples[base + j - 1];
+                            j--;
+                        }
+                        samples[base + j] = value;
+                    }
+                }
+                
+                const o = (y * width + x) * 4;
+                for (let channel = 0; channel < 3; channel++) {
+                    const base = channel * layers.length;
+                    const n = counts[channel];
+                    out[o + channel] = n % 2 === 1 ?
+                        samples[base + (n - 1) / 2] :
+                        (samples[base + n / 2 - 1] + samples[base + n / 2]) / 2;
+                }
+                out[o + 3] = 255;
+            }
+        }
+        
+        ctx.putImageData(result, 0, 0);
+        return output;
+    },
+
     // Performance Optimization and Memory Management Methods
     
     /**
@@ -2118,48 +3800,10 @@ window.imageEnhancement = {
     async _optimizeForLargeImages(imageData, settings) {
         try {
             let processedData = imageData;
-            const canvasPool = new Set(); // Track canvases for cleanup
             
             // Apply enhancements in optimized order for memory efficiency
-            if (settings.enablePerspectiveCorrection) {
-                // Do perspective correction first on full resolution
-                processedData = await this.correctPerspective(processedData);
-            }
-            
-            // Compress after perspective correction if still large
-            if (settings.isLargeImage) {
-                const compressionOptions = {
-                    maxWidth: 1600,
-                    maxHeight: 1600,
-                    quality: 0.9,
-                    preserveAspectRatio: true
-                };
-                processedData = await this.compressImage(processedData, compressionOptions);
-            }
-            
-            // Apply other enhancements on compressed image
-            if (settings.enableShadowRemoval) {
-                processedData = await this.removeShadows(processedData, {
-                    intensity: settings.shadowRemovalIntensity || 0.7,
-                    mode: 'auto',
-                    preserveText: true
-                });
-            }
-            
-            if (settings.enableContrastAdjustment) {
-                processedData = await this.adjustContrast(processedData, {
-                    strength: settings.contrastStrength || null,
-                    mode: 'auto',
-                    preserveDetails: true
-                });
-            }
-            
-            if (settings.convertToGrayscale) {
-                processedData = await this.convertToGrayscale(processedData, {
-                    method: 'auto',
-                    enhanceText: true,
-                    preserveContrast: true
-                });
+            for (const step of this._getLargeImageSteps(settings)) {
+                processedData = await this[step.operation](processedData, step.options);
             }
             
             return processedData;
@@ -2302,9 +3946,135 @@ window.imageEnhancement = {
         });
     },
 
+    /**
+     * Create canvas from any supported image input
+     * @param {string|Blob|ArrayBuffer|Uint8Array|ImageBitmap|HTMLCanvasElement|OffscreenCanvas|Object} input -
+     *        Data URL, encoded image bytes, DotNetStreamReference, decoded bitmap or canvas
+     * @returns {Promise<HTMLCanvasElement|OffscreenCanvas>} Canvas with loaded image
+     */
+    async _getCanvasFromInput(input) {
+        if (typeof input === 'string') {
+            return this._getCanvasFromBase64(input);
+        }
+        
+        if ((typeof HTMLCanvasElement !== 'undefined' && input instanceof HTMLCanvasElement) ||
+            (typeof OffscreenCanvas !== 'undefined' && input instanceof OffscreenCanvas)) {
+            return input;
+        }
+        
+        const isBitmap = typeof ImageBitmap !== 'undefined' && input instanceof ImageBitmap;
+        const bitmap = isBitmap ? input : await createImageBitmap(await this._toBlob(input));
+        
+        const canvas = this._createCanvas(bitmap.width, bitmap.height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        
+        if (!isBitmap) {
+            bitmap.close();
+        }
+        
+        return canvas;
+    },
+
+    /**
+     * Normalize binary image input to a Blob
+     * @param {Blob|ArrayBuffer|Uint8Array|Object} input - Encoded image bytes or DotNetStreamReference
+     * @returns {Promise<Blob>} Image blob
+     */
+    async _toBlob(input) {
+        if (input instanceof Blob) {
+            return input;
+        }
+        
+        if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+            return new Blob([input]);
+        }
+        
+        // DotNetStreamReference exposes arrayBuffer() and stream()
+        if (input && typeof input.arrayBuffer === 'function') {
+            return new Blob([await input.arrayBuffer()]);
+        }
+        
+        throw new Error('Invalid input type. Expected Blob, ArrayBuffer, Uint8Array or stream reference.');
+    },
+
+    /**
+     * Encode canvas contents as a Blob
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to encode
+     * @param {string} type - Output MIME type
+     * @param {number} quality - Encoder quality (0.1 to 1.0)
+     * @returns {Promise<Blob>} Encoded image
+     */
+    _canvasToBlob(canvas, type = 'image/jpeg', quality = 0.95) {
+        if (typeof canvas.convertToBlob === 'function') {
+            return canvas.convertToBlob({ type, quality });
+        }
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Canvas encoding failed'));
+                }
+            }, type, quality);
+        });
+    },
+
+    /**
+     * Create a blank canvas, using OffscreenCanvas when no DOM is available (e.g. inside a worker)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {HTMLCanvasElement|OffscreenCanvas} New canvas
+     */
+    _createCanvas(width, height) {
+        if (typeof document === 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    },
+
+    /**
+     * Calculate downscaled dimensions that fit within the given bounds
+     * @param {number} sourceWidth - Source width
+     * @param {number} sourceHeight - Source height
+     * @param {number} maxWidth - Maximum width
+     * @param {number} maxHeight - Maximum height
+     * @param {boolean} preserveAspectRatio - Preserve aspect ratio
+     * @returns {{width: number, height: number}} Target dimensions
+     */
+    _calculateCompressedSize(sourceWidth, sourceHeight, maxWidth, maxHeight, preserveAspectRatio) {
+        let targetWidth = sourceWidth;
+        let targetHeight = sourceHeight;
+        
+        if (preserveAspectRatio) {
+            const aspectRatio = sourceWidth / sourceHeight;
+            
+            if (sourceWidth > maxWidth || sourceHeight > maxHeight) {
+                if (aspectRatio > 1) {
+                    // Landscape orientation
+                    targetWidth = Math.min(sourceWidth, maxWidth);
+                    targetHeight = targetWidth / aspectRatio;
+                } else {
+                    // Portrait orientation
+                    targetHeight = Math.min(sourceHeight, maxHeight);
+                    targetWidth = targetHeight * aspectRatio;
+                }
+            }
+        } else {
+            targetWidth = Math.min(sourceWidth, maxWidth);
+            targetHeight = Math.min(sourceHeight, maxHeight);
+        }
+        
+        return { width: targetWidth, height: targetHeight };
+    },
+
     /**
      * Dispose of canvas and free memory
-     * @param {HTMLCanvasElement} canvas - Canvas to dispose
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to dispose
      */
     _disposeCanvas(canvas) {
         if (canvas && canvas.getContext) {
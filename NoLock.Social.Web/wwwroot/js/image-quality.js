@@ -1,11 +1,11 @@
 // Image Quality Analysis Module
-// Provides blur detection, lighting analysis, and edge detection for document scanning
+// Provides blur detection, lighting analysis, edge detection and combined capture reports for document scanning
 
 window.imageQuality = {
     
     /**
      * Detects blur in an image using Laplacian edge detection
-     * @param {ImageData|HTMLCanvasElement|string} imageData - Image data, canvas element, or base64 string
+     * @param {ImageData|HTMLCanvasElement|string|Blob|ArrayBuffer|Uint8Array} imageData - Image data, canvas element, base64 string, or encoded image bytes
      * @returns {Promise<{blurScore: number, confidence: number, isSharp: boolean}>}
      */
     async detectBlur(imageData) {
@@ -14,20 +14,8 @@ window.imageQuality = {
             const ctx = canvas.getContext('2d');
             const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
             
-            // Convert to grayscale and apply Laplacian filter
             const grayscale = this._convertToGrayscale(imgData);
-            const laplacianVariance = this._calculateLaplacianVariance(grayscale, canvas.width, canvas.height);
-            
-            // Normalize blur score (higher = sharper)
-            const blurScore = Math.min(laplacianVariance / 100, 1.0);
-            const isSharp = blurScore > 0.3; // Threshold for acceptable sharpness
-            const confidence = Math.min(blurScore * 2, 1.0); // Confidence in assessment
-            
-            return {
-                blurScore: Math.round(blurScore * 100) / 100,
-                threshold: Math.round(confidence * 100) / 100,
-                isSharp: isSharp
-            };
+            return this._analyzeBlur(grayscale, canvas.width, canvas.height);
             
         } catch (error) {
             console.error('Blur detection failed:', error);
@@ -37,7 +25,7 @@ window.imageQuality = {
     
     /**
      * Assesses lighting quality of an image
-     * @param {ImageData|HTMLCanvasElement|string} imageData - Image data, canvas element, or base64 string
+     * @param {ImageData|HTMLCanvasElement|string|Blob|ArrayBuffer|Uint8Array} imageData - Image data, canvas element, base64 string, or encoded image bytes
      * @returns {Promise<{lightingScore: number, brightness: number, contrast: number, isWellLit: boolean}>}
      */
     async assessLighting(imageData) {
@@ -46,25 +34,7 @@ window.imageQuality = {
             const ctx = canvas.getContext('2d');
             const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
             
-            // Analyze brightness and contrast
-            const stats = this._calculateImageStats(imgData);
-            const histogramAnalysis = this._analyzeHistogram(imgData);
-            
-            // Calculate lighting score based on multiple factors
-            const brightnessScore = this._scoreBrightness(stats.brightness);
-            const contrastScore = this._scoreContrast(stats.contrast);
-            const distributionScore = histogramAnalysis.distributionScore;
-            
-            // Weighted combination of factors
-            const lightingScore = (brightnessScore * 0.4 + contrastScore * 0.4 + distributionScore * 0.2);
-            const isWellLit = lightingScore > 0.6; // Threshold for acceptable lighting
-            
-            return {
-                lightingScore: Math.round(lightingScore * 100) / 100,
-                brightness: Math.round(stats.brightness * 100) / 100,
-                contrast: Math.round(stats.contrast * 100) / 100,
-                isWellLit: isWellLit
-            };
+            return this._analyzeLighting(imgData);
             
         } catch (error) {
             console.error('Lighting assessment failed:', error);
@@ -74,7 +44,7 @@ window.imageQuality = {
     
     /**
      * Detects edges in an image for document boundary analysis
-     * @param {ImageData|HTMLCanvasElement|string} imageData - Image data, canvas element, or base64 string
+     * @param {ImageData|HTMLCanvasElement|string|Blob|ArrayBuffer|Uint8Array} imageData - Image data, canvas element, base64 string, or encoded image bytes
      * @returns {Promise<{edgeScore: number, edgeCount: number, hasRectangle: boolean, confidence: number}>}
      */
     async detectEdges(imageData) {
@@ -85,36 +55,368 @@ window.imageQuality = {
             
             // Convert to grayscale for edge detection
             const grayscale = this._convertToGrayscale(imgData);
+            const edges = this._applySobelEdgeDetection(grayscale, canvas.width, canvas.height);
+            
+            return this._analyzeEdges(edges, canvas.width, canvas.height);
+            
+        } catch (error) {
+            console.error('Edge detection failed:', error);
+            throw new Error(`Edge detection failed: ${error.message}`);
+        }
+    },
+    
+    /**
+     * Full capture quality report: decodes the image once and runs blur, lighting, edge,
+     * resolution, glare and motion-blur analysis on the same pixels
+     * @param {ImageData|HTMLCanvasElement|string|Blob|ArrayBuffer|Uint8Array} imageData - Image data, canvas element, base64 string, or encoded image bytes
+     * @param {Object} options - Assessment options
+     * @param {string} options.documentType - DocumentType name used for physical size and DPI targets (default: 'generic')
+     * @returns {Promise<Object>} { overallScore, isAcceptable, blur, lighting, edges, resolution, glare, motionBlur, fixes }
+     *          where fixes is a list of { code, message, severity } ordered most important first
+     */
+    async assess(imageData, options = {}) {
+        try {
+            const profile = this._getDocumentProfile(options.documentType);
+            
+            const canvas = await this._getCanvasFromInput(imageData);
             const width = canvas.width;
             const height = canvas.height;
+            const imgData = canvas.getContext('2d').getImageData(0, 0, width, height);
             
-            // Apply Sobel edge detection
-            const edges = this._applySobelEdgeDetection(grayscale, width, height);
+            const grayscale = this._convertToGrayscale(imgData);
+            const tensor = { xx: 0, yy: 0, xy: 0 };
+            const edges = this._applySobelEdgeDetection(grayscale, width, height, tensor);
             
-            // Analyze edge characteristics
-            const edgeDensity = this._calculateEdgeDensity(edges, width, height);
-            const hasRectangle = this._detectRectangularShape(edges, width, height);
-            const cornerSharpness = this._analyzeCornerSharpness(edges, width, height);
+            const blur = this._analyzeBlur(grayscale, width, height);
+            const lighting = this._analyzeLighting(imgData);
+            const edgeResult = this._analyzeEdges(edges, width, height);
+            const resolution = this._estimateResolution(canvas, profile);
+            const glare = this._detectGlare(imgData, width, height);
+            const motionBlur = this._estimateMotionBlur(tensor, blur);
             
-            // Calculate overall edge score
-            const densityScore = Math.min(edgeDensity * 2, 1.0); // Higher density = better
-            const rectangleScore = hasRectangle ? 1.0 : 0.3; // Documents should have rectangular boundaries
-            const sharpnessScore = cornerSharpness;
+            // Weighted combination of the individual scores
+            const overallScore =
+                blur.blurScore * 0.3 +
+                lighting.lightingScore * 0.2 +
+                edgeResult.edgeScore * 0.15 +
+                resolution.resolutionScore * 0.2 +
+                glare.glareScore * 0.15;
             
-            // Weighted combination for document quality
-            const edgeScore = (densityScore * 0.4 + rectangleScore * 0.4 + sharpnessScore * 0.2);
+            const fixes = this._rankFixes({ blur, lighting, edges: edgeResult, resolution, glare, motionBlur });
             
             return {
-                edgeScore: Math.round(edgeScore * 100) / 100,
-                edgeCount: Math.round(edgeDensity * 100) / 100,
-                hasRectangle: hasRectangle,
-                confidence: Math.round(cornerSharpness * 100) / 100
+                overallScore: Math.round(overallScore * 100) / 100,
+                isAcceptable: overallScore >= 0.6 && !fixes.some(fix => fix.severity >= 0.8),
+                documentType: profile.name,
+                width,
+                height,
+                blur,
+                lighting,
+                edges: edgeResult,
+                resolution,
+                glare,
+                motionBlur,
+                fixes
             };
             
         } catch (error) {
-            console.error('Edge detection failed:', error);
-            throw new Error(`Edge detection failed: ${error.message}`);
+            console.error('Quality assessment failed:', error);
+            throw new Error(`Quality assessment failed: ${error.message}`);
+        }
+    },
+    
+    // Physical size (inches, long side first) and minimum capture DPI per DocumentType
+    _documentProfiles: {
+        generic: { width: 11, height: 8.5, minDpi: 150 },
+        passport: { width: 4.92, height: 3.46, minDpi: 300 },
+        driverslicense: { width: 3.37, height: 2.13, minDpi: 300 },
+        idcard: { width: 3.37, height: 2.13, minDpi: 300 },
+        identity: { width: 3.37, height: 2.13, minDpi: 300 },
+        receipt: { width: null, height: 3.15, minDpi: 200 },     // Length varies, only the roll width is known
+        check: { width: 6, height: 2.75, minDpi: 200 },
+        w4: { width: 11, height: 8.5, minDpi: 150 },
+        w2: { width: 11, height: 8.5, minDpi: 150 },
+        form1099: { width: 11, height: 8.5, minDpi: 150 },
+        invoice: { width: 11, height: 8.5, minDpi: 150 },
+        contract: { width: 11, height: 8.5, minDpi: 150 },
+        singlepage: { width: 11, height: 8.5, minDpi: 150 },
+        multipage: { width: 11, height: 8.5, minDpi: 150 },
+        financial: { width: 11, height: 8.5, minDpi: 150 },
+        medical: { width: 11, height: 8.5, minDpi: 150 },
+        legal: { width: 11, height: 8.5, minDpi: 150 },
+        other: { width: 11, height: 8.5, minDpi: 150 }
+    },
+    
+    /**
+     * Blur metrics from a grayscale buffer
+     * @private
+     */
+    _analyzeBlur(grayscale, width, height) {
+        const laplacianVariance = this._calculateLaplacianVariance(grayscale, width, height);
+        
+        // Normalize blur score (higher = sharper)
+        const blurScore = Math.min(laplacianVariance / 100, 1.0);
+        const isSharp = blurScore > 0.3; // Threshold for acceptable sharpness
+        const confidence = Math.min(blurScore * 2, 1.0); // Confidence in assessment
+        
+        return {
+            blurScore: Math.round(blurScore * 100) / 100,
+            threshold: Math.round(confidence * 100) / 100,
+            isSharp: isSharp
+        };
+    },
+    
+    /**
+     * Lighting metrics from RGBA pixels
+     * @private
+     */
+    _analyzeLighting(imgData) {
+        // Analyze brightness and contrast
+        const stats = this._calculateImageStats(imgData);
+        const histogramAnalysis = this._analyzeHistogram(imgData);
+        
+        // Calculate lighting score based on multiple factors
+        const brightnessScore = this._scoreBrightness(stats.brightness);
+        const contrastScore = this._scoreContrast(stats.contrast);
+        const distributionScore = histogramAnalysis.distributionScore;
+        
+        // Weighted combination of factors
+        const lightingScore = (brightnessScore * 0.4 + contrastScore * 0.4 + distributionScore * 0.2);
+        const isWellLit = lightingScore > 0.6; // Threshold for acceptable lighting
+        
+        return {
+            lightingScore: Math.round(lightingScore * 100) / 100,
+            brightness: Math.round(stats.brightness * 100) / 100,
+            contrast: Math.round(stats.contrast * 100) / 100,
+            isWellLit: isWellLit
+        };
+    },
+    
+    /**
+     * Document edge metrics from a Sobel magnitude buffer
+     * @private
+     */
+    _analyzeEdges(edges, width, height) {
+        // Analyze edge characteristics
+        const edgeDensity = this._calculateEdgeDensity(edges, width, height);
+        const hasRectangle = this._detectRectangularShape(edges, width, height);
+        const cornerSharpness = this._analyzeCornerSharpness(edges, width, height);
+        
+        // Calculate overall edge score
+        const densityScore = Math.min(edgeDensity * 2, 1.0); // Higher density = better
+        const rectangleScore = hasRectangle ? 1.0 : 0.3; // Documents should have rectangular boundaries
+        const sharpnessScore = cornerSharpness;
+        
+        // Weighted combination for document quality
+        const edgeScore = (densityScore * 0.4 + rectangleScore * 0.4 + sharpnessScore * 0.2);
+        
+        return {
+            edgeScore: Math.round(edgeScore * 100) / 100,
+            edgeCount: Math.round(edgeDensity * 100) / 100,
+            hasRectangle: hasRectangle,
+            confidence: Math.round(cornerSharpness * 100) / 100
+        };
+    },
+    
+    /**
+     * Looks up the physical size profile for a DocumentType name
+     * @private
+     */
+    _getDocumentProfile(documentType) {
+        const name = String(documentType || 'generic').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const profile = this._documentProfiles[name] || this._documentProfiles.generic;
+        return { name: this._documentProfiles[name] ? name : 'generic', ...profile };
+    },
+    
+    /**
+     * Estimates capture DPI from the document outline and its known physical size
+     * @private
+     */
+    _estimateResolution(canvas, profile) {
+        const width = canvas.width;
+        const height = canvas.height;
+        
+        // Reuse the perspective-correction corner detector when it is loaded
+        const enhancement = window.imageEnhancement;
+        const detection = enhancement && typeof enhancement._detectCornersOnCanvas === 'function' ?
+            enhancement._detectCornersOnCanvas(canvas, 50, 800) : null;
+        
+        // Without a detected outline assume the document fills the frame (an upper bound)
+        const corners = detection ? detection.corners : [
+            { x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }
+        ];
+        
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const horizontal = (distance(corners[0], corners[1]) + distance(corners[3], corners[2])) / 2;
+        const vertical = (distance(corners[0], corners[3]) + distance(corners[1], corners[2])) / 2;
+        const longSide = Math.max(horizontal, vertical);
+        const shortSide = Math.min(horizontal, vertical);
+        
+        // Receipts only have a known width, everything else is measured along its long side
+        const estimatedDpi = profile.width ?
+            longSide / profile.width :
+            shortSide / profile.height;
+        
+        let area = 0;
+        for (let i = 0; i < 4; i++) {
+            const a = corners[i];
+            const b = corners[(i + 1) % 4];
+            area += a.x * b.y - b.x * a.y;
+        }
+        const coverage = Math.abs(area) / 2 / (width * height);
+        
+        return {
+            estimatedDpi: Math.round(estimatedDpi),
+            requiredDpi: profile.minDpi,
+            resolutionScore: Math.round(Math.min(estimatedDpi / profile.minDpi, 1.0) * 100) / 100,
+            documentDetected: !!detection,
+            coverage: Math.round(coverage * 100) / 100
+        };
+    },
+    
+    /**
+     * Finds blown-out specular highlights and reports which ninths of the frame they fall in
+     * @private
+     */
+    _detectGlare(imgData, width, height) {
+        const data = imgData.data;
+        const regionNames = [
+            'top-left', 'top', 'top-right',
+            'left', 'center', 'right',
+            'bottom-left', 'bottom', 'bottom-right'
+        ];
+        const glareCounts = new Array(9).fill(0);
+        const pixelCounts = new Array(9).fill(0);
+        let glarePixels = 0;
+        
+        for (let y = 0; y < height; y++) {
+            const row = Math.min(2, Math.floor(y * 3 / height));
+            for (let x = 0; x < width; x++) {
+                const region = row * 3 + Math.min(2, Math.floor(x * 3 / width));
+                const i = (y * width + x) * 4;
+                const max = Math.max(data[i], data[i + 1], data[i + 2]);
+                const min = Math.min(data[i], data[i + 1], data[i + 2]);
+                
+                pixelCounts[region]++;
+                // Glare is near-saturated and colourless; paper white is usually a little darker
+                if (min >= 245 && max - min <= 12) {
+                    glareCounts[region]++;
+                    glarePixels++;
+                }
+            }
+        }
+        
+        const hotspots = [];
+        for (let region = 0; region < 9; region++) {
+            const ratio = pixelCounts[region] > 0 ? glareCounts[region] / pixelCounts[region] : 0;
+            if (ratio >= 0.02) { // 2% of a region blown out is visible glare
+                hotspots.push({ region: regionNames[region], ratio: Math.round(ratio * 1000) / 1000 });
+            }
         }
+        hotspots.sort((a, b) => b.ratio - a.ratio);
+        
+        const glareRatio = glarePixels / (width * height);
+        const worstRatio = hotspots.length > 0 ? hotspots[0].ratio : 0;
+        
+        return {
+            glareScore: Math.round(Math.max(0, 1 - worstRatio * 5) * 100) / 100,
+            glareRatio: Math.round(glareRatio * 1000) / 1000,
+            hasGlare: hotspots.length > 0,
+            hotspots
+        };
+    },
+    
+    /**
+     * Estimates motion-blur direction from the gradient structure tensor.
+     * Motion smears detail along the direction of travel, so gradients across it survive.
+     * @private
+     */
+    _estimateMotionBlur(tensor, blur) {
+        const { xx, yy, xy } = tensor;
+        const trace = xx + yy;
+        
+        if (trace <= 0) {
+            return { detected: false, angle: null, direction: null, strength: 0 };
+        }
+        
+        const difference = Math.sqrt((xx - yy) * (xx - yy) + 4 * xy * xy);
+        const anisotropy = difference / trace; // 0 = isotropic, 1 = all gradients one way
+        
+        // Dominant gradient orientation; blur runs perpendicular to it
+        const gradientAngle = 0.5 * Math.atan2(2 * xy, xx - yy);
+        const angle = ((Math.round(gradientAngle * 180 / Math.PI) + 90) % 180 + 180) % 180;
+        
+        let direction = 'diagonal';
+        if (angle < 22.5 || angle >= 157.5) {
+            direction = 'horizontal';
+        } else if (angle >= 67.5 && angle < 112.5) {
+            direction = 'vertical';
+        }
+        
+        // Strongly directional detail is motion blur on its own; milder anisotropy only counts on a soft image
+        const detected = anisotropy >= 0.7 || (!blur.isSharp && anisotropy >= 0.35);
+        
+        return {
+            detected,
+            angle: Math.round(angle),
+            direction: detected ? direction : null,
+            strength: Math.round(anisotropy * 100) / 100
+        };
+    },
+    
+    /**
+     * Turns analysis results into human-readable fixes, most important first
+     * @private
+     */
+    _rankFixes({ blur, lighting, edges, resolution, glare, motionBlur }) {
+        const fixes = [];
+        
+        if (motionBlur.detected) {
+            fixes.push({
+                code: 'motion-blur',
+                message: `Hold the camera still (${motionBlur.direction} motion blur)`,
+                severity: 1 - blur.blurScore
+            });
+        } else if (!blur.isSharp) {
+            fixes.push({ code: 'out-of-focus', message: 'Tap to focus on the document', severity: 1 - blur.blurScore });
+        }
+        
+        if (resolution.resolutionScore < 1) {
+            const severity = 1 - resolution.resolutionScore;
+            fixes.push(resolution.coverage < 0.6 ?
+                { code: 'too-far', message: 'Move closer', severity } :
+                { code: 'low-resolution', message: 'Use a higher camera resolution', severity });
+        }
+        
+        for (const hotspot of glare.hotspots) {
+            fixes.push({
+                code: 'glare',
+                message: `Reduce glare ${hotspot.region}`,
+                severity: Math.min(1, hotspot.ratio * 5)
+            });
+        }
+        
+        if (!lighting.isWellLit) {
+            const severity = 1 - lighting.lightingScore;
+            if (lighting.brightness < 0.4) {
+                fixes.push({ code: 'too-dark', message: 'Add more light', severity });
+            } else if (lighting.brightness > 0.7) {
+                fixes.push({ code: 'too-bright', message: 'Reduce direct light on the document', severity });
+            } else {
+                fixes.push({ code: 'low-contrast', message: 'Place the document on a contrasting background', severity });
+            }
+        }
+        
+        if (!edges.hasRectangle && !resolution.documentDetected) {
+            fixes.push({ code: 'edges-not-visible', message: 'Fit all four document edges in the frame', severity: 1 - edges.edgeScore });
+        }
+        
+        fixes.sort((a, b) => b.severity - a.severity);
+        for (const fix of fixes) {
+            fix.severity = Math.round(fix.severity * 100) / 100;
+        }
+        
+        return fixes;
     },
     
     /**
@@ -152,7 +454,42 @@ window.imageQuality = {
             });
         }
         
-        throw new Error('Invalid input type. Expected ImageData, Canvas, or base64 string.');
+        const blob = await this._getBlobFromInput(input);
+        if (blob) {
+            // Binary transport: Blob, ArrayBuffer, Uint8Array or DotNetStreamReference
+            const bitmap = await createImageBitmap(blob);
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0);
+            bitmap.close();
+            return canvas;
+        }
+        
+        throw new Error('Invalid input type. Expected ImageData, Canvas, base64 string, Blob, ArrayBuffer, or Uint8Array.');
+    },
+    
+    /**
+     * Normalizes binary image input to a Blob
+     * @private
+     * @returns {Promise<Blob|null>} Blob, or null if the input is not binary
+     */
+    async _getBlobFromInput(input) {
+        if (input instanceof Blob) {
+            return input;
+        }
+        
+        if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) {
+            return new Blob([input]);
+        }
+        
+        // DotNetStreamReference exposes arrayBuffer() and stream()
+        if (input && typeof input.arrayBuffer === 'function') {
+            return new Blob([await input.arrayBuffer()]);
+        }
+        
+        return null;
     },
     
     /**
@@ -327,9 +664,10 @@ window.imageQuality = {
     
     /**
      * Applies Sobel edge detection algorithm
+     * @param {Object} tensor - Optional { xx, yy, xy } accumulator for the gradient structure tensor
      * @private
      */
-    _applySobelEdgeDetection(grayscale, width, height) {
+    _applySobelEdgeDetection(grayscale, width, height, tensor = null) {
         // Sobel kernels for horizontal and vertical edge detection
         const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
         const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
@@ -357,6 +695,12 @@ window.imageQuality = {
                 // Calculate edge magnitude
                 const magnitude = Math.sqrt(gx * gx + gy * gy);
                 edges[y * width + x] = magnitude;
+                
+                if (tensor) {
+                    tensor.xx += gx * gx;
+                    tensor.yy += gy * gy;
+                    tensor.xy += gx * gy;
+                }
             }
         }
         
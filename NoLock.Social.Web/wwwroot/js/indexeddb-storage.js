@@ -5,122 +5,533 @@ window.indexedDbStorage = (function() {
     'use strict';
 
     const DB_NAME = 'NoLockSocialOfflineStorage';
-    const DB_VERSION = 1;
     
     // Object store names
     const STORES = {
         SESSIONS: 'sessions',
         IMAGES: 'images', 
+        IMAGE_DATA: 'imageData',
         OPERATIONS: 'operations'
     };
 
+    // Longest edge of the thumbnails kept next to image metadata
+    const THUMBNAIL_SIZE = 160;
+
+    // Schema migrations: version -> upgrade(database, transaction, context). The schema version is the
+    // highest registered version; opening an older database runs every newer step in order inside the
+    // upgrade transaction. Steps queue their requests synchronously; context.transformRecords(storeName, transform)
+    // rewrites each record of a store (return the new record, null to delete it, or undefined to keep it)
+    // and the next step starts once it has finished. Never change a shipped step; add a new version instead.
+    const MIGRATIONS = {
+        1: (database) => {
+            const sessionsStore = database.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+            sessionsStore.createIndex('sessionId', 'sessionId', { unique: true });
+            sessionsStore.createIndex('createdAt', 'createdAt', { unique: false });
+
+            const imagesStore = database.createObjectStore(STORES.IMAGES, { keyPath: 'id' });
+            imagesStore.createIndex('imageId', 'imageId', { unique: true });
+            imagesStore.createIndex('timestamp', 'timestamp', { unique: false });
+
+            const operationsStore = database.createObjectStore(STORES.OPERATIONS, { keyPath: 'id' });
+            operationsStore.createIndex('operationId', 'operationId', { unique: true });
+            operationsStore.createIndex('priority', 'priority', { unique: false });
+            operationsStore.createIndex('createdAt', 'createdAt', { unique: false });
+        },
+
+        // Image bytes move out of JSON strings into Blobs in their own store, so listing images
+        // reads only metadata. Thumbnails cannot be drawn inside the upgrade and follow on first use.
+        2: (database, transaction, context) => {
+            database.createObjectStore(STORES.IMAGE_DATA, { keyPath: 'id' });
+            const imageData = transaction.objectStore(STORES.IMAGE_DATA);
+
+            context.transformRecords(STORES.IMAGES, (record) => {
+                let image;
+                try {
+                    image = parseImageJson(record.data);
+                } catch (error) {
+                    console.warn(`Dropping unreadable image '${record.id}' during migration:`, error);
+                    return null;
+                }
+                imageData.put({ id: record.id, blob: image.blob });
+                return {
+                    id: record.id,
+                    imageId: record.id,
+                    metadata: image.metadata,
+                    mimeType: image.blob.type,
+                    size: image.blob.size,
+                    thumbnail: null,
+                    timestamp: record.timestamp
+                };
+            });
+        },
+
+        // Images record the session they belong to, so deleting a session can take its images along
+        3: (database, transaction, context) => {
+            transaction.objectStore(STORES.IMAGES).createIndex('sessionId', 'sessionId', { unique: false });
+            context.transformRecords(STORES.IMAGES, (record) => {
+                const sessionId = getSessionId(record.metadata);
+                return sessionId ? { ...record, sessionId: sessionId } : undefined;
+            });
+        },
+
+        // A session's images are listed in capture order without scanning every image
+        4: (database, transaction) => {
+            transaction.objectStore(STORES.IMAGES).createIndex('sessionTimestamp', ['sessionId', 'timestamp'], { unique: false });
+        }
+    };
+
+    // Page size for listSessions and listImages when no limit is given
+    const DEFAULT_PAGE_SIZE = 50;
+
+    // Progress is reported to .NET every this many transformed records
+    const PROGRESS_INTERVAL = 100;
+
+    // Usage is checked against the origin's quota after every write. Crossing a warning threshold
+    // (a fraction of the quota) notifies .NET; above evictionThreshold the least recently used images
+    // that are already uploaded lose their full-size Blob until usage is back at evictionTarget.
+    // Queued operations are never evicted.
+    const DEFAULT_QUOTA_SETTINGS = {
+        warningThresholds: [0.7, 0.85, 0.95],
+        evictionThreshold: 0.8,
+        evictionTarget: 0.7
+    };
+
+    // Reading an image records lastAccessedAt for eviction at most this often (ms) per image
+    const TOUCH_INTERVAL = 60000;
+
     let db = null;
     let isInitialized = false;
+    let openPromise = null;
+    let channel = null;
+    let dotNetRef = null;
+    let quotaSettings = { ...DEFAULT_QUOTA_SETTINGS };
+    let warningLevel = -1;
+    let lastTouched = new Map();
+
+    function getSchemaVersion() {
+        return Math.max(...Object.keys(MIGRATIONS).map(Number));
+    }
 
-    // Initialize IndexedDB and create object stores
+    // Add a migration step; only possible before the database is opened
+    function registerMigration(version, upgrade) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`Invalid migration version: ${version}`);
+        }
+        if (MIGRATIONS[version]) {
+            throw new Error(`A migration for version ${version} is already registered`);
+        }
+        if (typeof upgrade !== 'function') {
+            throw new Error(`Migration ${version} must be a function`);
+        }
+        if (db || openPromise) {
+            throw new Error('Migrations must be registered before the database is opened');
+        }
+        MIGRATIONS[version] = upgrade;
+    }
+
+    // Initialize IndexedDB, migrating the schema when it is older than this build
     async function initialize() {
         if (isInitialized && db) {
             return;
         }
 
+        // Concurrent callers share one open request, which may wait on other tabs
+        if (!openPromise) {
+            openPromise = openDatabase().finally(() => {
+                openPromise = null;
+            });
+        }
+        return openPromise;
+    }
+
+    function openDatabase() {
+        const version = getSchemaVersion();
+
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(DB_NAME, version);
+            let migration = null;
 
             request.onerror = () => {
-                reject(new Error(`Failed to open IndexedDB: ${request.error}`));
+                const error = request.error;
+                if (error && error.name === 'VersionError') {
+                    reject(new Error('Offline storage was upgraded by a newer version of the app; reload the page'));
+                } else if (migration && migration.error) {
+                    reject(new Error(`Migration to version ${migration.progress.version} failed: ${migration.error.message}`));
+                } else {
+                    reject(new Error(`Failed to open IndexedDB: ${error}`));
+                }
+            };
+
+            // Another tab still holds an older connection open; ask every tab to let go
+            request.onblocked = (event) => {
+                console.warn(`IndexedDB upgrade to version ${version} blocked by another open connection`);
+                getChannel().postMessage({ type: 'close-connection', version: version });
+                notifyDotNet('OnStorageBlocked', event.oldVersion, version);
             };
 
             request.onsuccess = () => {
                 db = request.result;
                 isInitialized = true;
+
+                // A newer build opening the database in another tab needs this connection closed
+                db.onversionchange = (event) => {
+                    closeConnection();
+                    console.info(`IndexedDB connection closed for upgrade to version ${event.newVersion}`);
+                    notifyDotNet('OnStorageVersionChange', event.newVersion);
+                };
+                getChannel();
+
+                if (migration) {
+                    notifyMigration('completed', migration.progress);
+                }
                 console.log('IndexedDB initialized successfully');
                 resolve();
             };
 
             request.onupgradeneeded = (event) => {
-                const database = event.target.result;
+                migration = runMigrations(event.target.result, request.transaction, event.oldVersion, event.newVersion);
+            };
+        });
+    }
+
+    // Apply migrations oldVersion + 1 .. newVersion, one after the other, in the upgrade transaction
+    function runMigrations(database, transaction, fromVersion, toVersion) {
+        const versions = Object.keys(MIGRATIONS).map(Number)
+            .filter(version => version > fromVersion && version <= toVersion)
+            .sort((a, b) => a - b);
+        const migration = {
+            error: null,
+            progress: {
+                fromVersion: fromVersion,
+                toVersion: toVersion,
+                version: fromVersion,
+                completedSteps: 0,
+                totalSteps: versions.length,
+                recordsProcessed: 0
+            }
+        };
+        let pending = 0;
+
+        const fail = (error) => {
+            if (migration.error) {
+                return;
+            }
+            migration.error = error;
+            console.error(`IndexedDB migration to version ${migration.progress.version} failed:`, error);
+            notifyMigration('failed', migration.progress, error.message);
+            transaction.abort();
+        };
+
+        const nextStep = () => {
+            if (migration.progress.completedSteps === versions.length) {
+                return;
+            }
 
-                // Create sessions object store
-                if (!database.objectStoreNames.contains(STORES.SESSIONS)) {
-                    const sessionsStore = database.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
-                    sessionsStore.createIndex('sessionId', 'sessionId', { unique: true });
-                    sessionsStore.createIndex('createdAt', 'createdAt', { unique: false });
+            const version = versions[migration.progress.completedSteps];
+            migration.progress.version = version;
+            try {
+                MIGRATIONS[version](database, transaction, { transformRecords: transformRecords });
+            } catch (error) {
+                fail(error);
+                return;
+            }
+            if (pending === 0) {
+                completeStep();
+            }
+        };
+
+        const completeStep = () => {
+            migration.progress.completedSteps++;
+            notifyMigration('migrating', migration.progress);
+            nextStep();
+        };
+
+        const transformRecords = (storeName, transform) => {
+            pending++;
+            const request = transaction.objectStore(storeName).openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (migration.error) {
+                    return;
+                }
+                if (!cursor) {
+                    pending--;
+                    if (pending === 0) {
+                        completeStep();
+                    }
+                    return;
                 }
 
-                // Create images object store
-                if (!database.objectStoreNames.contains(STORES.IMAGES)) {
-                    const imagesStore = database.createObjectStore(STORES.IMAGES, { keyPath: 'id' });
-                    imagesStore.createIndex('imageId', 'imageId', { unique: true });
-                    imagesStore.createIndex('timestamp', 'timestamp', { unique: false });
+                try {
+                    const record = transform(cursor.value);
+                    if (record === null) {
+                        cursor.delete();
+                    } else if (record !== undefined) {
+                        cursor.update(record);
+                    }
+                } catch (error) {
+                    fail(error);
+                    return;
                 }
 
-                // Create operations object store
-                if (!database.objectStoreNames.contains(STORES.OPERATIONS)) {
-                    const operationsStore = database.createObjectStore(STORES.OPERATIONS, { keyPath: 'id' });
-                    operationsStore.createIndex('operationId', 'operationId', { unique: true });
-                    operationsStore.createIndex('priority', 'priority', { unique: false });
-                    operationsStore.createIndex('createdAt', 'createdAt', { unique: false });
+                migration.progress.recordsProcessed++;
+                if (migration.progress.recordsProcessed % PROGRESS_INTERVAL === 0) {
+                    notifyMigration('migrating', migration.progress);
                 }
+                cursor.continue();
+            };
+        };
+
+        console.info(`Migrating IndexedDB from version ${fromVersion} to ${toVersion}`);
+        notifyMigration('started', migration.progress);
+        nextStep();
+        return migration;
+    }
 
-                console.log('IndexedDB object stores created/updated');
+    // Tabs of an older build only learn about an upgrade through this channel
+    function getChannel() {
+        if (!channel && typeof BroadcastChannel !== 'undefined') {
+            channel = new BroadcastChannel(DB_NAME);
+            channel.onmessage = (event) => {
+                if (event.data && event.data.type === 'close-connection' && db && db.version < event.data.version) {
+                    closeConnection();
+                    console.info(`IndexedDB connection closed at another tab's request for version ${event.data.version}`);
+                    notifyDotNet('OnStorageVersionChange', event.data.version);
+                }
             };
-        });
+        }
+        return channel || { postMessage: () => {} };
     }
 
-    // Generic helper to perform IndexedDB transactions
-    function performTransaction(storeName, mode, operation) {
+    function closeConnection() {
+        if (db) {
+            db.close();
+            db = null;
+            isInitialized = false;
+        }
+    }
+
+    // Storage events for .NET: OnStorageMigrationProgress(progress), OnStorageBlocked(oldVersion, newVersion),
+    // OnStorageVersionChange(newVersion) once this tab gave up its connection for an upgrade,
+    // OnStorageQuotaWarning(status) and OnStorageEviction({ evictedImages, freedBytes, imageIds })
+    function registerStorageEvents(reference) {
+        dotNetRef = reference;
+    }
+
+    function unregisterStorageEvents() {
+        dotNetRef = null;
+    }
+
+    function notifyMigration(status, progress, message) {
+        notifyDotNet('OnStorageMigrationProgress', { ...progress, status: status, message: message || null });
+    }
+
+    function notifyDotNet(method, ...args) {
+        if (!dotNetRef) {
+            return;
+        }
+        dotNetRef.invokeMethodAsync(method, ...args)
+            .catch(error => console.error(`Failed to invoke .NET storage callback '${method}':`, error));
+    }
+
+    // Run fn(stores, abort) in one transaction over storeNames, where stores maps each store name to its
+    // object store. fn must queue its requests synchronously or from their callbacks. Resolves once the
+    // transaction has committed, with the result of the request fn returns or with any other value it
+    // returns. Nothing is written when a request fails, fn throws, or fn calls abort(error); the promise
+    // then rejects with that error.
+    function runTransaction(storeNames, mode, fn) {
         return new Promise((resolve, reject) => {
             if (!db) {
                 reject(new Error('IndexedDB not initialized'));
                 return;
             }
 
+            let transaction = null;
+            let reason = null;
+            let value;
             try {
-                const transaction = db.transaction([storeName], mode);
-                const store = transaction.objectStore(storeName);
-
-                transaction.onerror = () => {
-                    reject(new Error(`Transaction failed: ${transaction.error}`));
-                };
-
-                transaction.oncomplete = () => {
-                    // Transaction completed successfully
+                transaction = db.transaction(storeNames, mode);
+                const stores = {};
+                storeNames.forEach(name => {
+                    stores[name] = transaction.objectStore(name);
+                });
+                const abort = (error) => {
+                    reason = reason || error || new Error('Transaction aborted');
+                    transaction.abort();
                 };
 
-                const request = operation(store);
-                
-                if (request) {
-                    request.onsuccess = () => {
-                        resolve(request.result);
-                    };
-                    
-                    request.onerror = () => {
-                        reject(new Error(`Operation failed: ${request.error}`));
-                    };
-                } else {
-                    resolve();
-                }
+                value = fn(stores, abort);
             } catch (error) {
+                if (transaction) {
+                    try {
+                        transaction.abort();
+                    } catch (abortError) {
+                        // Already finished
+                    }
+                }
                 reject(error);
+                return;
             }
+
+            transaction.oncomplete = () => {
+                resolve(typeof IDBRequest !== 'undefined' && value instanceof IDBRequest ? value.result : value);
+            };
+            transaction.onabort = () => {
+                reject(reason || new Error(`Transaction failed: ${transaction.error}`));
+            };
+        });
+    }
+
+    // Single-store transaction, resolved with the result of the request operation returns
+    function performTransaction(storeName, mode, operation) {
+        return runTransaction([storeName], mode, (stores) => operation(stores[storeName]));
+    }
+
+    // One page of records in index order. The cursor token names the last record returned, as its
+    // index key and primary key, so paging stays stable while records are added or removed. A prefix
+    // pages through a compound index [...prefix, date] within the records that share that prefix.
+    function readPage(storeName, indexName, options, mapRecord, prefix) {
+        const { since, until, limit = DEFAULT_PAGE_SIZE, cursor: token } = options;
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error(`Invalid page size: ${limit}`);
+        }
+
+        const after = token ? decodeCursor(token) : null;
+        let lower = since != null ? new Date(since) : null;
+        if (after && (!lower || after.key > lower)) {
+            lower = after.key;
+        }
+        const upper = until != null ? new Date(until) : null;
+        if (lower && upper && lower > upper) {
+            return Promise.resolve({ items: [], cursor: null });
+        }
+
+        // Arrays sort after dates, so [...prefix, []] is above every date under the prefix
+        const toKey = (date) => prefix ? [...prefix, date] : date;
+        const range = prefix ? IDBKeyRange.bound(lower ? toKey(lower) : prefix, toKey(upper || [])) :
+            lower && upper ? IDBKeyRange.bound(lower, upper) :
+            lower ? IDBKeyRange.lowerBound(lower) :
+            upper ? IDBKeyRange.upperBound(upper) : null;
+        const afterKey = after ? toKey(after.key) : null;
+
+        const page = { items: [], cursor: null };
+        return runTransaction([storeName], 'readonly', (stores) => {
+            const request = stores[storeName].index(indexName).openCursor(range);
+            let next = null;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    return;
+                }
+
+                const seen = after && indexedDB.cmp(cursor.key, afterKey) === 0 && indexedDB.cmp(cursor.primaryKey, after.id) <= 0;
+                if (!seen) {
+                    // A further record means there is another page
+                    if (next) {
+                        page.cursor = next;
+                        return;
+                    }
+                    page.items.push(mapRecord(cursor.value));
+                    if (page.items.length === limit) {
+                        next = encodeCursor(prefix ? cursor.key[prefix.length] : cursor.key, cursor.primaryKey);
+                    }
+                }
+                cursor.continue();
+            };
+            return page;
         });
     }
 
+    function encodeCursor(key, id) {
+        return JSON.stringify([key.getTime(), id]);
+    }
+
+    function decodeCursor(token) {
+        try {
+            const [time, id] = JSON.parse(token);
+            return { key: new Date(time), id: id };
+        } catch (error) {
+            throw new Error('Invalid page cursor');
+        }
+    }
+
     // Session management functions
+
+    // Create or replace a session; createdAt is kept when the session already exists
     async function saveSession(sessionId, sessionJson) {
         await initialize();
-        
-        const sessionData = {
-            id: sessionId,
-            sessionId: sessionId,
-            data: sessionJson,
-            createdAt: new Date(),
-            updatedAt: new Date()
-        };
 
-        return performTransaction(STORES.SESSIONS, 'readwrite', (store) => {
-            return store.put(sessionData);
+        return writeSession(sessionId, sessionJson, false);
+    }
+
+    // Replace the data of an existing session
+    async function updateSession(sessionId, sessionJson) {
+        await initialize();
+
+        return writeSession(sessionId, sessionJson, true);
+    }
+
+    // Read and write in one transaction, so concurrent saves cannot lose createdAt
+    async function writeSession(sessionId, sessionJson, mustExist) {
+        await runTransaction([STORES.SESSIONS], 'readwrite', (stores, abort) => {
+            putSession(stores[STORES.SESSIONS], sessionId, sessionJson, mustExist, abort);
         });
+        await checkQuotaAfterWrite();
+    }
+
+    // Save a session and its images in one transaction, so neither is stored without the other. Each image
+    // is { imageId, image, metadataJson } as for saveImage and is filed under sessionId; .NET serializes
+    // a byte[] inside an object as base64.
+    async function saveSessionWithImages(sessionId, sessionJson, images = []) {
+        await initialize();
+
+        // Blobs and thumbnails are prepared first; a transaction commits once it has no pending requests
+        const timestamp = new Date();
+        const prepared = await Promise.all(images.map(item =>
+            prepareImage(item.imageId, item.image, item.metadataJson, timestamp, sessionId)));
+
+        await runTransaction([STORES.SESSIONS, STORES.IMAGES, STORES.IMAGE_DATA], 'readwrite', (stores, abort) => {
+            putSession(stores[STORES.SESSIONS], sessionId, sessionJson, false, abort);
+            prepared.forEach(({ blob, record }) => {
+                stores[STORES.IMAGE_DATA].put({ id: record.id, blob: blob });
+                stores[STORES.IMAGES].put(record);
+            });
+        });
+        await checkQuotaAfterWrite();
+    }
+
+    // Save a session and queue an operation for it in one transaction
+    async function saveSessionWithOperation(sessionId, sessionJson, operationId, operationJson) {
+        await initialize();
+
+        const queueItem = createQueueItem(operationId, operationJson);
+        await runTransaction([STORES.SESSIONS, STORES.OPERATIONS], 'readwrite', (stores, abort) => {
+            putSession(stores[STORES.SESSIONS], sessionId, sessionJson, false, abort);
+            stores[STORES.OPERATIONS].put(queueItem);
+        });
+        await checkQuotaAfterWrite();
+    }
+
+    // Queue the read and write of a session record on store's transaction
+    function putSession(store, sessionId, sessionJson, mustExist, abort) {
+        store.get(sessionId).onsuccess = (event) => {
+            const existing = event.target.result;
+            if (!existing && mustExist) {
+                abort(new Error(`Session '${sessionId}' not found`));
+                return;
+            }
+
+            const now = new Date();
+            store.put({
+                id: sessionId,
+                sessionId: sessionId,
+                data: sessionJson,
+                size: byteLength(sessionJson),
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            });
+        };
     }
 
     async function loadSession(sessionId) {
@@ -143,50 +554,329 @@ window.indexedDbStorage = (function() {
         return results ? results.map(item => item.data) : [];
     }
 
+    // Sessions created in [since, until], oldest first, a page at a time. Pass the returned cursor back
+    // to get the next page; it is null after the last one. Items are { sessionId, data, createdAt, updatedAt }.
+    async function listSessions(options = {}) {
+        await initialize();
+
+        return readPage(STORES.SESSIONS, 'createdAt', options, (record) => ({
+            sessionId: record.sessionId,
+            data: record.data,
+            createdAt: record.createdAt,
+            updatedAt: record.updatedAt
+        }));
+    }
+
+    // Delete a session together with its images
+    async function deleteSession(sessionId) {
+        await initialize();
+
+        let deletedImages = 0;
+        await runTransaction([STORES.SESSIONS, STORES.IMAGES, STORES.IMAGE_DATA], 'readwrite', (stores) => {
+            const images = stores[STORES.IMAGES];
+            stores[STORES.SESSIONS].delete(sessionId);
+            images.index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    images.delete(cursor.primaryKey);
+                    stores[STORES.IMAGE_DATA].delete(cursor.primaryKey);
+                    deletedImages++;
+                    cursor.continue();
+                }
+            };
+        });
+        return deletedImages;
+    }
+
     // Image management functions
-    async function saveImage(imageId, imageJson) {
+
+    // Store an image as a Blob with its metadata and a thumbnail. image is binary data (Blob, ArrayBuffer,
+    // typed array or DotNetStreamReference) or a base64 string or data URL, described by metadataJson;
+    // or a serialized CapturedImage whose ImageData holds base64 or a data URL.
+    async function saveImage(imageId, image, metadataJson) {
         await initialize();
-        
-        const imageData = {
-            id: imageId,
-            imageId: imageId,
-            data: imageJson,
-            timestamp: new Date(),
-            size: new Blob([imageJson]).size
-        };
 
-        return performTransaction(STORES.IMAGES, 'readwrite', (store) => {
-            return store.put(imageData);
+        const { blob, record } = await prepareImage(imageId, image, metadataJson, new Date());
+        await runTransaction([STORES.IMAGES, STORES.IMAGE_DATA], 'readwrite', (stores) => {
+            stores[STORES.IMAGE_DATA].put({ id: imageId, blob: blob });
+            stores[STORES.IMAGES].put(record);
         });
+        await checkQuotaAfterWrite();
     }
 
+    // Image Blob and its record, ready to be written; sessionId overrides the one in the metadata
+    async function prepareImage(imageId, image, metadataJson, timestamp, sessionId) {
+        const { blob, metadata } = typeof image === 'string' && image.trimStart().startsWith('{') ?
+            parseImageJson(image) :
+            {
+                blob: typeof image === 'string' ? decodeImageData(image) : await toBlob(image),
+                metadata: metadataJson ? JSON.parse(metadataJson) : {}
+            };
+        const thumbnail = await createThumbnail(blob);
+        const record = createImageRecord(imageId, blob, metadata, thumbnail, timestamp);
+        if (sessionId) {
+            record.sessionId = sessionId;
+        }
+        return { blob: blob, record: record };
+    }
+
+    async function deleteImage(imageId) {
+        await initialize();
+
+        return runTransaction([STORES.IMAGES, STORES.IMAGE_DATA], 'readwrite', (stores) => {
+            stores[STORES.IMAGES].delete(imageId);
+            stores[STORES.IMAGE_DATA].delete(imageId);
+        });
+    }
+
+    // Image metadata by capture time, paged like listSessions; options.sessionId limits the list to one session
+    async function listImages(options = {}) {
+        await initialize();
+
+        return options.sessionId ?
+            readPage(STORES.IMAGES, 'sessionTimestamp', options, describeImage, [options.sessionId]) :
+            readPage(STORES.IMAGES, 'timestamp', options, describeImage);
+    }
+
+    // Full-resolution image Blob; .NET receives it as an IJSStreamReference. Null once the image was evicted.
     async function loadImage(imageId) {
         await initialize();
-        
+
+        const record = await performTransaction(STORES.IMAGE_DATA, 'readonly', (store) => {
+            return store.get(imageId);
+        });
+        if (!record) {
+            return null;
+        }
+        touchImage(imageId);
+        return record.blob;
+    }
+
+    // Bytes [start, end) of an image, for reading large images in pieces
+    async function loadImageRange(imageId, start, end) {
+        const blob = await loadImage(imageId);
+        if (!blob) {
+            return null;
+        }
+        return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+    }
+
+    // Reads order images for eviction. The write runs in its own transaction, queued before any
+    // later one, and is skipped within TOUCH_INTERVAL of the last so chunked reads don't rewrite metadata.
+    function touchImage(imageId) {
+        const now = Date.now();
+        if (now - (lastTouched.get(imageId) || 0) < TOUCH_INTERVAL) {
+            return;
+        }
+        lastTouched.set(imageId, now);
+
+        performTransaction(STORES.IMAGES, 'readwrite', (store) => {
+            store.get(imageId).onsuccess = (event) => {
+                const record = event.target.result;
+                if (record) {
+                    store.put({ ...record, lastAccessedAt: new Date(now) });
+                }
+            };
+        }).catch(error => console.warn(`Could not record access to image '${imageId}':`, error));
+    }
+
+    async function getImageMetadata(imageId) {
+        await initialize();
+
         const result = await performTransaction(STORES.IMAGES, 'readonly', (store) => {
             return store.get(imageId);
         });
 
-        return result ? result.data : null;
+        return result ? describeImage(result) : null;
+    }
+
+    // Thumbnail Blob, drawn and stored on first use for images saved without one
+    async function getThumbnail(imageId) {
+        await initialize();
+
+        const record = await performTransaction(STORES.IMAGES, 'readonly', (store) => {
+            return store.get(imageId);
+        });
+        if (!record) {
+            return null;
+        }
+        if (record.thumbnail) {
+            return record.thumbnail;
+        }
+
+        const thumbnail = await createThumbnail(await loadImage(imageId));
+        if (thumbnail) {
+            await performTransaction(STORES.IMAGES, 'readwrite', (store) => {
+                return store.put({ ...record, thumbnail: thumbnail });
+            });
+        }
+        return thumbnail;
+    }
+
+    // Object URLs let <img> elements show stored images without copying them through .NET;
+    // release each with revokeImageUrl when the element goes away
+    async function getImageUrl(imageId) {
+        const blob = await loadImage(imageId);
+        return blob ? URL.createObjectURL(blob) : null;
+    }
+
+    async function getThumbnailUrl(imageId) {
+        const thumbnail = await getThumbnail(imageId);
+        return thumbnail ? URL.createObjectURL(thumbnail) : null;
+    }
+
+    function revokeImageUrl(url) {
+        if (url) {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    function createImageRecord(imageId, blob, metadata, thumbnail, timestamp) {
+        return {
+            id: imageId,
+            imageId: imageId,
+            sessionId: getSessionId(metadata),
+            metadata: metadata,
+            mimeType: blob.type,
+            size: blob.size,
+            thumbnail: thumbnail,
+            timestamp: timestamp,
+            lastAccessedAt: timestamp,
+            uploadedAt: null,
+            evictedAt: null
+        };
+    }
+
+    // Images without a session are left out of the sessionId index
+    function getSessionId(metadata) {
+        return (metadata && (metadata.SessionId || metadata.sessionId)) || undefined;
+    }
+
+    function describeImage(record) {
+        return {
+            ...record.metadata,
+            imageId: record.imageId,
+            mimeType: record.mimeType,
+            size: record.size,
+            hasThumbnail: !!record.thumbnail,
+            storedAt: record.timestamp,
+            uploaded: !!record.uploadedAt,
+            evicted: !!record.evictedAt
+        };
+    }
+
+    // Serialized CapturedImage -> image Blob and the remaining fields as metadata
+    function parseImageJson(imageJson) {
+        const image = JSON.parse(imageJson);
+        if (!image || typeof image !== 'object') {
+            throw new Error('Image JSON is not an object');
+        }
+
+        const { ImageData, imageData, ImageUrl, imageUrl, ...metadata } = image;
+        const encoded = ImageData || imageData || [ImageUrl, imageUrl].find(url => url && url.startsWith('data:'));
+        if (!encoded) {
+            throw new Error('Image JSON has no image data');
+        }
+
+        return { blob: decodeImageData(encoded), metadata: metadata };
+    }
+
+    // Base64 or a data URL -> image Blob
+    function decodeImageData(encoded) {
+        const match = /^data:([^;,]+)?(;base64)?,/.exec(encoded);
+        const binary = atob(match ? encoded.slice(match[0].length) : encoded);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        const mimeType = (match && match[1]) || detectMimeType(bytes);
+        return new Blob([bytes], { type: mimeType });
+    }
+
+    async function toBlob(data) {
+        if (data instanceof Blob) {
+            return data;
+        }
+        // DotNetStreamReference
+        const buffer = data && typeof data.arrayBuffer === 'function' ? await data.arrayBuffer() : data;
+        if (!(buffer instanceof ArrayBuffer) && !ArrayBuffer.isView(buffer)) {
+            throw new Error('Unsupported image data type');
+        }
+        const bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        return new Blob([bytes], { type: detectMimeType(bytes) });
+    }
+
+    function detectMimeType(bytes) {
+        if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+            return 'image/png';
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+            return 'image/jpeg';
+        }
+        if (bytes[0] === 0x52 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x46 &&
+            bytes[8] === 0x57 && bytes[9] === 0x45 && bytes[10] === 0x42 && bytes[11] === 0x50) {
+            return 'image/webp';
+        }
+        return 'application/octet-stream';
+    }
+
+    // JPEG thumbnail with its longest edge at THUMBNAIL_SIZE; null where images cannot be decoded
+    async function createThumbnail(blob) {
+        if (!blob || typeof createImageBitmap === 'undefined') {
+            return null;
+        }
+
+        let bitmap = null;
+        try {
+            bitmap = await createImageBitmap(blob);
+            const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+            const width = Math.max(1, Math.round(bitmap.width * scale));
+            const height = Math.max(1, Math.round(bitmap.height * scale));
+
+            if (typeof OffscreenCanvas !== 'undefined') {
+                const canvas = new OffscreenCanvas(width, height);
+                canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+                return await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+            return await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+        } catch (error) {
+            console.warn('Could not create image thumbnail:', error);
+            return null;
+        } finally {
+            if (bitmap) {
+                bitmap.close();
+            }
+        }
     }
 
     // Operation queue management functions
     async function queueOperation(operationId, operationJson) {
         await initialize();
         
+        const queueItem = createQueueItem(operationId, operationJson);
+        await performTransaction(STORES.OPERATIONS, 'readwrite', (store) => {
+            return store.put(queueItem);
+        });
+        await checkQuotaAfterWrite();
+    }
+
+    function createQueueItem(operationId, operationJson) {
         const operationData = JSON.parse(operationJson);
-        const queueItem = {
+        return {
             id: operationId,
             operationId: operationId,
             data: operationJson,
+            size: byteLength(operationJson),
             priority: operationData.Priority || 0,
             createdAt: new Date(operationData.CreatedAt || new Date()),
             retryCount: operationData.RetryCount || 0
         };
-
-        return performTransaction(STORES.OPERATIONS, 'readwrite', (store) => {
-            return store.put(queueItem);
-        });
     }
 
     async function getPendingOperations() {
@@ -219,19 +909,180 @@ window.indexedDbStorage = (function() {
         });
     }
 
+    // Quota management functions
+
+    // Ask the browser not to clear this origin's storage under pressure; Safari otherwise drops it
+    // after a week without a visit. Returns whether storage is persistent.
+    async function requestPersistence() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persist) {
+            return false;
+        }
+        if (await isPersisted()) {
+            return true;
+        }
+
+        const persisted = await navigator.storage.persist();
+        if (!persisted) {
+            console.warn('Persistent storage was not granted; offline data may be cleared by the browser');
+        }
+        return persisted;
+    }
+
+    async function isPersisted() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.persisted) {
+            return false;
+        }
+        return navigator.storage.persisted();
+    }
+
+    // Override warningThresholds, evictionThreshold or evictionTarget
+    function configureQuota(options = {}) {
+        const settings = { ...quotaSettings, ...options };
+        settings.warningThresholds = [...settings.warningThresholds].sort((a, b) => a - b);
+        if (settings.warningThresholds.some(threshold => !(threshold > 0 && threshold <= 1)) ||
+            !(settings.evictionTarget > 0 && settings.evictionTarget < settings.evictionThreshold && settings.evictionThreshold <= 1)) {
+            throw new Error('Quota thresholds must be fractions of the quota, with evictionTarget below evictionThreshold');
+        }
+
+        quotaSettings = settings;
+        warningLevel = -1;
+        return { ...quotaSettings };
+    }
+
+    async function estimateUsage() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        return { usage: usage, quota: quota, usageRatio: quota > 0 ? usage / quota : null };
+    }
+
+    // Evict when over evictionThreshold, then report the highest warning threshold crossed since
+    // the last check. Dropping back below a threshold re-arms its warning.
+    async function checkQuota() {
+        await initialize();
+
+        const estimate = await estimateUsage();
+        if (!estimate || estimate.usageRatio === null) {
+            return null;
+        }
+
+        let usage = estimate.usage;
+        let eviction = null;
+        if (estimate.usageRatio >= quotaSettings.evictionThreshold) {
+            eviction = await evictUploadedImages(usage - quotaSettings.evictionTarget * estimate.quota);
+            usage = Math.max(0, usage - eviction.freedBytes);
+        }
+
+        const usageRatio = usage / estimate.quota;
+        const level = quotaSettings.warningThresholds.filter(threshold => usageRatio >= threshold).length - 1;
+        const status = {
+            usage: usage,
+            quota: estimate.quota,
+            usageRatio: usageRatio,
+            threshold: level >= 0 ? quotaSettings.warningThresholds[level] : null,
+            persisted: await isPersisted(),
+            evictedImages: eviction ? eviction.evictedImages : 0,
+            freedBytes: eviction ? eviction.freedBytes : 0
+        };
+
+        if (level > warningLevel) {
+            console.warn(`Offline storage is ${Math.round(usageRatio * 100)}% full`);
+            notifyDotNet('OnStorageQuotaWarning', status);
+        }
+        warningLevel = level;
+        return status;
+    }
+
+    // A full storage must not fail the write that filled it
+    async function checkQuotaAfterWrite() {
+        try {
+            await checkQuota();
+        } catch (error) {
+            console.warn('Storage quota check failed:', error);
+        }
+    }
+
+    // Drop the Blobs of uploaded images, least recently used first, keeping metadata and thumbnails
+    async function evictUploadedImages(bytesToFree) {
+        const images = await performTransaction(STORES.IMAGES, 'readonly', (store) => {
+            return store.getAll();
+        }) || [];
+        const candidates = images
+            .filter(record => record.uploadedAt && !record.evictedAt)
+            .sort((a, b) => new Date(a.lastAccessedAt || a.timestamp) - new Date(b.lastAccessedAt || b.timestamp));
+
+        const evicted = [];
+        let freedBytes = 0;
+        for (const record of candidates) {
+            if (freedBytes >= bytesToFree) {
+                break;
+            }
+            evicted.push(record);
+            freedBytes += record.size || 0;
+        }
+        if (evicted.length === 0) {
+            return { evictedImages: 0, freedBytes: 0 };
+        }
+
+        const evictedAt = new Date();
+        await runTransaction([STORES.IMAGES, STORES.IMAGE_DATA], 'readwrite', (stores) => {
+            evicted.forEach(record => {
+                stores[STORES.IMAGE_DATA].delete(record.id);
+                stores[STORES.IMAGES].put({ ...record, evictedAt: evictedAt });
+            });
+        });
+
+        const result = { evictedImages: evicted.length, freedBytes: freedBytes, imageIds: evicted.map(record => record.id) };
+        console.info(`Evicted ${evicted.length} uploaded images to free ${freedBytes} bytes`);
+        notifyDotNet('OnStorageEviction', result);
+        return result;
+    }
+
+    // Uploaded images become candidates for eviction
+    async function markImageUploaded(imageId) {
+        await initialize();
+
+        return runTransaction([STORES.IMAGES], 'readwrite', (stores, abort) => {
+            const store = stores[STORES.IMAGES];
+            store.get(imageId).onsuccess = (event) => {
+                const record = event.target.result;
+                if (!record) {
+                    abort(new Error(`Image '${imageId}' not found`));
+                    return;
+                }
+                store.put({ ...record, uploadedAt: new Date() });
+            };
+        });
+    }
+
+    // Image Blob (until evicted) and thumbnail bytes
+    function imageSize(record) {
+        return (record.evictedAt ? 0 : record.size || 0) + (record.thumbnail ? record.thumbnail.size : 0);
+    }
+
+    // JSON bytes of a session or operation; records from before sizes were stored are measured
+    function textSize(record) {
+        return record.size !== undefined ? record.size : byteLength(record.data);
+    }
+
+    function byteLength(text) {
+        return typeof text === 'string' ? new Blob([text]).size : 0;
+    }
+
     // Cleanup and maintenance functions
     async function clearAllData() {
         await initialize();
         
-        const storeNames = [STORES.SESSIONS, STORES.IMAGES, STORES.OPERATIONS];
+        const storeNames = [STORES.SESSIONS, STORES.IMAGES, STORES.IMAGE_DATA, STORES.OPERATIONS];
         
-        for (const storeName of storeNames) {
-            await performTransaction(storeName, 'readwrite', (store) => {
-                return store.clear();
-            });
-        }
+        await runTransaction(storeNames, 'readwrite', (stores) => {
+            storeNames.forEach(storeName => stores[storeName].clear());
+        });
     }
 
+    // Record counts, bytes held per store, and the origin's usage, quota and persistence
     async function getStorageInfo() {
         await initialize();
         
@@ -239,25 +1090,39 @@ window.indexedDbStorage = (function() {
             sessions: 0,
             images: 0,
             operations: 0,
-            totalSize: 0
+            totalSize: 0,
+            sizes: { sessions: 0, images: 0, operations: 0 }
         };
 
-        // Count items in each store
-        for (const [key, storeName] of Object.entries(STORES)) {
-            const count = await performTransaction(storeName, 'readonly', (store) => {
-                return store.count();
-            });
-            info[key.toLowerCase()] = count || 0;
+        // Sizes are recorded with each record, so image Blobs stay unread
+        for (const key of ['SESSIONS', 'IMAGES', 'OPERATIONS']) {
+            const records = await performTransaction(STORES[key], 'readonly', (store) => {
+                return store.getAll();
+            }) || [];
+            const name = key.toLowerCase();
+            info[name] = records.length;
+            const measure = key === 'IMAGES' ? imageSize : textSize;
+            info.sizes[name] = records.reduce((total, record) => total + measure(record), 0);
+            info.totalSize += info.sizes[name];
         }
 
-        return info;
+        const estimate = await estimateUsage();
+        return {
+            ...info,
+            usage: estimate ? estimate.usage : info.totalSize,
+            quota: estimate ? estimate.quota : null,
+            usageRatio: estimate ? estimate.usageRatio : null,
+            persisted: await isPersisted()
+        };
     }
 
     function dispose() {
+        if (channel) {
+            channel.close();
+            channel = null;
+        }
         if (db) {
-            db.close();
-            db = null;
-            isInitialized = false;
+            closeConnection();
             console.log('IndexedDB connection closed');
         }
     }
@@ -277,14 +1142,40 @@ window.indexedDbStorage = (function() {
             saveSession(sessionId, sessionJson).catch(error => handleError('saveSession', error)),
         loadSession: (sessionId) => 
             loadSession(sessionId).catch(error => handleError('loadSession', error)),
+        updateSession: (sessionId, sessionJson) => 
+            updateSession(sessionId, sessionJson).catch(error => handleError('updateSession', error)),
         getAllSessions: () => 
             getAllSessions().catch(error => handleError('getAllSessions', error)),
+        listSessions: (options) => 
+            listSessions(options).catch(error => handleError('listSessions', error)),
+        deleteSession: (sessionId) => 
+            deleteSession(sessionId).catch(error => handleError('deleteSession', error)),
+        saveSessionWithImages: (sessionId, sessionJson, images) => 
+            saveSessionWithImages(sessionId, sessionJson, images).catch(error => handleError('saveSessionWithImages', error)),
+        saveSessionWithOperation: (sessionId, sessionJson, operationId, operationJson) => 
+            saveSessionWithOperation(sessionId, sessionJson, operationId, operationJson)
+                .catch(error => handleError('saveSessionWithOperation', error)),
         
         // Image operations
-        saveImage: (imageId, imageJson) => 
-            saveImage(imageId, imageJson).catch(error => handleError('saveImage', error)),
+        saveImage: (imageId, image, metadataJson) => 
+            saveImage(imageId, image, metadataJson).catch(error => handleError('saveImage', error)),
         loadImage: (imageId) => 
             loadImage(imageId).catch(error => handleError('loadImage', error)),
+        loadImageRange: (imageId, start, end) => 
+            loadImageRange(imageId, start, end).catch(error => handleError('loadImageRange', error)),
+        getImageMetadata: (imageId) => 
+            getImageMetadata(imageId).catch(error => handleError('getImageMetadata', error)),
+        getThumbnail: (imageId) => 
+            getThumbnail(imageId).catch(error => handleError('getThumbnail', error)),
+        getImageUrl: (imageId) => 
+            getImageUrl(imageId).catch(error => handleError('getImageUrl', error)),
+        getThumbnailUrl: (imageId) => 
+            getThumbnailUrl(imageId).catch(error => handleError('getThumbnailUrl', error)),
+        revokeImageUrl: revokeImageUrl,
+        listImages: (options) => 
+            listImages(options).catch(error => handleError('listImages', error)),
+        deleteImage: (imageId) => 
+            deleteImage(imageId).catch(error => handleError('deleteImage', error)),
         
         // Operation queue operations
         queueOperation: (operationId, operationJson) => 
@@ -297,10 +1188,30 @@ window.indexedDbStorage = (function() {
         // Maintenance operations
         clearAllData: () => 
             clearAllData().catch(error => handleError('clearAllData', error)),
+        
+        // Transactions over several stores, named by stores
+        stores: Object.freeze({ ...STORES }),
+        runTransaction: (storeNames, mode, fn) => 
+            initialize().then(() => runTransaction(storeNames, mode, fn)).catch(error => handleError('runTransaction', error)),
+        
+        // Quota operations
+        requestPersistence: () => 
+            requestPersistence().catch(error => handleError('requestPersistence', error)),
+        configureQuota: configureQuota,
+        checkQuota: () => 
+            checkQuota().catch(error => handleError('checkQuota', error)),
+        markImageUploaded: (imageId) => 
+            markImageUploaded(imageId).catch(error => handleError('markImageUploaded', error)),
         getStorageInfo: () => 
             getStorageInfo().catch(error => handleError('getStorageInfo', error)),
         dispose: dispose,
         
+        // Schema versioning and storage events
+        registerMigration: registerMigration,
+        getSchemaVersion: getSchemaVersion,
+        registerStorageEvents: registerStorageEvents,
+        unregisterStorageEvents: unregisterStorageEvents,
+        
         // Health check
         isReady: () => isInitialized && db !== null
     };
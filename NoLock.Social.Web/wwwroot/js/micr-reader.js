@@ -0,0 +1,382 @@
+// MICR Reader Module
+// Locates and reads the E-13B MICR line printed along the bottom of a check, entirely in the browser.
+// Characters are recognized by template matching against the 14 E-13B glyphs; the line is then split
+// into routing (transit), account / check number (on-us) and amount fields following ANSI X9.13 layout.
+// Symbols are reported as the Unicode MICR characters: ⑆ transit, ⑇ amount, ⑈ on-us, ⑉ dash.
+// Needs ocr-common.js.
+
+window.micrReader = {
+
+    SYMBOLS: Object.freeze({
+        TRANSIT: '⑆',
+        AMOUNT: '⑇',
+        ON_US: '⑈',
+        DASH: '⑉'
+    }),
+
+    /**
+     * Find the MICR line in a rectified check image
+     * @param {ImageData} imageData - Whole check, straightened and cropped to the paper
+     * @param {Object} options - Location options
+     * @param {number} options.searchRatio - Fraction of the check height, from the bottom, to search (default: 0.35)
+     * @returns {{x: number, y: number, width: number, height: number, characterHeight: number}|null}
+     *          Band around the line with half a character of margin, or null when no line is found
+     */
+    locateBand(imageData, options = {}) {
+        const { searchRatio = 0.35 } = options;
+        const { width, height } = imageData;
+        const top = Math.floor(height * (1 - searchRatio));
+        const dark = this._thresholdRegion(imageData, top, height - top);
+
+        // Ink per row; the MICR line is the densest run of rows whose height suits a check of this width
+        const rows = new Float32Array(height - top);
+        for (let y = 0; y < rows.length; y++) {
+            let count = 0;
+            for (let x = 0; x < width; x++) {
+                count += dark[y * width + x];
+            }
+            rows[y] = count;
+        }
+
+        const peak = Math.max(...rows);
+        if (peak < width * 0.02) {
+            return null;
+        }
+
+        // E-13B characters are 0.117" tall: about 2% of a 6" personal check, 1.4% of an 8.5" business check
+        const minHeight = Math.max(8, width * 0.008);
+        const maxHeight = width * 0.04;
+        let best = null;
+        let start = -1;
+        let gap = 0;
+        let sum = 0;
+        for (let y = 0; y <= rows.length; y++) {
+            const inked = y < rows.length && rows[y] >= peak * 0.2;
+            if (inked) {
+                if (start < 0) {
+                    start = y;
+                    sum = 0;
+                }
+                sum += rows[y];
+                gap = 0;
+                continue;
+            }
+            if (start >= 0 && y < rows.length && ++gap <= 2) {
+                continue; // Bridge thin gaps, e.g. the break between a glyph's thin and heavy strokes
+            }
+            if (start >= 0) {
+                const runHeight = y - gap - start;
+                if (runHeight >= minHeight && runHeight <= maxHeight && (!best || sum > best.sum)) {
+                    best = { start: start, height: runHeight, sum: sum };
+                }
+                start = -1;
+                gap = 0;
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        const margin = Math.ceil(best.height / 2);
+        const y = Math.max(0, top + best.start - margin);
+        return {
+            x: 0,
+            y: y,
+            width: width,
+            height: Math.min(height, top + best.start + best.height + margin) - y,
+            characterHeight: best.height
+        };
+    },
+
+    /**
+     * Read the characters of a MICR band
+     * @param {ImageData} imageData - Binarized band (dark ink on white), e.g. cropped around locateBand's result
+     * @param {Object} options - Recognition options
+     * @param {number} options.minConfidence - Characters scoring below this are reported as '?' (default: 0.6)
+     * @returns {{micrLine: string, confidence: number, characters: Array<{char: string, confidence: number,
+     *           x: number, y: number, width: number, height: number}>}} Positions are in band pixels
+     */
+    readLine(imageData, options = {}) {
+        const { minConfidence = 0.6 } = options;
+        const { width, height, data } = imageData;
+
+        const ink = new Uint8Array(width * height);
+        for (let i = 0; i < ink.length; i++) {
+            ink[i] = data[i * 4] < 128 ? 1 : 0;
+        }
+        const integral = window.ocrCommon.integrate(ink, width, height);
+
+        const glyphs = this._segmentGlyphs(ink, width, height);
+        if (glyphs.length === 0) {
+            return { micrLine: '', confidence: 0, characters: [] };
+        }
+
+        // Full-height glyphs (every digit) fix the line's top and bottom, including any residual skew
+        const heights = glyphs.map(glyph => glyph.bottom - glyph.top + 1).sort((a, b) => a - b);
+        const characterHeight = heights[Math.floor(heights.length * 0.75)];
+        const frame = window.ocrCommon.fitLineFrame(glyphs.filter(glyph => glyph.bottom - glyph.top + 1 >= characterHeight * 0.85));
+        const pitch = characterHeight * this._PITCH_RATIO;
+
+        const characters = [];
+        let line = '';
+        let confidenceSum = 0;
+        glyphs.forEach((glyph, index) => {
+            if (index > 0 && glyph.left - glyphs[index - 1].left > pitch * 1.6) {
+                line += ' ';
+            }
+
+            const center = (glyph.left + glyph.right) / 2;
+            const top = frame.top(center);
+            const match = this._matchGlyph(integral, width, glyph, top, frame.bottom(center) - top + 1);
+            const char = match.confidence >= minConfidence ? match.char : '?';
+
+            line += char;
+            confidenceSum += match.confidence;
+            characters.push({
+                char: char,
+                confidence: Math.round(match.confidence * 1000) / 1000,
+                x: glyph.left,
+                y: glyph.top,
+                width: glyph.right - glyph.left + 1,
+                height: glyph.bottom - glyph.top + 1
+            });
+        });
+
+        return {
+            micrLine: line,
+            confidence: Math.round(confidenceSum / characters.length * 1000) / 1000,
+            characters: characters
+        };
+    },
+
+    /**
+     * Split a MICR line into its fields. US layout, right to left: amount ⑇…⑇, on-us (account number
+     * and usually the check number, ended by ⑈), transit ⑆routing⑆, and on business checks an auxiliary
+     * on-us field ⑈serial⑈ holding the check number.
+     * @param {string} micrLine - Line as returned by readLine
+     * @returns {{routingNumber: string, accountNumber: string, checkNumber: string, amount: number|null,
+     *           isRoutingNumberValid: boolean}}
+     */
+    parseMicrLine(micrLine) {
+        const { TRANSIT, AMOUNT, ON_US, DASH } = this.SYMBOLS;
+        const digits = text => text.replace(new RegExp(`[^0-9${DASH}]`, 'g'), '').replace(new RegExp(DASH, 'g'), '-');
+
+        let line = micrLine || '';
+        let amount = null;
+        const amountMatch = line.match(new RegExp(`${AMOUNT}([^${AMOUNT}]*)${AMOUNT}`));
+        if (amountMatch) {
+            const cents = amountMatch[1].replace(/\D/g, '');
+            amount = cents ? parseInt(cents, 10) / 100 : null;
+            line = line.slice(0, amountMatch.index);
+        }
+
+        let routingNumber = '';
+        let auxiliary = '';
+        let onUs = line;
+        const transitMatch = line.match(new RegExp(`${TRANSIT}([^${TRANSIT}]*)${TRANSIT}`));
+        if (transitMatch) {
+            routingNumber = digits(transitMatch[1]);
+            auxiliary = line.slice(0, transitMatch.index);
+            onUs = line.slice(transitMatch.index + transitMatch[0].length);
+        }
+
+        // The account number ends at an on-us symbol; whatever else is in the field is the serial number
+        const groups = [];
+        onUs.replace(new RegExp(`[0-9${DASH}?]+(\\s*${ON_US})?`, 'g'), (group, terminator) => {
+            groups.push({ value: digits(group), terminated: !!terminator });
+            return group;
+        });
+        const terminated = groups.filter(group => group.terminated && group.value);
+        const account = terminated.length > 0 ?
+            terminated.reduce((longest, group) => group.value.length > longest.value.length ? group : longest) :
+            groups.find(group => group.value) || null;
+
+        const serial = digits(auxiliary) || (groups.find(group => group !== account && group.value) || { value: '' }).value;
+
+        return {
+            routingNumber: routingNumber,
+            accountNumber: account ? account.value : '',
+            checkNumber: serial,
+            amount: amount,
+            isRoutingNumberValid: this.isValidRoutingNumber(routingNumber)
+        };
+    },
+
+    /**
+     * ABA routing number checksum: 3-7-1 weighted digit sum divisible by 10
+     * @param {string} routingNumber - Nine digits
+     * @returns {boolean}
+     */
+    isValidRoutingNumber(routingNumber) {
+        if (!/^\d{9}$/.test(routingNumber || '')) {
+            return false;
+        }
+
+        const weights = [3, 7, 1];
+        let sum = 0;
+        for (let i = 0; i < 9; i++) {
+            sum += Number(routingNumber[i]) * weights[i % 3];
+        }
+        return sum % 10 === 0;
+    },
+
+    // Helper Methods
+
+    // Character pitch (0.125") over character height (0.117")
+    _PITCH_RATIO: 0.125 / 0.117,
+
+    /**
+     * Templates drawn to E-13B proportions on its 0.013" grid, 9 cells tall: characters use thin upper and
+     * heavy lower strokes, and the four symbols are built from bars and squares. Columns without ink are
+     * trimmed, so each template covers exactly the glyph's ink width.
+     */
+    _GLYPHS: {
+        '0': ['.#####.', '.#...#.', '.#...#.', '##...##', '##...##', '##...##', '##...##', '##...##', '.#####.'],
+        '1': ['###..', '..#..', '..#..', '..#..', '..#..', '.####', '.####', '.####', '.####'],
+        '2': ['#####.', '....#.', '....#.', '....#.', '#####.', '##....', '##....', '##....', '######'],
+        '3': ['####..', '...#..', '...#..', '...#..', '.#####', '....##', '....##', '....##', '######'],
+        '4': ['#.....', '#.....', '#.....', '#..##.', '#..##.', '######', '...##.', '...##.', '...##.'],
+        '5': ['#####.', '#.....', '#.....', '#.....', '#####.', '....##', '....##', '....##', '######'],
+        '6': ['###...', '#.....', '#.....', '#.....', '######', '#...##', '#...##', '#...##', '######'],
+        '7': ['######', '....#.', '....#.', '....#.', '...##.', '...##.', '...##.', '...##.', '...##.'],
+        '8': ['.###..', '.#.#..', '.#.#..', '.###..', '######', '##..##', '##..##', '##..##', '######'],
+        '9': ['######', '#...#.', '#...#.', '#...#.', '######', '....##', '....##', '....##', '....##'],
+        '⑆': ['##.###', '##.###', '##.###', '##....', '##....', '##....', '##.###', '##.###', '##.###'],
+        '⑇': ['..##...', '..##.##', '..##.##', '..##.##', '..##...', '##.##..', '##.##..', '##.##..', '...##..'],
+        '⑈': ['##.##..', '##.##..', '##.##..', '##.##..', '##.##..', '.......', '.......', '.....##', '.....##'],
+        '⑉': ['.......', '.......', '.......', '#.#.#.#', '#.#.#.#', '#.#.#.#', '.......', '.......', '.......']
+    },
+
+    _templates: null,
+
+    /**
+     * Dark/light bits for a horizontal strip, thresholded against the local mean so shading and
+     * security backgrounds light enough to leave the MICR band clear drop out
+     * @param {ImageData} imageData - Source image
+     * @param {number} top - First row of the strip
+     * @param {number} rows - Strip height
+     * @returns {Uint8Array} One byte per strip pixel, 1 for ink
+     */
+    _thresholdRegion(imageData, top, rows) {
+        const region = { x: 0, y: top, width: imageData.width, height: rows };
+        return window.ocrCommon.thresholdLocalMean(imageData, region, Math.max(8, Math.round(imageData.width / 60)));
+    },
+
+    /**
+     * Split the band into glyphs: runs of inked columns, with the separate bars and squares of the
+     * MICR symbols merged while they fit within one character cell
+     * @returns {Array<{left: number, right: number, top: number, bottom: number}>} Left to right
+     */
+    _segmentGlyphs(ink, width, height) {
+        const columns = new Uint16Array(width);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                columns[x] += ink[y * width + x];
+            }
+        }
+
+        // Single stray pixels do not start a column run
+        const parts = [];
+        let start = -1;
+        for (let x = 0; x <= width; x++) {
+            if (x < width && columns[x] >= 2) {
+                if (start < 0) {
+                    start = x;
+                }
+            } else if (start >= 0) {
+                parts.push(this._measurePart(ink, width, height, start, x - 1));
+                start = -1;
+            }
+        }
+        if (parts.length === 0) {
+            return [];
+        }
+
+        const heights = parts.map(part => part.bottom - part.top + 1).sort((a, b) => a - b);
+        const characterHeight = heights[Math.floor(heights.length * 0.75)];
+        const cell = characterHeight * 0.85;
+
+        const glyphs = [];
+        parts.forEach(part => {
+            const current = glyphs[glyphs.length - 1];
+            if (current && part.left - current.left < cell && part.right - current.left < cell * 1.1) {
+                current.right = part.right;
+                current.top = Math.min(current.top, part.top);
+                current.bottom = Math.max(current.bottom, part.bottom);
+            } else {
+                glyphs.push({ ...part });
+            }
+        });
+
+        // Specks: far smaller than any glyph, including the dash symbol
+        return glyphs.filter(glyph => glyph.bottom - glyph.top + 1 >= characterHeight * 0.25 ||
+            glyph.right - glyph.left + 1 >= characterHeight * 0.3);
+    },
+
+    _measurePart(ink, width, height, left, right) {
+        let top = height;
+        let bottom = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = left; x <= right; x++) {
+                if (ink[y * width + x]) {
+                    top = Math.min(top, y);
+                    bottom = y;
+                    break;
+                }
+            }
+        }
+        return { left: left, right: right, top: top, bottom: bottom };
+    },
+
+    /**
+     * Compare a glyph with every template: ink coverage per template cell, less a penalty when the
+     * glyph's width does not suit the template
+     * @returns {{char: string, confidence: number}} Best match; confidence is its score (0-1)
+     */
+    _matchGlyph(integral, width, glyph, top, lineHeight) {
+        const templates = this._getTemplates();
+        const unit = lineHeight / 9;
+        const glyphWidth = glyph.right - glyph.left + 1;
+
+        let best = { char: '?', confidence: 0 };
+        templates.forEach(template => {
+            const cellWidth = glyphWidth / template.columns;
+            let difference = 0;
+            for (let row = 0; row < 9; row++) {
+                const y0 = Math.max(0, Math.round(top + row * unit));
+                const y1 = Math.max(y0, Math.round(top + (row + 1) * unit) - 1);
+                for (let column = 0; column < template.columns; column++) {
+                    const x0 = Math.round(glyph.left + column * cellWidth);
+                    const x1 = Math.max(x0, Math.round(glyph.left + (column + 1) * cellWidth) - 1);
+                    const coverage = window.ocrCommon.areaSum(integral, width, x0, y0, x1, y1) / ((x1 - x0 + 1) * (y1 - y0 + 1));
+                    difference += Math.abs(coverage - template.cells[row][column]);
+                }
+            }
+
+            const widthError = Math.abs(glyphWidth / (template.columns * unit) - 1);
+            const score = 1 - difference / (9 * template.columns) - Math.max(0, widthError - 0.2) * 0.5;
+            if (score > best.confidence) {
+                best = { char: template.char, confidence: Math.max(0, score) };
+            }
+        });
+        return best;
+    },
+
+    // Templates parsed once: ink columns only, cells as 0/1
+    _getTemplates() {
+        if (!this._templates) {
+            this._templates = Object.entries(this._GLYPHS).map(([char, rows]) => {
+                const inked = [...rows[0]].map((_, column) => rows.some(row => row[column] === '#'));
+                const first = inked.indexOf(true);
+                const last = inked.lastIndexOf(true);
+                return {
+                    char: char,
+                    columns: last - first + 1,
+                    cells: rows.map(row => [...row.slice(first, last + 1)].map(cell => cell === '#' ? 1 : 0))
+                };
+            });
+        }
+        return this._templates;
+    }
+};
@@ -0,0 +1,690 @@
+// MRZ Reader Module
+// Finds and reads the machine readable zone of passports (TD3) and ID cards (TD1, TD2) entirely offline.
+// A small OCR-B recognizer matches each character cell against coverage templates; fields are then
+// parsed following ICAO Doc 9303, using the check digits both to validate the result and to settle
+// look-alike characters (0/O, 1/I, 8/B) the recognizer cannot tell apart on its own.
+// Needs ocr-common.js, and image-enhancement.js for decoding image inputs.
+
+window.mrzReader = {
+
+    FORMATS: Object.freeze({
+        TD1: { lines: 3, length: 30 },  // ID cards
+        TD2: { lines: 2, length: 36 },  // Larger ID cards and older visas
+        TD3: { lines: 2, length: 44 }   // Passports
+    }),
+
+    /**
+     * Find, read and parse the MRZ of a perspective-corrected document
+     * @param {ImageData|string|Blob|ArrayBuffer|Uint8Array|HTMLCanvasElement|Object} imageData - ImageData, or any input
+     *        imageEnhancement accepts (data URL, encoded image bytes, DotNetStreamReference, canvas)
+     * @param {Object} options - Reading options
+     * @param {number} options.searchRatio - Fraction of the document height, from the bottom, searched for the zone (default: 0.5)
+     * @returns {Promise<Object>} parse() fields plus { found, lines, confidence, zone }; zone is in image pixels.
+     *          found is false when no MRZ is visible.
+     */
+    async read(imageData, options = {}) {
+        try {
+            const image = await this._getImageData(imageData);
+            const zone = this.locateZone(image, options);
+            if (!zone) {
+                return { found: false, format: null, lines: [], confidence: 0, zone: null, valid: false };
+            }
+
+            const reading = this.readZone(image, zone);
+            const lines = this._resolveCharacters(zone.format, reading.cells);
+            return {
+                found: true,
+                ...this.parse(lines),
+                lines: lines,
+                confidence: reading.confidence,
+                zone: { x: zone.x, y: zone.y, width: zone.width, height: zone.height }
+            };
+        } catch (error) {
+            console.error('Error reading MRZ:', error);
+            throw new Error(`MRZ reading failed: ${error.message}`);
+        }
+    },
+
+    /**
+     * Find the MRZ: the lowest group of two or three evenly spaced text lines of equal height
+     * that run across most of the document
+     * @param {ImageData} imageData - Perspective-corrected document
+     * @param {Object} options - See read
+     * @returns {{x: number, y: number, width: number, height: number, format: string, slope: number,
+     *           lines: Array<{top: number, bottom: number}>}|null} Zone in image pixels; line rows are
+     *           given at the image's left edge and drop by slope pixels per column
+     */
+    locateZone(imageData, options = {}) {
+        const { searchRatio = 0.5 } = options;
+        const { width, height } = imageData;
+        const region = { x: 0, y: Math.floor(height * (1 - searchRatio)), width: width, height: 0 };
+        region.height = height - region.y;
+        const dark = this._threshold(imageData, region);
+
+        // Correction rarely leaves the text perfectly level; lines stand out best in the row
+        // profile taken along their own slope
+        const slope = this._estimateSlope(dark, width, region.height);
+        const shift = Math.ceil(Math.abs(slope) * width);
+        const rows = new Uint32Array(region.height + 2 * shift);
+        for (let y = 0; y < region.height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (dark[y * width + x]) {
+                    rows[Math.round(y - slope * x) + shift]++;
+                }
+            }
+        }
+
+        // Text lines: runs of inked rows; OCR-B in an MRZ is about 2-3% of the document width tall
+        const minHeight = Math.max(8, width * 0.01);
+        const maxHeight = width * 0.06;
+        const candidates = [];
+        let start = -1;
+        for (let y = 0; y <= rows.length; y++) {
+            const inked = y < rows.length && rows[y] >= width * 0.01;
+            if (inked && start < 0) {
+                start = y;
+            } else if (!inked && start >= 0) {
+                const lineHeight = y - start;
+                if (lineHeight >= minHeight && lineHeight <= maxHeight) {
+                    const line = this._measureLine(dark, width, region.height, { top: start - shift, bottom: y - 1 - shift, slope: slope });
+                    // MRZ lines are character cells from margin to margin
+                    if (line.right - line.left >= width * 0.6 && line.parts >= 20) {
+                        candidates.push(line);
+                    }
+                }
+                start = -1;
+            }
+        }
+
+        // Bottom-up: the lowest line and the lines directly above it with the same height and spacing
+        for (let last = candidates.length - 1; last >= 1; last--) {
+            const group = [candidates[last]];
+            const lineHeight = candidates[last].bottom - candidates[last].top + 1;
+            for (let i = last - 1; i >= 0 && group.length < 3; i--) {
+                const line = candidates[i];
+                const spacing = group[0].top - line.top;
+                if (Math.abs(line.bottom - line.top + 1 - lineHeight) > lineHeight * 0.3 ||
+                    spacing < lineHeight * 1.2 || spacing > lineHeight * 3 ||
+                    (group.length > 1 && Math.abs(spacing - (group[1].top - group[0].top)) > lineHeight * 0.5)) {
+                    break;
+                }
+                group.unshift(line);
+            }
+            if (group.length < 2) {
+                continue;
+            }
+
+            // Two lines are TD2 (36 characters) or TD3 (44) in the same type size; the line length
+            // in character heights tells them apart (about 34 and 41)
+            const extent = Math.max(...group.map(line => line.right - line.left + 1));
+            const format = group.length === 3 ? 'TD1' : extent / lineHeight > 37.5 ? 'TD3' : 'TD2';
+            const margin = Math.ceil(lineHeight * 0.6);
+            const left = Math.max(0, Math.min(...group.map(line => line.left)) - margin);
+            const right = Math.min(width - 1, Math.max(...group.map(line => line.right)) + margin);
+            const first = group[0];
+            const lastLine = group[group.length - 1];
+            const top = region.y + Math.min(first.top + slope * left, first.top + slope * right) - margin;
+            const bottom = region.y + Math.max(lastLine.bottom + slope * left, lastLine.bottom + slope * right) + margin;
+            const zoneTop = Math.max(0, Math.floor(top));
+            const zoneBottom = Math.min(height - 1, Math.ceil(bottom));
+
+            return {
+                x: left,
+                y: zoneTop,
+                width: right - left + 1,
+                height: zoneBottom - zoneTop + 1,
+                format: format,
+                slope: slope,
+                lines: group.map(line => ({ top: region.y + line.top, bottom: region.y + line.bottom }))
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Recognize the characters of a located zone
+     * @param {ImageData} imageData - Image the zone was located in
+     * @param {Object} zone - locateZone result
+     * @returns {{lines: string[], confidence: number, cells: Array<Array<Array<{char: string, score: number}>>>}}
+     *          Best reading per line, mean best score, and every template's score per character, best first
+     */
+    readZone(imageData, zone) {
+        const length = this.FORMATS[zone.format].length;
+        const dark = this._threshold(imageData, zone);
+        const integral = window.ocrCommon.integrate(dark, zone.width, zone.height);
+
+        const cells = zone.lines.map(line => {
+            const lineHeight = line.bottom - line.top + 1;
+            const pad = lineHeight * 0.3;
+            const slope = zone.slope || 0;
+            const band = {
+                top: line.top - zone.y + slope * zone.x - pad,
+                bottom: line.bottom - zone.y + slope * zone.x + pad,
+                slope: slope
+            };
+            return this._readLine(dark, integral, zone.width, zone.height, band, lineHeight, length);
+        });
+
+        let scoreSum = 0;
+        let count = 0;
+        cells.forEach(line => line.forEach(ranking => {
+            scoreSum += ranking[0].score;
+            count++;
+        }));
+
+        return {
+            lines: cells.map(line => line.map(ranking => ranking[0].char).join('')),
+            confidence: count ? Math.round(scoreSum / count * 1000) / 1000 : 0,
+            cells: cells
+        };
+    },
+
+    /**
+     * Parse MRZ text into fields and verify its check digits
+     * @param {string[]} lines - Two lines of 44 (TD3) or 36 (TD2) characters, or three of 30 (TD1)
+     * @returns {{format: string, documentCode: string, documentType: string, issuingState: string, surname: string,
+     *           givenNames: string, documentNumber: string, nationality: string, birthDate: string|null, sex: string,
+     *           expiryDate: string|null, optionalData: string, checks: Object, valid: boolean}}
+     *          Dates are ISO yyyy-mm-dd; checks holds one boolean per check digit; documentType is the matching
+     *          DocumentType name ('Passport', 'IDCard' or 'Identity')
+     */
+    parse(lines) {
+        const format = Object.keys(this.FORMATS).find(name =>
+            this.FORMATS[name].lines === lines.length && lines.every(line => line.length === this.FORMATS[name].length));
+        if (!format) {
+            throw new Error(`Unrecognized MRZ layout: ${lines.length} lines of ${lines.map(line => line.length).join('/')} characters`);
+        }
+
+        const fields = format === 'TD1' ? this._parseTd1(lines) : this._parseTd2Td3(lines, format);
+        const code = fields.documentCode;
+        const checks = fields.checks;
+
+        return {
+            format: format,
+            documentCode: code,
+            documentType: code[0] === 'P' ? 'Passport' : 'IAC'.includes(code[0]) ? 'IDCard' : 'Identity',
+            issuingState: fields.issuingState,
+            surname: fields.surname,
+            givenNames: fields.givenNames,
+            documentNumber: fields.documentNumber,
+            nationality: fields.nationality,
+            birthDate: this._parseDate(fields.birthDate, false),
+            sex: fields.sex === 'M' || fields.sex === 'F' ? fields.sex : 'X',
+            expiryDate: this._parseDate(fields.expiryDate, true),
+            optionalData: fields.optionalData,
+            checks: checks,
+            valid: Object.values(checks).every(Boolean)
+        };
+    },
+
+    /**
+     * ICAO 9303 check digit: digits count as themselves, A-Z as 10-35 and '<' as 0, weighted 7, 3, 1
+     * @param {string} text - Field text
+     * @returns {string} Check digit
+     */
+    computeCheckDigit(text) {
+        const weights = [7, 3, 1];
+        let sum = 0;
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            const value = code >= 48 && code <= 57 ? code - 48 : code >= 65 && code <= 90 ? code - 55 : 0;
+            sum += value * weights[i % 3];
+        }
+        return String(sum % 10);
+    },
+
+    // Helper Methods
+
+    // Allowed characters per position: A letters, N digits, X either; '<' is allowed everywhere
+    _LAYOUTS: {
+        TD1: [
+            'AAAAA' + 'X'.repeat(9) + 'X' + 'X'.repeat(15),
+            'NNNNNNNANNNNNNNAAA' + 'X'.repeat(11) + 'N',
+            'A'.repeat(30)
+        ],
+        TD2: ['A'.repeat(36), 'X'.repeat(9) + 'NAAANNNNNNNANNNNNNN' + 'X'.repeat(7) + 'N'],
+        TD3: ['A'.repeat(44), 'X'.repeat(9) + 'NAAANNNNNNNANNNNNNN' + 'X'.repeat(14) + 'NN']
+    },
+
+    // Fields with their own check digit as [line, start, length, check position]
+    _CHECKED_FIELDS: {
+        TD1: [[0, 5, 9, 14], [1, 0, 6, 6], [1, 8, 6, 14]],
+        TD2: [[1, 0, 9, 9], [1, 13, 6, 19], [1, 21, 6, 27]],
+        TD3: [[1, 0, 9, 9], [1, 13, 6, 19], [1, 21, 6, 27], [1, 28, 14, 42]]
+    },
+
+    /**
+     * OCR-B templates rendered from the font: ink width over cap height, then ink coverage (0-9) of
+     * 8 x 12 cells spanning the glyph's ink width and the cap height, row by row
+     */
+    _GLYPHS: {
+        '0': [0.644, '016776101885588159100185760000678500005895000049950000499500005986000068680000863973369303899830'],
+        '1': [0.401, '000037860037999937985499784103990000039900000399000003990000039900000399000003990000039900000298'],
+        '2': [0.594, '147886208965589221000187000000780000039500005971002895000497200039600000690000007855555368888887'],
+        '3': [0.634, '677777734555589400003960000396000039810000489950000015950000006800000059000001876533489258999620'],
+        '4': [0.644, '000260000007700000392000007700000393000007700410393029307700293099999998333359530000293000001920'],
+        '5': [0.554, '177777753975555449300000592000005998741024446981000002970000007900000089000005952345896089986200'],
+        '6': [0.644, '000046000003950000396000018700000795420039999960794003958600006895000049770000783963369403899830'],
+        '7': [0.644, '677777764555558800000295000017810000692000049300000860000039200000580000007600000085000000740000'],
+        '8': [0.644, '015775101885588149200294393003930696596001899810179549716920028695000059860000684963359504899840'],
+        '9': [0.644, '015785101885588268100186850000599500005968100078189778940146698100004930000395000039600000760000'],
+        'A': [0.629, '001661000049940000677600009558000293392005911940077007601998898039655692591001958700007795000058'],
+        'B': [0.644, '688876209866798295000186950000779500139599999981975558939500007895000059950001779766799378888620'],
+        'C': [0.520, '005898510697579639600067692000008800000098000000980000008800000079100000495000560795359701799972'],
+        'D': [0.540, '676410009889830097027940970017929700029697000078970000799700008897000495970159819879971078863000'],
+        'E': [0.564, '677777769877777596000000960000009600000099999980985555409600000096000000960000009866666578888887'],
+        'F': [0.475, '577777769977777599100000991000009910000099999970995555409910000099100000991000009910000089000000'],
+        'G': [0.614, '004898400597579639500044690000008700000096002221960299998700236969000059494000590795348901799984'],
+        'H': [0.564, '740000479600006996000069960000699600006998777789987777899600006996000069960000699600006995000059'],
+        'I': [0.490, '377777733779977200088000000880000008800000088000000880000008800000088000000880005669966478888886'],
+        'J': [0.455, '000000870000019900000199000001990000019900000199000001990000019967000199992002996974379605999950'],
+        'K': [0.624, '840001749500179295017930951793009679300099940000989600009559500095059500950069509500069484000068'],
+        'L': [0.604, '840000009500000095000000950000009500000095000000950000009500000095000000950000009866666567777776'],
+        'M': [0.644, '785005879990089997933979959559599568864995499449951991499507704995022049950000499500004984000049'],
+        'N': [0.604, '882000489960005999920059979600599569105995295059950691599502955995007969950029999500079985000399'],
+        'O': [0.634, '005885000696696029400492680000868600006895000059950000598600006868000086393003930794487001799710'],
+        'P': [0.604, '677775109877799395000187950000599500007897445794999997409511000095000000950000009500000095000000'],
+        'Q': [0.639, '017984001885794059100680760002939500008495000085950750858605949469107992297259800499989500143058'],
+        'R': [0.559, '677765209866799396000187960000789600029798555893999998309613960096006930960018819600039686000078'],
+        'S': [0.554, '026897303985589379100187791000114972000004997300001589710000159621000079880000885963379405999840'],
+        'T': [0.644, '677777766778877600066000000660000006600000066000000660000006600000066000000660000006600000066000'],
+        'U': [0.604, '840000489500005995000059950000599500005995000059950000599500005995000059870000784963479404999950'],
+        'V': [0.644, '830000388600006858000086392002931940049107700670059009500393293001955910007777000059950000299200'],
+        'W': [0.644, '730000379500005985000059860000687602206877088077672992765849948549777894399559932993299208910880'],
+        'X': [0.589, '760000666920039618700781049449400078870000399200003993000088870004944940187007816920039696000068'],
+        'Y': [0.584, '540000367810018729600592069229600187791000599500000881000007700000077000000770000007700000067000'],
+        'Z': [0.564, '688888725666699200003960000088100004940000188000005930000197000006930000296000007976666578888887'],
+        '<': [0.658, '000000000000003500001696000488300279510059820000796100000488300000169610000038940000015700000000'],
+    },
+
+    _templates: null,
+
+    async _getImageData(input) {
+        if (input && input.data && input.width && input.height) {
+            return input;
+        }
+        if (!window.imageEnhancement) {
+            throw new Error('Image enhancement module not loaded');
+        }
+
+        const canvas = await window.imageEnhancement._getCanvasFromInput(input);
+        return canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+    },
+
+    /**
+     * Dark/light bits for a region, thresholded against the local mean so uneven lighting
+     * and the printed background of the data page drop out
+     * @param {ImageData} imageData - Source image
+     * @param {{x: number, y: number, width: number, height: number}} region - Area to threshold
+     * @returns {Uint8Array} One byte per region pixel, 1 for ink
+     */
+    _threshold(imageData, region) {
+        return window.ocrCommon.thresholdLocalMean(imageData, region, Math.max(8, Math.round(imageData.width / 50)));
+    },
+
+    /**
+     * Estimate the text slope: the shear whose row profile is most sharply peaked
+     * @returns {number} Rows per column, within about +/-3 degrees
+     */
+    _estimateSlope(dark, width, height) {
+        const points = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x += 2) {
+                if (dark[y * width + x]) {
+                    points.push(x, y);
+                }
+            }
+        }
+
+        let best = { slope: 0, score: -1 };
+        for (let degrees = -3; degrees <= 3; degrees += 0.25) {
+            const slope = Math.tan(degrees * Math.PI / 180);
+            const shift = Math.ceil(Math.abs(slope) * width);
+            const rows = new Uint32Array(height + 2 * shift + 1);
+            for (let i = 0; i < points.length; i += 2) {
+                rows[Math.round(points[i + 1] - slope * points[i]) + shift]++;
+            }
+            let score = 0;
+            for (let y = 0; y < rows.length; y++) {
+                score += rows[y] * rows[y];
+            }
+            if (score > best.score) {
+                best = { slope: slope, score: score };
+            }
+        }
+        return best.slope;
+    },
+
+    // Rows a sloped band covers in column x, clamped to the bitmap
+    _bandRows(band, x, height) {
+        const offset = band.slope * x;
+        return [
+            Math.max(0, Math.round(band.top + offset)),
+            Math.min(height - 1, Math.round(band.bottom + offset))
+        ];
+    },
+
+    /**
+     * Column runs of a sloped band of rows: each inked column holds at least two ink pixels
+     * @param {Object} band - { top, bottom, slope }, rows at column 0
+     * @returns {Array<{left: number, right: number, top: number, bottom: number}>} Left to right, rows relative to the bitmap
+     */
+    _findParts(dark, width, height, band) {
+        const parts = [];
+        let start = -1;
+        let partTop = 0;
+        let partBottom = 0;
+        for (let x = 0; x <= width; x++) {
+            let count = 0;
+            let columnTop = height;
+            let columnBottom = -1;
+            if (x < width) {
+                const [top, bottom] = this._bandRows(band, x, height);
+                for (let y = top; y <= bottom; y++) {
+                    if (dark[y * width + x]) {
+                        count++;
+                        columnTop = Math.min(columnTop, y);
+                        columnBottom = y;
+                    }
+                }
+            }
+            if (count >= 2) {
+                if (start < 0) {
+                    start = x;
+                    partTop = columnTop;
+                    partBottom = columnBottom;
+                } else {
+                    partTop = Math.min(partTop, columnTop);
+                    partBottom = Math.max(partBottom, columnBottom);
+                }
+            } else if (start >= 0) {
+                parts.push({ left: start, right: x - 1, top: partTop, bottom: partBottom });
+                start = -1;
+            }
+        }
+        return parts;
+    },
+
+    // Horizontal extent and glyph count of a text line
+    _measureLine(dark, width, height, band) {
+        const parts = this._findParts(dark, width, height, band);
+        return {
+            top: band.top,
+            bottom: band.bottom,
+            left: parts.length ? parts[0].left : 0,
+            right: parts.length ? parts[parts.length - 1].right : 0,
+            parts: parts.length
+        };
+    },
+
+    /**
+     * Recognize one line of a fixed number of character cells. OCR-B in an MRZ is monospaced,
+     * so the cells are spaced evenly between the first and the last glyph.
+     * @returns {Array<Array<{char: string, score: number}>>} Template scores per cell, best first
+     */
+    _readLine(dark, integral, width, height, band, lineHeight, length) {
+        const parts = this._findParts(dark, width, height, band)
+            .filter(part => part.bottom - part.top + 1 >= lineHeight * 0.3 || part.right - part.left + 1 >= lineHeight * 0.3);
+        if (parts.length < 2) {
+            return Array.from({ length: length }, () => [{ char: '<', score: 0 }]);
+        }
+
+        // Cell centers: fit center = origin + index * pitch to the glyphs that occupy one cell each
+        const center = part => (part.left + part.right) / 2;
+        let origin = center(parts[0]);
+        let pitch = (center(parts[parts.length - 1]) - origin) / (length - 1);
+        const single = parts.filter(part => part.right - part.left + 1 < pitch * 0.9);
+        if (single.length >= 2) {
+            const indexed = single.map(part => ({ index: Math.round((center(part) - origin) / pitch), x: center(part) }));
+            const meanIndex = indexed.reduce((sum, point) => sum + point.index, 0) / indexed.length;
+            const meanX = indexed.reduce((sum, point) => sum + point.x, 0) / indexed.length;
+            let covariance = 0;
+            let variance = 0;
+            indexed.forEach(point => {
+                covariance += (point.index - meanIndex) * (point.x - meanX);
+                variance += (point.index - meanIndex) * (point.index - meanIndex);
+            });
+            if (variance > 0) {
+                pitch = covariance / variance;
+                origin = meanX - pitch * meanIndex;
+            }
+        }
+
+        // Full-height glyphs fix the line's top and bottom, including any residual skew
+        const frame = window.ocrCommon.fitLineFrame(parts.filter(part => part.bottom - part.top + 1 >= lineHeight * 0.85));
+
+        const cells = [];
+        for (let index = 0; index < length; index++) {
+            const cellCenter = origin + index * pitch;
+            const glyph = parts.filter(part => Math.abs(center(part) - cellCenter) < pitch * 0.4);
+            if (glyph.length === 0) {
+                cells.push([{ char: '<', score: 0 }]);
+                continue;
+            }
+
+            const left = Math.min(...glyph.map(part => part.left));
+            const right = Math.max(...glyph.map(part => part.right));
+            const glyphTop = frame.top((left + right) / 2);
+            const glyphBottom = frame.bottom((left + right) / 2);
+            cells.push(this._matchGlyph(integral, width, left, right, glyphTop, glyphBottom));
+        }
+        return cells;
+    },
+
+    /**
+     * Score a glyph against every template: ink coverage per template cell, less a penalty when the
+     * glyph's proportions do not suit the template
+     * @returns {Array<{char: string, score: number}>} Best first
+     */
+    _matchGlyph(integral, width, left, right, top, bottom) {
+        const glyphWidth = right - left + 1;
+        const glyphHeight = bottom - top + 1;
+        const coverage = new Float32Array(96);
+        for (let row = 0; row < 12; row++) {
+            const y0 = Math.round(top + row * glyphHeight / 12);
+            const y1 = Math.max(y0, Math.round(top + (row + 1) * glyphHeight / 12) - 1);
+            for (let column = 0; column < 8; column++) {
+                const x0 = Math.round(left + column * glyphWidth / 8);
+                const x1 = Math.max(x0, Math.round(left + (column + 1) * glyphWidth / 8) - 1);
+                coverage[row * 8 + column] = window.ocrCommon.areaSum(integral, width, x0, y0, x1, y1) / ((x1 - x0 + 1) * (y1 - y0 + 1));
+            }
+        }
+
+        const aspect = glyphWidth / glyphHeight;
+        return this._getTemplates().map(template => {
+            let difference = 0;
+            for (let i = 0; i < 96; i++) {
+                difference += Math.abs(coverage[i] - template.cells[i]);
+            }
+            const aspectError = Math.abs(aspect / template.aspect - 1);
+            const score = 1 - difference / 96 - Math.max(0, aspectError - 0.15) * 0.5;
+            return { char: template.char, score: Math.round(Math.max(0, score) * 1000) / 1000 };
+        }).sort((a, b) => b.score - a.score);
+    },
+
+    _getTemplates() {
+        if (!this._templates) {
+            this._templates = Object.entries(this._GLYPHS).map(([char, [aspect, cells]]) => ({
+                char: char,
+                aspect: aspect,
+                cells: Float32Array.from(cells, digit => Number(digit) / 9)
+            }));
+        }
+        return this._templates;
+    },
+
+    /**
+     * Pick each character from the classes its position allows, then repair fields whose check digit
+     * fails with the cheapest combination of up to three near-tied runner-up readings
+     * @returns {string[]} Lines
+     */
+    _resolveCharacters(format, cells) {
+        const isDigit = char => char >= '0' && char <= '9';
+        const allowed = {
+            A: char => char === '<' || (char >= 'A' && char <= 'Z'),
+            N: char => char === '<' || isDigit(char),
+            X: () => true
+        };
+        const choices = cells.map((line, lineIndex) => line.map((ranking, position) => {
+            const choice = ranking.filter(candidate => allowed[this._LAYOUTS[format][lineIndex][position]](candidate.char));
+            // OCR-B letters and digits such as O/0 differ by a pixel or two; document numbers are mostly digits
+            const digit = choice.findIndex(candidate => isDigit(candidate.char));
+            if (digit > 0 && choice[0].score - choice[digit].score < 0.04) {
+                choice.unshift(...choice.splice(digit, 1));
+            }
+            return choice.length ? choice : [{ char: '<', score: 0 }];
+        }));
+        const lines = choices.map(line => line.map(ranking => ranking[0].char));
+
+        this._CHECKED_FIELDS[format].forEach(([lineIndex, start, length, checkPosition]) => {
+            const line = lines[lineIndex];
+            const verify = () => this._verifyCheckDigit(line.slice(start, start + length).join(''), line[checkPosition]);
+            // '<' checks only empty fields, or marks a TD1 document number that continues in the optional data
+            if (verify() || line[checkPosition] === '<') {
+                return;
+            }
+
+            const alternatives = [];
+            [...Array(length).keys()].map(offset => start + offset).concat(checkPosition).forEach(position => {
+                const ranking = choices[lineIndex][position];
+                ranking.slice(1, 4).forEach(candidate => {
+                    const loss = ranking[0].score - candidate.score;
+                    // Only near ties: with enough freedom any misreading can be made to pass a mod-10 check
+                    if (loss <= 0.06) {
+                        alternatives.push({ position: position, char: candidate.char, loss: loss });
+                    }
+                });
+            });
+            alternatives.sort((a, b) => a.loss - b.loss);
+            alternatives.length = Math.min(alternatives.length, 12);
+
+            let best = null;
+            const search = (from, chosen, loss) => {
+                if (chosen.length > 0 && (!best || loss < best.loss)) {
+                    const originals = chosen.map(alternative => line[alternative.position]);
+                    chosen.forEach(alternative => { line[alternative.position] = alternative.char; });
+                    if (verify()) {
+                        best = { chosen: chosen, loss: loss };
+                    }
+                    chosen.forEach((alternative, i) => { line[alternative.position] = originals[i]; });
+                }
+                if (chosen.length === 3) {
+                    return;
+                }
+                for (let i = from; i < alternatives.length; i++) {
+                    if (!chosen.some(alternative => alternative.position === alternatives[i].position)) {
+                        search(i + 1, chosen.concat(alternatives[i]), loss + alternatives[i].loss);
+                    }
+                }
+            };
+            search(0, [], 0);
+
+            if (best) {
+                best.chosen.forEach(alternative => { line[alternative.position] = alternative.char; });
+            }
+        });
+
+        return lines.map(line => line.join(''));
+    },
+
+    // An all-filler field may carry '<' as its check digit
+    _verifyCheckDigit(text, digit) {
+        return this.computeCheckDigit(text) === (digit === '<' ? '0' : digit);
+    },
+
+    _parseTd1(lines) {
+        const [first, second, third] = lines;
+        let documentNumber = first.slice(5, 14);
+        let documentCheck = first[14];
+        let optionalData = first.slice(15, 30);
+
+        // Document numbers over nine characters continue in the optional data, followed by their check digit
+        if (documentCheck === '<' && /[^<]/.test(optionalData)) {
+            const end = optionalData.indexOf('<') < 0 ? optionalData.length : optionalData.indexOf('<');
+            documentNumber += optionalData.slice(0, end - 1);
+            documentCheck = optionalData[end - 1];
+            optionalData = optionalData.slice(end);
+        }
+
+        const fullNumber = documentNumber.replace(/</g, '');
+        return {
+            ...this._parseCommon(first.slice(0, 2), first.slice(2, 5), third, fullNumber, second.slice(15, 18),
+                second.slice(0, 6), second[7], second.slice(8, 14), this._trimFiller(optionalData + second.slice(18, 29))),
+            checks: {
+                documentNumber: this._verifyCheckDigit(documentNumber, documentCheck),
+                birthDate: this._verifyCheckDigit(second.slice(0, 6), second[6]),
+                expiryDate: this._verifyCheckDigit(second.slice(8, 14), second[14]),
+                composite: this._verifyCheckDigit(first.slice(5, 30) + second.slice(0, 7) + second.slice(8, 15) + second.slice(18, 29), second[29])
+            }
+        };
+    },
+
+    _parseTd2Td3(lines, format) {
+        const [first, second] = lines;
+        const end = second.length - 1;
+        const checks = {
+            documentNumber: this._verifyCheckDigit(second.slice(0, 9), second[9]),
+            birthDate: this._verifyCheckDigit(second.slice(13, 19), second[19]),
+            expiryDate: this._verifyCheckDigit(second.slice(21, 27), second[27])
+        };
+        if (format === 'TD3') {
+            checks.optionalData = this._verifyCheckDigit(second.slice(28, 42), second[42]);
+        }
+        checks.composite = this._verifyCheckDigit(second.slice(0, 10) + second.slice(13, 20) + second.slice(21, end), second[end]);
+
+        const optionalEnd = format === 'TD3' ? 42 : 35;
+        return {
+            ...this._parseCommon(first.slice(0, 2), first.slice(2, 5), first.slice(5), second.slice(0, 9).replace(/</g, ''),
+                second.slice(10, 13), second.slice(13, 19), second[20], second.slice(21, 27), this._trimFiller(second.slice(28, optionalEnd))),
+            checks: checks
+        };
+    },
+
+    _parseCommon(code, state, name, documentNumber, nationality, birthDate, sex, expiryDate, optionalData) {
+        // SURNAME<<GIVEN<NAMES, with '<' for spaces and hyphens
+        const separator = name.indexOf('<<');
+        const surname = separator < 0 ? name : name.slice(0, separator);
+        const givenNames = separator < 0 ? '' : name.slice(separator + 2);
+
+        return {
+            documentCode: code.replace(/</g, ''),
+            issuingState: state.replace(/</g, ''),
+            surname: this._trimFiller(surname),
+            givenNames: this._trimFiller(givenNames),
+            documentNumber: documentNumber,
+            nationality: nationality.replace(/</g, ''),
+            birthDate: birthDate,
+            sex: sex,
+            expiryDate: expiryDate,
+            optionalData: optionalData
+        };
+    },
+
+    // Fillers to spaces, trimmed
+    _trimFiller(text) {
+        return text.replace(/</g, ' ').replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * YYMMDD to yyyy-mm-dd. Birth dates are never in the future; expiry dates fall in the next century
+     * of the two-digit year only for documents issued before 2000.
+     * @returns {string|null} Null when the date is unreadable or left blank
+     */
+    _parseDate(text, isExpiry) {
+        if (!/^\d{6}$/.test(text)) {
+            return null;
+        }
+
+        const year = Number(text.slice(0, 2));
+        const month = Number(text.slice(2, 4));
+        const day = Number(text.slice(4, 6));
+        if (month < 1 || month > 12 || day < 1 || day > 31) {
+            return null;
+        }
+
+        const currentYear = new Date().getFullYear() % 100;
+        const century = isExpiry ? (year >= 70 ? 1900 : 2000) : (year > currentYear ? 1900 : 2000);
+        return `${century + year}-${text.slice(2, 4)}-${text.slice(4, 6)}`;
+    }
+};
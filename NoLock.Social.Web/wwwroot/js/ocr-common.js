@@ -0,0 +1,90 @@
+// OCR Common Module
+// Pixel helpers shared by the template-matching readers (micr-reader.js, mrz-reader.js):
+// summed-area tables, local-mean ink thresholding and the baseline fit of a line of glyphs.
+
+window.ocrCommon = {
+
+    /**
+     * Summed-area table with a zero row and column in front
+     * @param {ArrayLike<number>} values - Row-major values
+     * @param {number} width - Values per row
+     * @param {number} height - Rows
+     * @returns {Float64Array} (width + 1) x (height + 1) sums
+     */
+    integrate(values, width, height) {
+        const stride = width + 1;
+        const integral = new Float64Array(stride * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += values[y * width + x];
+                integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+            }
+        }
+        return integral;
+    },
+
+    // Sum over the inclusive rectangle [x0, x1] x [y0, y1] of a table from integrate
+    areaSum(integral, width, x0, y0, x1, y1) {
+        const stride = width + 1;
+        return integral[(y1 + 1) * stride + x1 + 1] - integral[y0 * stride + x1 + 1] -
+            integral[(y1 + 1) * stride + x0] + integral[y0 * stride + x0];
+    },
+
+    /**
+     * Mark ink: pixels well below the mean brightness of the square window around them
+     * @param {ImageData} imageData - Source image
+     * @param {{x: number, y: number, width: number, height: number}} region - Area to threshold
+     * @param {number} half - Half the window side, in pixels
+     * @returns {Uint8Array} One byte per region pixel, 1 for ink
+     */
+    thresholdLocalMean(imageData, region, half) {
+        const { width: stride, data } = imageData;
+        const { x: left, y: top, width, height } = region;
+        const gray = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const idx = ((top + y) * stride + left + x) * 4;
+                gray[y * width + x] = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+            }
+        }
+
+        const integral = this.integrate(gray, width, height);
+        const dark = new Uint8Array(gray.length);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - half);
+            const y1 = Math.min(height - 1, y + half);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - half);
+                const x1 = Math.min(width - 1, x + half);
+                const mean = this.areaSum(integral, width, x0, y0, x1, y1) / ((x1 - x0 + 1) * (y1 - y0 + 1));
+                const value = gray[y * width + x];
+                dark[y * width + x] = value < mean * 0.8 && value < 170 ? 1 : 0;
+            }
+        }
+        return dark;
+    },
+
+    /**
+     * Least-squares lines through the tops and bottoms of full-height glyphs
+     * @param {Array<{left: number, right: number, top: number, bottom: number}>} glyphs - Glyph boxes
+     * @returns {{top: Function, bottom: Function}} x => y
+     */
+    fitLineFrame(glyphs) {
+        const fit = key => {
+            const points = glyphs.map(glyph => ({ x: (glyph.left + glyph.right) / 2, y: glyph[key] }));
+            const n = points.length;
+            const meanX = points.reduce((sum, point) => sum + point.x, 0) / n;
+            const meanY = points.reduce((sum, point) => sum + point.y, 0) / n;
+            let covariance = 0;
+            let variance = 0;
+            points.forEach(point => {
+                covariance += (point.x - meanX) * (point.y - meanY);
+                variance += (point.x - meanX) * (point.x - meanX);
+            });
+            const slope = variance > 0 ? covariance / variance : 0;
+            return x => Math.round(meanY + slope * (x - meanX));
+        };
+        return { top: fit('top'), bottom: fit('bottom') };
+    }
+};
@@ -1,5 +1,6 @@
 // Speech Recognition JavaScript Module for Voice Commands
 // Handles Web Speech API integration with browser compatibility
+import { queryPermission, requestPermission, subscribeDotNet, getRecoveryInstructions } from '../_content/NoLock.Social.Components/js/permission-monitor.js';
 
 window.speechRecognition = (function() {
     'use strict';
@@ -10,6 +11,7 @@ window.speechRecognition = (function() {
     let reconnectTimeout = null;
     let maxReconnectAttempts = 3;
     let reconnectAttempts = 0;
+    let unsubscribePermission = null;
     
     // Browser compatibility check
     function isSupported() {
@@ -204,31 +206,28 @@ window.speechRecognition = (function() {
     
     // Request microphone permissions
     function requestMicrophonePermission() {
-        return navigator.mediaDevices.getUserMedia({ audio: true })
-            .then(function(stream) {
-                // Stop the stream immediately, we just needed permission
-                stream.getTracks().forEach(track => track.stop());
-                return true;
-            })
-            .catch(function(error) {
-                console.error('Microphone permission denied:', error);
-                return false;
+        return requestPermission('microphone')
+            .then(function(state) {
+                return state === 'granted';
             });
     }
     
-    // Check current permission status
+    // Check current permission status: 'granted', 'denied', 'prompt' or 'unsupported'
     function checkMicrophonePermission() {
-        if (!navigator.permissions) {
-            return Promise.resolve('prompt'); // Unknown, assume prompt
+        return queryPermission('microphone');
+    }
+    
+    // Relay permission changes to .NET as OnPermissionChanged('microphone', state, instructions)
+    function startPermissionMonitoring(dotNetRef) {
+        stopPermissionMonitoring();
+        unsubscribePermission = subscribeDotNet('microphone', dotNetRef);
+    }
+    
+    function stopPermissionMonitoring() {
+        if (unsubscribePermission) {
+            unsubscribePermission();
+            unsubscribePermission = null;
         }
-        
-        return navigator.permissions.query({ name: 'microphone' })
-            .then(function(permission) {
-                return permission.state; // 'granted', 'denied', or 'prompt'
-            })
-            .catch(function() {
-                return 'prompt'; // Fallback
-            });
     }
     
     // Public API
@@ -238,6 +237,9 @@ window.speechRecognition = (function() {
         stopListening: stopListening,
         requestMicrophonePermission: requestMicrophonePermission,
         checkMicrophonePermission: checkMicrophonePermission,
+        startPermissionMonitoring: startPermissionMonitoring,
+        stopPermissionMonitoring: stopPermissionMonitoring,
+        getRecoveryInstructions: function() { return getRecoveryInstructions('microphone'); },
         isListening: function() { return isListening; }
     };
 })();
\ No newline at end of file